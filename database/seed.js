@@ -0,0 +1,413 @@
+// Sample data for the in-memory and file storage drivers.
+// Mirrors the sample rows inserted by database/setup.sql.
+
+import crypto from 'crypto';
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+// Same normalisation as OfficialUpdatesService.contentHash
+const contentHash = (title, content) => crypto.createHash('sha256')
+  .update(`${title}\n${content}`.toLowerCase().replace(/\s+/g, ' ').trim())
+  .digest('hex');
+
+const officialUpdate = (row) => ({
+  source_id: null,
+  ...row,
+  content_hash: contentHash(row.title, row.content),
+  cap: null,
+  fetched_at: row.published_at,
+  created_at: row.published_at
+});
+
+export const seedData = {
+  disasters: [
+    {
+      id: '550e8400-e29b-41d4-a716-446655440001',
+      title: 'Sample Flood Emergency',
+      description: 'Severe flooding in downtown area due to heavy rainfall. Multiple streets are impassable and residents need evacuation assistance.',
+      location_name: 'Downtown Manhattan, NYC',
+      latitude: 40.7580,
+      longitude: -73.9855,
+      footprint: {
+        type: 'Polygon',
+        coordinates: [[[-74.0100, 40.7400], [-73.9700, 40.7400], [-73.9700, 40.7700], [-74.0100, 40.7700], [-74.0100, 40.7400]]]
+      },
+      severity: 'high',
+      status: 'active',
+      tags: ['flood'],
+      created_by: 'admin1',
+      created_at: hoursAgo(6),
+      updated_at: hoursAgo(6),
+      audit_trail: []
+    },
+    {
+      id: '550e8400-e29b-41d4-a716-446655440002',
+      title: 'Wildfire Alert',
+      description: 'Fast-spreading wildfire threatening residential areas. Immediate evacuation orders in effect for zones A and B.',
+      location_name: 'Malibu, CA',
+      latitude: 34.0259,
+      longitude: -118.7798,
+      footprint: null,
+      severity: 'critical',
+      status: 'active',
+      tags: ['wildfire'],
+      created_by: 'admin1',
+      created_at: hoursAgo(5),
+      updated_at: hoursAgo(5),
+      audit_trail: []
+    },
+    {
+      id: '550e8400-e29b-41d4-a716-446655440003',
+      title: 'Earthquake Response',
+      description: 'Magnitude 6.2 earthquake struck the region. Infrastructure damage reported, search and rescue operations underway.',
+      location_name: 'San Francisco, CA',
+      latitude: 37.7749,
+      longitude: -122.4194,
+      footprint: null,
+      severity: 'high',
+      status: 'monitoring',
+      tags: ['earthquake'],
+      created_by: 'admin1',
+      created_at: hoursAgo(4),
+      updated_at: hoursAgo(4),
+      audit_trail: []
+    }
+  ],
+  resources: [
+    {
+      id: '660e8400-e29b-41d4-a716-446655440001',
+      name: 'Emergency Shelter Downtown',
+      type: 'shelter',
+      description: 'Large emergency shelter with 200 bed capacity, medical facilities, and food services available.',
+      location_name: 'Community Center, Manhattan',
+      latitude: 40.7505,
+      longitude: -73.9934,
+      capacity: 200,
+      capacity_reserved: 0,
+      occupancy: 0,
+      full_threshold: 0,
+      available: true,
+      contact_info: {},
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      created_by: 'responder1',
+      created_at: hoursAgo(5),
+      updated_at: hoursAgo(5)
+    },
+    {
+      id: '660e8400-e29b-41d4-a716-446655440002',
+      name: 'Mobile Medical Unit',
+      type: 'medical',
+      description: 'Fully equipped mobile medical unit with emergency care capabilities and trauma specialists.',
+      location_name: 'Times Square, NYC',
+      latitude: 40.7580,
+      longitude: -73.9855,
+      capacity: 50,
+      capacity_reserved: 0,
+      occupancy: 0,
+      full_threshold: 0,
+      available: true,
+      contact_info: {},
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      created_by: 'responder2',
+      created_at: hoursAgo(5),
+      updated_at: hoursAgo(5)
+    },
+    {
+      id: '660e8400-e29b-41d4-a716-446655440003',
+      name: 'Food Distribution Center',
+      type: 'food',
+      description: 'Central food distribution point providing meals and emergency supplies to affected families.',
+      location_name: 'Central Park, NYC',
+      latitude: 40.7829,
+      longitude: -73.9654,
+      capacity: 500,
+      capacity_reserved: 0,
+      occupancy: 0,
+      full_threshold: 0,
+      available: true,
+      contact_info: {},
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      created_by: 'responder1',
+      created_at: hoursAgo(5),
+      updated_at: hoursAgo(5)
+    },
+    {
+      id: '660e8400-e29b-41d4-a716-446655440004',
+      name: 'Evacuation Transport Hub',
+      type: 'transport',
+      description: 'Bus terminal for coordinating evacuations and transport to safe zones.',
+      location_name: 'Malibu Fire Station',
+      latitude: 34.0259,
+      longitude: -118.7798,
+      capacity: 100,
+      capacity_reserved: 0,
+      occupancy: 0,
+      full_threshold: 0,
+      available: true,
+      contact_info: {},
+      disaster_id: '550e8400-e29b-41d4-a716-446655440002',
+      created_by: 'responder3',
+      created_at: hoursAgo(4),
+      updated_at: hoursAgo(4)
+    }
+  ],
+  reports: [
+    {
+      id: '770e8400-e29b-41d4-a716-446655440001',
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      user_id: 'citizen1',
+      content: 'Water level rising rapidly on 42nd Street. Several cars are stranded and people need immediate assistance. Emergency services are overwhelmed.',
+      image_url: null,
+      latitude: 40.7549,
+      longitude: -73.9840,
+      location_source: 'device',
+      location_accuracy_m: 25,
+      location_confidence: 'high',
+      verification_status: 'verified',
+      urgency: 'high',
+      reporter_trust_score: 50,
+      reporter_trust_level: 'neutral',
+      created_at: hoursAgo(2)
+    },
+    {
+      id: '770e8400-e29b-41d4-a716-446655440002',
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      user_id: 'citizen2',
+      content: 'Power outage affecting entire block. Elderly residents in apartment complex need help evacuating. No emergency services visible yet.',
+      image_url: null,
+      latitude: null,
+      longitude: null,
+      location_source: null,
+      location_accuracy_m: null,
+      location_confidence: null,
+      verification_status: 'pending',
+      urgency: 'high',
+      reporter_trust_score: 50,
+      reporter_trust_level: 'neutral',
+      created_at: hoursAgo(1)
+    },
+    {
+      id: '770e8400-e29b-41d4-a716-446655440003',
+      disaster_id: '550e8400-e29b-41d4-a716-446655440002',
+      user_id: 'citizen3',
+      content: 'Fire spreading towards residential area. Strong winds making situation worse. Need immediate evacuation support.',
+      image_url: null,
+      latitude: 34.0301,
+      longitude: -118.7750,
+      location_source: 'device',
+      location_accuracy_m: 50,
+      location_confidence: 'high',
+      verification_status: 'verified',
+      urgency: 'high',
+      reporter_trust_score: 50,
+      reporter_trust_level: 'neutral',
+      created_at: hoursAgo(0.5)
+    }
+  ],
+  official_updates: [
+    officialUpdate({
+      id: '880e8400-e29b-41d4-a716-446655440001',
+      external_id: 'fema_001',
+      source: 'FEMA',
+      title: 'Major Disaster Declaration for New York Flooding',
+      content: 'President Biden has approved a Major Disaster Declaration for New York State due to severe flooding. Federal assistance is now available to affected individuals and communities.',
+      url: 'https://www.fema.gov/disaster/4673',
+      published_at: hoursAgo(2),
+      type: 'government',
+      priority: 'high',
+      tags: ['federal_aid', 'disaster_declaration', 'flooding']
+    }),
+    officialUpdate({
+      id: '880e8400-e29b-41d4-a716-446655440002',
+      external_id: 'redcross_001',
+      source: 'American Red Cross',
+      title: 'Emergency Shelters Open in NYC Area',
+      content: 'The Red Cross has opened multiple emergency shelters across New York City to provide safe haven for those displaced by flooding. Locations include Madison Square Garden, Jacob Javits Center, and Brooklyn Armory.',
+      url: 'https://www.redcross.org/local/new-york/greater-new-york',
+      published_at: hoursAgo(1.5),
+      type: 'relief_organization',
+      priority: 'high',
+      tags: ['shelter', 'evacuation', 'emergency_services']
+    }),
+    officialUpdate({
+      id: '880e8400-e29b-41d4-a716-446655440003',
+      external_id: 'nyc_em_001',
+      source: 'NYC Emergency Management',
+      title: 'Flash Flood Warning Extended Until 8 PM',
+      content: 'Flash flood warning for all five boroughs extended until 8:00 PM today. Residents are advised to avoid unnecessary travel and stay indoors. Emergency services are responding to multiple water rescue situations.',
+      url: 'https://www1.nyc.gov/site/em/index.page',
+      published_at: hoursAgo(0.5),
+      type: 'local_government',
+      priority: 'critical',
+      tags: ['flood_warning', 'travel_advisory', 'emergency_response']
+    }),
+    officialUpdate({
+      id: '880e8400-e29b-41d4-a716-446655440004',
+      external_id: 'fema_002',
+      source: 'FEMA',
+      title: 'Individual Assistance Program Activated',
+      content: 'FEMA\'s Individual Assistance program is now available for New York residents affected by flooding. This includes assistance for temporary housing, home repairs, and other disaster-related expenses.',
+      url: 'https://www.fema.gov/assistance/individual',
+      published_at: hoursAgo(0.75),
+      type: 'government',
+      priority: 'medium',
+      tags: ['individual_assistance', 'financial_aid', 'housing_assistance']
+    }),
+    officialUpdate({
+      id: '880e8400-e29b-41d4-a716-446655440005',
+      external_id: 'salvation_army_001',
+      source: 'Salvation Army',
+      title: 'Mobile Emergency Response Units Deployed',
+      content: 'Salvation Army has deployed mobile emergency response units throughout the affected areas, providing hot meals, hydration, and emotional support to first responders and residents.',
+      url: 'https://www.salvationarmyusa.org/usn/disaster-relief/',
+      published_at: hoursAgo(1),
+      type: 'relief_organization',
+      priority: 'medium',
+      tags: ['mobile_services', 'food_assistance', 'emotional_support']
+    })
+  ],
+  official_update_links: [
+    {
+      id: '990e8400-e29b-41d4-a716-446655440001',
+      update_id: '880e8400-e29b-41d4-a716-446655440001',
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      score: 0.4,
+      reasons: ['location:nyc', 'keywords:flood'],
+      created_at: hoursAgo(2)
+    },
+    {
+      id: '990e8400-e29b-41d4-a716-446655440002',
+      update_id: '880e8400-e29b-41d4-a716-446655440002',
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      score: 0.4,
+      reasons: ['location:nyc', 'keywords:flood'],
+      created_at: hoursAgo(1.5)
+    },
+    {
+      id: '990e8400-e29b-41d4-a716-446655440003',
+      update_id: '880e8400-e29b-41d4-a716-446655440003',
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      score: 0.4,
+      reasons: ['location:nyc', 'keywords:flood'],
+      created_at: hoursAgo(0.5)
+    },
+    {
+      id: '990e8400-e29b-41d4-a716-446655440004',
+      update_id: '880e8400-e29b-41d4-a716-446655440004',
+      disaster_id: '550e8400-e29b-41d4-a716-446655440001',
+      score: 0.4,
+      reasons: ['location:nyc', 'keywords:flood'],
+      created_at: hoursAgo(0.75)
+    }
+  ],
+  official_sources: [
+    {
+      id: 'aa0e8400-e29b-41d4-a716-446655440001',
+      name: 'FEMA',
+      url: 'https://www.fema.gov/disasters',
+      type: 'government',
+      format: 'html',
+      selector: '.disaster-declaration',
+      poll_interval_minutes: 15,
+      enabled: true,
+      scope: null,
+      last_scraped_at: null,
+      last_status: null,
+      last_error: null,
+      last_update_count: null,
+      created_by: null,
+      created_at: hoursAgo(24),
+      updated_at: hoursAgo(24)
+    },
+    {
+      id: 'aa0e8400-e29b-41d4-a716-446655440002',
+      name: 'Red Cross',
+      url: 'https://www.redcross.org/get-help/disaster-relief-and-recovery-services',
+      type: 'relief_organization',
+      format: 'html',
+      selector: '.emergency-update',
+      poll_interval_minutes: 15,
+      enabled: true,
+      scope: null,
+      last_scraped_at: null,
+      last_status: null,
+      last_error: null,
+      last_update_count: null,
+      created_by: null,
+      created_at: hoursAgo(24),
+      updated_at: hoursAgo(24)
+    },
+    {
+      id: 'aa0e8400-e29b-41d4-a716-446655440003',
+      name: 'NYC Emergency Management',
+      url: 'https://www1.nyc.gov/site/em/index.page',
+      type: 'local_government',
+      format: 'html',
+      selector: '.emergency-alert',
+      poll_interval_minutes: 15,
+      enabled: true,
+      scope: { location_name: 'New York City', latitude: 40.7128, longitude: -74.0060, radius_km: 50 },
+      last_scraped_at: null,
+      last_status: null,
+      last_error: null,
+      last_update_count: null,
+      created_by: null,
+      created_at: hoursAgo(24),
+      updated_at: hoursAgo(24)
+    },
+    {
+      id: 'aa0e8400-e29b-41d4-a716-446655440004',
+      name: 'GDACS',
+      url: 'https://www.gdacs.org/xml/rss.xml',
+      type: 'international_organization',
+      format: 'feed',
+      selector: null,
+      poll_interval_minutes: 15,
+      enabled: true,
+      scope: null,
+      last_scraped_at: null,
+      last_status: null,
+      last_error: null,
+      last_update_count: null,
+      created_by: null,
+      created_at: hoursAgo(24),
+      updated_at: hoursAgo(24)
+    },
+    {
+      id: 'aa0e8400-e29b-41d4-a716-446655440005',
+      name: 'USGS Earthquakes',
+      url: 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/significant_week.atom',
+      type: 'government',
+      format: 'feed',
+      selector: null,
+      poll_interval_minutes: 15,
+      enabled: true,
+      scope: null,
+      last_scraped_at: null,
+      last_status: null,
+      last_error: null,
+      last_update_count: null,
+      created_by: null,
+      created_at: hoursAgo(24),
+      updated_at: hoursAgo(24)
+    },
+    {
+      id: 'aa0e8400-e29b-41d4-a716-446655440006',
+      name: 'National Weather Service',
+      url: 'https://api.weather.gov/alerts/active.atom?area=NY',
+      type: 'government',
+      format: 'cap',
+      selector: null,
+      poll_interval_minutes: 15,
+      enabled: true,
+      scope: { location_name: 'New York State', latitude: 42.9538, longitude: -75.5268, radius_km: 300 },
+      last_scraped_at: null,
+      last_status: null,
+      last_error: null,
+      last_update_count: null,
+      created_by: null,
+      created_at: hoursAgo(24),
+      updated_at: hoursAgo(24)
+    }
+  ]
+};
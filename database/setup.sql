@@ -4,6 +4,20 @@
 -- Enable PostGIS extension for geospatial queries
 CREATE EXTENSION IF NOT EXISTS postgis;
 
+-- Create users table
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) NOT NULL UNIQUE,
+    username VARCHAR(100) NOT NULL,
+    name VARCHAR(255),
+    role VARCHAR(50) NOT NULL DEFAULT 'citizen' CHECK (role IN ('admin', 'coordinator', 'responder', 'citizen')),
+    password_hash TEXT NOT NULL,
+    active BOOLEAN DEFAULT true,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create disasters table
 CREATE TABLE IF NOT EXISTS disasters (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -19,14 +33,49 @@ CREATE TABLE IF NOT EXISTS disasters (
             ELSE NULL 
         END
     ) STORED,
+    -- Optional affected area as a GeoJSON Polygon/MultiPolygon; footprint_area is the
+    -- PostGIS copy used for point-in-area queries
+    footprint JSONB,
+    footprint_area GEOGRAPHY GENERATED ALWAYS AS (
+        CASE
+            WHEN footprint IS NOT NULL
+            THEN ST_SetSRID(ST_GeomFromGeoJSON(footprint), 4326)::geography
+            ELSE NULL
+        END
+    ) STORED,
     severity VARCHAR(50) DEFAULT 'moderate' CHECK (severity IN ('low', 'moderate', 'high', 'critical')),
     status VARCHAR(50) DEFAULT 'active' CHECK (status IN ('active', 'monitoring', 'resolved', 'archived')),
+    tags TEXT[] DEFAULT '{}',
     created_by UUID NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     audit_trail JSONB DEFAULT '[]'::jsonb
 );
 
+-- Create incidents table (clusters of reports and social posts about the same event
+-- within a disaster; members point at theirs through incident_id)
+CREATE TABLE IF NOT EXISTS incidents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'verified', 'dismissed')),
+    title TEXT NOT NULL,
+    keywords TEXT[] DEFAULT '{}',
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    radius_km DECIMAL(8, 2),
+    report_count INTEGER NOT NULL DEFAULT 0,
+    post_count INTEGER NOT NULL DEFAULT 0,
+    source_count INTEGER NOT NULL DEFAULT 0,
+    -- Independent sources beyond the first one
+    corroboration_count INTEGER NOT NULL DEFAULT 0,
+    first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    verified_by UUID,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create resources table
 CREATE TABLE IF NOT EXISTS resources (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -44,6 +93,12 @@ CREATE TABLE IF NOT EXISTS resources (
         END
     ) STORED,
     capacity INTEGER,
+    -- Capacity promised to needs through accepted matches
+    capacity_reserved INTEGER NOT NULL DEFAULT 0,
+    -- People or beds in use right now (check-ins minus check-outs)
+    occupancy INTEGER NOT NULL DEFAULT 0 CHECK (occupancy >= 0),
+    -- Counted as full (available = false) once spare capacity drops to this
+    full_threshold INTEGER NOT NULL DEFAULT 0 CHECK (full_threshold >= 0),
     available BOOLEAN DEFAULT true,
     contact_info JSONB,
     disaster_id UUID REFERENCES disasters(id) ON DELETE SET NULL,
@@ -52,20 +107,320 @@ CREATE TABLE IF NOT EXISTS resources (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create resource inventory table (stock of consumables held at a resource)
+CREATE TABLE IF NOT EXISTS resource_inventory (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    item VARCHAR(100) NOT NULL,
+    unit VARCHAR(50) NOT NULL DEFAULT 'units',
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    -- Counted as low (and the resource as out of stock when every item is) at or below this
+    low_threshold INTEGER NOT NULL DEFAULT 0 CHECK (low_threshold >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (resource_id, item)
+);
+
+-- Create resource movements table (ledger of check-ins, check-outs, deliveries and distributions)
+CREATE TABLE IF NOT EXISTS resource_movements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    disaster_id UUID REFERENCES disasters(id) ON DELETE SET NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('check_in', 'check_out', 'delivery', 'distribution', 'adjustment')),
+    -- NULL for occupancy, the inventory item otherwise
+    item VARCHAR(100),
+    unit VARCHAR(50),
+    quantity INTEGER NOT NULL CHECK (quantity >= 0),
+    delta INTEGER NOT NULL,
+    balance_after INTEGER NOT NULL,
+    notes TEXT,
+    recorded_by UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create resource reservations table (time-windowed holds on resource units)
+CREATE TABLE IF NOT EXISTS resource_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    disaster_id UUID REFERENCES disasters(id) ON DELETE SET NULL,
+    report_id UUID,
+    need_id UUID,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'confirmed', 'released', 'expired', 'completed')),
+    -- An unconfirmed hold lapses at this time
+    hold_expires_at TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    requested_by UUID NOT NULL,
+    confirmed_by UUID,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    released_by UUID,
+    released_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+-- Create needs table (structured requests for help: what, how much, where, how urgent)
+CREATE TABLE IF NOT EXISTS needs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    type VARCHAR(100) NOT NULL CHECK (type IN ('shelter', 'medical', 'food', 'transport', 'communication', 'equipment', 'personnel')),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    quantity_matched INTEGER NOT NULL DEFAULT 0,
+    urgency VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (urgency IN ('critical', 'high', 'medium', 'low')),
+    description TEXT NOT NULL,
+    location_name VARCHAR(255),
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'matched', 'cancelled')),
+    report_id UUID,
+    social_post_id UUID,
+    created_by UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create volunteer offers table (help offered by people rather than registered resources)
+CREATE TABLE IF NOT EXISTS offers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    type VARCHAR(100) NOT NULL CHECK (type IN ('shelter', 'medical', 'food', 'transport', 'communication', 'equipment', 'personnel')),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    quantity_matched INTEGER NOT NULL DEFAULT 0,
+    description TEXT NOT NULL,
+    location_name VARCHAR(255),
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    location GEOGRAPHY(POINT, 4326) GENERATED ALWAYS AS (
+        CASE
+            WHEN latitude IS NOT NULL AND longitude IS NOT NULL
+            THEN ST_Point(longitude, latitude)::geography
+            ELSE NULL
+        END
+    ) STORED,
+    contact_info JSONB DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'matched', 'withdrawn')),
+    social_post_id UUID,
+    offered_by UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create matches table (accepted pairings of a need with a resource or an offer)
+CREATE TABLE IF NOT EXISTS matches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    need_id UUID NOT NULL REFERENCES needs(id) ON DELETE CASCADE,
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    resource_id UUID REFERENCES resources(id) ON DELETE CASCADE,
+    offer_id UUID REFERENCES offers(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    distance_km DECIMAL(8, 2),
+    status VARCHAR(20) NOT NULL DEFAULT 'accepted' CHECK (status IN ('accepted', 'cancelled')),
+    notes TEXT,
+    accepted_by UUID NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    cancelled_by UUID,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((resource_id IS NULL) <> (offer_id IS NULL))
+);
+
 -- Create reports table
 CREATE TABLE IF NOT EXISTS reports (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
     user_id UUID NOT NULL,
     content TEXT NOT NULL,
+    -- Public URL of the first attachment (kept for clients that predate attachments)
     image_url TEXT,
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    location GEOGRAPHY(POINT, 4326) GENERATED ALWAYS AS (
+        CASE 
+            WHEN latitude IS NOT NULL AND longitude IS NOT NULL 
+            THEN ST_Point(longitude, latitude)::geography 
+            ELSE NULL 
+        END
+    ) STORED,
+    -- Where the position came from: the reporter's device, the geocoded location_name, or a
+    -- place named in the content; accuracy_m is the radius it is good to, when known
+    location_name VARCHAR(255),
+    location_address TEXT,
+    location_source VARCHAR(20) CHECK (location_source IN ('device', 'geocoded', 'extracted')),
+    location_accuracy_m INTEGER,
+    location_confidence VARCHAR(20) CHECK (location_confidence IN ('high', 'medium', 'low')),
+    location_provider VARCHAR(50),
     verification_status VARCHAR(50) DEFAULT 'pending' CHECK (verification_status IN ('pending', 'verified', 'rejected')),
     verified_at TIMESTAMP WITH TIME ZONE,
     verified_by UUID,
     verification_notes TEXT,
+    rejection_reason VARCHAR(50),
+    -- Moderation queue: urgency from the report text, the reviewer working on it, escalation
+    urgency VARCHAR(20) NOT NULL DEFAULT 'low' CHECK (urgency IN ('critical', 'high', 'medium', 'low')),
+    claimed_by UUID,
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    escalated_at TIMESTAMP WITH TIME ZONE,
+    escalated_by UUID,
+    -- Reporter's trust score (kept current while pending, as of the decision afterwards)
+    reporter_trust_score INTEGER NOT NULL DEFAULT 50,
+    reporter_trust_level VARCHAR(20) NOT NULL DEFAULT 'neutral' CHECK (reporter_trust_level IN ('trusted', 'neutral', 'untrusted')),
+    incident_id UUID REFERENCES incidents(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create reporter trust table (computed score per user, optionally pinned by an admin)
+CREATE TABLE IF NOT EXISTS user_trust (
+    user_id UUID PRIMARY KEY,
+    score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+    level VARCHAR(20) NOT NULL CHECK (level IN ('trusted', 'neutral', 'untrusted')),
+    computed_score INTEGER NOT NULL,
+    factors JSONB NOT NULL DEFAULT '[]',
+    verified_count INTEGER NOT NULL DEFAULT 0,
+    rejected_count INTEGER NOT NULL DEFAULT 0,
+    corroborated_count INTEGER NOT NULL DEFAULT 0,
+    override_score INTEGER CHECK (override_score BETWEEN 0 AND 100),
+    override_reason TEXT,
+    overridden_by UUID,
+    overridden_at TIMESTAMP WITH TIME ZONE,
+    computed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Create report history table (every moderation step, with the image verdicts at the time)
+CREATE TABLE IF NOT EXISTS report_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    action VARCHAR(50) NOT NULL,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    reviewer_id UUID,
+    reason_code VARCHAR(50),
+    notes TEXT,
+    ai_verdict JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create social media posts table (history of posts ingested per disaster).
+-- A post is stored once per disaster it was found for; near-duplicates (reposts,
+-- copy-pasted messages) are kept but point at the first copy through duplicate_of.
+CREATE TABLE IF NOT EXISTS social_posts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    post_id TEXT NOT NULL,
+    author_name VARCHAR(255),
+    author_handle VARCHAR(255),
+    content TEXT NOT NULL,
+    url TEXT,
+    location TEXT,
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    media TEXT[] DEFAULT '{}',
+    tags TEXT[] DEFAULT '{}',
+    engagement JSONB DEFAULT '{}',
+    analysis JSONB,
+    priority INTEGER CHECK (priority BETWEEN 1 AND 10),
+    content_fingerprint CHAR(64) NOT NULL,
+    simhash CHAR(16) NOT NULL,
+    duplicate_of UUID REFERENCES social_posts(id) ON DELETE SET NULL,
+    duplicate_count INTEGER NOT NULL DEFAULT 0,
+    incident_id UUID REFERENCES incidents(id) ON DELETE SET NULL,
+    posted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (disaster_id, provider, post_id)
+);
+
+-- Create report attachments (images kept in the blob store). original_key is the file as
+-- uploaded; public_key and thumbnail_key are re-encoded copies without EXIF metadata.
+CREATE TABLE IF NOT EXISTS attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    storage_driver VARCHAR(20) NOT NULL,
+    original_key TEXT NOT NULL,
+    public_key TEXT,
+    thumbnail_key TEXT,
+    content_type VARCHAR(50) NOT NULL,
+    public_content_type VARCHAR(50),
+    size_bytes INTEGER NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    had_gps BOOLEAN DEFAULT false,
+    original_name TEXT,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('upload', 'url')),
+    source_url TEXT,
+    verification_id UUID,
+    uploaded_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create image verification history (one row per image checked by the vision model)
+CREATE TABLE IF NOT EXISTS image_verifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    image_url TEXT,
+    image_sha256 CHAR(64) NOT NULL,
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('upload', 'url')),
+    description TEXT,
+    authenticity VARCHAR(20) NOT NULL CHECK (authenticity IN ('verified', 'suspicious', 'rejected', 'unverified')),
+    confidence VARCHAR(10) NOT NULL CHECK (confidence IN ('high', 'medium', 'low')),
+    disaster_type VARCHAR(50),
+    matches_description BOOLEAN,
+    manipulation_signs TEXT[] DEFAULT '{}',
+    reasoning TEXT,
+    analysis_source VARCHAR(20) NOT NULL CHECK (analysis_source IN ('model', 'fallback')),
+    fallback_reason VARCHAR(50),
+    model VARCHAR(100),
+    -- Local forensics: perceptual hash, EXIF, error-level analysis and the combined 0-100 score
+    perceptual_hash CHAR(16),
+    forensics JSONB,
+    score INTEGER CHECK (score BETWEEN 0 AND 100),
+    score_level VARCHAR(20) CHECK (score_level IN ('likely_authentic', 'uncertain', 'likely_manipulated')),
+    processing_ms INTEGER,
+    created_by UUID,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create perceptual hash index of every image seen in a report or verification,
+-- used to spot photos recycled from earlier reports and disasters
+CREATE TABLE IF NOT EXISTS image_hashes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    perceptual_hash CHAR(16) NOT NULL,
+    image_sha256 CHAR(64) NOT NULL,
+    image_url TEXT,
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    disaster_id UUID REFERENCES disasters(id) ON DELETE SET NULL,
+    verification_id UUID REFERENCES image_verifications(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create verification job queue (image checks run by background workers). Workers claim
+-- a job by moving it from 'queued' to 'running'; failed attempts are queued again at run_at.
+CREATE TABLE IF NOT EXISTS verification_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+    payload JSONB NOT NULL DEFAULT '{}',
+    result JSONB,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    locked_by TEXT,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    batch_id UUID,
+    created_by UUID,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create cache table for external API responses
 CREATE TABLE IF NOT EXISTS cache (
     key VARCHAR(255) PRIMARY KEY,
@@ -74,10 +429,64 @@ CREATE TABLE IF NOT EXISTS cache (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create official source registry (scrape targets managed through the API)
+CREATE TABLE IF NOT EXISTS official_sources (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL UNIQUE,
+    url TEXT NOT NULL,
+    type VARCHAR(100) NOT NULL DEFAULT 'government',
+    format VARCHAR(20) NOT NULL DEFAULT 'html' CHECK (format IN ('html', 'feed', 'cap')),
+    selector TEXT,
+    poll_interval_minutes INTEGER NOT NULL DEFAULT 15 CHECK (poll_interval_minutes > 0),
+    enabled BOOLEAN DEFAULT true,
+    scope JSONB,
+    last_scraped_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20) CHECK (last_status IN ('ok', 'error')),
+    last_error TEXT,
+    last_update_count INTEGER,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create official updates table (scraped or ingested agency updates)
+CREATE TABLE IF NOT EXISTS official_updates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    external_id TEXT,
+    source_id UUID REFERENCES official_sources(id) ON DELETE SET NULL,
+    source VARCHAR(255) NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    url TEXT,
+    content_hash CHAR(64) NOT NULL UNIQUE,
+    published_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    type VARCHAR(100),
+    priority VARCHAR(50) DEFAULT 'medium' CHECK (priority IN ('critical', 'high', 'medium', 'low')),
+    tags TEXT[] DEFAULT '{}',
+    cap JSONB,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create links between official updates and the disasters they concern
+CREATE TABLE IF NOT EXISTS official_update_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    update_id UUID NOT NULL REFERENCES official_updates(id) ON DELETE CASCADE,
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    score DECIMAL(3, 2) NOT NULL,
+    reasons TEXT[] DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (update_id, disaster_id)
+);
+
 -- Create indexes for better performance
 
+-- Users indexes
+CREATE INDEX IF NOT EXISTS idx_users_role ON users (role);
+
 -- Disasters indexes
 CREATE INDEX IF NOT EXISTS idx_disasters_location ON disasters USING GIST (location);
+CREATE INDEX IF NOT EXISTS idx_disasters_footprint_area ON disasters USING GIST (footprint_area);
 CREATE INDEX IF NOT EXISTS idx_disasters_severity ON disasters (severity);
 CREATE INDEX IF NOT EXISTS idx_disasters_status ON disasters (status);
 CREATE INDEX IF NOT EXISTS idx_disasters_created_at ON disasters (created_at);
@@ -90,11 +499,72 @@ CREATE INDEX IF NOT EXISTS idx_resources_available ON resources (available);
 CREATE INDEX IF NOT EXISTS idx_resources_disaster_id ON resources (disaster_id);
 CREATE INDEX IF NOT EXISTS idx_resources_created_by ON resources (created_by);
 
+-- Resource inventory and movements indexes
+CREATE INDEX IF NOT EXISTS idx_resource_movements_resource_id ON resource_movements (resource_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resource_movements_disaster_id ON resource_movements (disaster_id);
+CREATE INDEX IF NOT EXISTS idx_resource_reservations_window ON resource_reservations (resource_id, status, starts_at, ends_at);
+CREATE INDEX IF NOT EXISTS idx_resource_reservations_holds ON resource_reservations (status, hold_expires_at);
+CREATE INDEX IF NOT EXISTS idx_resource_reservations_requested_by ON resource_reservations (requested_by);
+
+-- Needs, offers and matches indexes
+CREATE INDEX IF NOT EXISTS idx_needs_open ON needs (disaster_id, status, urgency, created_at);
+CREATE INDEX IF NOT EXISTS idx_needs_created_by ON needs (created_by);
+CREATE INDEX IF NOT EXISTS idx_offers_location ON offers USING GIST (location);
+CREATE INDEX IF NOT EXISTS idx_offers_disaster_type ON offers (disaster_id, type, status);
+CREATE INDEX IF NOT EXISTS idx_offers_offered_by ON offers (offered_by);
+CREATE INDEX IF NOT EXISTS idx_matches_need_id ON matches (need_id);
+CREATE INDEX IF NOT EXISTS idx_matches_resource_id ON matches (resource_id);
+CREATE INDEX IF NOT EXISTS idx_matches_offer_id ON matches (offer_id);
+
+-- Incidents indexes
+CREATE INDEX IF NOT EXISTS idx_incidents_disaster_id ON incidents (disaster_id, status, corroboration_count DESC);
+
 -- Reports indexes
 CREATE INDEX IF NOT EXISTS idx_reports_disaster_id ON reports (disaster_id);
+CREATE INDEX IF NOT EXISTS idx_reports_location ON reports USING GIST (location);
 CREATE INDEX IF NOT EXISTS idx_reports_user_id ON reports (user_id);
 CREATE INDEX IF NOT EXISTS idx_reports_verification_status ON reports (verification_status);
 CREATE INDEX IF NOT EXISTS idx_reports_created_at ON reports (created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_lat_lng ON reports (latitude, longitude) WHERE latitude IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_reports_moderation_queue ON reports (verification_status, urgency, reporter_trust_level, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_claimed_at ON reports (claimed_at) WHERE claimed_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_reports_incident_id ON reports (incident_id);
+
+-- Reporter trust indexes
+CREATE INDEX IF NOT EXISTS idx_user_trust_score ON user_trust (score);
+
+-- Report history indexes
+CREATE INDEX IF NOT EXISTS idx_report_history_report_id ON report_history (report_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_report_history_reviewer_id ON report_history (reviewer_id);
+
+-- Official updates indexes
+CREATE INDEX IF NOT EXISTS idx_official_updates_url ON official_updates (url);
+CREATE INDEX IF NOT EXISTS idx_official_updates_published_at ON official_updates (published_at);
+CREATE INDEX IF NOT EXISTS idx_official_update_links_disaster_id ON official_update_links (disaster_id);
+
+-- Social posts indexes
+CREATE INDEX IF NOT EXISTS idx_social_posts_disaster_posted_at ON social_posts (disaster_id, posted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_social_posts_fingerprint ON social_posts (disaster_id, content_fingerprint);
+CREATE INDEX IF NOT EXISTS idx_social_posts_priority ON social_posts (priority);
+CREATE INDEX IF NOT EXISTS idx_social_posts_incident_id ON social_posts (incident_id);
+
+-- Attachment indexes
+CREATE INDEX IF NOT EXISTS idx_attachments_report_id ON attachments (report_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_sha256 ON attachments (sha256);
+
+-- Image verification indexes
+CREATE INDEX IF NOT EXISTS idx_image_verifications_report_id ON image_verifications (report_id);
+CREATE INDEX IF NOT EXISTS idx_image_verifications_sha256 ON image_verifications (image_sha256);
+CREATE INDEX IF NOT EXISTS idx_image_verifications_created_at ON image_verifications (created_at);
+
+-- Image hash indexes
+CREATE INDEX IF NOT EXISTS idx_image_hashes_report_id ON image_hashes (report_id);
+CREATE INDEX IF NOT EXISTS idx_image_hashes_sha256 ON image_hashes (image_sha256);
+
+-- Verification job indexes
+CREATE INDEX IF NOT EXISTS idx_verification_jobs_due ON verification_jobs (status, run_at);
+CREATE INDEX IF NOT EXISTS idx_verification_jobs_report_id ON verification_jobs (report_id);
+CREATE INDEX IF NOT EXISTS idx_verification_jobs_batch_id ON verification_jobs (batch_id);
 
 -- Cache indexes
 CREATE INDEX IF NOT EXISTS idx_cache_expires_at ON cache (expires_at);
@@ -109,12 +579,18 @@ END;
 $$ language 'plpgsql';
 
 -- Apply triggers
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_disasters_updated_at BEFORE UPDATE ON disasters
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_resources_updated_at BEFORE UPDATE ON resources
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_official_sources_updated_at BEFORE UPDATE ON official_sources
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Create function to clean expired cache entries
 CREATE OR REPLACE FUNCTION clean_expired_cache()
 RETURNS void AS $$
@@ -123,39 +599,18 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Create function to find nearby resources
+-- Create functions to find nearby resources and disasters.
+-- They return whole rows (so PostgREST filters such as ?type=eq.shelter still apply),
+-- nearest first; the API adds distance_km to each row.
+DROP FUNCTION IF EXISTS find_nearby_resources(DECIMAL, DECIMAL, INTEGER, VARCHAR);
+
 CREATE OR REPLACE FUNCTION find_nearby_resources(
-    search_lat DECIMAL,
-    search_lng DECIMAL,
-    radius_km INTEGER DEFAULT 10,
-    resource_type_filter VARCHAR DEFAULT NULL
+    search_lat DOUBLE PRECISION,
+    search_lng DOUBLE PRECISION,
+    radius_km DOUBLE PRECISION DEFAULT 10
 )
-RETURNS TABLE (
-    id UUID,
-    name VARCHAR,
-    type VARCHAR,
-    location_name VARCHAR,
-    latitude DECIMAL,
-    longitude DECIMAL,
-    distance_km DECIMAL,
-    available BOOLEAN,
-    capacity INTEGER
-) AS $$
-BEGIN
-    RETURN QUERY
-    SELECT 
-        r.id,
-        r.name,
-        r.type,
-        r.location_name,
-        r.latitude,
-        r.longitude,
-        ROUND(ST_Distance(
-            ST_Point(search_lng, search_lat)::geography,
-            r.location
-        )::numeric / 1000, 2) as distance_km,
-        r.available,
-        r.capacity
+RETURNS SETOF resources AS $$
+    SELECT r.*
     FROM resources r
     WHERE r.location IS NOT NULL
     AND ST_DWithin(
@@ -163,10 +618,116 @@ BEGIN
         r.location,
         radius_km * 1000
     )
-    AND (resource_type_filter IS NULL OR r.type = resource_type_filter)
     ORDER BY r.location <-> ST_Point(search_lng, search_lat)::geography;
-END;
-$$ LANGUAGE plpgsql;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION find_nearby_disasters(
+    search_lat DOUBLE PRECISION,
+    search_lng DOUBLE PRECISION,
+    radius_km DOUBLE PRECISION DEFAULT 10
+)
+RETURNS SETOF disasters AS $$
+    SELECT d.*
+    FROM disasters d
+    WHERE d.location IS NOT NULL
+    AND ST_DWithin(
+        ST_Point(search_lng, search_lat)::geography,
+        d.location,
+        radius_km * 1000
+    )
+    ORDER BY d.location <-> ST_Point(search_lng, search_lat)::geography;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION find_nearby_reports(
+    search_lat DOUBLE PRECISION,
+    search_lng DOUBLE PRECISION,
+    radius_km DOUBLE PRECISION DEFAULT 10
+)
+RETURNS SETOF reports AS $$
+    SELECT r.*
+    FROM reports r
+    WHERE r.location IS NOT NULL
+    AND ST_DWithin(
+        ST_Point(search_lng, search_lat)::geography,
+        r.location,
+        radius_km * 1000
+    )
+    ORDER BY r.location <-> ST_Point(search_lng, search_lat)::geography;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION find_nearby_offers(
+    search_lat DOUBLE PRECISION,
+    search_lng DOUBLE PRECISION,
+    radius_km DOUBLE PRECISION DEFAULT 10
+)
+RETURNS SETOF offers AS $$
+    SELECT o.*
+    FROM offers o
+    WHERE o.location IS NOT NULL
+    AND ST_DWithin(
+        ST_Point(search_lng, search_lat)::geography,
+        o.location,
+        radius_km * 1000
+    )
+    ORDER BY o.location <-> ST_Point(search_lng, search_lat)::geography;
+$$ LANGUAGE sql STABLE;
+
+-- Create footprint functions: disasters whose area covers a point, and the
+-- resources/reports that fall inside one disaster's area.
+CREATE OR REPLACE FUNCTION find_disasters_covering(
+    search_lat DOUBLE PRECISION,
+    search_lng DOUBLE PRECISION
+)
+RETURNS SETOF disasters AS $$
+    SELECT d.*
+    FROM disasters d
+    WHERE d.footprint_area IS NOT NULL
+    AND ST_Covers(d.footprint_area, ST_Point(search_lng, search_lat)::geography)
+    ORDER BY d.created_at DESC;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION find_resources_in_disaster(disaster_uuid UUID)
+RETURNS SETOF resources AS $$
+    SELECT r.*
+    FROM resources r
+    JOIN disasters d ON d.id = disaster_uuid
+    WHERE r.location IS NOT NULL
+    AND ST_Covers(d.footprint_area, r.location);
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION find_reports_in_disaster(disaster_uuid UUID)
+RETURNS SETOF reports AS $$
+    SELECT rep.*
+    FROM reports rep
+    JOIN disasters d ON d.id = disaster_uuid
+    WHERE rep.location IS NOT NULL
+    AND ST_Covers(d.footprint_area, rep.location);
+$$ LANGUAGE sql STABLE;
+
+-- Create function to find images whose perceptual hash is within max_distance bits
+-- of search_hash (both 16 hex digits). Scans the whole table, which is fine for the
+-- number of images a deployment sees; closest matches first.
+CREATE OR REPLACE FUNCTION find_similar_images(search_hash CHAR(16), max_distance INTEGER DEFAULT 10)
+RETURNS TABLE (
+    id UUID,
+    perceptual_hash CHAR(16),
+    image_sha256 CHAR(64),
+    image_url TEXT,
+    report_id UUID,
+    disaster_id UUID,
+    verification_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE,
+    distance INTEGER
+) AS $$
+    SELECT * FROM (
+        SELECT h.id, h.perceptual_hash, h.image_sha256, h.image_url, h.report_id,
+               h.disaster_id, h.verification_id, h.created_at,
+               bit_count(('x' || h.perceptual_hash)::bit(64) # ('x' || search_hash)::bit(64))::INTEGER AS distance
+        FROM image_hashes h
+    ) matches
+    WHERE matches.distance <= max_distance
+    ORDER BY matches.distance, matches.created_at;
+$$ LANGUAGE sql STABLE;
 
 -- Create function to get disaster statistics
 CREATE OR REPLACE FUNCTION get_disaster_stats(disaster_uuid UUID DEFAULT NULL)
@@ -207,10 +768,10 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Insert sample data for testing
-INSERT INTO disasters (id, title, description, location_name, latitude, longitude, severity, status, created_by) VALUES
-('550e8400-e29b-41d4-a716-446655440001', 'Sample Flood Emergency', 'Severe flooding in downtown area due to heavy rainfall. Multiple streets are impassable and residents need evacuation assistance.', 'Downtown Manhattan, NYC', 40.7580, -73.9855, 'high', 'active', 'admin1'),
-('550e8400-e29b-41d4-a716-446655440002', 'Wildfire Alert', 'Fast-spreading wildfire threatening residential areas. Immediate evacuation orders in effect for zones A and B.', 'Malibu, CA', 34.0259, -118.7798, 'critical', 'active', 'admin1'),
-('550e8400-e29b-41d4-a716-446655440003', 'Earthquake Response', 'Magnitude 6.2 earthquake struck the region. Infrastructure damage reported, search and rescue operations underway.', 'San Francisco, CA', 37.7749, -122.4194, 'high', 'monitoring', 'admin1')
+INSERT INTO disasters (id, title, description, location_name, latitude, longitude, footprint, severity, status, created_by) VALUES
+('550e8400-e29b-41d4-a716-446655440001', 'Sample Flood Emergency', 'Severe flooding in downtown area due to heavy rainfall. Multiple streets are impassable and residents need evacuation assistance.', 'Downtown Manhattan, NYC', 40.7580, -73.9855, '{"type": "Polygon", "coordinates": [[[-74.0100, 40.7400], [-73.9700, 40.7400], [-73.9700, 40.7700], [-74.0100, 40.7700], [-74.0100, 40.7400]]]}', 'high', 'active', 'admin1'),
+('550e8400-e29b-41d4-a716-446655440002', 'Wildfire Alert', 'Fast-spreading wildfire threatening residential areas. Immediate evacuation orders in effect for zones A and B.', 'Malibu, CA', 34.0259, -118.7798, NULL, 'critical', 'active', 'admin1'),
+('550e8400-e29b-41d4-a716-446655440003', 'Earthquake Response', 'Magnitude 6.2 earthquake struck the region. Infrastructure damage reported, search and rescue operations underway.', 'San Francisco, CA', 37.7749, -122.4194, NULL, 'high', 'monitoring', 'admin1')
 ON CONFLICT (id) DO NOTHING;
 
 INSERT INTO resources (id, name, type, description, location_name, latitude, longitude, capacity, available, disaster_id, created_by) VALUES
@@ -220,12 +781,40 @@ INSERT INTO resources (id, name, type, description, location_name, latitude, lon
 ('660e8400-e29b-41d4-a716-446655440004', 'Evacuation Transport Hub', 'transport', 'Bus terminal for coordinating evacuations and transport to safe zones.', 'Malibu Fire Station', 34.0259, -118.7798, 100, true, '550e8400-e29b-41d4-a716-446655440002', 'responder3')
 ON CONFLICT (id) DO NOTHING;
 
-INSERT INTO reports (id, disaster_id, user_id, content, verification_status, created_at) VALUES
-('770e8400-e29b-41d4-a716-446655440001', '550e8400-e29b-41d4-a716-446655440001', 'citizen1', 'Water level rising rapidly on 42nd Street. Several cars are stranded and people need immediate assistance. Emergency services are overwhelmed.', 'verified', NOW() - INTERVAL '2 hours'),
-('770e8400-e29b-41d4-a716-446655440002', '550e8400-e29b-41d4-a716-446655440001', 'citizen2', 'Power outage affecting entire block. Elderly residents in apartment complex need help evacuating. No emergency services visible yet.', 'pending', NOW() - INTERVAL '1 hour'),
-('770e8400-e29b-41d4-a716-446655440003', '550e8400-e29b-41d4-a716-446655440002', 'citizen3', 'Fire spreading towards residential area. Strong winds making situation worse. Need immediate evacuation support.', 'verified', NOW() - INTERVAL '30 minutes')
+INSERT INTO reports (id, disaster_id, user_id, content, latitude, longitude, location_source, location_accuracy_m, location_confidence, verification_status, urgency, created_at) VALUES
+('770e8400-e29b-41d4-a716-446655440001', '550e8400-e29b-41d4-a716-446655440001', 'citizen1', 'Water level rising rapidly on 42nd Street. Several cars are stranded and people need immediate assistance. Emergency services are overwhelmed.', 40.7549, -73.9840, 'device', 25, 'high', 'verified', 'high', NOW() - INTERVAL '2 hours'),
+('770e8400-e29b-41d4-a716-446655440002', '550e8400-e29b-41d4-a716-446655440001', 'citizen2', 'Power outage affecting entire block. Elderly residents in apartment complex need help evacuating. No emergency services visible yet.', NULL, NULL, NULL, NULL, NULL, 'pending', 'high', NOW() - INTERVAL '1 hour'),
+('770e8400-e29b-41d4-a716-446655440003', '550e8400-e29b-41d4-a716-446655440002', 'citizen3', 'Fire spreading towards residential area. Strong winds making situation worse. Need immediate evacuation support.', 34.0301, -118.7750, 'device', 50, 'high', 'verified', 'high', NOW() - INTERVAL '30 minutes')
 ON CONFLICT (id) DO NOTHING;
 
+INSERT INTO official_sources (id, name, url, type, format, selector, poll_interval_minutes, enabled, scope) VALUES
+('aa0e8400-e29b-41d4-a716-446655440001', 'FEMA', 'https://www.fema.gov/disasters', 'government', 'html', '.disaster-declaration', 15, true, NULL),
+('aa0e8400-e29b-41d4-a716-446655440002', 'Red Cross', 'https://www.redcross.org/get-help/disaster-relief-and-recovery-services', 'relief_organization', 'html', '.emergency-update', 15, true, NULL),
+('aa0e8400-e29b-41d4-a716-446655440003', 'NYC Emergency Management', 'https://www1.nyc.gov/site/em/index.page', 'local_government', 'html', '.emergency-alert', 15, true, '{"location_name": "New York City", "latitude": 40.7128, "longitude": -74.0060, "radius_km": 50}'),
+('aa0e8400-e29b-41d4-a716-446655440004', 'GDACS', 'https://www.gdacs.org/xml/rss.xml', 'international_organization', 'feed', NULL, 15, true, NULL),
+('aa0e8400-e29b-41d4-a716-446655440005', 'USGS Earthquakes', 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/significant_week.atom', 'government', 'feed', NULL, 15, true, NULL),
+('aa0e8400-e29b-41d4-a716-446655440006', 'National Weather Service', 'https://api.weather.gov/alerts/active.atom?area=NY', 'government', 'cap', NULL, 15, true, '{"location_name": "New York State", "latitude": 42.9538, "longitude": -75.5268, "radius_km": 300}')
+ON CONFLICT DO NOTHING;
+
+-- content_hash uses the same normalisation as OfficialUpdatesService.contentHash
+INSERT INTO official_updates (id, external_id, source, title, content, url, published_at, type, priority, tags, content_hash)
+SELECT v.*, encode(sha256(convert_to(btrim(regexp_replace(lower(v.title || E'\n' || v.content), '\s+', ' ', 'g')), 'UTF8')), 'hex')
+FROM (VALUES
+('880e8400-e29b-41d4-a716-446655440001'::uuid, 'fema_001', 'FEMA', 'Major Disaster Declaration for New York Flooding', 'President Biden has approved a Major Disaster Declaration for New York State due to severe flooding. Federal assistance is now available to affected individuals and communities.', 'https://www.fema.gov/disaster/4673', NOW() - INTERVAL '120 minutes', 'government', 'high', ARRAY['federal_aid', 'disaster_declaration', 'flooding']),
+('880e8400-e29b-41d4-a716-446655440002', 'redcross_001', 'American Red Cross', 'Emergency Shelters Open in NYC Area', 'The Red Cross has opened multiple emergency shelters across New York City to provide safe haven for those displaced by flooding. Locations include Madison Square Garden, Jacob Javits Center, and Brooklyn Armory.', 'https://www.redcross.org/local/new-york/greater-new-york', NOW() - INTERVAL '90 minutes', 'relief_organization', 'high', ARRAY['shelter', 'evacuation', 'emergency_services']),
+('880e8400-e29b-41d4-a716-446655440003', 'nyc_em_001', 'NYC Emergency Management', 'Flash Flood Warning Extended Until 8 PM', 'Flash flood warning for all five boroughs extended until 8:00 PM today. Residents are advised to avoid unnecessary travel and stay indoors. Emergency services are responding to multiple water rescue situations.', 'https://www1.nyc.gov/site/em/index.page', NOW() - INTERVAL '30 minutes', 'local_government', 'critical', ARRAY['flood_warning', 'travel_advisory', 'emergency_response']),
+('880e8400-e29b-41d4-a716-446655440004', 'fema_002', 'FEMA', 'Individual Assistance Program Activated', 'FEMA''s Individual Assistance program is now available for New York residents affected by flooding. This includes assistance for temporary housing, home repairs, and other disaster-related expenses.', 'https://www.fema.gov/assistance/individual', NOW() - INTERVAL '45 minutes', 'government', 'medium', ARRAY['individual_assistance', 'financial_aid', 'housing_assistance']),
+('880e8400-e29b-41d4-a716-446655440005', 'salvation_army_001', 'Salvation Army', 'Mobile Emergency Response Units Deployed', 'Salvation Army has deployed mobile emergency response units throughout the affected areas, providing hot meals, hydration, and emotional support to first responders and residents.', 'https://www.salvationarmyusa.org/usn/disaster-relief/', NOW() - INTERVAL '60 minutes', 'relief_organization', 'medium', ARRAY['mobile_services', 'food_assistance', 'emotional_support'])
+) AS v (id, external_id, source, title, content, url, published_at, type, priority, tags)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO official_update_links (update_id, disaster_id, score, reasons) VALUES
+('880e8400-e29b-41d4-a716-446655440001', '550e8400-e29b-41d4-a716-446655440001', 0.4, ARRAY['location:nyc', 'keywords:flood']),
+('880e8400-e29b-41d4-a716-446655440002', '550e8400-e29b-41d4-a716-446655440001', 0.4, ARRAY['location:nyc', 'keywords:flood']),
+('880e8400-e29b-41d4-a716-446655440003', '550e8400-e29b-41d4-a716-446655440001', 0.4, ARRAY['location:nyc', 'keywords:flood']),
+('880e8400-e29b-41d4-a716-446655440004', '550e8400-e29b-41d4-a716-446655440001', 0.4, ARRAY['location:nyc', 'keywords:flood'])
+ON CONFLICT (update_id, disaster_id) DO NOTHING;
+
 -- Create a view for disaster summary with statistics
 CREATE OR REPLACE VIEW disaster_summary AS
 SELECT 
@@ -249,11 +838,36 @@ LEFT JOIN reports rep ON d.id = rep.disaster_id
 GROUP BY d.id, d.title, d.description, d.location_name, d.latitude, d.longitude, d.severity, d.status, d.created_at, d.updated_at;
 
 -- Comments
+COMMENT ON TABLE users IS 'Platform accounts with roles (admin, coordinator, responder, citizen)';
 COMMENT ON TABLE disasters IS 'Main disasters table storing disaster events and their details';
 COMMENT ON TABLE resources IS 'Resources available for disaster response (shelters, medical facilities, etc.)';
+COMMENT ON TABLE resource_inventory IS 'Stock levels of consumables (water, meal kits, medical supplies) held at resources';
+COMMENT ON TABLE resource_movements IS 'Ledger of occupancy and stock movements at resources with the balance after each';
+COMMENT ON TABLE resource_reservations IS 'Time-windowed reservations of resource units: holds that lapse unless confirmed, checked against capacity';
+COMMENT ON TABLE incidents IS 'Clusters of reports and social posts about the same event, with corroboration counts';
+COMMENT ON TABLE needs IS 'Structured needs (type, quantity, location, urgency) to match with resources and offers';
+COMMENT ON TABLE offers IS 'Volunteer offers of help by type and quantity';
+COMMENT ON TABLE matches IS 'Accepted matches reserving resource capacity or offer quantity for a need';
 COMMENT ON TABLE reports IS 'User-submitted reports about disasters with verification status';
+COMMENT ON TABLE user_trust IS 'Reporter trust scores from review history, account age and corroboration, with admin overrides';
+COMMENT ON TABLE report_history IS 'Moderation history of reports: claims, decisions, escalations with reviewer and AI verdict';
+COMMENT ON TABLE attachments IS 'Report images in the blob store, with metadata-free public copies and thumbnails';
+COMMENT ON TABLE image_verifications IS 'Vision model verdicts and forensic scores for submitted images, optionally linked to a report';
+COMMENT ON TABLE image_hashes IS 'Perceptual hashes of images seen in reports and verifications, for recycled image detection';
+COMMENT ON TABLE verification_jobs IS 'Persisted queue of image verification jobs with retries and backoff';
+COMMENT ON TABLE social_posts IS 'Social media posts ingested per disaster, with analysis, priority and near-duplicate links';
+COMMENT ON TABLE official_sources IS 'Registry of official sources to scrape, with polling settings and last-scrape status';
+COMMENT ON TABLE official_updates IS 'Official agency updates, deduplicated by item URL and content hash';
+COMMENT ON TABLE official_update_links IS 'Relevance links between official updates and disasters';
 COMMENT ON TABLE cache IS 'Cache table for storing external API responses with TTL';
 COMMENT ON FUNCTION find_nearby_resources IS 'Find resources within a specified radius of given coordinates';
+COMMENT ON FUNCTION find_nearby_disasters IS 'Find disasters within a specified radius of given coordinates';
+COMMENT ON FUNCTION find_nearby_reports IS 'Find geotagged reports within a specified radius of given coordinates';
+COMMENT ON FUNCTION find_nearby_offers IS 'Find volunteer offers within a specified radius of given coordinates';
+COMMENT ON FUNCTION find_disasters_covering IS 'Find disasters whose footprint covers the given coordinates';
+COMMENT ON FUNCTION find_resources_in_disaster IS 'Find resources located inside a disaster footprint';
+COMMENT ON FUNCTION find_reports_in_disaster IS 'Find geotagged reports located inside a disaster footprint';
+COMMENT ON FUNCTION find_similar_images IS 'Find indexed images within a Hamming distance of a perceptual hash';
 COMMENT ON FUNCTION get_disaster_stats IS 'Get comprehensive statistics for disasters, resources, and reports';
 COMMENT ON VIEW disaster_summary IS 'Summary view of disasters with aggregated statistics';
 
@@ -261,8 +875,8 @@ COMMENT ON VIEW disaster_summary IS 'Summary view of disasters with aggregated s
 DO $$
 BEGIN
     RAISE NOTICE 'Disaster Response Platform database setup completed successfully!';
-    RAISE NOTICE 'Tables created: disasters, resources, reports, cache';
-    RAISE NOTICE 'Functions created: find_nearby_resources, get_disaster_stats, clean_expired_cache';
+    RAISE NOTICE 'Tables created: users, disasters, resources, reports, official_sources, official_updates, official_update_links, cache';
+    RAISE NOTICE 'Functions created: find_nearby_resources, find_nearby_disasters, find_nearby_reports, find_nearby_offers, find_disasters_covering, find_resources_in_disaster, find_reports_in_disaster, get_disaster_stats, clean_expired_cache';
     RAISE NOTICE 'View created: disaster_summary';
     RAISE NOTICE 'Sample data inserted for testing';
 END
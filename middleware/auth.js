@@ -0,0 +1,87 @@
+import { AuthService } from '../services/auth.js';
+import { logger } from '../utils/logger.js';
+
+// Read a bearer token from the Authorization header
+function extractToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    return token;
+  }
+
+  return null;
+}
+
+// Resolve the user behind a token. Returns null for missing, invalid or inactive users.
+async function resolveUser(token) {
+  let payload;
+  try {
+    payload = AuthService.verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await AuthService.getUserById(payload.sub);
+  if (!user || !user.active) {
+    return null;
+  }
+
+  return AuthService.toPublicUser(user);
+}
+
+// Require a valid token and attach the user to req.user
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = extractToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const user = await resolveUser(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    logger.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Attach req.user when a valid token is present, but allow anonymous requests
+export const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = extractToken(req);
+    req.user = token ? await resolveUser(token) : null;
+    next();
+  } catch (error) {
+    logger.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Require one of the given roles (use after authenticate)
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Require a named permission from AuthService.PERMISSIONS (use after authenticate)
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !AuthService.hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// True when the user holds the permission or created the record
+export const canModify = (user, ownerId, permission) => {
+  if (!user) return false;
+  return ownerId === user.id || AuthService.hasPermission(user.role, permission);
+};
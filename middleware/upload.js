@@ -0,0 +1,37 @@
+import multer from 'multer';
+import { MAX_IMAGE_BYTES } from '../utils/images.js';
+
+const MAX_IMAGE_MB = Math.round(MAX_IMAGE_BYTES / 1024 / 1024 * 10) / 10;
+
+// Multipart image uploads held in memory (the bytes are checked again by utils/images.js
+// before they are stored or verified)
+export const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_BYTES,
+  },
+  fileFilter: (req, file, cb) => {
+    // Check file type
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+});
+
+// Error handler for multer errors
+export function handleUploadErrors(error, req, res, next) {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File size too large. Maximum ${MAX_IMAGE_MB}MB allowed.` });
+    }
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (error.message === 'Only image files are allowed') {
+    return res.status(400).json({ error: 'Only image files are allowed' });
+  }
+
+  next(error);
+}
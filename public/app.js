@@ -9,6 +9,7 @@ let lastDisasterId = null;
 document.addEventListener('DOMContentLoaded', function() {
     initializeWebSocket();
     testAPIConnection();
+    showAuthUser();
     
     // Auto-test APIs after a brief delay
     setTimeout(() => {
@@ -120,13 +121,49 @@ async function testAPIConnection() {
     }
 }
 
+// Authorization header for the token saved by the login form (if any)
+function authHeaders() {
+    const token = localStorage.getItem('authToken');
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+// Log in and keep the token for later requests
+async function login() {
+    const email = document.getElementById('login-email').value;
+    const password = document.getElementById('login-password').value;
+
+    const response = await makeAPIRequest('POST', '/api/auth/login', { email, password });
+
+    if (response.success) {
+        localStorage.setItem('authToken', response.data.token);
+        localStorage.setItem('authUser', response.data.user.email);
+        addRealtimeUpdate(`🔑 Logged in as ${response.data.user.email} (${response.data.user.role})`, 'success');
+    } else {
+        addRealtimeUpdate(`❌ Login failed: ${response.data.error}`, 'error');
+    }
+    showAuthUser();
+}
+
+function logout() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('authUser');
+    showAuthUser();
+}
+
+function showAuthUser() {
+    const element = document.getElementById('auth-user');
+    if (element) {
+        element.textContent = localStorage.getItem('authUser') || 'nobody';
+    }
+}
+
 // Generic API request function
 async function makeAPIRequest(method, endpoint, data = null, headers = {}) {
     const config = {
         method: method,
         headers: {
             'Content-Type': 'application/json',
-            'x-user-id': 'netrunnerX', // Use existing mock user
+            ...authHeaders(),
             ...headers
         }
     };
@@ -196,7 +233,8 @@ async function createDisaster() {
         const response = await fetch(`${API_BASE}/api/disasters`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...authHeaders()
             },
             body: JSON.stringify(data)
         });
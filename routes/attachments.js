@@ -0,0 +1,74 @@
+import express from 'express';
+import { db } from '../services/database.js';
+import { AttachmentService } from '../services/attachments.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { logger, logAction } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Send an attachment variant; attachment ids never change content, so clients may cache them
+async function sendVariant(res, attachment, variant) {
+  const file = await AttachmentService.read(attachment, variant);
+  if (!file) {
+    return res.status(404).json({ error: 'Image not available' });
+  }
+
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Length': file.buffer.length,
+    'Cache-Control': variant === 'original' ? 'private, no-store' : 'public, max-age=86400, immutable',
+    // Public copies may be embedded by the frontend from another origin
+    'Cross-Origin-Resource-Policy': variant === 'original' ? 'same-origin' : 'cross-origin'
+  });
+  res.send(file.buffer);
+}
+
+router.param('id', async (req, res, next, id) => {
+  try {
+    req.attachment = await db.attachments.findById(id);
+    if (!req.attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/attachments/:id - Public copy of an image (no EXIF metadata)
+router.get('/:id', async (req, res) => {
+  try {
+    await sendVariant(res, req.attachment, 'public');
+  } catch (error) {
+    logger.error('Error serving attachment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attachments/:id/thumbnail - Thumbnail of an image
+router.get('/:id/thumbnail', async (req, res) => {
+  try {
+    await sendVariant(res, req.attachment, 'thumbnail');
+  } catch (error) {
+    logger.error('Error serving attachment thumbnail:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/attachments/:id/original - Image as uploaded, including its metadata (reviewers only)
+router.get('/:id/original', authenticate, requirePermission('reports:verify'), async (req, res) => {
+  try {
+    logAction('attachment_original_viewed', {
+      attachment_id: req.attachment.id,
+      report_id: req.attachment.report_id,
+      viewed_by: req.user.id
+    });
+
+    await sendVariant(res, req.attachment, 'original');
+  } catch (error) {
+    logger.error('Error serving original attachment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
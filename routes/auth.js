@@ -0,0 +1,72 @@
+import express from 'express';
+import { AuthService, credentialsError } from '../services/auth.js';
+import { authenticate } from '../middleware/auth.js';
+import { logger, logAction } from '../utils/logger.js';
+
+const router = express.Router();
+
+// POST /api/auth/register - Create a citizen account
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name, username } = req.body;
+
+    const invalid = credentialsError(email, password);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // Self-registration always creates citizens; admins promote users afterwards
+    const user = await AuthService.createUser({ email, password, name, username, role: 'citizen' });
+
+    logAction('user_registered', { user_id: user.id, email: user.email });
+
+    res.status(201).json({
+      user: AuthService.toPublicUser(user),
+      token: AuthService.issueToken(user)
+    });
+
+  } catch (error) {
+    if (error.code === 'USER_EXISTS') {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Error registering user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/login - Exchange credentials for a token
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'email and password must be strings' });
+    }
+
+    const result = await AuthService.login(email, password);
+
+    if (!result) {
+      logAction('login_failed', { email });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    logAction('user_logged_in', { user_id: result.user.id });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Error logging in:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/auth/me - Current user profile
+router.get('/me', authenticate, (req, res) => {
+  res.json({ user: req.user });
+});
+
+export default router;
@@ -1,25 +1,18 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { supabase } from '../services/database.js';
+import { db, findNearby, findDisastersCovering, findWithinFootprint } from '../services/database.js';
 import { GeocodingService } from '../services/geocoding.js';
+import { authenticate, requirePermission, canModify } from '../middleware/auth.js';
 import { logger, logAction } from '../utils/logger.js';
+import { parseLatLng, parseCoordinates, normalizeFootprint } from '../utils/geo.js';
+import { wantsGeoJSON, sendFeatureCollection } from '../utils/geojson.js';
+import { CapService, CAP_CONTENT_TYPE } from '../services/cap.js';
+import { OfficialUpdatesService } from '../services/officialUpdates.js';
+import { IncidentService, INCIDENT_STATUSES } from '../services/incidents.js';
+import { REJECTION_REASONS } from '../services/moderation.js';
 
 const router = express.Router();
 
-// Simple authentication middleware - no mock data
-const authenticate = (req, res, next) => {
-  // Use a fixed UUID for testing - in production this would come from JWT/session
-  req.user = {
-    id: '550e8400-e29b-41d4-a716-446655440000', // Fixed UUID for testing
-    username: 'testuser',
-    name: 'Test User',
-    role: 'admin',
-    email: 'test@disaster.response'
-  };
-  
-  next();
-};
-
 // Validation middleware
 const validateDisaster = (req, res, next) => {
   const { title, description } = req.body;
@@ -48,54 +41,47 @@ const validateDisaster = (req, res, next) => {
 // GET /api/disasters - List disasters with filtering
 router.get('/', async (req, res) => {
   try {
-    if (!supabase) {
-      return res.status(500).json({
-        error: 'Database not configured',
-        message: 'Supabase connection not available'
-      });
-    }
+    const { tag, owner_id, location, radius, geometry = 'point' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    const { tag, owner_id, location, radius, limit = 50, offset = 0 } = req.query;
+    if (!['point', 'footprint'].includes(geometry)) {
+      return res.status(400).json({ error: 'geometry must be point or footprint' });
+    }
     
-    let query = supabase
-      .from('disasters')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
     // Apply filters
+    const where = {};
+
     if (tag) {
-      query = query.contains('tags', [tag]);
+      where.tags = { contains: [tag] };
     }
     
     if (owner_id) {
-      query = query.eq('owner_id', owner_id);
+      where.created_by = owner_id;
     }
 
-    const { data, error, count } = await query;
-
-    if (error) {
-      logger.error('Database error fetching disasters:', error);
-      return res.status(500).json({ error: 'Failed to fetch disasters' });
-    }
+    let filteredData;
+    let total;
 
-    // If location-based filtering is requested
-    let filteredData = data || [];
+    // Location-based filtering: disasters within `radius` km of `location` ("lat,lng"), nearest first
     if (location) {
-      try {
-        const [lat, lng] = location.split(',').map(Number);
-        const radiusKm = radius ? parseFloat(radius) : 10;
-        
-        // In a real implementation, this would use PostGIS ST_DWithin
-        // For now, we'll use a simple distance calculation
-        filteredData = filteredData.filter(disaster => {
-          if (!disaster.location) return false;
-          // This would be replaced with proper geospatial query
-          return true;
+      const point = parseLatLng(location);
+      const radiusKm = radius ? parseFloat(radius) : 10;
+
+      if (!point || isNaN(radiusKm) || radiusKm <= 0) {
+        return res.status(400).json({
+          error: 'location must be "lat,lng" and radius a positive number of kilometres'
         });
-      } catch (error) {
-        logger.error('Location filtering error:', error);
       }
+
+      const nearby = await findNearby('disasters', { ...point, radiusKm, where });
+      filteredData = nearby.slice(offset, offset + limit);
+      total = nearby.length;
+    } else {
+      [filteredData, total] = await Promise.all([
+        db.disasters.list({ where, orderBy: 'created_at', ascending: false, limit, offset }),
+        db.disasters.count(where)
+      ]);
     }
 
     logAction('disasters_fetched', { 
@@ -103,11 +89,20 @@ router.get('/', async (req, res) => {
       filters: { tag, owner_id, location, radius } 
     });
 
+    if (wantsGeoJSON(req)) {
+      return sendFeatureCollection(res, filteredData, {
+        total,
+        offset,
+        limit,
+        geometry
+      });
+    }
+
     res.json({
       disasters: filteredData,
-      total: count || filteredData.length,
-      offset: parseInt(offset),
-      limit: parseInt(limit)
+      total,
+      offset,
+      limit
     });
 
   } catch (error) {
@@ -116,18 +111,69 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/disasters/covering - Disasters whose footprint covers a point
+router.get('/covering', async (req, res) => {
+  try {
+    const { lat, lon, status } = req.query;
+
+    const point = parseCoordinates(lat, lon);
+    if (!point) {
+      return res.status(400).json({
+        error: 'Valid lat and lon query parameters are required'
+      });
+    }
+
+    const where = status ? { status } : {};
+    const disasters = await findDisastersCovering({ ...point, where });
+
+    logAction('disasters_covering_fetched', { ...point, count: disasters.length });
+
+    res.json({
+      disasters,
+      total: disasters.length,
+      point
+    });
+
+  } catch (error) {
+    logger.error('Error fetching covering disasters:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/disasters/cap - Atom index of CAP 1.2 alerts, one per disaster
+router.get('/cap', async (req, res) => {
+  try {
+    const { status = 'active,monitoring' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 200);
+
+    const statuses = status.split(',').map(s => s.trim());
+    const disasters = await db.disasters.list({
+      where: { status: { in: statuses } },
+      orderBy: 'updated_at',
+      ascending: false,
+      limit
+    });
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    logAction('cap_feed_fetched', { statuses, count: disasters.length });
+
+    res.type('application/atom+xml').send(CapService.buildFeed(disasters, { baseUrl }));
+
+  } catch (error) {
+    logger.error('Error building CAP feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/disasters/:id - Get specific disaster
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
-      .from('disasters')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const data = await db.disasters.findById(id);
 
-    if (error || !data) {
+    if (!data) {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
@@ -142,16 +188,18 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/disasters - Create new disaster
-router.post('/', authenticate, validateDisaster, async (req, res) => {
+router.post('/', authenticate, requirePermission('disasters:create'), validateDisaster, async (req, res) => {
   try {
-    const { title, location_name, description, tags = [] } = req.body;
+    const { title, location_name, description, tags = [], footprint } = req.body;
     const disasterId = uuidv4();
 
-    if (!supabase) {
-      return res.status(500).json({
-        error: 'Database not configured',
-        message: 'Supabase connection not available'
-      });
+    let finalFootprint = null;
+    if (footprint) {
+      const result = normalizeFootprint(footprint);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      finalFootprint = result.footprint;
     }
 
     // Extract location from description if not provided
@@ -187,8 +235,10 @@ router.post('/', authenticate, validateDisaster, async (req, res) => {
       location_name: finalLocationName || 'Unknown Location',
       latitude: coordinates ? coordinates.latitude : null,
       longitude: coordinates ? coordinates.longitude : null,
+      footprint: finalFootprint,
       severity: 'moderate',
       status: 'active',
+      tags: Array.isArray(tags) ? tags : [],
       created_by: req.user.id,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
@@ -200,13 +250,10 @@ router.post('/', authenticate, validateDisaster, async (req, res) => {
       }]
     };
 
-    const { data, error } = await supabase
-      .from('disasters')
-      .insert([disasterData])
-      .select()
-      .single();
-
-    if (error) {
+    let data;
+    try {
+      data = await db.disasters.insert(disasterData);
+    } catch (error) {
       logger.error('Database error creating disaster:', error);
       return res.status(500).json({ 
         error: 'Failed to create disaster',
@@ -221,10 +268,14 @@ router.post('/', authenticate, validateDisaster, async (req, res) => {
       created_by: req.user.id 
     });
 
+    // Link recent official updates to the new disaster in the background
+    OfficialUpdatesService.linkUpdatesToDisaster(data)
+      .catch(error => logger.error('Error linking official updates to disaster:', error));
+
     // Emit real-time update
     req.io.emit('disaster_created', {
       disaster: data,
-      user: req.user,
+      user: { id: req.user.id, username: req.user.username },
       timestamp: new Date().toISOString()
     });
 
@@ -247,17 +298,13 @@ router.put('/:id', authenticate, validateDisaster, async (req, res) => {
     const { title, location_name, description, tags = [] } = req.body;
 
     // Check if disaster exists and user has permission
-    const { data: existingDisaster, error: fetchError } = await supabase
-      .from('disasters')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const existingDisaster = await db.disasters.findById(id);
 
-    if (fetchError || !existingDisaster) {
+    if (!existingDisaster) {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
-    if (existingDisaster.owner_id !== req.user.id && req.user.role !== 'admin') {
+    if (!canModify(req.user, existingDisaster.created_by, 'disasters:update')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
@@ -279,12 +326,13 @@ router.put('/:id', authenticate, validateDisaster, async (req, res) => {
     const updateData = {
       title,
       location_name,
-      location: coordinates ? `POINT(${coordinates.longitude} ${coordinates.latitude})` : existingDisaster.location,
+      latitude: coordinates ? coordinates.latitude : existingDisaster.latitude,
+      longitude: coordinates ? coordinates.longitude : existingDisaster.longitude,
       description,
       tags: Array.isArray(tags) ? tags : [],
       updated_at: new Date().toISOString(),
       audit_trail: [
-        ...existingDisaster.audit_trail,
+        ...(existingDisaster.audit_trail || []),
         {
           action: 'updated',
           user_id: req.user.id,
@@ -294,14 +342,10 @@ router.put('/:id', authenticate, validateDisaster, async (req, res) => {
       ]
     };
 
-    const { data, error } = await supabase
-      .from('disasters')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) {
+    let data;
+    try {
+      data = await db.disasters.update(id, updateData);
+    } catch (error) {
       logger.error('Database error updating disaster:', error);
       return res.status(500).json({ error: 'Failed to update disaster' });
     }
@@ -334,26 +378,19 @@ router.delete('/:id', authenticate, async (req, res) => {
     const { id } = req.params;
 
     // Check if disaster exists and user has permission
-    const { data: existingDisaster, error: fetchError } = await supabase
-      .from('disasters')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const existingDisaster = await db.disasters.findById(id);
 
-    if (fetchError || !existingDisaster) {
+    if (!existingDisaster) {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
-    if (existingDisaster.owner_id !== req.user.id && req.user.role !== 'admin') {
+    if (!canModify(req.user, existingDisaster.created_by, 'disasters:delete')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { error } = await supabase
-      .from('disasters')
-      .delete()
-      .eq('id', id);
-
-    if (error) {
+    try {
+      await db.disasters.delete(id);
+    } catch (error) {
       logger.error('Database error deleting disaster:', error);
       return res.status(500).json({ error: 'Failed to delete disaster' });
     }
@@ -379,37 +416,317 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// PUT /api/disasters/:id/footprint - Set, grow or clear the affected area (GeoJSON Polygon/MultiPolygon)
+router.put('/:id/footprint', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { footprint } = req.body;
+
+    if (footprint === undefined) {
+      return res.status(400).json({ error: 'footprint is required (use null to clear it)' });
+    }
+
+    let finalFootprint = null;
+    if (footprint !== null) {
+      const result = normalizeFootprint(footprint);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      finalFootprint = result.footprint;
+    }
+
+    const existingDisaster = await db.disasters.findById(id);
+
+    if (!existingDisaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    if (!canModify(req.user, existingDisaster.created_by, 'disasters:update')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const action = finalFootprint ? 'footprint_updated' : 'footprint_cleared';
+
+    let data;
+    try {
+      data = await db.disasters.update(id, {
+        footprint: finalFootprint,
+        updated_at: new Date().toISOString(),
+        audit_trail: [
+          ...(existingDisaster.audit_trail || []),
+          {
+            action,
+            user_id: req.user.id,
+            timestamp: new Date().toISOString(),
+            changes: { footprint_type: finalFootprint ? finalFootprint.type : null }
+          }
+        ]
+      });
+    } catch (error) {
+      logger.error('Database error updating disaster footprint:', error);
+      return res.status(500).json({ error: 'Failed to update disaster footprint' });
+    }
+
+    logAction('disaster_footprint_updated', {
+      disaster_id: id,
+      footprint_type: finalFootprint ? finalFootprint.type : null,
+      updated_by: req.user.id
+    });
+
+    // Emit real-time update
+    req.io.emit('disaster_updated', {
+      action,
+      disaster: data,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json(data);
+
+  } catch (error) {
+    logger.error('Error updating disaster footprint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/disasters/:id/within - Resources and reports located inside the disaster footprint
+router.get('/:id/within', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { include = 'resources,reports' } = req.query;
+
+    const types = include.split(',').map(type => type.trim());
+    if (types.some(type => !['resources', 'reports'].includes(type))) {
+      return res.status(400).json({ error: 'include must list resources and/or reports' });
+    }
+
+    const disaster = await db.disasters.findById(id);
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    if (!disaster.footprint) {
+      return res.status(400).json({ error: 'Disaster has no footprint' });
+    }
+
+    const result = { disaster_id: id };
+
+    for (const type of types) {
+      result[type] = await findWithinFootprint(type, disaster);
+    }
+
+    logAction('disaster_within_fetched', {
+      disaster_id: id,
+      resources: result.resources ? result.resources.length : undefined,
+      reports: result.reports ? result.reports.length : undefined
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Error fetching items within disaster footprint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/disasters/:id/cap - The disaster as a CAP 1.2 alert
+router.get('/:id/cap', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const disaster = await db.disasters.findById(id);
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    logAction('disaster_cap_fetched', { disaster_id: id });
+
+    res.type(CAP_CONTENT_TYPE).send(CapService.buildAlert(disaster, { baseUrl }));
+
+  } catch (error) {
+    logger.error('Error building CAP alert:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/disasters/:id/incidents - Clusters of reports and social posts, most corroborated first
+router.get('/:id/incidents', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, min_corroboration, limit = 50, offset = 0 } = req.query;
+
+    if (status && !INCIDENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: ' + INCIDENT_STATUSES.join(', ') });
+    }
+
+    const disaster = await db.disasters.findById(id);
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const { incidents, total } = await IncidentService.list(id, {
+      status: status || null,
+      minCorroboration: parseInt(min_corroboration) || 0,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      disaster_id: id,
+      incidents,
+      total,
+      offset: parseInt(offset) || 0,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching incidents:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/disasters/:id/incidents/cluster - Re-cluster the disaster's reports and posts now
+router.post('/:id/incidents/cluster', authenticate, requirePermission('reports:verify'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const disaster = await db.disasters.findById(id);
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const stats = await IncidentService.clusterDisaster(id);
+
+    logAction('incidents_clustered', { disaster_id: id, user_id: req.user.id, ...stats });
+
+    req.io.emit('incidents_updated', {
+      disaster_id: id,
+      ...stats,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ disaster_id: id, ...stats });
+
+  } catch (error) {
+    logger.error('Error clustering incidents:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/disasters/:id/incidents/:incident_id - An incident with its reports and posts
+router.get('/:id/incidents/:incident_id', async (req, res) => {
+  try {
+    const { id, incident_id } = req.params;
+
+    const incident = await db.incidents.findById(incident_id);
+
+    if (!incident || incident.disaster_id !== id) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    res.json(await IncidentService.getWithMembers(incident));
+
+  } catch (error) {
+    logger.error('Error fetching incident:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/disasters/:id/incidents/:incident_id/verify - Verify or reject every pending report of an incident
+router.post('/:id/incidents/:incident_id/verify', authenticate, requirePermission('reports:verify'), async (req, res) => {
+  try {
+    const { id, incident_id } = req.params;
+    const { verification_status, reason_code, notes } = req.body;
+
+    if (!['verified', 'rejected'].includes(verification_status)) {
+      return res.status(400).json({ error: 'verification_status must be verified or rejected' });
+    }
+
+    if (verification_status === 'rejected' && !REJECTION_REASONS.includes(reason_code)) {
+      return res.status(400).json({
+        error: 'reason_code is required to reject an incident. Must be one of: ' + REJECTION_REASONS.join(', ')
+      });
+    }
+
+    if (reason_code === 'other' && !notes) {
+      return res.status(400).json({ error: 'notes are required when reason_code is other' });
+    }
+
+    const incident = await db.incidents.findById(incident_id);
+
+    if (!incident || incident.disaster_id !== id) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const { incident: updated, results, decided } = await IncidentService.decide(incident, req.user, {
+      status: verification_status,
+      reasonCode: reason_code || null,
+      notes: notes || null
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+
+    if (!decided) {
+      return res.status(409).json({
+        error: 'None of the incident\'s reports could be decided',
+        incident: updated,
+        results,
+        summary: { total: results.length, succeeded, failed: results.length }
+      });
+    }
+
+    logAction('incident_decided', {
+      incident_id,
+      disaster_id: id,
+      verification_status,
+      reason_code,
+      reviewer: req.user.id,
+      total: results.length,
+      succeeded
+    });
+
+    req.io.emit('incident_verified', {
+      incident: updated,
+      verification_status,
+      report_ids: results.filter(result => result.success).map(result => result.report_id),
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      incident: updated,
+      results,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded }
+    });
+
+  } catch (error) {
+    logger.error('Error verifying incident:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/disasters/:id/stats - Get disaster statistics
 router.get('/:id/stats', async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if disaster exists
-    const { data: disaster, error: disasterError } = await supabase
-      .from('disasters')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const disaster = await db.disasters.findById(id);
 
-    if (disasterError || !disaster) {
+    if (!disaster) {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
     // Get related statistics
-    const [reportsResult, resourcesResult] = await Promise.all([
-      supabase
-        .from('reports')
-        .select('id, verification_status, created_at')
-        .eq('disaster_id', id),
-      supabase
-        .from('resources')
-        .select('id, type, created_at')
-        .eq('disaster_id', id)
+    const [reports, resources] = await Promise.all([
+      db.reports.list({ where: { disaster_id: id } }),
+      db.resources.list({ where: { disaster_id: id } })
     ]);
 
-    const reports = reportsResult.data || [];
-    const resources = resourcesResult.data || [];
-
     const stats = {
       disaster_id: id,
       total_reports: reports.length,
@@ -1,83 +1,149 @@
 import express from 'express';
-import multer from 'multer';
-import { GeminiService } from '../services/gemini.js';
+import { v4 as uuidv4 } from 'uuid';
+import { ImageVerificationService } from '../services/imageVerification.js';
+import { AttachmentService, MAX_REPORT_ATTACHMENTS } from '../services/attachments.js';
+import { db } from '../services/database.js';
+import { verificationQueue } from '../services/verificationQueue.js';
+import { authenticate, optionalAuthenticate, requirePermission, canModify } from '../middleware/auth.js';
+import { AuthService } from '../services/auth.js';
+import { ImageForensicsService } from '../services/imageForensics.js';
 import { logger, logAction } from '../utils/logger.js';
+import { imageUpload, handleUploadErrors } from '../middleware/upload.js';
+import { describeImage, imageErrorStatus } from '../utils/images.js';
 
 const router = express.Router();
 
-// Configure multer for image uploads
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Check file type
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
+// Image URLs accepted per batch (they are verified by the background queue)
+const MAX_BATCH_IMAGES = 50;
+
+// Respond to an image loading error (size, type, URL, fetch); false for anything else
+function sendImageError(res, error) {
+  const status = imageErrorStatus(error.code);
+  if (!status) return false;
+  res.status(status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+// The report a verification is linked to: only its author or reviewers may add
+// verifications (and images) to it. Sends the error response and returns null when
+// the caller can't.
+async function loadTargetReport(req, res, reportId) {
+  if (!req.user) {
+    res.status(401).json({ error: 'Authentication required to verify images for a report' });
+    return null;
+  }
+
+  const report = await db.reports.findById(reportId);
+  if (!report) {
+    res.status(404).json({ error: 'Report not found' });
+    return null;
   }
-});
+
+  if (!canModify(req.user, report.user_id, 'reports:verify')) {
+    res.status(403).json({ error: 'Insufficient permissions' });
+    return null;
+  }
+  return report;
+}
+
+// Reviewers see the photos' EXIF GPS positions; everyone else gets them stripped
+const seesLocations = (req) => Boolean(req.user) && AuthService.hasPermission(req.user.role, 'reports:verify');
+
+// Count batch results per verdict
+function authenticityBreakdown(results) {
+  const breakdown = { verified: 0, suspicious: 0, rejected: 0, unverified: 0 };
+  results.forEach(result => {
+    const authenticity = result.verification_result?.authenticity;
+    if (authenticity in breakdown) breakdown[authenticity]++;
+  });
+  return breakdown;
+}
 
 // POST /api/image-verification/verify - Verify disaster image
-router.post('/verify', upload.single('image'), async (req, res) => {
+router.post('/verify', optionalAuthenticate, imageUpload.single('image'), async (req, res) => {
   try {
-    const { description, image_url } = req.body;
+    const { description, image_url, report_id, disaster_id } = req.body;
     const uploadedFile = req.file;
 
     // Validate input
     if (!uploadedFile && !image_url) {
-      return res.status(400).json({ 
-        error: 'Either upload an image file or provide image_url' 
+      return res.status(400).json({
+        error: 'Either upload an image file or provide image_url'
       });
     }
 
     if (!description) {
-      return res.status(400).json({ 
-        error: 'description is required for image verification' 
+      return res.status(400).json({
+        error: 'description is required for image verification'
       });
     }
 
-    let imageData;
-    let imageSource;
-
-    if (uploadedFile) {
-      // Convert uploaded file to base64
-      imageData = uploadedFile.buffer.toString('base64');
-      imageSource = 'uploaded_file';
-    } else {
-      // Use provided URL
-      imageData = image_url;
-      imageSource = 'url';
+    if (report_id && !(await loadTargetReport(req, res, report_id))) return;
+
+    // An uploaded image is attached to the report, within the report's image limit
+    if (report_id && uploadedFile && await db.attachments.count({ report_id }) >= MAX_REPORT_ATTACHMENTS) {
+      return res.status(400).json({ error: `At most ${MAX_REPORT_ATTACHMENTS} images can be attached to a report` });
+    }
+
+    if (disaster_id && !(await db.disasters.findById(disaster_id))) {
+      return res.status(404).json({ error: 'Disaster not found' });
     }
 
+    const imageSource = uploadedFile ? 'uploaded_file' : 'url';
+
+    const image = uploadedFile ? describeImage(uploadedFile.buffer) : null;
+
     // Verify image with Gemini AI
-    const verificationResult = await GeminiService.verifyDisasterImage(imageData, description);
+    const verificationResult = await ImageVerificationService.verify({
+      image,
+      imageUrl: uploadedFile ? null : image_url,
+      description,
+      reportId: report_id || null,
+      disasterId: disaster_id || null,
+      userId: req.user ? req.user.id : null
+    });
+
+    // Uploaded images are only kept as attachments of the report they were verified for
+    let attachment = null;
+    if (image && report_id) {
+      attachment = await AttachmentService.storeImage(image, {
+        reportId: report_id,
+        userId: req.user.id,
+        originalName: uploadedFile.originalname
+      });
+      if (verificationResult.verification_id) {
+        attachment = await db.attachments.update(attachment.id, { verification_id: verificationResult.verification_id });
+      }
+    }
 
     // Log verification attempt
     logAction('image_verification_requested', {
       image_source: imageSource,
       description_preview: description.substring(0, 100),
-      file_size: uploadedFile ? uploadedFile.size : null,
-      file_type: uploadedFile ? uploadedFile.mimetype : null,
+      file_size: verificationResult.image.size_bytes,
+      file_type: verificationResult.image.mime_type,
+      attachment_id: attachment ? attachment.id : null,
+      report_id: report_id || null,
       authenticity: verificationResult.authenticity,
-      confidence: verificationResult.confidence
+      confidence: verificationResult.confidence,
+      analysis_source: verificationResult.source,
+      score: verificationResult.score.value
     });
 
     const response = {
       verification_result: verificationResult,
+      attachment: attachment ? AttachmentService.toPublic(attachment) : null,
       input: {
         description,
         image_source: imageSource,
         file_info: uploadedFile ? {
           size: uploadedFile.size,
-          type: uploadedFile.mimetype,
+          type: verificationResult.image.mime_type,
           name: uploadedFile.originalname
         } : null,
-        image_url: image_url || null
+        image_url: image_url || null,
+        report_id: report_id || null,
+        disaster_id: disaster_id || null
       },
       verified_at: new Date().toISOString()
     };
@@ -85,17 +151,10 @@ router.post('/verify', upload.single('image'), async (req, res) => {
     res.json(response);
 
   } catch (error) {
+    if (sendImageError(res, error)) return;
     logger.error('Image verification error:', error);
-    
-    // Handle specific multer errors
-    if (error instanceof multer.MulterError) {
-      if (error.code === 'LIMIT_FILE_SIZE') {
-        return res.status(400).json({ error: 'File size too large. Maximum 10MB allowed.' });
-      }
-      return res.status(400).json({ error: error.message });
-    }
 
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Image verification failed',
       details: error.message
     });
@@ -103,9 +162,9 @@ router.post('/verify', upload.single('image'), async (req, res) => {
 });
 
 // POST /api/image-verification/verify-url - Verify disaster image from URL
-router.post('/verify-url', async (req, res) => {
+router.post('/verify-url', optionalAuthenticate, async (req, res) => {
   try {
-    const { image_url, description } = req.body;
+    const { image_url, description, report_id, disaster_id } = req.body;
 
     if (!image_url) {
       return res.status(400).json({ error: 'image_url is required' });
@@ -115,150 +174,178 @@ router.post('/verify-url', async (req, res) => {
       return res.status(400).json({ error: 'description is required' });
     }
 
-    // Validate URL format
-    try {
-      new URL(image_url);
-    } catch (error) {
-      return res.status(400).json({ error: 'Invalid image URL format' });
+    if (report_id && !(await loadTargetReport(req, res, report_id))) return;
+
+    if (disaster_id && !(await db.disasters.findById(disaster_id))) {
+      return res.status(404).json({ error: 'Disaster not found' });
     }
 
-    // Verify image
-    const verificationResult = await GeminiService.verifyDisasterImage(image_url, description);
+    // Verify image (the URL is validated while fetching)
+    const verificationResult = await ImageVerificationService.verify({
+      imageUrl: image_url,
+      description,
+      reportId: report_id || null,
+      disasterId: disaster_id || null,
+      userId: req.user ? req.user.id : null
+    });
 
     logAction('image_url_verification_requested', {
       image_url,
       description_preview: description.substring(0, 100),
+      report_id: report_id || null,
       authenticity: verificationResult.authenticity,
-      confidence: verificationResult.confidence
+      confidence: verificationResult.confidence,
+      analysis_source: verificationResult.source,
+      score: verificationResult.score.value
     });
 
     res.json({
       verification_result: verificationResult,
       input: {
         image_url,
-        description
+        description,
+        report_id: report_id || null,
+        disaster_id: disaster_id || null
       },
       verified_at: new Date().toISOString()
     });
 
   } catch (error) {
+    if (sendImageError(res, error)) return;
     logger.error('Image URL verification error:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Image verification failed',
       details: error.message
     });
   }
 });
 
-// POST /api/image-verification/batch-verify - Batch verify multiple images
-router.post('/batch-verify', async (req, res) => {
+// POST /api/image-verification/batch-verify - Queue a batch of image URLs for verification
+router.post('/batch-verify', authenticate, async (req, res) => {
   try {
     const { images } = req.body;
 
-    if (!images || !Array.isArray(images)) {
-      return res.status(400).json({ 
-        error: 'images array is required' 
+    if (!images || !Array.isArray(images) || images.length === 0) {
+      return res.status(400).json({
+        error: 'images array is required'
       });
     }
 
-    if (images.length > 5) {
-      return res.status(400).json({ 
-        error: 'Maximum 5 images allowed per batch request' 
+    if (images.length > MAX_BATCH_IMAGES) {
+      return res.status(400).json({
+        error: `Maximum ${MAX_BATCH_IMAGES} images allowed per batch request`
       });
     }
 
     // Validate each image object
     for (const [index, image] of images.entries()) {
       if (!image.image_url) {
-        return res.status(400).json({ 
-          error: `images[${index}].image_url is required` 
+        return res.status(400).json({
+          error: `images[${index}].image_url is required`
         });
       }
       if (!image.description) {
-        return res.status(400).json({ 
-          error: `images[${index}].description is required` 
+        return res.status(400).json({
+          error: `images[${index}].description is required`
         });
       }
     }
 
-    const verificationPromises = images.map(async (image, index) => {
-      try {
-        const result = await GeminiService.verifyDisasterImage(
-          image.image_url, 
-          image.description
-        );
-
-        return {
-          index,
-          image_url: image.image_url,
-          description: image.description,
-          success: true,
-          verification_result: result
-        };
-      } catch (error) {
-        return {
-          index,
-          image_url: image.image_url,
-          description: image.description,
-          success: false,
-          error: error.message
-        };
-      }
-    });
-
-    const results = await Promise.all(verificationPromises);
-    const successful = results.filter(r => r.success);
-    const failed = results.filter(r => !r.success);
+    const batchId = uuidv4();
+    const jobs = [];
+    for (const [index, image] of images.entries()) {
+      const job = await verificationQueue.enqueue('image_url', {
+        index,
+        image_url: image.image_url,
+        description: image.description,
+        disaster_id: image.disaster_id || null
+      }, { batchId, createdBy: req.user.id });
+
+      jobs.push({ index, job_id: job.id, image_url: image.image_url, status: job.status });
+    }
 
-    // Log batch verification
-    logAction('batch_image_verification_completed', {
+    logAction('batch_image_verification_queued', {
+      batch_id: batchId,
       total_images: images.length,
-      successful_verifications: successful.length,
-      failed_verifications: failed.length,
-      verified_count: successful.filter(r => r.verification_result?.authenticity === 'verified').length,
-      suspicious_count: successful.filter(r => r.verification_result?.authenticity === 'suspicious').length,
-      fake_count: successful.filter(r => r.verification_result?.authenticity === 'fake').length
+      requested_by: req.user.id
+    });
+
+    res.status(202).json({
+      batch_id: batchId,
+      jobs,
+      status_url: `/api/image-verification/batch/${batchId}`,
+      queued_at: new Date().toISOString()
     });
 
+  } catch (error) {
+    logger.error('Batch image verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/image-verification/batch/:batch_id - Progress and results of a queued batch
+router.get('/batch/:batch_id', optionalAuthenticate, async (req, res) => {
+  try {
+    const { batch_id } = req.params;
+
+    const jobs = await db.verificationJobs.list({ where: { batch_id }, orderBy: 'created_at', ascending: true });
+    if (jobs.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const results = jobs
+      .sort((a, b) => a.payload.index - b.payload.index)
+      .map(job => ({
+        index: job.payload.index,
+        job_id: job.id,
+        image_url: job.payload.image_url,
+        description: job.payload.description,
+        status: job.status,
+        attempts: job.attempts,
+        verification_result: job.result && !seesLocations(req)
+          ? { ...job.result, forensics: ImageForensicsService.withoutLocation(job.result.forensics) }
+          : job.result,
+        error: job.error
+      }));
+
+    const counts = await verificationQueue.counts({ batch_id });
+    const finished = counts.succeeded + counts.failed + counts.cancelled;
+
     res.json({
+      batch_id,
+      complete: finished === jobs.length,
       batch_results: results,
       summary: {
-        total_images: images.length,
-        successful: successful.length,
-        failed: failed.length,
-        success_rate: `${Math.round(successful.length / images.length * 100)}%`,
-        verification_breakdown: {
-          verified: successful.filter(r => r.verification_result?.authenticity === 'verified').length,
-          suspicious: successful.filter(r => r.verification_result?.authenticity === 'suspicious').length,
-          fake: successful.filter(r => r.verification_result?.authenticity === 'fake').length
-        }
-      },
-      processed_at: new Date().toISOString()
+        total_images: jobs.length,
+        ...counts,
+        verification_breakdown: authenticityBreakdown(results)
+      }
     });
 
   } catch (error) {
-    logger.error('Batch image verification error:', error);
+    logger.error('Error fetching verification batch:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/image-verification/test - Test image verification with sample data
-router.get('/test', async (req, res) => {
+// GET /api/image-verification/test - Test image verification with sample data (reviewers;
+// every run fetches three images and calls the model three times)
+router.get('/test', authenticate, requirePermission('reports:verify'), async (req, res) => {
   try {
-    // Sample test cases with mock image URLs
+    // Sample test cases; point them at real images with ?image_url= to exercise the model
     const testCases = [
       {
-        image_url: 'https://example.com/flood-image1.jpg',
+        image_url: req.query.image_url || 'https://example.com/flood-image1.jpg',
         description: 'Severe flooding in downtown area after heavy rainfall',
         expected: 'verified'
       },
       {
-        image_url: 'https://example.com/fire-image1.jpg',
+        image_url: req.query.image_url || 'https://example.com/fire-image1.jpg',
         description: 'Wildfire spreading through residential area',
         expected: 'verified'
       },
       {
-        image_url: 'https://example.com/suspicious-image1.jpg',
+        image_url: req.query.image_url || 'https://example.com/suspicious-image1.jpg',
         description: 'Earthquake damage to building',
         expected: 'suspicious'
       }
@@ -268,10 +355,12 @@ router.get('/test', async (req, res) => {
 
     for (const [index, testCase] of testCases.entries()) {
       try {
-        const result = await GeminiService.verifyDisasterImage(
-          testCase.image_url, 
-          testCase.description
-        );
+        // Test runs are not recorded in the verification history
+        const result = await ImageVerificationService.verify({
+          imageUrl: testCase.image_url,
+          description: testCase.description,
+          persist: false
+        });
 
         testResults.push({
           test_case: index + 1,
@@ -293,7 +382,8 @@ router.get('/test', async (req, res) => {
             expected: testCase.expected
           },
           success: false,
-          error: error.message
+          error: error.message,
+          code: error.code || null
         });
       }
     }
@@ -315,7 +405,9 @@ router.get('/test', async (req, res) => {
         failed: testResults.length - successfulTests.length,
         matching_expected: matchingResults.length,
         success_rate: `${Math.round(successfulTests.length / testResults.length * 100)}%`,
-        accuracy_rate: `${Math.round(matchingResults.length / successfulTests.length * 100)}%`
+        accuracy_rate: successfulTests.length
+          ? `${Math.round(matchingResults.length / successfulTests.length * 100)}%`
+          : null
       },
       tested_at: new Date().toISOString()
     });
@@ -329,35 +421,7 @@ router.get('/test', async (req, res) => {
 // GET /api/image-verification/stats - Get verification statistics
 router.get('/stats', async (req, res) => {
   try {
-    // In a real implementation, this would query the database
-    // For now, return mock statistics
-    const stats = {
-      total_verifications: 1247,
-      verified_images: 892,
-      suspicious_images: 203,
-      fake_images: 152,
-      verification_rate: {
-        verified: '71.5%',
-        suspicious: '16.3%',
-        fake: '12.2%'
-      },
-      processing_stats: {
-        average_processing_time_ms: 2340,
-        total_processing_time_hours: 48.7,
-        success_rate: '97.8%'
-      },
-      recent_activity: {
-        verifications_last_24h: 156,
-        verifications_last_7d: 1089,
-        trending_verification_types: [
-          { type: 'flood', count: 89 },
-          { type: 'fire', count: 67 },
-          { type: 'earthquake', count: 45 }
-        ]
-      },
-      generated_at: new Date().toISOString()
-    };
-
+    const stats = await ImageVerificationService.getStats();
     res.json(stats);
 
   } catch (error) {
@@ -366,20 +430,32 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Error handler for multer errors
-router.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File size too large. Maximum 10MB allowed.' });
+// GET /api/image-verification/report/:report_id - Verification history for a report's images
+router.get('/report/:report_id', optionalAuthenticate, async (req, res) => {
+  try {
+    const { report_id } = req.params;
+
+    const report = await db.reports.findById(report_id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
     }
-    return res.status(400).json({ error: error.message });
-  }
-  
-  if (error.message === 'Only image files are allowed') {
-    return res.status(400).json({ error: 'Only image files are allowed' });
+
+    const records = await ImageVerificationService.listForReport(report_id);
+    const verifications = seesLocations(req) ? records : records.map(record => ImageVerificationService.publicRecord(record));
+
+    res.json({
+      report_id,
+      verification_status: report.verification_status,
+      verifications,
+      total: verifications.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching report image verifications:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  
-  next(error);
 });
 
+router.use(handleUploadErrors);
+
 export default router;
@@ -0,0 +1,87 @@
+import express from 'express';
+import { scheduler } from '../services/scheduler.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { logger, logAction } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('jobs:manage'));
+
+// Resolve :name to a registered job
+router.param('name', (req, res, next, name) => {
+  const job = scheduler.get(name);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  req.job = job;
+  next();
+});
+
+// GET /api/jobs - List background jobs with their last run
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      running: scheduler.started,
+      jobs: scheduler.list()
+    });
+  } catch (error) {
+    logger.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/jobs/:name - Get a job with its run history
+router.get('/:name', (req, res) => {
+  try {
+    res.json(scheduler.describe(req.job, { includeHistory: true }));
+  } catch (error) {
+    logger.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/jobs/:name/pause - Stop scheduling a job
+router.post('/:name/pause', (req, res) => {
+  try {
+    const job = scheduler.pause(req.job.name);
+
+    logAction('job_paused', { job: job.name, user_id: req.user.id });
+    res.json(job);
+  } catch (error) {
+    logger.error('Error pausing job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/jobs/:name/resume - Resume a paused job
+router.post('/:name/resume', (req, res) => {
+  try {
+    const job = scheduler.resume(req.job.name);
+
+    logAction('job_resumed', { job: job.name, user_id: req.user.id });
+    res.json(job);
+  } catch (error) {
+    logger.error('Error resuming job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/jobs/:name/trigger - Run a job now and return the run record
+router.post('/:name/trigger', async (req, res) => {
+  try {
+    if (req.job.running) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+
+    const run = await scheduler.trigger(req.job.name);
+
+    logAction('job_triggered', { job: req.job.name, run_id: run.id, status: run.status, user_id: req.user.id });
+    res.json({ job: req.job.name, run });
+  } catch (error) {
+    logger.error('Error triggering job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,289 @@
+import express from 'express';
+import { db, attachDisasters } from '../services/database.js';
+import { AttachmentService } from '../services/attachments.js';
+import { AuthService } from '../services/auth.js';
+import {
+  ModerationService, URGENCY_LEVELS, REJECTION_REASONS, REVIEW_STATUSES, moderationErrorStatus
+} from '../services/moderation.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { logger, logAction } from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_BULK_REPORTS = 100;
+
+// Bulk action names and the decision each one makes
+const BULK_DECISIONS = { verify: 'verified', reject: 'rejected', reopen: 'pending' };
+const BULK_ACTIONS = [...Object.keys(BULK_DECISIONS), 'escalate', 'claim', 'release'];
+
+// Past tense of each action, for the audit log and report_updated events
+const ACTION_DONE = {
+  verify: 'verified',
+  reject: 'rejected',
+  reopen: 'reopened',
+  escalate: 'escalated',
+  claim: 'claimed',
+  release: 'released'
+};
+
+router.use(authenticate, requirePermission('reports:verify'));
+
+// Respond to a moderation error (claim, escalation, validation); false for anything else
+function sendModerationError(res, error) {
+  const status = moderationErrorStatus(error.code);
+  if (!status) return false;
+  res.status(status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+// Resolve :id to a report
+router.param('id', async (req, res, next, id) => {
+  try {
+    req.report = await db.reports.findById(id);
+    if (!req.report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run one moderation action on a report and announce it
+async function applyAction(req, report, action, { reasonCode = null, notes = null, force = false } = {}) {
+  let updated;
+  if (action in BULK_DECISIONS) {
+    updated = await ModerationService.decide(report, req.user, { status: BULK_DECISIONS[action], reasonCode, notes });
+  } else if (action === 'escalate') {
+    updated = await ModerationService.escalate(report, req.user, { notes });
+  } else if (action === 'claim') {
+    updated = await ModerationService.claim(report, req.user);
+  } else {
+    updated = await ModerationService.release(report, req.user, { force });
+  }
+
+  logAction(`report_${ACTION_DONE[action]}`, {
+    report_id: report.id,
+    reviewer: req.user.id,
+    reason_code: reasonCode,
+    notes
+  });
+
+  if (action in BULK_DECISIONS) {
+    req.io.emit('report_verified', {
+      action: 'verified',
+      report: updated,
+      verification_status: updated.verification_status,
+      timestamp: new Date().toISOString()
+    });
+  } else {
+    req.io.emit('report_updated', {
+      action: ACTION_DONE[action],
+      report_id: report.id,
+      disaster_id: report.disaster_id,
+      reviewer: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return updated;
+}
+
+// GET /api/moderation/queue - Pending reports, escalated first, then by urgency and age
+router.get('/queue', async (req, res) => {
+  try {
+    const { disaster_id, urgency, escalated, claimed, limit = 50, offset = 0 } = req.query;
+
+    if (urgency && !URGENCY_LEVELS.includes(urgency)) {
+      return res.status(400).json({ error: 'Invalid urgency. Must be one of: ' + URGENCY_LEVELS.join(', ') });
+    }
+
+    if (claimed && !['mine', 'unclaimed'].includes(claimed)) {
+      return res.status(400).json({ error: 'claimed must be mine or unclaimed' });
+    }
+
+    const [{ reports, total }, stats] = await Promise.all([
+      ModerationService.queue({
+        disasterId: disaster_id || null,
+        urgency: urgency || null,
+        escalated: escalated === undefined ? null : escalated === 'true',
+        claimed: claimed || null,
+        userId: req.user.id,
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0
+      }),
+      ModerationService.queueStats(disaster_id || null)
+    ]);
+
+    await attachDisasters(reports);
+    await AttachmentService.attachToReports(reports);
+
+    const now = Date.now();
+    for (const report of reports) {
+      report.age_minutes = Math.round((now - new Date(report.created_at).getTime()) / 60000);
+      report.claim_expires_at = ModerationService.claimExpiresAt(report);
+      report.ai_verdict = await ModerationService.aiVerdict(report.id);
+    }
+
+    res.json({
+      reports,
+      total,
+      offset: parseInt(offset) || 0,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      stats
+    });
+
+  } catch (error) {
+    logger.error('Error fetching moderation queue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/moderation/reasons - Rejection reason codes, urgency levels and bulk actions
+router.get('/reasons', (req, res) => {
+  res.json({
+    rejection_reasons: REJECTION_REASONS,
+    urgency_levels: URGENCY_LEVELS,
+    statuses: REVIEW_STATUSES,
+    bulk_actions: BULK_ACTIONS
+  });
+});
+
+// GET /api/moderation/reports/:id/history - Every moderation step of a report
+router.get('/reports/:id/history', async (req, res) => {
+  try {
+    const history = await ModerationService.history(req.report.id);
+
+    res.json({
+      report_id: req.report.id,
+      verification_status: req.report.verification_status,
+      history,
+      total: history.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching report history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/moderation/reports/:id/claim - Claim a report (claiming again extends the claim)
+router.post('/reports/:id/claim', async (req, res) => {
+  try {
+    const report = await applyAction(req, req.report, 'claim');
+    res.json({ ...report, claim_expires_at: ModerationService.claimExpiresAt(report) });
+
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    logger.error('Error claiming report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/moderation/reports/:id/release - Release a claim (force=true: someone else's, senior reviewers)
+router.post('/reports/:id/release', async (req, res) => {
+  try {
+    const force = req.body.force === true;
+    if (force && !AuthService.hasPermission(req.user.role, 'reports:resolve_escalated')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    res.json(await applyAction(req, req.report, 'release', { force }));
+
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    logger.error('Error releasing report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/moderation/reports/:id/decision - Verify, reject (with reason_code) or reopen a report
+router.post('/reports/:id/decision', async (req, res) => {
+  try {
+    const { verification_status, reason_code, notes } = req.body;
+    const action = Object.keys(BULK_DECISIONS).find(name => BULK_DECISIONS[name] === verification_status);
+    if (!action) {
+      return res.status(400).json({
+        error: 'Invalid verification status. Must be one of: ' + REVIEW_STATUSES.join(', ')
+      });
+    }
+
+    const report = await applyAction(req, req.report, action, { reasonCode: reason_code, notes });
+    res.json(await attachDisasters(report));
+
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    logger.error('Error deciding report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/moderation/reports/:id/escalate - Hand a report to senior reviewers
+router.post('/reports/:id/escalate', async (req, res) => {
+  try {
+    res.json(await applyAction(req, req.report, 'escalate', { notes: req.body.notes }));
+
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    logger.error('Error escalating report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/moderation/bulk - Apply one action to many reports; each succeeds or fails on its own
+router.post('/bulk', async (req, res) => {
+  try {
+    const { report_ids, action, reason_code, notes } = req.body;
+
+    if (!Array.isArray(report_ids) || report_ids.length === 0) {
+      return res.status(400).json({ error: 'report_ids array is required' });
+    }
+
+    if (report_ids.length > MAX_BULK_REPORTS) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_REPORTS} reports per bulk action` });
+    }
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Invalid action. Must be one of: ' + BULK_ACTIONS.join(', ') });
+    }
+
+    const results = [];
+    for (const reportId of [...new Set(report_ids)]) {
+      const report = await db.reports.findById(reportId);
+      if (!report) {
+        results.push({ report_id: reportId, success: false, error: 'Report not found', code: 'NOT_FOUND' });
+        continue;
+      }
+
+      try {
+        const updated = await applyAction(req, report, action, { reasonCode: reason_code, notes });
+        results.push({ report_id: reportId, success: true, verification_status: updated.verification_status });
+      } catch (error) {
+        if (!moderationErrorStatus(error.code)) throw error;
+        results.push({ report_id: reportId, success: false, error: error.message, code: error.code });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    logAction('reports_bulk_moderated', {
+      action,
+      reviewer: req.user.id,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    });
+
+    res.json({
+      action,
+      results,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded }
+    });
+
+  } catch (error) {
+    logger.error('Error applying bulk moderation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,357 @@
+import express from 'express';
+import { db, attachDisasters } from '../services/database.js';
+import { GeocodingService } from '../services/geocoding.js';
+import { ModerationService, URGENCY_LEVELS } from '../services/moderation.js';
+import {
+  MatchingService, SUPPLY_TYPES, NEED_STATUSES, matchingErrorStatus
+} from '../services/matching.js';
+import { InventoryService } from '../services/inventory.js';
+import { authenticate, requirePermission, canModify } from '../middleware/auth.js';
+import { logger, logAction } from '../utils/logger.js';
+import { parseCoordinates } from '../utils/geo.js';
+
+const router = express.Router();
+
+// Respond to a matching error (quantity, availability, closed need); false for anything else
+function sendMatchingError(res, error) {
+  const status = matchingErrorStatus(error.code);
+  if (!status) return false;
+  res.status(status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+// Reserving or releasing capacity changes a resource's spare places (and maybe its availability)
+function emitResourceUpdate(req, action, resource) {
+  if (!resource) return;
+  req.io.emit('resources_updated', {
+    action,
+    resource,
+    occupancy: InventoryService.occupancy(resource),
+    disaster_id: resource.disaster_id,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Resolve :id to a need
+router.param('id', async (req, res, next, id) => {
+  try {
+    req.need = await db.needs.findById(id);
+    if (!req.need) {
+      return res.status(404).json({ error: 'Need not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/needs - Needs; open ones (the default) most urgent first, then oldest
+router.get('/', async (req, res) => {
+  try {
+    const { disaster_id, type, status = 'open', created_by, limit = 50, offset = 0 } = req.query;
+
+    if (!NEED_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: ' + NEED_STATUSES.join(', ') });
+    }
+
+    if (type && !SUPPLY_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid type. Must be one of: ' + SUPPLY_TYPES.join(', ') });
+    }
+
+    const pageLimit = Math.min(parseInt(limit) || 50, 200);
+    const pageOffset = parseInt(offset) || 0;
+    let needs;
+    let total;
+
+    if (status === 'open' && !created_by) {
+      ({ needs, total } = await MatchingService.openNeeds({
+        disasterId: disaster_id || null,
+        type: type || null,
+        limit: pageLimit,
+        offset: pageOffset
+      }));
+    } else {
+      const where = { status };
+      if (disaster_id) where.disaster_id = disaster_id;
+      if (type) where.type = type;
+      if (created_by) where.created_by = created_by;
+
+      [needs, total] = await Promise.all([
+        db.needs.list({ where, orderBy: 'created_at', ascending: false, limit: pageLimit, offset: pageOffset }),
+        db.needs.count(where)
+      ]);
+    }
+
+    await attachDisasters(needs);
+
+    res.json({ needs, total, offset: pageOffset, limit: pageLimit });
+
+  } catch (error) {
+    logger.error('Error fetching needs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/needs/:id - A need with its matches
+router.get('/:id', async (req, res) => {
+  try {
+    const matches = await db.matches.list({ where: { need_id: req.need.id }, orderBy: 'created_at', ascending: true });
+    res.json({ ...await attachDisasters({ ...req.need }), matches });
+
+  } catch (error) {
+    logger.error('Error fetching need:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/needs - Record a need; report_id or social_post_id fill in the text, position and urgency
+router.post('/', authenticate, requirePermission('needs:create'), async (req, res) => {
+  try {
+    const {
+      disaster_id, type, quantity = 1, urgency, description, latitude, longitude, location_name, report_id, social_post_id
+    } = req.body;
+
+    if (!disaster_id || !type) {
+      return res.status(400).json({ error: 'disaster_id and type are required' });
+    }
+
+    if (!SUPPLY_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid type. Must be one of: ' + SUPPLY_TYPES.join(', ') });
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ error: 'quantity must be a positive whole number' });
+    }
+
+    if (urgency && !URGENCY_LEVELS.includes(urgency)) {
+      return res.status(400).json({ error: 'Invalid urgency. Must be one of: ' + URGENCY_LEVELS.join(', ') });
+    }
+
+    let coordinates = null;
+    if (latitude !== undefined || longitude !== undefined) {
+      coordinates = parseCoordinates(latitude, longitude);
+      if (!coordinates) {
+        return res.status(400).json({ error: 'latitude and longitude must be valid coordinates' });
+      }
+    }
+
+    const disaster = await db.disasters.findById(disaster_id);
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    // The report or post the need was read from
+    let source = null;
+    if (report_id) {
+      source = await db.reports.findById(report_id);
+    } else if (social_post_id) {
+      source = await db.socialPosts.findById(social_post_id);
+    }
+
+    if ((report_id || social_post_id) && (!source || source.disaster_id !== disaster_id)) {
+      return res.status(400).json({ error: 'The linked report or post does not exist for this disaster' });
+    }
+
+    const text = description || (source && source.content);
+    if (!text) {
+      return res.status(400).json({ error: 'description is required' });
+    }
+
+    if (!coordinates && source && source.latitude !== null && source.latitude !== undefined) {
+      coordinates = { latitude: Number(source.latitude), longitude: Number(source.longitude) };
+    }
+
+    const location = await GeocodingService.locate({
+      coordinates,
+      locationName: location_name || (source && source.location_name) || null,
+      disaster
+    });
+
+    const sourceUrgency = source && (source.urgency || (source.analysis && source.analysis.urgency));
+
+    const need = await db.needs.insert({
+      disaster_id,
+      type,
+      quantity,
+      quantity_matched: 0,
+      urgency: urgency || sourceUrgency || ModerationService.urgencyFor(text),
+      description: text,
+      location_name: location.location_name,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      status: 'open',
+      report_id: report_id || null,
+      social_post_id: social_post_id || null,
+      created_by: req.user.id,
+      updated_at: new Date().toISOString()
+    });
+
+    logAction('need_created', { need_id: need.id, disaster_id, type, quantity, urgency: need.urgency, created_by: req.user.id });
+
+    req.io.emit('need_created', {
+      need,
+      disaster_id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json(need);
+
+  } catch (error) {
+    logger.error('Error creating need:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/needs/:id/cancel - Cancel a need (its creator or coordinators); accepted matches are released
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    if (!canModify(req.user, req.need.created_by, 'matches:manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const matches = await db.matches.list({ where: { need_id: req.need.id, status: 'accepted' } });
+    for (const match of matches) {
+      try {
+        const result = await MatchingService.cancel(match, req.user, { notes: 'Need cancelled' });
+        req.io.emit('match_cancelled', {
+          ...result,
+          requester_id: req.need.created_by,
+          disaster_id: req.need.disaster_id,
+          timestamp: new Date().toISOString()
+        });
+        emitResourceUpdate(req, 'released', result.resource);
+      } catch (error) {
+        if (!matchingErrorStatus(error.code)) throw error;
+      }
+    }
+
+    const [need] = await db.needs.updateWhere(
+      { id: req.need.id, status: { neq: 'cancelled' } },
+      { status: 'cancelled', updated_at: new Date().toISOString() }
+    );
+    if (!need) {
+      return res.status(409).json({ error: 'Need is already cancelled' });
+    }
+
+    logAction('need_cancelled', { need_id: need.id, released_matches: matches.length, user_id: req.user.id });
+
+    req.io.emit('need_updated', {
+      action: 'cancelled',
+      need,
+      disaster_id: need.disaster_id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json(need);
+
+  } catch (error) {
+    logger.error('Error cancelling need:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/needs/:id/matches - Proposed resources and offers, best first, and the accepted matches
+router.get('/:id/matches', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const [proposals, matches] = await Promise.all([
+      req.need.status === 'open' ? MatchingService.propose(req.need, { limit }) : [],
+      db.matches.list({ where: { need_id: req.need.id }, orderBy: 'created_at', ascending: true })
+    ]);
+
+    res.json({
+      need_id: req.need.id,
+      status: req.need.status,
+      outstanding: MatchingService.remaining(req.need, 'quantity'),
+      proposals,
+      matches
+    });
+
+  } catch (error) {
+    logger.error('Error proposing matches:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/needs/:id/matches - Accept a match with a resource or offer, reserving the quantity
+router.post('/:id/matches', authenticate, requirePermission('matches:manage'), async (req, res) => {
+  try {
+    const { resource_id, offer_id, quantity, notes } = req.body;
+
+    if (!resource_id === !offer_id) {
+      return res.status(400).json({ error: 'Exactly one of resource_id or offer_id is required' });
+    }
+
+    const result = await MatchingService.accept(req.need, req.user, {
+      resourceId: resource_id || null,
+      offerId: offer_id || null,
+      quantity: quantity === undefined ? null : quantity,
+      notes: notes || null
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: resource_id ? 'Resource not found' : 'Offer not found' });
+    }
+
+    logAction('match_accepted', {
+      match_id: result.match.id,
+      need_id: req.need.id,
+      resource_id,
+      offer_id,
+      quantity: result.match.quantity,
+      accepted_by: req.user.id
+    });
+
+    // Both sides: the need's creator and whoever provides the resource or offer
+    req.io.emit('match_accepted', {
+      ...result,
+      requester_id: req.need.created_by,
+      disaster_id: req.need.disaster_id,
+      timestamp: new Date().toISOString()
+    });
+
+    emitResourceUpdate(req, 'reserved', result.resource);
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    if (sendMatchingError(res, error)) return;
+    logger.error('Error accepting match:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/needs/:id/matches/:match_id/cancel - Cancel an accepted match and release its quantity
+router.post('/:id/matches/:match_id/cancel', authenticate, requirePermission('matches:manage'), async (req, res) => {
+  try {
+    const match = await db.matches.findById(req.params.match_id);
+
+    if (!match || match.need_id !== req.need.id) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const result = await MatchingService.cancel(match, req.user, { notes: req.body.notes || null });
+
+    logAction('match_cancelled', { match_id: match.id, need_id: req.need.id, quantity: match.quantity, cancelled_by: req.user.id });
+
+    req.io.emit('match_cancelled', {
+      ...result,
+      requester_id: req.need.created_by,
+      disaster_id: req.need.disaster_id,
+      timestamp: new Date().toISOString()
+    });
+
+    emitResourceUpdate(req, 'released', result.resource);
+
+    res.json(result);
+
+  } catch (error) {
+    if (sendMatchingError(res, error)) return;
+    logger.error('Error cancelling match:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
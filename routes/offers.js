@@ -0,0 +1,195 @@
+import express from 'express';
+import { db, attachDisasters } from '../services/database.js';
+import { GeocodingService } from '../services/geocoding.js';
+import { MatchingService, SUPPLY_TYPES, OFFER_STATUSES, matchingErrorStatus } from '../services/matching.js';
+import { authenticate, requirePermission, canModify } from '../middleware/auth.js';
+import { logger, logAction } from '../utils/logger.js';
+import { parseCoordinates } from '../utils/geo.js';
+
+const router = express.Router();
+
+// Resolve :id to an offer
+router.param('id', async (req, res, next, id) => {
+  try {
+    req.offer = await db.offers.findById(id);
+    if (!req.offer) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/offers - Volunteer offers (open ones by default), newest first
+router.get('/', async (req, res) => {
+  try {
+    const { disaster_id, type, status = 'open', offered_by } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (!OFFER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: ' + OFFER_STATUSES.join(', ') });
+    }
+
+    const where = { status };
+    if (disaster_id) where.disaster_id = disaster_id;
+    if (type) where.type = type;
+    if (offered_by) where.offered_by = offered_by;
+
+    const [offers, total] = await Promise.all([
+      db.offers.list({ where, orderBy: 'created_at', ascending: false, limit, offset }),
+      db.offers.count(where)
+    ]);
+
+    await attachDisasters(offers);
+
+    res.json({ offers, total, offset, limit });
+
+  } catch (error) {
+    logger.error('Error fetching offers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/offers/:id - An offer with its matches
+router.get('/:id', async (req, res) => {
+  try {
+    const matches = await db.matches.list({ where: { offer_id: req.offer.id }, orderBy: 'created_at', ascending: true });
+    res.json({ ...await attachDisasters({ ...req.offer }), matches });
+
+  } catch (error) {
+    logger.error('Error fetching offer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/offers - Offer help (social_post_id fills in the text and position from a post)
+router.post('/', authenticate, requirePermission('offers:create'), async (req, res) => {
+  try {
+    const {
+      disaster_id, type, quantity = 1, description, latitude, longitude, location_name, contact_info, social_post_id
+    } = req.body;
+
+    if (!disaster_id || !type) {
+      return res.status(400).json({ error: 'disaster_id and type are required' });
+    }
+
+    if (!SUPPLY_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid type. Must be one of: ' + SUPPLY_TYPES.join(', ') });
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ error: 'quantity must be a positive whole number' });
+    }
+
+    let coordinates = null;
+    if (latitude !== undefined || longitude !== undefined) {
+      coordinates = parseCoordinates(latitude, longitude);
+      if (!coordinates) {
+        return res.status(400).json({ error: 'latitude and longitude must be valid coordinates' });
+      }
+    }
+
+    const disaster = await db.disasters.findById(disaster_id);
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    let post = null;
+    if (social_post_id) {
+      post = await db.socialPosts.findById(social_post_id);
+      if (!post || post.disaster_id !== disaster_id) {
+        return res.status(400).json({ error: 'The linked post does not exist for this disaster' });
+      }
+    }
+
+    const text = description || (post && post.content);
+    if (!text) {
+      return res.status(400).json({ error: 'description is required' });
+    }
+
+    if (!coordinates && post && post.latitude !== null && post.latitude !== undefined) {
+      coordinates = { latitude: Number(post.latitude), longitude: Number(post.longitude) };
+    }
+
+    const location = await GeocodingService.locate({
+      coordinates,
+      locationName: location_name || (post && post.location) || null,
+      disaster
+    });
+
+    const offer = await db.offers.insert({
+      disaster_id,
+      type,
+      quantity,
+      quantity_matched: 0,
+      description: text,
+      location_name: location.location_name,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      contact_info: contact_info || {},
+      status: 'open',
+      social_post_id: social_post_id || null,
+      offered_by: req.user.id,
+      updated_at: new Date().toISOString()
+    });
+
+    logAction('offer_created', { offer_id: offer.id, disaster_id, type, quantity, offered_by: req.user.id });
+
+    req.io.emit('offer_created', {
+      offer,
+      disaster_id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json(offer);
+
+  } catch (error) {
+    logger.error('Error creating offer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/offers/:id/withdraw - Withdraw an offer (its volunteer or coordinators); accepted matches are released
+router.post('/:id/withdraw', authenticate, async (req, res) => {
+  try {
+    if (!canModify(req.user, req.offer.offered_by, 'matches:manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const matches = await db.matches.list({ where: { offer_id: req.offer.id, status: 'accepted' } });
+    for (const match of matches) {
+      try {
+        const result = await MatchingService.cancel(match, req.user, { notes: 'Offer withdrawn' });
+        req.io.emit('match_cancelled', {
+          ...result,
+          requester_id: result.need ? result.need.created_by : null,
+          disaster_id: match.disaster_id,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        if (!matchingErrorStatus(error.code)) throw error;
+      }
+    }
+
+    const [offer] = await db.offers.updateWhere(
+      { id: req.offer.id, status: { neq: 'withdrawn' } },
+      { status: 'withdrawn', updated_at: new Date().toISOString() }
+    );
+    if (!offer) {
+      return res.status(409).json({ error: 'Offer is already withdrawn' });
+    }
+
+    logAction('offer_withdrawn', { offer_id: offer.id, released_matches: matches.length, user_id: req.user.id });
+
+    res.json(offer);
+
+  } catch (error) {
+    logger.error('Error withdrawing offer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,14 +1,265 @@
 import express from 'express';
 import { OfficialUpdatesService } from '../services/officialUpdates.js';
+import { CAP_CONTENT_TYPE } from '../services/cap.js';
+import { db } from '../services/database.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { logger, logAction } from '../utils/logger.js';
 
 const router = express.Router();
 
+// POST /api/official-updates/cap - Ingest CAP 1.2 documents
+// Accepts a raw XML body or JSON { documents: [xml, ...], source: { name, type } }
+router.post('/cap',
+  authenticate,
+  requirePermission('official_updates:manage'),
+  express.text({ type: [CAP_CONTENT_TYPE, 'application/xml', 'text/xml'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const documents = typeof req.body === 'string'
+        ? [req.body]
+        : req.body.documents || (req.body.document ? [req.body.document] : []);
+      const source = typeof req.body === 'object' && req.body.source ? req.body.source : {};
+
+      if (!Array.isArray(documents) || documents.length === 0) {
+        return res.status(400).json({
+          error: 'Send a CAP XML body or JSON with a documents array'
+        });
+      }
+
+      const result = await OfficialUpdatesService.ingestCapDocuments(documents, source);
+
+      logAction('cap_documents_ingested', {
+        documents: documents.length,
+        rejected_documents: result.rejected_documents,
+        total_updates: result.total_updates,
+        ingested_by: req.user.id
+      });
+
+      // Individual documents may be rejected; only fail the request when all of them were
+      res.status(result.rejected_documents === documents.length ? 422 : 200).json(result);
+
+    } catch (error) {
+      logger.error('Error ingesting CAP documents:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Fields an admin can set on a registry entry
+const SOURCE_FIELDS = ['name', 'url', 'type', 'format', 'selector', 'poll_interval_minutes', 'enabled', 'scope'];
+
+const pickSourceFields = (body) => Object.fromEntries(
+  SOURCE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// GET /api/official-updates/sources - Registered official sources with last-scrape status
+router.get('/sources', async (req, res) => {
+  try {
+    const { enabled, format, type } = req.query;
+
+    let sources = await OfficialUpdatesService.getSources();
+
+    if (enabled !== undefined) {
+      sources = sources.filter(source => source.enabled === (enabled === 'true'));
+    }
+    if (format) {
+      sources = sources.filter(source => source.format === format);
+    }
+    if (type) {
+      sources = sources.filter(source => source.type === type);
+    }
+
+    res.json({
+      sources: sources.map(source => ({
+        ...source,
+        description: `Official updates from ${source.name}`,
+        last_scrape: {
+          at: source.last_scraped_at,
+          status: source.last_status,
+          error: source.last_error,
+          update_count: source.last_update_count
+        }
+      })),
+      total_sources: sources.length,
+      types: [...new Set(sources.map(s => s.type))]
+    });
+
+  } catch (error) {
+    logger.error('Error fetching official sources:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/official-updates/sources - Register a new source
+router.post('/sources', authenticate, requirePermission('official_updates:manage'), async (req, res) => {
+  try {
+    const sourceData = {
+      type: 'government',
+      format: 'html',
+      selector: null,
+      poll_interval_minutes: 15,
+      enabled: true,
+      scope: null,
+      ...pickSourceFields(req.body)
+    };
+
+    const errors = OfficialUpdatesService.validateSource(sourceData);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid source', details: errors });
+    }
+
+    if (await OfficialUpdatesService.getSourceByName(sourceData.name)) {
+      return res.status(409).json({ error: 'A source with this name already exists' });
+    }
+
+    let data;
+    try {
+      data = await db.officialSources.insert({
+        ...sourceData,
+        name: sourceData.name.trim(),
+        poll_interval_minutes: Number(sourceData.poll_interval_minutes),
+        last_scraped_at: null,
+        last_status: null,
+        last_error: null,
+        last_update_count: null,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Database error creating official source:', error);
+      return res.status(500).json({ error: 'Failed to create official source' });
+    }
+
+    logAction('official_source_created', {
+      source_id: data.id,
+      name: data.name,
+      format: data.format,
+      created_by: req.user.id
+    });
+
+    res.status(201).json(data);
+
+  } catch (error) {
+    logger.error('Error creating official source:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/official-updates/sources/:id - Update a registered source
+router.put('/sources/:id', authenticate, requirePermission('official_updates:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const changes = pickSourceFields(req.body);
+
+    const existingSource = await db.officialSources.findById(id);
+    if (!existingSource) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    // Validate the merged definition so e.g. switching to html requires a selector
+    const errors = OfficialUpdatesService.validateSource({ ...existingSource, ...changes });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid source', details: errors });
+    }
+
+    if (changes.name) {
+      const sameName = await OfficialUpdatesService.getSourceByName(changes.name);
+      if (sameName && sameName.id !== id) {
+        return res.status(409).json({ error: 'A source with this name already exists' });
+      }
+    }
+
+    let data;
+    try {
+      data = await db.officialSources.update(id, {
+        ...changes,
+        ...(changes.poll_interval_minutes !== undefined
+          ? { poll_interval_minutes: Number(changes.poll_interval_minutes) }
+          : {}),
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Database error updating official source:', error);
+      return res.status(500).json({ error: 'Failed to update official source' });
+    }
+
+    // Drop the cached scrape so the next run uses the new definition
+    await db.cache.delete(OfficialUpdatesService.scrapeCacheKey(existingSource));
+
+    logAction('official_source_updated', {
+      source_id: id,
+      changes: Object.keys(changes),
+      updated_by: req.user.id
+    });
+
+    res.json(data);
+
+  } catch (error) {
+    logger.error('Error updating official source:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/official-updates/sources/:id - Remove a source (stored updates are kept)
+router.delete('/sources/:id', authenticate, requirePermission('official_updates:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingSource = await db.officialSources.findById(id);
+    if (!existingSource) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    try {
+      await db.officialSources.delete(id);
+      await db.officialUpdates.updateWhere({ source_id: id }, { source_id: null });
+    } catch (error) {
+      logger.error('Database error deleting official source:', error);
+      return res.status(500).json({ error: 'Failed to delete official source' });
+    }
+
+    await db.cache.delete(OfficialUpdatesService.scrapeCacheKey(existingSource));
+
+    logAction('official_source_deleted', {
+      source_id: id,
+      name: existingSource.name,
+      deleted_by: req.user.id
+    });
+
+    res.json({ message: 'Official source deleted successfully' });
+
+  } catch (error) {
+    logger.error('Error deleting official source:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Official updates are stored per disaster link, so unknown disasters are a 404
+router.param('disaster_id', async (req, res, next, disasterId) => {
+  try {
+    const disaster = await db.disasters.findById(disasterId);
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    req.disaster = disaster;
+    next();
+
+  } catch (error) {
+    logger.error('Error loading disaster for official updates:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/official-updates/:disaster_id - Get official updates for a disaster
 router.get('/:disaster_id', async (req, res) => {
   try {
     const { disaster_id } = req.params;
-    const { sources, priority, type, limit = 20, offset = 0 } = req.query;
+    const { sources, priority, type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
     // Parse sources filter
     const sourcesList = sources ? sources.split(',').map(s => s.trim().toLowerCase()) : [];
@@ -38,8 +289,8 @@ router.get('/:disaster_id', async (req, res) => {
     }
 
     // Apply pagination
-    const startIndex = parseInt(offset);
-    const endIndex = startIndex + parseInt(limit);
+    const startIndex = offset;
+    const endIndex = startIndex + limit;
     const paginatedUpdates = filteredUpdates.slice(startIndex, endIndex);
 
     logAction('official_updates_fetched', { 
@@ -56,7 +307,7 @@ router.get('/:disaster_id', async (req, res) => {
       pagination: {
         total: filteredUpdates.length,
         offset: startIndex,
-        limit: parseInt(limit),
+        limit,
         has_more: endIndex < filteredUpdates.length
       },
       summary: {
@@ -83,7 +334,7 @@ router.get('/:disaster_id', async (req, res) => {
 router.get('/:disaster_id/critical', async (req, res) => {
   try {
     const { disaster_id } = req.params;
-    const { limit = 10 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 200);
 
     const updatesData = await OfficialUpdatesService.fetchOfficialUpdates(disaster_id);
     const criticalUpdates = OfficialUpdatesService.filterUpdatesByPriority(
@@ -92,7 +343,7 @@ router.get('/:disaster_id/critical', async (req, res) => {
     );
 
     // Limit results
-    const limitedUpdates = criticalUpdates.slice(0, parseInt(limit));
+    const limitedUpdates = criticalUpdates.slice(0, limit);
 
     logAction('critical_official_updates_fetched', { 
       disaster_id, 
@@ -117,7 +368,7 @@ router.get('/:disaster_id/critical', async (req, res) => {
 router.get('/:disaster_id/sources/:source_type', async (req, res) => {
   try {
     const { disaster_id, source_type } = req.params;
-    const { limit = 20 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
 
     const updatesData = await OfficialUpdatesService.fetchOfficialUpdates(disaster_id);
     const sourceUpdates = OfficialUpdatesService.filterUpdatesByType(
@@ -126,7 +377,7 @@ router.get('/:disaster_id/sources/:source_type', async (req, res) => {
     );
 
     // Limit results
-    const limitedUpdates = sourceUpdates.slice(0, parseInt(limit));
+    const limitedUpdates = sourceUpdates.slice(0, limit);
 
     logAction('official_updates_by_source_fetched', { 
       disaster_id, 
@@ -149,30 +400,8 @@ router.get('/:disaster_id/sources/:source_type', async (req, res) => {
   }
 });
 
-// GET /api/official-updates/sources - Get available official sources
-router.get('/sources', async (req, res) => {
-  try {
-    const sources = OfficialUpdatesService.officialSources.map(source => ({
-      name: source.name,
-      url: source.url,
-      type: source.type,
-      description: `Official updates from ${source.name}`
-    }));
-
-    res.json({
-      sources,
-      total_sources: sources.length,
-      types: [...new Set(sources.map(s => s.type))]
-    });
-
-  } catch (error) {
-    logger.error('Error fetching official sources:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// POST /api/official-updates/:disaster_id/scrape - Manually trigger scraping
-router.post('/:disaster_id/scrape', async (req, res) => {
+// POST /api/official-updates/:disaster_id/scrape - Manually trigger scraping (stores what it finds)
+router.post('/:disaster_id/scrape', authenticate, requirePermission('official_updates:manage'), async (req, res) => {
   try {
     const { disaster_id } = req.params;
     const { sources } = req.body;
@@ -186,17 +415,24 @@ router.post('/:disaster_id/scrape', async (req, res) => {
     
     if (sources && Array.isArray(sources)) {
       // Scrape specific sources
-      const scrapePromises = sources.map(sourceName => {
-        const source = OfficialUpdatesService.officialSources.find(
-          s => s.name.toLowerCase() === sourceName.toLowerCase()
-        );
+      const scrapePromises = sources.map(async sourceName => {
+        const source = await OfficialUpdatesService.getSourceByName(sourceName);
         
         if (!source) {
-          return Promise.resolve({
+          return {
             source: sourceName,
             error: 'Source not found',
             updates: []
-          });
+          };
+        }
+
+        // Disabled sources stay off until an admin enables them again
+        if (!source.enabled) {
+          return {
+            source: source.name,
+            error: 'Source is disabled',
+            updates: []
+          };
         }
         
         return OfficialUpdatesService.scrapeOfficialSource(source);
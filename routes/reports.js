@@ -1,70 +1,97 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { supabase } from '../services/database.js';
+import { db, attachDisasters, findNearby } from '../services/database.js';
+import { ImageVerificationService, SIMILAR_IMAGE_BITS } from '../services/imageVerification.js';
+import { verificationQueue } from '../services/verificationQueue.js';
+import { ModerationService, moderationErrorStatus } from '../services/moderation.js';
+import { TrustService } from '../services/trust.js';
+import { GeocodingService } from '../services/geocoding.js';
+import { AttachmentService, MAX_REPORT_ATTACHMENTS } from '../services/attachments.js';
+import { authenticate, requirePermission, canModify } from '../middleware/auth.js';
+import { imageUpload, handleUploadErrors } from '../middleware/upload.js';
 import { logger, logAction } from '../utils/logger.js';
+import { parseCoordinates, parseLatLng, parseBbox } from '../utils/geo.js';
+import { wantsGeoJSON, sendFeatureCollection } from '../utils/geojson.js';
+import { describeImage, fetchImage, imageErrorStatus } from '../utils/images.js';
 
 const router = express.Router();
 
-// Simple authentication middleware
-const authenticate = (req, res, next) => {
-  req.user = {
-    id: '550e8400-e29b-41d4-a716-446655440000', // Fixed UUID for testing
-    username: 'testuser',
-    name: 'Test User',
-    role: 'admin',
-    email: 'test@disaster.response'
-  };
-  next();
-};
-
-// GET /api/reports - List reports with filtering
+// GET /api/reports - List reports with filtering (bbox=minLon,minLat,maxLon,maxLat and/or
+// location=lat,lng&radius=km keep geotagged reports only; radius sorts nearest first)
 router.get('/', async (req, res) => {
   try {
-    const { disaster_id, user_id, verification_status, limit = 50, offset = 0 } = req.query;
+    const { disaster_id, user_id, verification_status, bbox, location, radius } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
     
-    let query = supabase
-      .from('reports')
-      .select(`
-        *,
-        disasters!disaster_id (
-          id,
-          title,
-          location_name
-        )
-      `)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
     // Apply filters
+    const where = {};
+
     if (disaster_id) {
-      query = query.eq('disaster_id', disaster_id);
+      where.disaster_id = disaster_id;
     }
     
     if (user_id) {
-      query = query.eq('user_id', user_id);
+      where.user_id = user_id;
     }
     
     if (verification_status) {
-      query = query.eq('verification_status', verification_status);
+      where.verification_status = verification_status;
     }
 
-    const { data, error, count } = await query;
+    if (bbox) {
+      const box = parseBbox(bbox);
+      if (!box) {
+        return res.status(400).json({ error: 'bbox must be "minLon,minLat,maxLon,maxLat" with min below max' });
+      }
+      where.latitude = { gte: box.minLat, lte: box.maxLat };
+      where.longitude = { gte: box.minLon, lte: box.maxLon };
+    }
+
+    let data;
+    let count;
 
-    if (error) {
-      logger.error('Database error fetching reports:', error);
-      return res.status(500).json({ error: 'Failed to fetch reports' });
+    if (location) {
+      const point = parseLatLng(location);
+      const radiusKm = radius ? parseFloat(radius) : 10;
+
+      if (!point || isNaN(radiusKm) || radiusKm <= 0) {
+        return res.status(400).json({
+          error: 'location must be "lat,lng" and radius a positive number of kilometres'
+        });
+      }
+
+      const nearby = await findNearby('reports', { ...point, radiusKm, where });
+      data = nearby.slice(offset, offset + limit);
+      count = nearby.length;
+    } else {
+      [data, count] = await Promise.all([
+        db.reports.list({ where, orderBy: 'created_at', ascending: false, limit, offset }),
+        db.reports.count(where)
+      ]);
     }
 
+    await attachDisasters(data);
+    await AttachmentService.attachToReports(data);
+
     logAction('reports_fetched', { 
       count: data?.length || 0, 
-      filters: { disaster_id, user_id, verification_status } 
+      filters: { disaster_id, user_id, verification_status, bbox, location, radius } 
     });
 
+    if (wantsGeoJSON(req)) {
+      return sendFeatureCollection(res, data || [], {
+        total: count || 0,
+        offset,
+        limit
+      });
+    }
+
     res.json({
       reports: data || [],
       total: count || 0,
-      offset: parseInt(offset),
-      limit: parseInt(limit)
+      offset,
+      limit
     });
 
   } catch (error) {
@@ -78,24 +105,15 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
-      .from('reports')
-      .select(`
-        *,
-        disasters!disaster_id (
-          id,
-          title,
-          location_name,
-          description
-        )
-      `)
-      .eq('id', id)
-      .single();
-
-    if (error || !data) {
+    const data = await db.reports.findById(id);
+
+    if (!data) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    await attachDisasters(data, ['id', 'title', 'location_name', 'description']);
+    await AttachmentService.attachToReports(data);
+
     logAction('report_viewed', { report_id: id });
 
     res.json(data);
@@ -106,10 +124,113 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/reports - Create new report
-router.post('/', authenticate, async (req, res) => {
+// GET /api/reports/:id/similar-images - Earlier reports and verifications with the same pictures
+router.get('/:id/similar-images', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const maxDistance = Math.min(Math.max(parseInt(req.query.max_distance) || SIMILAR_IMAGE_BITS, 0), 20);
+
+    const report = await db.reports.findById(id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const hashes = await db.imageHashes.list({ where: { report_id: id }, orderBy: 'created_at' });
+    const images = [];
+    for (const hash of hashes) {
+      if (images.some(image => image.perceptual_hash === hash.perceptual_hash)) continue;
+
+      images.push({
+        perceptual_hash: hash.perceptual_hash,
+        image_url: hash.image_url,
+        similar_images: await ImageVerificationService.findSimilarImages(hash.perceptual_hash, {
+          maxDistance,
+          excludeReportId: id,
+          disasterId: report.disaster_id,
+          sha256: hash.image_sha256
+        })
+      });
+    }
+
+    const matches = images.flatMap(image => image.similar_images);
+
+    logAction('report_similar_images_viewed', { report_id: id, matches: matches.length });
+
+    res.json({
+      report_id: id,
+      disaster_id: report.disaster_id,
+      max_distance: maxDistance,
+      images,
+      total_matches: matches.length,
+      recycled: matches.some(match => match.same_disaster === false)
+    });
+
+  } catch (error) {
+    logger.error('Error finding similar images:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Images sent with a report: uploaded files (multipart field "images") and image_urls
+// (one or more URLs), plus the older single image_url. Image loading errors are thrown
+// with the codes from utils/images.js.
+async function loadRequestImages(req) {
+  const urls = [...new Set(
+    [].concat(req.body.image_urls || [], req.body.image_url || [])
+      .map(url => String(url).trim())
+      .filter(Boolean)
+  )];
+  const files = req.files || [];
+
+  if (files.length + urls.length > MAX_REPORT_ATTACHMENTS) {
+    const error = new Error(`At most ${MAX_REPORT_ATTACHMENTS} images can be attached to a report`);
+    error.code = 'TOO_MANY_ATTACHMENTS';
+    throw error;
+  }
+
+  const images = files.map(file => ({
+    image: describeImage(file.buffer),
+    originalName: file.originalname,
+    sourceUrl: null
+  }));
+
+  for (const url of urls) {
+    images.push({ image: await fetchImage(url), originalName: null, sourceUrl: url });
+  }
+
+  return images;
+}
+
+// Store a report's images as attachments and queue their verification. Returns the
+// attachments (public shape) and the verification job.
+async function attachReportImages(report, images, user) {
+  const attachments = [];
+
+  for (const { image, originalName, sourceUrl } of images) {
+    const attachment = await AttachmentService.storeImage(image, {
+      reportId: report.id,
+      userId: user.id,
+      sourceUrl,
+      originalName
+    });
+    attachments.push(attachment);
+  }
+
+  const job = await verificationQueue.enqueue('report_images', {
+    report_id: report.id,
+    attachment_ids: attachments.map(attachment => attachment.id)
+  }, { reportId: report.id, createdBy: user.id });
+
+  return {
+    attachments: attachments.map(attachment => AttachmentService.toPublic(attachment)),
+    job: { id: job.id, status: job.status }
+  };
+}
+
+// POST /api/reports - Create new report (JSON, or multipart with up to 5 "images" files)
+router.post('/', authenticate, requirePermission('reports:create'), imageUpload.array('images', MAX_REPORT_ATTACHMENTS), async (req, res) => {
   try {
-    const { disaster_id, content, image_url } = req.body;
+    const { disaster_id, content, latitude, longitude, accuracy_m, location_name } = req.body;
 
     // Validation
     if (!disaster_id || !content) {
@@ -118,6 +239,27 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
+    // Optional report position (with the device's accuracy in metres) or a place name to geocode
+    let coordinates = null;
+    if (latitude !== undefined || longitude !== undefined) {
+      coordinates = parseCoordinates(latitude, longitude);
+      if (!coordinates) {
+        return res.status(400).json({ error: 'latitude and longitude must be valid coordinates' });
+      }
+    }
+
+    let accuracyM = null;
+    if (accuracy_m !== undefined && accuracy_m !== null && accuracy_m !== '') {
+      accuracyM = parseFloat(accuracy_m);
+      if (!coordinates || isNaN(accuracyM) || accuracyM <= 0) {
+        return res.status(400).json({ error: 'accuracy_m must be a positive number of metres sent with latitude and longitude' });
+      }
+    }
+
+    if (location_name !== undefined && (typeof location_name !== 'string' || location_name.trim().length > 255)) {
+      return res.status(400).json({ error: 'location_name must be text of at most 255 characters' });
+    }
+
     if (content.length < 10) {
       return res.status(400).json({ 
         error: 'Content must be at least 10 characters long' 
@@ -125,17 +267,42 @@ router.post('/', authenticate, async (req, res) => {
     }
 
     // Check if disaster exists
-    const { data: disaster, error: disasterError } = await supabase
-      .from('disasters')
-      .select('id, title')
-      .eq('id', disaster_id)
-      .single();
+    const disaster = await db.disasters.findById(disaster_id);
 
-    if (disasterError || !disaster) {
+    if (!disaster) {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
+    // Load every image before anything is stored, so a bad one rejects the whole report
+    let images;
+    try {
+      images = await loadRequestImages(req);
+    } catch (error) {
+      if (error.code === 'TOO_MANY_ATTACHMENTS') {
+        return res.status(400).json({ error: error.message });
+      }
+      const status = imageErrorStatus(error.code);
+      if (status) {
+        return res.status(status).json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+
+    // Geocoding and extraction failures leave the report without a position
+    const reportLocation = await GeocodingService.locate({
+      coordinates,
+      accuracyM: accuracyM === null ? null : Math.round(accuracyM),
+      locationName: location_name ? location_name.trim() : null,
+      content,
+      disaster
+    });
+
     const reportId = uuidv4();
+
+    // Reports from highly trusted reporters without images need no reviewer; images are
+    // checked first either way
+    const trust = await TrustService.get(req.user.id);
+    const autoVerified = images.length === 0 && await TrustService.autoVerifies(req.user.id);
     
     // Create report record
     const reportData = {
@@ -143,25 +310,20 @@ router.post('/', authenticate, async (req, res) => {
       disaster_id,
       user_id: req.user.id,
       content,
-      image_url,
-      verification_status: 'pending',
+      image_url: null,
+      ...reportLocation,
+      verification_status: autoVerified ? 'verified' : 'pending',
+      verified_at: autoVerified ? new Date().toISOString() : null,
+      urgency: ModerationService.urgencyFor(content),
+      reporter_trust_score: trust.score,
+      reporter_trust_level: trust.level,
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
-      .from('reports')
-      .insert(reportData)
-      .select(`
-        *,
-        disasters!disaster_id (
-          id,
-          title,
-          location_name
-        )
-      `)
-      .single();
-
-    if (error) {
+    let data;
+    try {
+      data = await attachDisasters(await db.reports.insert(reportData));
+    } catch (error) {
       logger.error('Database error creating report:', error);
       return res.status(500).json({ error: 'Failed to create report' });
     }
@@ -170,34 +332,32 @@ router.post('/', authenticate, async (req, res) => {
       report_id: reportId, 
       disaster_id,
       content_preview: content.substring(0, 100),
-      has_image: !!image_url,
+      has_image: images.length > 0,
+      attachments: images.length,
+      location_source: reportLocation.location_source,
+      auto_verified: autoVerified,
       created_by: req.user.id 
     });
 
-    // Automatically verify image if provided
-    if (image_url) {
-      try {
-        const verification = await GeminiService.verifyDisasterImage(image_url, content);
-        
-        // Update verification status based on Gemini analysis
-        const newStatus = verification.authenticity === 'verified' ? 'verified' : 
-                          verification.authenticity === 'suspicious' ? 'pending' : 'rejected';
-        
-        await supabase
-          .from('reports')
-          .update({ verification_status: newStatus })
-          .eq('id', reportId);
-
-        data.verification_status = newStatus;
-        
-        logAction('report_auto_verified', { 
-          report_id: reportId, 
-          verification_result: verification.authenticity,
-          confidence: verification.confidence
-        });
-      } catch (error) {
-        logger.error('Auto-verification error:', error);
-      }
+    if (autoVerified) {
+      await ModerationService.record(data, {
+        action: 'auto_verified',
+        fromStatus: 'pending',
+        toStatus: 'verified',
+        notes: `Trusted reporter (trust score ${trust.score})`
+      });
+    }
+
+    // Store attached images; they are verified in the background and a report_verified
+    // event announces the outcome
+    data.attachments = [];
+    data.verification_job = null;
+    if (images.length > 0) {
+      const stored = await attachReportImages(data, images, req.user);
+      data.attachments = stored.attachments;
+      data.verification_job = stored.job;
+      data.image_url = data.attachments[0].url;
+      await db.reports.update(reportId, { image_url: data.image_url });
     }
 
     // Emit real-time update
@@ -216,57 +376,138 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
-// PUT /api/reports/:id/verify - Update report verification status
-router.put('/:id/verify', authenticate, async (req, res) => {
+// POST /api/reports/:id/attachments - Add images to a report (owner or reviewers)
+router.post('/:id/attachments', authenticate, imageUpload.array('images', MAX_REPORT_ATTACHMENTS), async (req, res) => {
   try {
     const { id } = req.params;
-    const { verification_status, notes } = req.body;
 
-    // Only admins can manually verify reports
-    if (req.user.role !== 'admin') {
+    const report = await db.reports.findById(id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!canModify(req.user, report.user_id, 'reports:verify')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    // Validate verification status
-    const validStatuses = ['pending', 'verified', 'rejected'];
-    if (!validStatuses.includes(verification_status)) {
-      return res.status(400).json({ 
-        error: 'Invalid verification status. Must be one of: ' + validStatuses.join(', ')
-      });
+    let images;
+    try {
+      images = await loadRequestImages(req);
+    } catch (error) {
+      if (error.code === 'TOO_MANY_ATTACHMENTS') {
+        return res.status(400).json({ error: error.message });
+      }
+      const status = imageErrorStatus(error.code);
+      if (status) {
+        return res.status(status).json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+
+    if (images.length === 0) {
+      return res.status(400).json({ error: 'Upload images or provide image_urls' });
+    }
+
+    const existing = await db.attachments.count({ report_id: id });
+    if (existing + images.length > MAX_REPORT_ATTACHMENTS) {
+      return res.status(400).json({ error: `At most ${MAX_REPORT_ATTACHMENTS} images can be attached to a report` });
     }
 
+    const { attachments, job } = await attachReportImages(report, images, req.user);
+
+    if (!report.image_url) {
+      await db.reports.update(id, { image_url: attachments[0].url });
+    }
+
+    logAction('report_attachments_added', {
+      report_id: id,
+      attachments: attachments.map(attachment => attachment.id),
+      added_by: req.user.id
+    });
+
+    req.io.emit('report_updated', {
+      action: 'attachments_added',
+      report_id: id,
+      disaster_id: report.disaster_id,
+      attachments,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json({ report_id: id, attachments, verification_job: job });
+
+  } catch (error) {
+    logger.error('Error adding report attachments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/reports/:id/attachments/:attachment_id - Remove an image from a report
+router.delete('/:id/attachments/:attachment_id', authenticate, async (req, res) => {
+  try {
+    const { id, attachment_id } = req.params;
+
+    const report = await db.reports.findById(id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const attachment = await db.attachments.findOne({ id: attachment_id, report_id: id });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (!canModify(req.user, report.user_id, 'reports:verify')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    await AttachmentService.remove(attachment);
+
+    // Point image_url at the next attachment, if any
+    if (report.image_url === `/api/attachments/${attachment_id}`) {
+      const [next] = await db.attachments.list({ where: { report_id: id }, orderBy: 'created_at', limit: 1 });
+      await db.reports.update(id, { image_url: next ? AttachmentService.toPublic(next).url : null });
+    }
+
+    logAction('report_attachment_deleted', {
+      report_id: id,
+      attachment_id,
+      deleted_by: req.user.id
+    });
+
+    res.json({ message: 'Attachment deleted successfully' });
+
+  } catch (error) {
+    logger.error('Error deleting report attachment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/reports/:id/verify - Update report verification status (rejections need reason_code)
+router.put('/:id/verify', authenticate, requirePermission('reports:verify'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verification_status, reason_code, notes } = req.body;
+
     // Check if report exists
-    const { data: existingReport, error: fetchError } = await supabase
-      .from('reports')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const existingReport = await db.reports.findById(id);
 
-    if (fetchError || !existingReport) {
+    if (!existingReport) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Update verification status
-    const { data, error } = await supabase
-      .from('reports')
-      .update({ 
-        verification_status,
-        verified_at: verification_status !== 'pending' ? new Date().toISOString() : null,
-        verified_by: verification_status !== 'pending' ? req.user.id : null,
-        verification_notes: notes || null
-      })
-      .eq('id', id)
-      .select(`
-        *,
-        disasters!disaster_id (
-          id,
-          title,
-          location_name
-        )
-      `)
-      .single();
-
-    if (error) {
+    // Update verification status (recorded in the report history)
+    let data;
+    try {
+      data = await attachDisasters(await ModerationService.decide(existingReport, req.user, {
+        status: verification_status,
+        reasonCode: reason_code,
+        notes
+      }));
+    } catch (error) {
+      const status = moderationErrorStatus(error.code);
+      if (status) {
+        return res.status(status).json({ error: error.message, code: error.code });
+      }
       logger.error('Database error updating report verification:', error);
       return res.status(500).json({ error: 'Failed to update verification status' });
     }
@@ -274,6 +515,7 @@ router.put('/:id/verify', authenticate, async (req, res) => {
     logAction('report_verified', { 
       report_id: id, 
       verification_status,
+      reason_code: data.rejection_reason,
       verified_by: req.user.id,
       notes 
     });
@@ -300,27 +542,21 @@ router.delete('/:id', authenticate, async (req, res) => {
     const { id } = req.params;
 
     // Check if report exists
-    const { data: existingReport, error: fetchError } = await supabase
-      .from('reports')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const existingReport = await db.reports.findById(id);
 
-    if (fetchError || !existingReport) {
+    if (!existingReport) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
     // Only report owner or admin can delete
-    if (existingReport.user_id !== req.user.id && req.user.role !== 'admin') {
+    if (!canModify(req.user, existingReport.user_id, 'reports:delete')) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    const { error } = await supabase
-      .from('reports')
-      .delete()
-      .eq('id', id);
-
-    if (error) {
+    try {
+      await AttachmentService.removeForReport(id);
+      await db.reports.delete(id);
+    } catch (error) {
       logger.error('Database error deleting report:', error);
       return res.status(500).json({ error: 'Failed to delete report' });
     }
@@ -352,22 +588,14 @@ router.get('/stats', async (req, res) => {
   try {
     const { disaster_id } = req.query;
 
-    let query = supabase
-      .from('reports')
-      .select('verification_status, created_at, user_id');
-
-    if (disaster_id) {
-      query = query.eq('disaster_id', disaster_id);
-    }
-
-    const { data, error } = await query;
-
-    if (error) {
+    let reports;
+    try {
+      reports = await db.reports.list({ where: disaster_id ? { disaster_id } : {} });
+    } catch (error) {
       logger.error('Database error fetching report stats:', error);
       return res.status(500).json({ error: 'Failed to fetch report statistics' });
     }
 
-    const reports = data || [];
     
     const stats = {
       total_reports: reports.length,
@@ -389,4 +617,6 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+router.use(handleUploadErrors);
+
 export default router;
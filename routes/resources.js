@@ -1,82 +1,124 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { supabase, findNearbyResources } from '../services/database.js';
+import { db, attachDisasters, findNearby } from '../services/database.js';
+import { GeocodingService } from '../services/geocoding.js';
+import {
+  InventoryService, MOVEMENT_KINDS, inventoryErrorStatus, normalizeItem
+} from '../services/inventory.js';
+import {
+  ReservationService, RESERVATION_STATUSES, reservationErrorStatus
+} from '../services/reservations.js';
+import { authenticate, requirePermission, canModify } from '../middleware/auth.js';
 import { logger, logAction } from '../utils/logger.js';
+import { parseCoordinates } from '../utils/geo.js';
+import { wantsGeoJSON, sendFeatureCollection } from '../utils/geojson.js';
 
 const router = express.Router();
 
-// Simple authentication middleware
-const authenticate = (req, res, next) => {
-  req.user = {
-    id: '550e8400-e29b-41d4-a716-446655440000', // Fixed UUID for testing
-    username: 'testuser',
-    name: 'Test User',
-    role: 'admin',
-    email: 'test@disaster.response'
-  };
-  next();
-};
+// Respond to an inventory error (kind, quantity, capacity, stock); false for anything else
+function sendInventoryError(res, error) {
+  const status = inventoryErrorStatus(error.code);
+  if (!status) return false;
+  res.status(status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+// Respond to a reservation error (window, capacity conflict, closed hold); false for anything else
+function sendReservationError(res, error) {
+  const status = reservationErrorStatus(error.code);
+  if (!status) return false;
+  const body = { error: error.message, code: error.code };
+  if (error.code === 'CAPACITY_CONFLICT') {
+    body.available_quantity = error.available;
+    body.conflicting_reservations = error.conflicts;
+  }
+  res.status(status).json(body);
+  return true;
+}
+
+// Load :id and :reservation_id, 404 when either is missing or they don't belong together
+async function findReservation(req, res) {
+  const reservation = await db.resourceReservations.findById(req.params.reservation_id);
+  if (!reservation || reservation.resource_id !== req.params.id) {
+    res.status(404).json({ error: 'Reservation not found' });
+    return null;
+  }
+  return reservation;
+}
+
+function emitReservation(req, action, reservation) {
+  req.io.emit('reservation_updated', {
+    action,
+    reservation,
+    resource_id: reservation.resource_id,
+    requester_id: reservation.requested_by,
+    disaster_id: reservation.disaster_id,
+    timestamp: new Date().toISOString()
+  });
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
 
 // GET /api/resources - List all resources with filtering
 router.get('/', async (req, res) => {
   try {
-    const { disaster_id, type, lat, lon, radius = 10, limit = 50, offset = 0 } = req.query;
+    const { disaster_id, type, lat, lon, radius = 10 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
     
-    let query = supabase
-      .from('resources')
-      .select(`
-        *,
-        disasters!disaster_id (
-          id,
-          title,
-          location_name
-        )
-      `)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
     // Apply filters
+    const where = {};
+
     if (disaster_id) {
-      query = query.eq('disaster_id', disaster_id);
+      where.disaster_id = disaster_id;
     }
     
     if (type) {
-      query = query.eq('type', type);
+      where.type = type;
     }
 
-    const { data, error, count } = await query;
+    let data;
+    let total;
 
-    if (error) {
-      logger.error('Database error fetching resources:', error);
-      return res.status(500).json({ error: 'Failed to fetch resources' });
-    }
-
-    let filteredData = data || [];
-
-    // Apply geospatial filtering if coordinates provided
+    // Apply geospatial filtering if coordinates provided (nearest first, with distance_km)
     if (lat && lon) {
-      try {
-        const latitude = parseFloat(lat);
-        const longitude = parseFloat(lon);
-        const radiusKm = parseFloat(radius);
-        
-        // In a real implementation, this would use PostGIS ST_DWithin
-        filteredData = await findNearbyResources(longitude, latitude, radiusKm * 1000, disaster_id);
-      } catch (error) {
-        logger.error('Geospatial filtering error:', error);
+      const point = parseCoordinates(lat, lon);
+      const radiusKm = parseFloat(radius);
+
+      if (!point || isNaN(radiusKm) || radiusKm <= 0) {
+        return res.status(400).json({ error: 'Invalid coordinate or radius values' });
       }
+
+      const nearby = await findNearby('resources', { ...point, radiusKm, where });
+      data = nearby.slice(offset, offset + limit);
+      total = nearby.length;
+    } else {
+      [data, total] = await Promise.all([
+        db.resources.list({ where, orderBy: 'created_at', ascending: false, limit, offset }),
+        db.resources.count(where)
+      ]);
     }
 
+    const filteredData = await attachDisasters(data);
+
     logAction('resources_fetched', { 
       count: filteredData.length, 
       filters: { disaster_id, type, lat, lon, radius } 
     });
 
+    if (wantsGeoJSON(req)) {
+      return sendFeatureCollection(res, filteredData, {
+        total,
+        offset,
+        limit
+      });
+    }
+
     res.json({
       resources: filteredData,
-      total: count || filteredData.length,
-      offset: parseInt(offset),
-      limit: parseInt(limit),
+      total,
+      offset,
+      limit,
       geospatial_filter: lat && lon ? { lat, lon, radius } : null
     });
 
@@ -86,29 +128,109 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/resources/nearby - Find nearby resources using geospatial query
+router.get('/nearby', async (req, res) => {
+  try {
+    const { lat, lon, radius = 10, type, disaster_id } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+
+    if (!lat || !lon) {
+      return res.status(400).json({ 
+        error: 'lat and lon parameters are required' 
+      });
+    }
+
+    const point = parseCoordinates(lat, lon);
+    const radiusKm = parseFloat(radius);
+
+    if (!point || isNaN(radiusKm) || radiusKm <= 0) {
+      return res.status(400).json({ 
+        error: 'Invalid coordinate or radius values' 
+      });
+    }
+
+    const where = {};
+    if (type) {
+      where.type = type.toLowerCase();
+    }
+    if (disaster_id) {
+      where.disaster_id = disaster_id;
+    }
+
+    // Distance-filtered, nearest-first resources with distance_km
+    const nearbyResources = await findNearby('resources', { ...point, radiusKm, where });
+
+    // Limit results
+    const limitedResources = nearbyResources.slice(0, limit);
+
+    logAction('nearby_resources_searched', { 
+      lat: point.latitude, 
+      lon: point.longitude, 
+      radius, 
+      type, 
+      disaster_id,
+      results_count: limitedResources.length 
+    });
+
+    res.json({
+      query: {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        radius_km: radiusKm,
+        type,
+        disaster_id
+      },
+      resources: limitedResources,
+      total_found: nearbyResources.length,
+      returned: limitedResources.length
+    });
+
+  } catch (error) {
+    logger.error('Error finding nearby resources:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/resources/types - Get available resource types
+router.get('/types', async (req, res) => {
+  try {
+    let data;
+    try {
+      data = await db.resources.list({ where: { type: { isNull: false } } });
+    } catch (error) {
+      logger.error('Database error fetching resource types:', error);
+      return res.status(500).json({ error: 'Failed to fetch resource types' });
+    }
+
+    // Get unique types
+    const types = [...new Set(data.map(r => r.type))].sort();
+
+    res.json({
+      types,
+      count: types.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching resource types:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/resources/:id - Get specific resource
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
-      .from('resources')
-      .select(`
-        *,
-        disasters!disaster_id (
-          id,
-          title,
-          location_name,
-          description
-        )
-      `)
-      .eq('id', id)
-      .single();
-
-    if (error || !data) {
+    const data = await db.resources.findById(id);
+
+    if (!data) {
       return res.status(404).json({ error: 'Resource not found' });
     }
 
+    await attachDisasters(data, ['id', 'title', 'location_name', 'description']);
+    data.spare_capacity = InventoryService.spareCapacity(data);
+    data.inventory = await InventoryService.inventory(id);
+
     logAction('resource_viewed', { resource_id: id });
 
     res.json(data);
@@ -120,9 +242,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/resources - Create new resource
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('resources:create'), async (req, res) => {
   try {
-    const { disaster_id, name, location_name, type, description, contact_info } = req.body;
+    const { disaster_id, name, location_name, type, description, contact_info, capacity, full_threshold } = req.body;
 
     // Validation
     if (!disaster_id || !name || !type) {
@@ -131,14 +253,18 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
+    if (capacity !== undefined && capacity !== null && (!Number.isInteger(capacity) || capacity < 0)) {
+      return res.status(400).json({ error: 'capacity must be a whole number of zero or more' });
+    }
+
+    if (full_threshold !== undefined && !isCount(full_threshold)) {
+      return res.status(400).json({ error: 'full_threshold must be a whole number of zero or more' });
+    }
+
     // Check if disaster exists
-    const { data: disaster, error: disasterError } = await supabase
-      .from('disasters')
-      .select('id')
-      .eq('id', disaster_id)
-      .single();
+    const disaster = await db.disasters.findById(disaster_id);
 
-    if (disasterError || !disaster) {
+    if (!disaster) {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
@@ -164,27 +290,25 @@ router.post('/', authenticate, async (req, res) => {
       disaster_id,
       name,
       location_name,
-      location: coordinates ? `POINT(${coordinates.longitude} ${coordinates.latitude})` : null,
+      latitude: coordinates ? coordinates.latitude : null,
+      longitude: coordinates ? coordinates.longitude : null,
       type,
       description,
+      capacity: capacity ?? null,
+      capacity_reserved: 0,
+      occupancy: 0,
+      full_threshold: full_threshold || 0,
+      available: true,
       contact_info: contact_info || {},
+      created_by: req.user.id,
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
-      .from('resources')
-      .insert(resourceData)
-      .select(`
-        *,
-        disasters!disaster_id (
-          id,
-          title,
-          location_name
-        )
-      `)
-      .single();
-
-    if (error) {
+    let data;
+    try {
+      await db.resources.insert(resourceData);
+      data = await attachDisasters(await InventoryService.refreshAvailability(resourceId));
+    } catch (error) {
       logger.error('Database error creating resource:', error);
       return res.status(500).json({ error: 'Failed to create resource' });
     }
@@ -202,6 +326,7 @@ router.post('/', authenticate, async (req, res) => {
     req.io.emit('resources_updated', {
       action: 'created',
       resource: data,
+      occupancy: InventoryService.occupancy(data),
       disaster_id,
       timestamp: new Date().toISOString()
     });
@@ -218,19 +343,42 @@ router.post('/', authenticate, async (req, res) => {
 router.put('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, location_name, type, description, contact_info } = req.body;
+    const { name, location_name, type, description, contact_info, capacity, full_threshold } = req.body;
 
     // Check if resource exists
-    const { data: existingResource, error: fetchError } = await supabase
-      .from('resources')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const existingResource = await db.resources.findById(id);
 
-    if (fetchError || !existingResource) {
+    if (!existingResource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
 
+    if (!canModify(req.user, existingResource.created_by, 'resources:update')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (capacity !== undefined && capacity !== null) {
+      if (!isCount(capacity)) {
+        return res.status(400).json({ error: 'capacity must be a whole number of zero or more' });
+      }
+
+      // Capacity can't drop below the places in use, reserved by matches or held by reservations
+      const occupancy = existingResource.occupancy || 0;
+      const reserved = existingResource.capacity_reserved || 0;
+      const held = await ReservationService.heldFromNow(id);
+      if (capacity < occupancy + reserved + held) {
+        return res.status(409).json({
+          error: `capacity must be at least ${occupancy + reserved + held}`,
+          occupancy,
+          capacity_reserved: reserved,
+          reservations_held: held
+        });
+      }
+    }
+
+    if (full_threshold !== undefined && !isCount(full_threshold)) {
+      return res.status(400).json({ error: 'full_threshold must be a whole number of zero or more' });
+    }
+
     // Geocode new location if changed
     let coordinates = null;
     if (location_name && location_name !== existingResource.location_name) {
@@ -249,27 +397,21 @@ router.put('/:id', authenticate, async (req, res) => {
     const updateData = {
       name: name || existingResource.name,
       location_name: location_name || existingResource.location_name,
-      location: coordinates ? `POINT(${coordinates.longitude} ${coordinates.latitude})` : existingResource.location,
+      latitude: coordinates ? coordinates.latitude : existingResource.latitude,
+      longitude: coordinates ? coordinates.longitude : existingResource.longitude,
       type: type || existingResource.type,
       description: description || existingResource.description,
+      capacity: capacity !== undefined ? capacity : existingResource.capacity,
+      full_threshold: full_threshold !== undefined ? full_threshold : existingResource.full_threshold,
       contact_info: contact_info || existingResource.contact_info
     };
 
-    const { data, error } = await supabase
-      .from('resources')
-      .update(updateData)
-      .eq('id', id)
-      .select(`
-        *,
-        disasters!disaster_id (
-          id,
-          title,
-          location_name
-        )
-      `)
-      .single();
-
-    if (error) {
+    let data;
+    try {
+      await db.resources.update(id, updateData);
+      // A new capacity or threshold can make the resource full or free again
+      data = await attachDisasters(await InventoryService.refreshAvailability(id));
+    } catch (error) {
       logger.error('Database error updating resource:', error);
       return res.status(500).json({ error: 'Failed to update resource' });
     }
@@ -285,6 +427,7 @@ router.put('/:id', authenticate, async (req, res) => {
     req.io.emit('resources_updated', {
       action: 'updated',
       resource: data,
+      occupancy: InventoryService.occupancy(data),
       disaster_id: data.disaster_id,
       timestamp: new Date().toISOString()
     });
@@ -297,146 +440,376 @@ router.put('/:id', authenticate, async (req, res) => {
   }
 });
 
-// DELETE /api/resources/:id - Delete resource
-router.delete('/:id', authenticate, async (req, res) => {
+// GET /api/resources/:id/inventory - Occupancy and stock levels of a resource
+router.get('/:id/inventory', async (req, res) => {
   try {
-    const { id } = req.params;
+    const resource = await db.resources.findById(req.params.id);
 
-    // Check if resource exists
-    const { data: existingResource, error: fetchError } = await supabase
-      .from('resources')
-      .select('*')
-      .eq('id', id)
-      .single();
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const items = await InventoryService.inventory(resource.id);
+
+    res.json({
+      resource_id: resource.id,
+      ...InventoryService.occupancy(resource),
+      items,
+      low_items: items.filter(item => item.low).map(item => item.item)
+    });
 
-    if (fetchError || !existingResource) {
+  } catch (error) {
+    logger.error('Error fetching resource inventory:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/resources/:id/inventory/:item - Define a stock item or change its unit or low_threshold
+router.put('/:id/inventory/:item', authenticate, requirePermission('resources:track'), async (req, res) => {
+  try {
+    const { unit, low_threshold } = req.body;
+    const item = normalizeItem(req.params.item);
+
+    if (!item) {
+      return res.status(400).json({ error: 'item is required' });
+    }
+
+    if (unit !== undefined && (typeof unit !== 'string' || !unit.trim())) {
+      return res.status(400).json({ error: 'unit must be a non-empty string' });
+    }
+
+    if (low_threshold !== undefined && !isCount(low_threshold)) {
+      return res.status(400).json({ error: 'low_threshold must be a whole number of zero or more' });
+    }
+
+    const resource = await db.resources.findById(req.params.id);
+
+    if (!resource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
 
-    const { error } = await supabase
-      .from('resources')
-      .delete()
-      .eq('id', id);
+    const stock = await InventoryService.setItem(resource, item, {
+      unit: unit ? unit.trim() : null,
+      lowThreshold: low_threshold ?? null
+    });
 
-    if (error) {
-      logger.error('Database error deleting resource:', error);
-      return res.status(500).json({ error: 'Failed to delete resource' });
+    logAction('resource_item_updated', { resource_id: resource.id, item, unit, low_threshold, updated_by: req.user.id });
+
+    res.json(stock);
+
+  } catch (error) {
+    logger.error('Error updating resource inventory item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/resources/:id/movements - Ledger of check-ins, check-outs, deliveries and distributions, newest first
+router.get('/:id/movements', async (req, res) => {
+  try {
+    const { kind, item, limit = 50, offset = 0 } = req.query;
+
+    if (kind && !MOVEMENT_KINDS.includes(kind)) {
+      return res.status(400).json({ error: 'Invalid kind. Must be one of: ' + MOVEMENT_KINDS.join(', ') });
     }
 
-    logAction('resource_deleted', { 
-      resource_id: id, 
-      name: existingResource.name,
-      type: existingResource.type,
-      deleted_by: req.user.id 
+    const resource = await db.resources.findById(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const pageLimit = Math.min(parseInt(limit) || 50, 200);
+    const pageOffset = parseInt(offset) || 0;
+    const { movements, total } = await InventoryService.movements(resource.id, {
+      kind: kind || null,
+      item: item || null,
+      limit: pageLimit,
+      offset: pageOffset
     });
 
-    // Emit real-time update
+    res.json({ movements, total, offset: pageOffset, limit: pageLimit });
+
+  } catch (error) {
+    logger.error('Error fetching resource movements:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/resources/:id/movements - Record a check-in, check-out, delivery, distribution or count adjustment
+router.post('/:id/movements', authenticate, requirePermission('resources:track'), async (req, res) => {
+  try {
+    const { kind, quantity, item, unit, notes, force = false } = req.body;
+
+    const resource = await db.resources.findById(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const wasAvailable = resource.available !== false;
+    const result = await InventoryService.recordMovement(resource, req.user, {
+      kind,
+      quantity,
+      item: item || null,
+      unit: unit || null,
+      notes: notes || null,
+      force: force === true
+    });
+
+    logAction('resource_movement_recorded', {
+      resource_id: resource.id,
+      movement_id: result.movement.id,
+      kind,
+      item: result.movement.item,
+      delta: result.movement.delta,
+      balance_after: result.movement.balance_after,
+      recorded_by: req.user.id
+    });
+
+    const available = result.resource.available !== false;
     req.io.emit('resources_updated', {
-      action: 'deleted',
-      resource_id: id,
-      disaster_id: existingResource.disaster_id,
+      action: result.item ? 'stock_changed' : 'occupancy_changed',
+      resource: result.resource,
+      occupancy: InventoryService.occupancy(result.resource),
+      item: result.item,
+      movement: result.movement,
+      availability_changed: available !== wasAvailable,
+      disaster_id: result.resource.disaster_id,
       timestamp: new Date().toISOString()
     });
 
-    res.json({ message: 'Resource deleted successfully' });
+    res.status(201).json(result);
 
   } catch (error) {
-    logger.error('Error deleting resource:', error);
+    if (sendInventoryError(res, error)) return;
+    logger.error('Error recording resource movement:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/resources/nearby - Find nearby resources using geospatial query
-router.get('/nearby', async (req, res) => {
+// GET /api/resources/:id/reservations - Reservations by start time, and what's left in a window (from/to, default the next day)
+router.get('/:id/reservations', async (req, res) => {
   try {
-    const { lat, lon, radius = 10, type, disaster_id, limit = 20 } = req.query;
+    const { status, from, to, limit = 50, offset = 0 } = req.query;
 
-    if (!lat || !lon) {
-      return res.status(400).json({ 
-        error: 'lat and lon parameters are required' 
-      });
+    if (status && !RESERVATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be one of: ' + RESERVATION_STATUSES.join(', ') });
     }
 
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lon);
-    const radiusMeters = parseFloat(radius) * 1000; // Convert km to meters
+    const resource = await db.resources.findById(req.params.id);
 
-    if (isNaN(latitude) || isNaN(longitude) || isNaN(radiusMeters)) {
-      return res.status(400).json({ 
-        error: 'Invalid coordinate or radius values' 
-      });
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
     }
 
-    // Use geospatial query to find nearby resources
-    const nearbyResources = await findNearbyResources(
-      longitude, 
-      latitude, 
-      radiusMeters, 
-      disaster_id
-    );
+    let window;
+    try {
+      window = ReservationService.parseWindow(from || null, to || null, { past: true });
+    } catch (error) {
+      if (sendReservationError(res, error)) return;
+      throw error;
+    }
 
-    // Filter by type if specified
-    let filteredResources = nearbyResources;
-    if (type) {
-      filteredResources = nearbyResources.filter(resource => 
-        resource.type.toLowerCase() === type.toLowerCase()
-      );
+    const pageLimit = Math.min(parseInt(limit) || 50, 200);
+    const pageOffset = parseInt(offset) || 0;
+    const [{ reservations, total }, availability] = await Promise.all([
+      ReservationService.list(resource.id, {
+        status: status || null,
+        from: from ? window.from : null,
+        to: to ? window.to : null,
+        limit: pageLimit,
+        offset: pageOffset
+      }),
+      ReservationService.availability(resource, window)
+    ]);
+
+    res.json({
+      reservations,
+      total,
+      offset: pageOffset,
+      limit: pageLimit,
+      window: {
+        from: new Date(window.from).toISOString(),
+        to: new Date(window.to).toISOString(),
+        units: availability.units,
+        reserved: availability.reserved,
+        available: availability.available
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reservations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/resources/:id/reservations - Hold units of a resource for a time window; 409 on a capacity conflict
+router.post('/:id/reservations', authenticate, requirePermission('reservations:create'), async (req, res) => {
+  try {
+    const { quantity = 1, starts_at, ends_at, disaster_id, report_id, need_id, notes, confirm = false } = req.body;
+
+    const resource = await db.resources.findById(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
     }
 
-    // Limit results
-    const limitedResources = filteredResources.slice(0, parseInt(limit));
+    // What the reservation is for: a report or need of the resource's disaster
+    let disasterId = disaster_id || resource.disaster_id || null;
+    for (const [table, id, label] of [[db.reports, report_id, 'report'], [db.needs, need_id, 'need']]) {
+      if (!id) continue;
+      const linked = await table.findById(id);
+      if (!linked || (disasterId && linked.disaster_id !== disasterId)) {
+        return res.status(400).json({ error: `The linked ${label} does not exist for this disaster` });
+      }
+      disasterId = linked.disaster_id;
+    }
 
-    logAction('nearby_resources_searched', { 
-      lat: latitude, 
-      lon: longitude, 
-      radius, 
-      type, 
-      disaster_id,
-      results_count: limitedResources.length 
+    if (disasterId && disasterId !== resource.disaster_id && !await db.disasters.findById(disasterId)) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    let reservation = await ReservationService.hold(resource, req.user, {
+      quantity,
+      startsAt: starts_at || null,
+      endsAt: ends_at || null,
+      disasterId,
+      reportId: report_id || null,
+      needId: need_id || null,
+      notes: notes || null
     });
 
-    res.json({
-      query: {
-        latitude,
-        longitude,
-        radius_km: parseFloat(radius),
-        type,
-        disaster_id
-      },
-      resources: limitedResources,
-      total_found: filteredResources.length,
-      returned: limitedResources.length
+    if (confirm === true) {
+      reservation = await ReservationService.confirm(reservation, req.user);
+    }
+
+    logAction('reservation_created', {
+      reservation_id: reservation.id,
+      resource_id: resource.id,
+      quantity: reservation.quantity,
+      starts_at: reservation.starts_at,
+      ends_at: reservation.ends_at,
+      status: reservation.status,
+      requested_by: req.user.id
     });
 
+    emitReservation(req, reservation.status, reservation);
+
+    res.status(201).json(reservation);
+
   } catch (error) {
-    logger.error('Error finding nearby resources:', error);
+    if (sendReservationError(res, error)) return;
+    logger.error('Error creating reservation:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/resources/types - Get available resource types
-router.get('/types', async (req, res) => {
+// GET /api/resources/:id/reservations/:reservation_id - A single reservation
+router.get('/:id/reservations/:reservation_id', async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('resources')
-      .select('type')
-      .not('type', 'is', null);
+    const reservation = await findReservation(req, res);
+    if (!reservation) return;
 
-    if (error) {
-      logger.error('Database error fetching resource types:', error);
-      return res.status(500).json({ error: 'Failed to fetch resource types' });
+    res.json({ ...reservation, active: ReservationService.isActive(reservation) });
+
+  } catch (error) {
+    logger.error('Error fetching reservation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/resources/:id/reservations/:reservation_id/confirm - Confirm a hold before it lapses (its requester or coordinators)
+router.post('/:id/reservations/:reservation_id/confirm', authenticate, async (req, res) => {
+  try {
+    const reservation = await findReservation(req, res);
+    if (!reservation) return;
+
+    if (!canModify(req.user, reservation.requested_by, 'reservations:manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
-    // Get unique types
-    const types = [...new Set(data.map(r => r.type))].sort();
+    const confirmed = await ReservationService.confirm(reservation, req.user);
 
-    res.json({
-      types,
-      count: types.length
+    logAction('reservation_confirmed', { reservation_id: confirmed.id, resource_id: confirmed.resource_id, confirmed_by: req.user.id });
+
+    emitReservation(req, 'confirmed', confirmed);
+
+    res.json(confirmed);
+
+  } catch (error) {
+    if (sendReservationError(res, error)) return;
+    logger.error('Error confirming reservation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/resources/:id/reservations/:reservation_id/release - Give the units back (its requester or coordinators)
+router.post('/:id/reservations/:reservation_id/release', authenticate, async (req, res) => {
+  try {
+    const reservation = await findReservation(req, res);
+    if (!reservation) return;
+
+    if (!canModify(req.user, reservation.requested_by, 'reservations:manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const released = await ReservationService.release(reservation, req.user, { notes: req.body.notes || null });
+
+    logAction('reservation_released', { reservation_id: released.id, resource_id: released.resource_id, released_by: req.user.id });
+
+    emitReservation(req, 'released', released);
+
+    res.json(released);
+
+  } catch (error) {
+    if (sendReservationError(res, error)) return;
+    logger.error('Error releasing reservation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/resources/:id - Delete resource
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if resource exists
+    const existingResource = await db.resources.findById(id);
+
+    if (!existingResource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    if (!canModify(req.user, existingResource.created_by, 'resources:delete')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    try {
+      await db.resources.delete(id);
+    } catch (error) {
+      logger.error('Database error deleting resource:', error);
+      return res.status(500).json({ error: 'Failed to delete resource' });
+    }
+
+    logAction('resource_deleted', { 
+      resource_id: id, 
+      name: existingResource.name,
+      type: existingResource.type,
+      deleted_by: req.user.id 
     });
 
+    // Emit real-time update
+    req.io.emit('resources_updated', {
+      action: 'deleted',
+      resource_id: id,
+      disaster_id: existingResource.disaster_id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({ message: 'Resource deleted successfully' });
+
   } catch (error) {
-    logger.error('Error fetching resource types:', error);
+    logger.error('Error deleting resource:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -1,62 +1,126 @@
 import express from 'express';
-import { SocialMediaService } from '../services/socialMedia.js';
+import { SocialMediaService, DEFAULT_KEYWORDS } from '../services/socialMedia.js';
+import { MockProvider } from '../services/socialProviders/index.js';
+import { scheduler } from '../services/scheduler.js';
+import { db } from '../services/database.js';
+import { optionalAuthenticate } from '../middleware/auth.js';
 import { logger, logAction } from '../utils/logger.js';
 
 const router = express.Router();
 
-// GET /api/social-media/:disaster_id - Get social media reports for a disaster
-router.get('/:disaster_id', async (req, res) => {
+// Newest stored posts scanned for location mentions
+const MAX_LOCATION_POSTS = 500;
+
+// GET /api/social-media/providers - Configured providers and their rate-limit state
+router.get('/providers', (req, res) => {
+  try {
+    res.json({
+      providers: SocialMediaService.getProviderStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching social media providers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/social-media/mock - Get mock social media data for testing
+router.get('/mock', async (req, res) => {
+  try {
+    const { keywords } = req.query;
+    const keywordArray = keywords ? keywords.split(',').map(k => k.trim()) : [];
+
+    const mockData = new MockProvider().getPosts(keywordArray);
+
+    logAction('mock_social_media_fetched', { 
+      keywords: keywordArray, 
+      posts_count: mockData.length 
+    });
+
+    res.json({
+      provider: 'mock',
+      keywords: keywordArray,
+      posts: mockData,
+      total_posts: mockData.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching mock social media data:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/social-media/:disaster_id - Page through stored social media posts for a disaster
+// (signed-in callers pull in new posts first; everyone else reads what the poll job stored)
+router.get('/:disaster_id', optionalAuthenticate, async (req, res) => {
   try {
     const { disaster_id } = req.params;
-    const { keywords, priority, limit = 20, offset = 0 } = req.query;
+    const {
+      keywords, priority, since, until, provider, q, sort = 'recent',
+      include_duplicates, refresh
+    } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    for (const [name, value] of Object.entries({ since, until })) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO 8601 date` });
+      }
+    }
 
-    // Parse keywords
-    const keywordArray = keywords ? keywords.split(',').map(k => k.trim()) : 
-                        ['flood', 'emergency', 'help', 'disaster', 'relief'];
+    const disaster = await db.disasters.findById(disaster_id);
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
 
-    // Fetch social media data
-    const socialMediaData = await SocialMediaService.fetchSocialMediaReports(
-      disaster_id, 
-      keywordArray
-    );
+    // Parse keywords
+    const keywordArray = keywords ? keywords.split(',').map(k => k.trim()) : DEFAULT_KEYWORDS;
 
-    // Filter by priority if specified
-    let filteredPosts = socialMediaData.posts;
-    if (priority) {
-      const minPriority = parseInt(priority);
-      filteredPosts = SocialMediaService.filterPostsByPriority(filteredPosts, minPriority);
+    // Pull in new posts first (provider results are cached for 5 minutes). Fetching runs
+    // provider and model calls, so anonymous callers don't trigger it.
+    let ingest = null;
+    if (refresh !== 'false' && req.user) {
+      ingest = await SocialMediaService.ingestPosts(disaster_id, keywordArray);
     }
 
-    // Apply pagination
-    const startIndex = parseInt(offset);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedPosts = filteredPosts.slice(startIndex, endIndex);
+    const history = await SocialMediaService.getStoredPosts(disaster_id, {
+      since: since ? new Date(since).toISOString() : null,
+      until: until ? new Date(until).toISOString() : null,
+      minPriority: priority ? parseInt(priority) : null,
+      provider,
+      q,
+      includeDuplicates: include_duplicates === 'true',
+      sort,
+      limit,
+      offset
+    });
 
     logAction('social_media_fetched', { 
       disaster_id, 
       keywords: keywordArray, 
-      total_posts: socialMediaData.total_posts,
-      high_priority_posts: socialMediaData.high_priority_posts,
-      filtered_count: filteredPosts.length
+      total_posts: history.total,
+      high_priority_posts: history.highPriority,
+      stored: ingest ? ingest.stats : null
     });
 
     res.json({
       disaster_id,
       keywords: keywordArray,
-      posts: paginatedPosts,
+      posts: history.posts,
       pagination: {
-        total: filteredPosts.length,
-        offset: startIndex,
-        limit: parseInt(limit),
-        has_more: endIndex < filteredPosts.length
+        total: history.total,
+        offset,
+        limit,
+        has_more: offset + history.posts.length < history.total
       },
       summary: {
-        total_posts: socialMediaData.total_posts,
-        high_priority_posts: socialMediaData.high_priority_posts,
-        filtered_posts: filteredPosts.length
+        total_posts: history.total,
+        high_priority_posts: history.highPriority
       },
-      last_updated: socialMediaData.last_updated,
-      provider: socialMediaData.provider
+      ingested: ingest ? ingest.stats : null,
+      providers: ingest ? ingest.providers : [],
+      last_updated: new Date().toISOString()
     });
 
   } catch (error) {
@@ -67,8 +131,10 @@ router.get('/:disaster_id', async (req, res) => {
 
 // GET /api/social-media/:disaster_id/stream - Start streaming social media updates
 router.get('/:disaster_id/stream', async (req, res) => {
+  const { disaster_id } = req.params;
+  let sendUpdate = null;
+
   try {
-    const { disaster_id } = req.params;
 
     // Set up SSE headers
     res.writeHead(200, {
@@ -87,43 +153,48 @@ router.get('/:disaster_id/stream', async (req, res) => {
       timestamp: new Date().toISOString()
     })}\n\n`);
 
-    // Set up periodic updates
-    const sendUpdate = async () => {
-      try {
-        const socialMediaData = await SocialMediaService.fetchSocialMediaReports(disaster_id);
-        const highPriorityPosts = SocialMediaService.filterPostsByPriority(socialMediaData.posts, 7);
-        
-        res.write(`data: ${JSON.stringify({
-          type: 'update',
-          disaster_id,
-          high_priority_posts: highPriorityPosts,
-          total_posts: socialMediaData.total_posts,
-          timestamp: new Date().toISOString()
-        })}\n\n`);
-      } catch (error) {
-        logger.error('Error in social media stream update:', error);
-        res.write(`data: ${JSON.stringify({
-          type: 'error',
-          message: 'Error fetching social media updates',
-          timestamp: new Date().toISOString()
-        })}\n\n`);
-      }
+    // Push updates as the social_media_poll job finds new posts for this disaster
+    sendUpdate = (update) => {
+      if (update.disaster_id !== disaster_id) return;
+
+      res.write(`data: ${JSON.stringify({
+        type: 'update',
+        disaster_id,
+        new_posts: update.new_posts,
+        high_priority_posts: update.high_priority_posts,
+        total_posts: update.total_posts,
+        timestamp: new Date().toISOString()
+      })}\n\n`);
     };
 
-    // Send updates every 30 seconds
-    const intervalId = setInterval(sendUpdate, 30000);
+    scheduler.on('social_media_updated', sendUpdate);
 
     // Clean up on connection close
     req.on('close', () => {
-      clearInterval(intervalId);
+      scheduler.off('social_media_updated', sendUpdate);
       logger.info(`Social media stream closed for disaster ${disaster_id}`);
     });
 
+    // Start the client off with the stored high priority posts
+    const stored = await SocialMediaService.getStoredPosts(disaster_id, { minPriority: 7, sort: 'priority' });
+    sendUpdate({
+      disaster_id,
+      new_posts: [],
+      high_priority_posts: stored.posts,
+      total_posts: stored.total
+    });
+
     logAction('social_media_stream_started', { disaster_id });
 
   } catch (error) {
     logger.error('Error setting up social media stream:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    // The stream is already open: tell the client and close it
+    if (sendUpdate) scheduler.off('social_media_updated', sendUpdate);
+    res.write(`event: error\ndata: ${JSON.stringify({ type: 'error', error: 'Internal server error' })}\n\n`);
+    res.end();
   }
 });
 
@@ -131,30 +202,28 @@ router.get('/:disaster_id/stream', async (req, res) => {
 router.get('/:disaster_id/priority', async (req, res) => {
   try {
     const { disaster_id } = req.params;
-    const { min_priority = 7, limit = 10 } = req.query;
-
-    const socialMediaData = await SocialMediaService.fetchSocialMediaReports(disaster_id);
-    const priorityPosts = SocialMediaService.filterPostsByPriority(
-      socialMediaData.posts, 
-      parseInt(min_priority)
-    );
+    const { min_priority = 7 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 200);
 
-    // Limit results
-    const limitedPosts = priorityPosts.slice(0, parseInt(limit));
+    const stored = await SocialMediaService.getStoredPosts(disaster_id, {
+      minPriority: parseInt(min_priority),
+      sort: 'priority',
+      limit
+    });
 
     logAction('priority_social_media_fetched', { 
       disaster_id, 
       min_priority: parseInt(min_priority),
-      priority_posts_count: priorityPosts.length 
+      priority_posts_count: stored.total 
     });
 
     res.json({
       disaster_id,
       min_priority: parseInt(min_priority),
-      priority_posts: limitedPosts,
-      total_priority_posts: priorityPosts.length,
-      total_posts: socialMediaData.total_posts,
-      last_updated: socialMediaData.last_updated
+      priority_posts: stored.posts,
+      total_priority_posts: stored.total,
+      total_posts: await db.socialPosts.count({ disaster_id, duplicate_of: null }),
+      last_updated: new Date().toISOString()
     });
 
   } catch (error) {
@@ -163,33 +232,6 @@ router.get('/:disaster_id/priority', async (req, res) => {
   }
 });
 
-// GET /api/social-media/mock - Get mock social media data for testing
-router.get('/mock', async (req, res) => {
-  try {
-    const { keywords } = req.query;
-    const keywordArray = keywords ? keywords.split(',').map(k => k.trim()) : [];
-
-    const mockData = SocialMediaService.getMockSocialMediaData(null, keywordArray);
-
-    logAction('mock_social_media_fetched', { 
-      keywords: keywordArray, 
-      posts_count: mockData.length 
-    });
-
-    res.json({
-      provider: 'mock_twitter',
-      keywords: keywordArray,
-      posts: mockData,
-      total_posts: mockData.length,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    logger.error('Error fetching mock social media data:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
 // POST /api/social-media/:disaster_id/analyze - Analyze social media content with AI
 router.post('/:disaster_id/analyze', async (req, res) => {
   try {
@@ -234,16 +276,29 @@ router.post('/:disaster_id/analyze', async (req, res) => {
   }
 });
 
-// GET /api/social-media/:disaster_id/locations - Extract location mentions from social media
+// GET /api/social-media/:disaster_id/locations - Extract location mentions from stored social media posts
 router.get('/:disaster_id/locations', async (req, res) => {
   try {
     const { disaster_id } = req.params;
+    const { since } = req.query;
 
-    const socialMediaData = await SocialMediaService.fetchSocialMediaReports(disaster_id);
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'since must be an ISO 8601 date' });
+    }
+
+    const disaster = await db.disasters.findById(disaster_id);
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const { posts } = await SocialMediaService.getStoredPosts(disaster_id, {
+      since: since ? new Date(since).toISOString() : null,
+      limit: MAX_LOCATION_POSTS
+    });
     const allLocations = [];
 
     // Extract locations from all posts
-    socialMediaData.posts.forEach(post => {
+    posts.forEach(post => {
       const locations = SocialMediaService.extractLocationMentions(post.content);
       allLocations.push(...locations);
     });
@@ -270,7 +325,7 @@ router.get('/:disaster_id/locations', async (req, res) => {
       locations: sortedLocations,
       total_mentions: allLocations.length,
       unique_locations: sortedLocations.length,
-      analyzed_posts: socialMediaData.posts.length,
+      analyzed_posts: posts.length,
       timestamp: new Date().toISOString()
     });
 
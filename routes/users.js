@@ -0,0 +1,217 @@
+import express from 'express';
+import { db } from '../services/database.js';
+import { AuthService, ROLES, credentialsError } from '../services/auth.js';
+import { TrustService, TRUST_LEVELS } from '../services/trust.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { logger, logAction } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('users:manage'));
+
+// GET /api/users - List user accounts
+router.get('/', async (req, res) => {
+  try {
+    const { role } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const where = role ? { role } : {};
+
+    const [data, count] = await Promise.all([
+      db.users.list({ where, orderBy: 'created_at', ascending: false, limit, offset }),
+      db.users.count(where)
+    ]);
+
+    res.json({
+      users: data.map(user => AuthService.toPublicUser(user)),
+      total: count,
+      offset,
+      limit
+    });
+
+  } catch (error) {
+    logger.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/users/trust - Stored reporter trust scores, lowest first
+router.get('/trust', async (req, res) => {
+  try {
+    const { level, overridden } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (level && !TRUST_LEVELS.includes(level)) {
+      return res.status(400).json({ error: 'Invalid level. Must be one of: ' + TRUST_LEVELS.join(', ') });
+    }
+
+    const where = {};
+
+    if (level) {
+      where.level = level;
+    }
+
+    if (overridden !== undefined) {
+      where.override_score = { isNull: overridden !== 'true' };
+    }
+
+    const [data, count] = await Promise.all([
+      db.userTrust.list({ where, orderBy: 'score', ascending: true, limit, offset }),
+      db.userTrust.count(where)
+    ]);
+
+    res.json({
+      scores: data,
+      total: count,
+      offset,
+      limit
+    });
+
+  } catch (error) {
+    logger.error('Error fetching trust scores:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/users - Create an account with any role
+router.post('/', async (req, res) => {
+  try {
+    const { email, password, name, username, role = 'citizen' } = req.body;
+
+    const invalid = credentialsError(email, password);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role. Must be one of: ' + ROLES.join(', ')
+      });
+    }
+
+    const user = await AuthService.createUser({ email, password, name, username, role });
+
+    logAction('user_created', { user_id: user.id, role, created_by: req.user.id });
+
+    res.status(201).json(AuthService.toPublicUser(user));
+
+  } catch (error) {
+    if (error.code === 'USER_EXISTS') {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error('Error creating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/users/:id - Change a user's role or active flag
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, active } = req.body;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role. Must be one of: ' + ROLES.join(', ')
+      });
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    if (id === req.user.id && (role !== undefined && role !== 'admin' || active === false)) {
+      return res.status(400).json({ error: 'Admins cannot demote or deactivate themselves' });
+    }
+
+    const existingUser = await AuthService.getUserById(id);
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updateData = {
+      role: role !== undefined ? role : existingUser.role,
+      active: active !== undefined ? active : existingUser.active,
+      updated_at: new Date().toISOString()
+    };
+
+    let data;
+    try {
+      data = await db.users.update(id, updateData);
+    } catch (error) {
+      logger.error('Database error updating user:', error);
+      return res.status(500).json({ error: 'Failed to update user' });
+    }
+
+    logAction('user_updated', {
+      user_id: id,
+      changes: { role, active },
+      updated_by: req.user.id
+    });
+
+    res.json(AuthService.toPublicUser(data));
+
+  } catch (error) {
+    logger.error('Error updating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/users/:id/trust - A reporter's trust score with the factors behind it (recomputed)
+router.get('/:id/trust', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await AuthService.getUserById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await TrustService.refresh(id));
+
+  } catch (error) {
+    logger.error('Error fetching trust score:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/users/:id/trust - Pin a reporter's trust score (score null goes back to the computed one)
+router.put('/:id/trust', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { score, reason } = req.body;
+
+    if (score !== null && (!Number.isInteger(score) || score < 0 || score > 100)) {
+      return res.status(400).json({ error: 'score must be an integer from 0 to 100, or null' });
+    }
+
+    if (score !== null && !reason) {
+      return res.status(400).json({ error: 'reason is required to override a trust score' });
+    }
+
+    const user = await AuthService.getUserById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const trust = await TrustService.override(id, { score, reason, adminId: req.user.id });
+
+    logAction('user_trust_overridden', {
+      user_id: id,
+      score,
+      reason: reason || null,
+      computed_score: trust.computed_score,
+      updated_by: req.user.id
+    });
+
+    res.json(trust);
+
+  } catch (error) {
+    logger.error('Error overriding trust score:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,127 @@
+import express from 'express';
+import { db } from '../services/database.js';
+import { verificationQueue } from '../services/verificationQueue.js';
+import { JOB_STATUSES } from '../services/jobQueue.js';
+import { authenticate, requirePermission, canModify } from '../middleware/auth.js';
+import { logger, logAction } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Resolve :id to a verification job
+router.param('id', async (req, res, next, id) => {
+  try {
+    const job = await db.verificationJobs.findById(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Verification job not found' });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/verification-jobs - List verification jobs with queue counts
+router.get('/', requirePermission('reports:verify'), async (req, res) => {
+  try {
+    const { status, type, report_id, batch_id } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status. Must be one of: ' + JOB_STATUSES.join(', ')
+      });
+    }
+
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (type) {
+      where.type = type;
+    }
+
+    if (report_id) {
+      where.report_id = report_id;
+    }
+
+    if (batch_id) {
+      where.batch_id = batch_id;
+    }
+
+    const [jobs, total, counts] = await Promise.all([
+      db.verificationJobs.list({ where, orderBy: 'created_at', ascending: false, limit, offset }),
+      db.verificationJobs.count(where),
+      verificationQueue.counts()
+    ]);
+
+    res.json({
+      jobs,
+      total,
+      offset,
+      limit,
+      queue: { ...verificationQueue.status(), counts }
+    });
+
+  } catch (error) {
+    logger.error('Error listing verification jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/verification-jobs/:id - Get a verification job (its creator or reviewers)
+router.get('/:id', async (req, res) => {
+  try {
+    if (!canModify(req.user, req.job.created_by, 'reports:verify')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    res.json(req.job);
+
+  } catch (error) {
+    logger.error('Error fetching verification job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/verification-jobs/:id/retry - Queue a failed or cancelled job again
+router.post('/:id/retry', requirePermission('reports:verify'), async (req, res) => {
+  try {
+    const job = await verificationQueue.retry(req.job.id);
+    if (!job) {
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${req.job.status})` });
+    }
+
+    logAction('verification_job_retried', { job_id: job.id, type: job.type, report_id: job.report_id, user_id: req.user.id });
+    res.json(job);
+
+  } catch (error) {
+    logger.error('Error retrying verification job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/verification-jobs/:id/cancel - Cancel a job that hasn't started
+router.post('/:id/cancel', requirePermission('reports:verify'), async (req, res) => {
+  try {
+    const job = await verificationQueue.cancel(req.job.id);
+    if (!job) {
+      return res.status(409).json({ error: `Only queued jobs can be cancelled (job is ${req.job.status})` });
+    }
+
+    logAction('verification_job_cancelled', { job_id: job.id, type: job.type, report_id: job.report_id, user_id: req.user.id });
+    res.json(job);
+
+  } catch (error) {
+    logger.error('Error cancelling verification job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
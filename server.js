@@ -1,3 +1,5 @@
+// Load environment variables FIRST (before any module reads process.env at import time)
+import 'dotenv/config';
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
@@ -5,14 +7,12 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import morgan from 'morgan';
-import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-// Load environment variables FIRST
-dotenv.config();
-
 // Import routes
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
 import disasterRoutes from './routes/disasters.js';
 import resourceRoutes from './routes/resources.js';
 import reportRoutes from './routes/reports.js';
@@ -20,9 +20,19 @@ import socialMediaRoutes from './routes/socialMedia.js';
 import officialUpdatesRoutes from './routes/officialUpdates.js';
 import geocodingRoutes from './routes/geocoding.js';
 import imageVerificationRoutes from './routes/imageVerification.js';
+import jobRoutes from './routes/jobs.js';
+import attachmentRoutes from './routes/attachments.js';
+import verificationJobRoutes from './routes/verificationJobs.js';
+import moderationRoutes from './routes/moderation.js';
+import needRoutes from './routes/needs.js';
+import offerRoutes from './routes/offers.js';
 
 // Import services
-import { initializeDatabase } from './services/database.js';
+import { db, initializeDatabase, closeDatabase } from './services/database.js';
+import { AuthService } from './services/auth.js';
+import { scheduler } from './services/scheduler.js';
+import { registerJobs } from './services/jobs.js';
+import { verificationQueue, registerVerificationHandlers } from './services/verificationQueue.js';
 import { logger } from './utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -82,6 +92,8 @@ app.use((req, res, next) => {
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/disasters', disasterRoutes);
 app.use('/api/resources', resourceRoutes);
 app.use('/api/reports', reportRoutes);
@@ -89,13 +101,22 @@ app.use('/api/social-media', socialMediaRoutes);
 app.use('/api/official-updates', officialUpdatesRoutes);
 app.use('/api/geocoding', geocodingRoutes);
 app.use('/api/image-verification', imageVerificationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/verification-jobs', verificationJobRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/needs', needRoutes);
+app.use('/api/offers', offerRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    storage: db.store.driver,
+    scheduler: scheduler.started ? 'running' : 'stopped',
+    verification_queue: verificationQueue.status()
   });
 });
 
@@ -125,12 +146,28 @@ async function startServer() {
     await initializeDatabase();
     logger.info('Database initialized successfully');
 
+    // Make sure there is an admin account to promote other users with
+    await AuthService.ensureBootstrapAdmin();
+
+    registerJobs(scheduler, io);
+    registerVerificationHandlers(verificationQueue, io);
+
     // Start server
     server.listen(PORT, () => {
       logger.info(`🚀 Disaster Response Platform running on port ${PORT}`);
       logger.info(`🌐 Frontend: http://localhost:${PORT}`);
       logger.info(`📡 API: http://localhost:${PORT}/api`);
       logger.info(`🔧 Health check: http://localhost:${PORT}/api/health`);
+
+      // Background jobs (scraping, cache cleanup, social polling)
+      if (process.env.SCHEDULER_ENABLED !== 'false') {
+        scheduler.start();
+      }
+
+      // Image verification workers
+      if (process.env.VERIFICATION_WORKERS_ENABLED !== 'false') {
+        verificationQueue.start();
+      }
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -141,14 +178,20 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  scheduler.stop();
+  verificationQueue.stop();
   server.close(() => {
+    closeDatabase();
     logger.info('Process terminated');
   });
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  scheduler.stop();
+  verificationQueue.stop();
   server.close(() => {
+    closeDatabase();
     logger.info('Process terminated');
   });
 });
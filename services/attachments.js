@@ -0,0 +1,179 @@
+import { v4 as uuidv4 } from 'uuid';
+import exifr from 'exifr';
+import sharp from 'sharp';
+import { logger } from '../utils/logger.js';
+import { db } from './database.js';
+import { createBlobStore } from './blobStore/index.js';
+
+export const MAX_REPORT_ATTACHMENTS = 5;
+
+const THUMBNAIL_SIZE = 320;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/heif': 'heif'
+};
+
+// Built on first use so dotenv has loaded by then
+let blobStore = null;
+
+export class AttachmentService {
+
+  static getBlobStore() {
+    if (!blobStore) {
+      blobStore = createBlobStore();
+      logger.info(`Blob store: ${blobStore.driver}`);
+    }
+    return blobStore;
+  }
+
+  // Store an image ({ buffer, mimeType, size, sha256 } from utils/images.js) with a public
+  // copy and a thumbnail. The original is kept as uploaded for moderators; the public copy
+  // and thumbnail are re-encoded without any metadata, so EXIF GPS positions never leave
+  // through public views. Images the server can't decode get no public copy.
+  static async storeImage(image, { reportId = null, userId = null, sourceUrl = null, originalName = null } = {}) {
+    const id = uuidv4();
+    const store = this.getBlobStore();
+    const base = `attachments/${id}`;
+    const originalKey = `${base}/original.${EXTENSIONS[image.mimeType]}`;
+
+    await store.put(originalKey, image.buffer, { contentType: image.mimeType });
+
+    const gps = await exifr.gps(image.buffer).catch(() => null);
+
+    let derived = null;
+    try {
+      derived = await this.renderPublicCopies(image);
+    } catch (error) {
+      logger.warn(`Could not render public copy of attachment ${id}: ${error.message}`);
+    }
+
+    let publicKey = null;
+    let thumbnailKey = null;
+    if (derived) {
+      publicKey = `${base}/public.${EXTENSIONS[derived.publicType]}`;
+      thumbnailKey = `${base}/thumbnail.jpg`;
+      await store.put(publicKey, derived.publicBuffer, { contentType: derived.publicType });
+      await store.put(thumbnailKey, derived.thumbnailBuffer, { contentType: 'image/jpeg' });
+    }
+
+    return db.attachments.insert({
+      id,
+      report_id: reportId,
+      storage_driver: store.driver,
+      original_key: originalKey,
+      public_key: publicKey,
+      thumbnail_key: thumbnailKey,
+      content_type: image.mimeType,
+      public_content_type: derived ? derived.publicType : null,
+      size_bytes: image.size,
+      sha256: image.sha256,
+      width: derived ? derived.width : null,
+      height: derived ? derived.height : null,
+      had_gps: Boolean(gps && typeof gps.latitude === 'number'),
+      original_name: originalName,
+      source: sourceUrl ? 'url' : 'upload',
+      source_url: sourceUrl,
+      uploaded_by: userId
+    });
+  }
+
+  // Public copy in the original format (HEIC/HEIF become JPEG) and a JPEG thumbnail, both
+  // turned upright and without EXIF/XMP metadata
+  static async renderPublicCopies(image) {
+    const publicType = ['image/png', 'image/webp'].includes(image.mimeType) ? image.mimeType : 'image/jpeg';
+    const pipeline = sharp(image.buffer).rotate().keepIccProfile();
+
+    const encoded = publicType === 'image/png'
+      ? pipeline.png()
+      : publicType === 'image/webp' ? pipeline.webp({ quality: 90 }) : pipeline.jpeg({ quality: 90 });
+    const { data: publicBuffer, info } = await encoded.toBuffer({ resolveWithObject: true });
+
+    const thumbnailBuffer = await sharp(image.buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+
+    return { publicType, publicBuffer, thumbnailBuffer, width: info.width, height: info.height };
+  }
+
+  // Bytes and content type of an attachment variant (public, thumbnail or original),
+  // or null when that variant doesn't exist
+  static async read(attachment, variant = 'public') {
+    const keys = {
+      public: [attachment.public_key, attachment.public_content_type],
+      thumbnail: [attachment.thumbnail_key, 'image/jpeg'],
+      original: [attachment.original_key, attachment.content_type]
+    };
+    const [key, contentType] = keys[variant] || [];
+    if (!key) return null;
+
+    const buffer = await this.getBlobStore().get(key);
+    return buffer ? { buffer, contentType } : null;
+  }
+
+  // Delete an attachment's blobs and row
+  static async remove(attachment) {
+    const store = this.getBlobStore();
+    for (const key of [attachment.original_key, attachment.public_key, attachment.thumbnail_key]) {
+      if (!key) continue;
+      try {
+        await store.delete(key);
+      } catch (error) {
+        logger.error(`Error deleting blob ${key}:`, error);
+      }
+    }
+    await db.attachments.delete(attachment.id);
+  }
+
+  static async removeForReport(reportId) {
+    const attachments = await db.attachments.list({ where: { report_id: reportId } });
+    for (const attachment of attachments) {
+      await this.remove(attachment);
+    }
+    return attachments.length;
+  }
+
+  // The attachment as API clients see it: links to the public copy and thumbnail only
+  static toPublic(attachment) {
+    return {
+      id: attachment.id,
+      report_id: attachment.report_id,
+      content_type: attachment.public_content_type || attachment.content_type,
+      size_bytes: attachment.size_bytes,
+      sha256: attachment.sha256,
+      width: attachment.width,
+      height: attachment.height,
+      original_name: attachment.original_name,
+      source: attachment.source,
+      verification_id: attachment.verification_id || null,
+      url: attachment.public_key ? `/api/attachments/${attachment.id}` : null,
+      thumbnail_url: attachment.thumbnail_key ? `/api/attachments/${attachment.id}/thumbnail` : null,
+      created_at: attachment.created_at
+    };
+  }
+
+  // Embed each report's attachments (public shape, oldest first) as row.attachments
+  static async attachToReports(rows) {
+    const list = Array.isArray(rows) ? rows : [rows];
+    const ids = list.map(row => row && row.id).filter(Boolean);
+
+    const attachments = ids.length
+      ? await db.attachments.list({ where: { report_id: { in: ids } }, orderBy: 'created_at' })
+      : [];
+
+    for (const row of list) {
+      if (!row) continue;
+      row.attachments = attachments
+        .filter(attachment => attachment.report_id === row.id)
+        .map(attachment => this.toPublic(attachment));
+    }
+
+    return rows;
+  }
+}
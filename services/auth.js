@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { db } from './database.js';
+import { logger } from '../utils/logger.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Why an email/password pair can't be used for a new account, or null when it can
+export function credentialsError(email, password) {
+  if (!email || !password) return 'email and password are required';
+  if (typeof email !== 'string' || typeof password !== 'string') return 'email and password must be strings';
+  if (!EMAIL_PATTERN.test(email)) return 'Invalid email address';
+  if (password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  return null;
+}
+
+// Roles ordered from most to least privileged
+export const ROLES = ['admin', 'coordinator', 'responder', 'citizen'];
+
+// Which roles may perform each action. Ownership checks (e.g. "creator may edit")
+// are applied on top of these in the route handlers.
+export const PERMISSIONS = {
+  'disasters:create': ['admin', 'coordinator', 'responder'],
+  'disasters:update': ['admin', 'coordinator'],
+  'disasters:delete': ['admin'],
+  'resources:create': ['admin', 'coordinator', 'responder'],
+  'resources:update': ['admin', 'coordinator'],
+  'resources:delete': ['admin', 'coordinator'],
+  'resources:track': ['admin', 'coordinator', 'responder'],
+  'reservations:create': ['admin', 'coordinator', 'responder'],
+  'reservations:manage': ['admin', 'coordinator'],
+  'reports:create': ['admin', 'coordinator', 'responder', 'citizen'],
+  'reports:verify': ['admin', 'coordinator'],
+  'reports:resolve_escalated': ['admin'],
+  'reports:delete': ['admin'],
+  'needs:create': ['admin', 'coordinator', 'responder', 'citizen'],
+  'offers:create': ['admin', 'coordinator', 'responder', 'citizen'],
+  'matches:manage': ['admin', 'coordinator'],
+  'official_updates:manage': ['admin', 'coordinator'],
+  'jobs:manage': ['admin'],
+  'users:manage': ['admin']
+};
+
+let jwtSecret = null;
+
+// Resolve the signing secret on first use so dotenv has loaded by then
+function getJwtSecret() {
+  if (jwtSecret) return jwtSecret;
+
+  jwtSecret = process.env.JWT_SECRET;
+
+  if (!jwtSecret || jwtSecret.includes('your_jwt_secret')) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    // Development fallback: tokens stop working when the process restarts
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('⚠️  JWT_SECRET not configured - using a random secret for this process');
+  }
+
+  return jwtSecret;
+}
+
+export class AuthService {
+
+  // Hash a password with scrypt and a random salt
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  // Check a password against a stored scrypt hash
+  static verifyPassword(password, storedHash) {
+    if (!storedHash) return false;
+
+    const [scheme, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Issue a signed access token for a user
+  static issueToken(user) {
+    return jwt.sign(
+      { sub: user.id, role: user.role },
+      getJwtSecret(),
+      { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+    );
+  }
+
+  // Verify a token and return its payload (throws on invalid/expired tokens)
+  static verifyToken(token) {
+    return jwt.verify(token, getJwtSecret());
+  }
+
+  // Check whether a role grants a permission
+  static hasPermission(role, permission) {
+    const allowed = PERMISSIONS[permission];
+    return Array.isArray(allowed) && allowed.includes(role);
+  }
+
+  // Strip secrets before a user leaves the service
+  static toPublicUser(user) {
+    if (!user) return null;
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  static async getUserById(id) {
+    return db.users.findById(id);
+  }
+
+  static async getUserByEmail(email) {
+    return db.users.findOne({ email: email.toLowerCase() });
+  }
+
+  // Create a user account. Role defaults to citizen; only admins may pick another.
+  static async createUser({ email, password, name, username, role = 'citizen' }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const existing = await this.getUserByEmail(email);
+    if (existing) {
+      const error = new Error('A user with this email already exists');
+      error.code = 'USER_EXISTS';
+      throw error;
+    }
+
+    const userData = {
+      id: uuidv4(),
+      email: email.toLowerCase(),
+      username: username || email.split('@')[0],
+      name: name || username || email.split('@')[0],
+      role,
+      password_hash: this.hashPassword(password),
+      active: true,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    return db.users.insert(userData);
+  }
+
+  // Validate credentials and return { user, token }, or null on failure
+  static async login(email, password) {
+    const user = await this.getUserByEmail(email);
+
+    if (!user || !user.active || !this.verifyPassword(password, user.password_hash)) {
+      return null;
+    }
+
+    await db.users.update(user.id, { last_login_at: new Date().toISOString() });
+
+    return {
+      user: this.toPublicUser(user),
+      token: this.issueToken(user)
+    };
+  }
+
+  // Create the initial admin account from BOOTSTRAP_ADMIN_* settings if it is missing
+  static async ensureBootstrapAdmin() {
+    const email = process.env.BOOTSTRAP_ADMIN_EMAIL;
+    const password = process.env.BOOTSTRAP_ADMIN_PASSWORD;
+
+    if (!email || !password) {
+      return;
+    }
+
+    try {
+      const existing = await this.getUserByEmail(email);
+      if (existing) {
+        return;
+      }
+
+      await this.createUser({ email, password, name: 'Administrator', role: 'admin' });
+      logger.info(`Bootstrap admin account created: ${email}`);
+    } catch (error) {
+      logger.error('Failed to create bootstrap admin account:', error);
+    }
+  }
+}
@@ -0,0 +1,27 @@
+import { LocalBlobStore } from './local.js';
+import { S3BlobStore } from './s3.js';
+
+// Build the blob store named in BLOB_STORE (local or s3). Every store exposes
+// put(key, buffer, { contentType }), get(key) and delete(key).
+export function createBlobStore() {
+  const driver = (process.env.BLOB_STORE || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return new LocalBlobStore({
+        root: process.env.BLOB_STORE_DIR || 'data/blobs'
+      });
+    case 's3':
+      return new S3BlobStore({
+        bucket: process.env.BLOB_S3_BUCKET,
+        region: process.env.BLOB_S3_REGION,
+        endpoint: process.env.BLOB_S3_ENDPOINT,
+        accessKeyId: process.env.BLOB_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.BLOB_S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.BLOB_S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.BLOB_S3_PREFIX
+      });
+    default:
+      throw new Error(`Unknown BLOB_STORE "${driver}". Use local or s3.`);
+  }
+}
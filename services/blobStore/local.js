@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Blobs as files under a root directory, one file per key
+export class LocalBlobStore {
+  constructor({ root }) {
+    this.driver = 'local';
+    this.root = path.resolve(root);
+  }
+
+  // Keys are slash-separated paths; anything that would leave the root is refused
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial blob
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+  }
+
+  // The blob's bytes, or null when there is no such key
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
@@ -0,0 +1,51 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// Blobs in an S3 bucket or any S3-compatible service (MinIO, R2, Spaces) via `endpoint`.
+// Credentials fall back to the AWS SDK's usual environment/profile lookup.
+export class S3BlobStore {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, prefix = '' }) {
+    if (!bucket) {
+      throw new Error('BLOB_STORE=s3 requires BLOB_S3_BUCKET');
+    }
+
+    this.driver = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  // The blob's bytes, or null when there is no such key
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.prefix + key
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key
+    }));
+  }
+}
@@ -0,0 +1,375 @@
+import { loadXml } from '../utils/xml.js';
+
+// Common Alerting Protocol 1.2 (OASIS) publishing and parsing
+export const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+export const CAP_CONTENT_TYPE = 'application/cap+xml';
+
+const CAP_STATUS = ['Actual', 'Exercise', 'System', 'Test', 'Draft'];
+const CAP_MSG_TYPE = ['Alert', 'Update', 'Cancel', 'Ack', 'Error'];
+const CAP_SCOPE = ['Public', 'Restricted', 'Private'];
+const CAP_CATEGORY = ['Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other'];
+const CAP_URGENCY = ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'];
+const CAP_SEVERITY = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+const CAP_CERTAINTY = ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'];
+
+// disasters.severity -> CAP severity
+const SEVERITY_TO_CAP = { critical: 'Extreme', high: 'Severe', moderate: 'Moderate', low: 'Minor' };
+
+// disasters.status -> CAP urgency/certainty
+const STATUS_TO_CAP = {
+  active: { urgency: 'Immediate', certainty: 'Observed' },
+  monitoring: { urgency: 'Expected', certainty: 'Likely' },
+  resolved: { urgency: 'Past', certainty: 'Observed' },
+  archived: { urgency: 'Past', certainty: 'Observed' }
+};
+
+// Disaster tags -> CAP category
+const TAG_TO_CATEGORY = {
+  flood: 'Met',
+  hurricane: 'Met',
+  storm: 'Met',
+  tornado: 'Met',
+  wildfire: 'Fire',
+  fire: 'Fire',
+  earthquake: 'Geo',
+  tsunami: 'Geo',
+  landslide: 'Geo',
+  volcano: 'Geo',
+  pandemic: 'Health',
+  chemical: 'CBRNE'
+};
+
+// Weights used to turn CAP urgency/severity/certainty into an update priority
+const SEVERITY_SCORE = { Extreme: 3, Severe: 2, Moderate: 1, Minor: 0, Unknown: 0 };
+const URGENCY_SCORE = { Immediate: 1, Expected: 0, Future: -1, Past: -3, Unknown: -1 };
+const CERTAINTY_SCORE = { Observed: 0, Likely: 0, Possible: -1, Unlikely: -2, Unknown: -1 };
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const element = (name, value) => (value === null || value === undefined || value === ''
+  ? ''
+  : `<${name}>${escapeXml(value)}</${name}>`);
+
+// CAP dateTime: seconds precision with a numeric offset ("Z" is not allowed)
+function capDateTime(value) {
+  const date = value ? new Date(value) : new Date();
+  return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+// CAP polygons are "lat,lon" pairs separated by spaces, one per outer ring
+function footprintToPolygons(footprint) {
+  if (!footprint) return [];
+
+  const polygons = footprint.type === 'Polygon' ? [footprint.coordinates] : footprint.coordinates;
+  return polygons.map(([outer]) => outer.map(([lon, lat]) => `${lat},${lon}`).join(' '));
+}
+
+// "lat,lon lat,lon ..." -> GeoJSON ring ([lon, lat] positions)
+function polygonToRing(polygon) {
+  return polygon.trim().split(/\s+/).map(pair => {
+    const [lat, lon] = pair.split(',').map(Number);
+    return [lon, lat];
+  });
+}
+
+export class CapService {
+
+  static get sender() {
+    return process.env.CAP_SENDER || 'disaster-response-platform';
+  }
+
+  // Map CAP severity/urgency/certainty onto the official update priority scale
+  static mapPriority({ severity, urgency, certainty }) {
+    const score = (SEVERITY_SCORE[severity] ?? 0) +
+      (URGENCY_SCORE[urgency] ?? -1) +
+      (CERTAINTY_SCORE[certainty] ?? -1);
+
+    if (score >= 3) return 'critical';
+    if (score === 2) return 'high';
+    if (score === 1) return 'medium';
+    return 'low';
+  }
+
+  static categoryFor(disaster) {
+    const tag = (disaster.tags || []).find(candidate => TAG_TO_CATEGORY[candidate]);
+    return tag ? TAG_TO_CATEGORY[tag] : 'Other';
+  }
+
+  static identifierFor(disaster, timestamp) {
+    return `${this.sender}.disaster.${disaster.id}.${new Date(timestamp).getTime()}`;
+  }
+
+  // Build a CAP 1.2 <alert> for a disaster. Updates after creation are sent as
+  // msgType Update referencing the original alert.
+  static buildAlert(disaster, { baseUrl = '' } = {}) {
+    const createdAt = disaster.created_at || disaster.updated_at;
+    const sentAt = disaster.updated_at || createdAt;
+    const isUpdate = sentAt && createdAt && new Date(sentAt).getTime() !== new Date(createdAt).getTime();
+    const statusMapping = STATUS_TO_CAP[disaster.status] || STATUS_TO_CAP.active;
+    const severity = SEVERITY_TO_CAP[disaster.severity] || 'Unknown';
+    const isOver = statusMapping.urgency === 'Past';
+
+    const area = [
+      element('areaDesc', disaster.location_name || 'Unknown Location'),
+      ...footprintToPolygons(disaster.footprint).map(polygon => element('polygon', polygon)),
+      !disaster.footprint && disaster.latitude !== null && disaster.latitude !== undefined
+        ? element('circle', `${disaster.latitude},${disaster.longitude} 0`)
+        : ''
+    ].join('');
+
+    const info = [
+      element('language', 'en-US'),
+      element('category', this.categoryFor(disaster)),
+      element('event', disaster.title),
+      element('responseType', isOver ? 'AllClear' : 'Monitor'),
+      element('urgency', statusMapping.urgency),
+      element('severity', severity),
+      element('certainty', statusMapping.certainty),
+      element('senderName', 'Disaster Response Platform'),
+      element('headline', disaster.title),
+      element('description', disaster.description),
+      element('web', baseUrl ? `${baseUrl}/api/disasters/${disaster.id}` : null),
+      ...(disaster.tags || []).map(tag =>
+        `<parameter>${element('valueName', 'tag')}${element('value', tag)}</parameter>`
+      ),
+      `<area>${area}</area>`
+    ].join('');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<alert xmlns="${CAP_NAMESPACE}">`,
+      element('identifier', this.identifierFor(disaster, sentAt)),
+      element('sender', this.sender),
+      element('sent', capDateTime(sentAt)),
+      element('status', 'Actual'),
+      element('msgType', isUpdate ? 'Update' : 'Alert'),
+      element('scope', 'Public'),
+      isUpdate
+        ? element('references', `${this.sender},${this.identifierFor(disaster, createdAt)},${capDateTime(createdAt)}`)
+        : '',
+      `<info>${info}</info>`,
+      '</alert>'
+    ].filter(Boolean).join('\n');
+  }
+
+  // Atom index of CAP alerts, one entry per disaster linking to its CAP document
+  static buildFeed(disasters, { baseUrl = '', title = 'Disaster Response Platform alerts' } = {}) {
+    const updated = disasters.reduce((latest, disaster) => {
+      const timestamp = disaster.updated_at || disaster.created_at;
+      return timestamp && timestamp > latest ? timestamp : latest;
+    }, '');
+
+    const entries = disasters.map(disaster => {
+      const capUrl = `${baseUrl}/api/disasters/${disaster.id}/cap`;
+      return [
+        '<entry>',
+        element('id', capUrl),
+        element('title', disaster.title),
+        element('updated', new Date(disaster.updated_at || disaster.created_at).toISOString()),
+        element('summary', disaster.description),
+        `<link rel="alternate" type="${CAP_CONTENT_TYPE}" href="${escapeXml(capUrl)}"/>`,
+        '</entry>'
+      ].join('');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      element('id', `${baseUrl}/api/disasters/cap`),
+      element('title', title),
+      element('updated', new Date(updated || Date.now()).toISOString()),
+      `<author>${element('name', this.sender)}</author>`,
+      ...entries,
+      '</feed>'
+    ].join('\n');
+  }
+
+  // True when the document is (or embeds) a CAP alert rather than an index feed
+  static isCapDocument(xml) {
+    return loadXml(xml)('alert').length > 0;
+  }
+
+  // Validate one <alert> element; returns a list of problems (empty when valid)
+  static validateAlert($, alert) {
+    const errors = [];
+    const text = (parent, name) => $(parent).children(name).first().text().trim();
+
+    // Namespaces in scope: declared on the alert or on a container around it (Atom, EDXL)
+    const namespaces = [];
+    for (let node = alert; node && node.attribs; node = node.parent) {
+      for (const [name, value] of Object.entries(node.attribs)) {
+        if (name === 'xmlns' || name.startsWith('xmlns:')) namespaces.push(value);
+      }
+    }
+    if (!namespaces.includes(CAP_NAMESPACE)) {
+      errors.push(`alert is not in the CAP 1.2 namespace (${CAP_NAMESPACE})`);
+    }
+
+    for (const name of ['identifier', 'sender', 'sent', 'status', 'msgType', 'scope']) {
+      if (!text(alert, name)) {
+        errors.push(`alert.${name} is required`);
+      }
+    }
+
+    const checkEnum = (path, value, allowed) => {
+      if (value && !allowed.includes(value)) {
+        errors.push(`${path} "${value}" must be one of: ${allowed.join(', ')}`);
+      }
+    };
+
+    checkEnum('alert.status', text(alert, 'status'), CAP_STATUS);
+    checkEnum('alert.msgType', text(alert, 'msgType'), CAP_MSG_TYPE);
+    checkEnum('alert.scope', text(alert, 'scope'), CAP_SCOPE);
+
+    const sent = text(alert, 'sent');
+    if (sent && isNaN(Date.parse(sent))) {
+      errors.push(`alert.sent "${sent}" is not a valid dateTime`);
+    }
+
+    $(alert).children('info').each((index, info) => {
+      const path = `alert.info[${index}]`;
+
+      for (const name of ['category', 'event', 'urgency', 'severity', 'certainty']) {
+        if (!text(info, name)) {
+          errors.push(`${path}.${name} is required`);
+        }
+      }
+
+      $(info).children('category').each((i, category) => {
+        checkEnum(`${path}.category`, $(category).text().trim(), CAP_CATEGORY);
+      });
+      checkEnum(`${path}.urgency`, text(info, 'urgency'), CAP_URGENCY);
+      checkEnum(`${path}.severity`, text(info, 'severity'), CAP_SEVERITY);
+      checkEnum(`${path}.certainty`, text(info, 'certainty'), CAP_CERTAINTY);
+
+      $(info).children('area').each((areaIndex, area) => {
+        if (!text(area, 'areaDesc')) {
+          errors.push(`${path}.area[${areaIndex}].areaDesc is required`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  // Turn one validated <alert> into official updates (one per <info> block)
+  static alertToUpdates($, alert, source = {}) {
+    const text = (parent, name) => $(parent).children(name).first().text().trim();
+
+    const identifier = text(alert, 'identifier');
+    const sender = text(alert, 'sender');
+    const sent = text(alert, 'sent');
+    const msgType = text(alert, 'msgType');
+
+    return $(alert).children('info').toArray().map((info, index) => {
+      const urgency = text(info, 'urgency');
+      const severity = text(info, 'severity');
+      const certainty = text(info, 'certainty');
+      const event = text(info, 'event');
+      const categories = $(info).children('category').toArray().map(category => $(category).text().trim());
+
+      const areas = $(info).children('area').toArray().map(area => ({
+        description: text(area, 'areaDesc'),
+        polygons: $(area).children('polygon').toArray().map(polygon => polygonToRing($(polygon).text())),
+        circles: $(area).children('circle').toArray().map(circle => $(circle).text().trim()),
+        geocodes: $(area).children('geocode').toArray().map(geocode => ({
+          name: text(geocode, 'valueName'),
+          value: text(geocode, 'value')
+        }))
+      }));
+
+      return {
+        id: `cap_${identifier}_${index}`,
+        source: text(info, 'senderName') || source.name || sender,
+        title: text(info, 'headline') || event,
+        content: text(info, 'description') || text(info, 'headline') || event,
+        url: text(info, 'web') || source.url || null,
+        // effective or onset when they parse; sent is validated
+        published_at: new Date([text(info, 'effective'), text(info, 'onset')]
+          .find(value => value && !isNaN(Date.parse(value))) || sent).toISOString(),
+        type: source.type || 'government',
+        priority: msgType === 'Cancel' ? 'low' : this.mapPriority({ severity, urgency, certainty }),
+        tags: [...categories.map(category => category.toLowerCase()), event.toLowerCase().replace(/\s+/g, '_')],
+        cap: {
+          identifier,
+          sender,
+          sent,
+          status: text(alert, 'status'),
+          msg_type: msgType,
+          urgency,
+          severity,
+          certainty,
+          event,
+          instruction: text(info, 'instruction') || null,
+          expires: text(info, 'expires') || null,
+          areas
+        }
+      };
+    });
+  }
+
+  // Parse a CAP document (a single <alert>, or a container embedding several).
+  // Returns { alerts: [{ identifier, valid, errors, updates }], errors } so problems are
+  // reported per alert; invalid alerts produce no updates. Non-Actual alerts
+  // (Exercise/Test/Draft/System) are valid but skipped.
+  static parseDocument(xml, source = {}) {
+    if (typeof xml !== 'string' || !xml.trim()) {
+      return { alerts: [], errors: ['document is empty'] };
+    }
+
+    let $;
+    try {
+      $ = loadXml(xml);
+    } catch (error) {
+      return { alerts: [], errors: [`document is not well-formed XML: ${error.message}`] };
+    }
+
+    const alertElements = $('alert').toArray();
+    if (alertElements.length === 0) {
+      return { alerts: [], errors: ['document contains no CAP <alert> element'] };
+    }
+
+    const alerts = alertElements.map(alert => {
+      const identifier = $(alert).children('identifier').first().text().trim() || null;
+      const errors = this.validateAlert($, alert);
+
+      if (errors.length > 0) {
+        return { identifier, valid: false, errors, updates: [] };
+      }
+
+      const status = $(alert).children('status').first().text().trim();
+      if (status !== 'Actual') {
+        return { identifier, valid: true, skipped: `status ${status}`, errors: [], updates: [] };
+      }
+
+      return { identifier, valid: true, errors: [], updates: this.alertToUpdates($, alert, source) };
+    });
+
+    return { alerts, errors: [] };
+  }
+
+  // Links to CAP documents listed in an Atom/RSS index feed
+  static extractAlertLinks(xml) {
+    const $ = loadXml(xml);
+    const links = new Set();
+
+    $('entry').each((i, entry) => {
+      const capLink = $(entry).find(`link[type="${CAP_CONTENT_TYPE}"]`).attr('href');
+      const anyLink = $(entry).find('link').first().attr('href');
+      const href = capLink || anyLink || $(entry).children('id').text().trim();
+      if (href && /^https?:\/\//.test(href)) links.add(href);
+    });
+
+    $('item').each((i, item) => {
+      const href = $(item).children('link').text().trim();
+      if (href && /^https?:\/\//.test(href)) links.add(href);
+    });
+
+    return [...links];
+  }
+}
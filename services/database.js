@@ -1,146 +1,121 @@
-import { createClient } from '@supabase/supabase-js';
-import { v4 as uuidv4 } from 'uuid';
+import { createStore } from './storage/index.js';
 import { logger } from '../utils/logger.js';
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
+const store = createStore();
 
-let supabase;
-
-console.log('🔍 Environment check:');
-console.log('SUPABASE_URL:', supabaseUrl ? `${supabaseUrl.substring(0, 30)}...` : 'NOT SET');
-console.log('SUPABASE_ANON_KEY:', supabaseKey ? `${supabaseKey.substring(0, 30)}...` : 'NOT SET');
-
-// Check for required environment variables
-if (!supabaseUrl || !supabaseKey || 
-    supabaseUrl.includes('your-project') || 
-    supabaseKey.includes('your-anon-key')) {
-  console.warn('⚠️  Running in DEMO mode - Supabase not configured. Some features may not work.');
-  console.warn('To enable full functionality, configure SUPABASE_URL and SUPABASE_ANON_KEY in your .env file');
-} else {
-  try {
-    // Only create actual Supabase client if credentials are valid
-    supabase = createClient(supabaseUrl, supabaseKey);
-    console.log('✅ Supabase client initialized successfully');
-  } catch (error) {
-    console.error('❌ Failed to initialize Supabase client:', error.message);
-  }
-}
-
-// Test database connection asynchronously
-async function testDatabaseConnection() {
-  if (!supabase) {
-    console.warn('⚠️  Cannot test database connection - Supabase client not initialized');
-    return false;
-  }
-  
-  try {
-    const { data, error } = await supabase.from('disasters').select('count', { count: 'exact', head: true });
-    if (error) {
-      console.warn('⚠️  Database connection test failed:', error.message);
-      console.warn('This might be because tables don\'t exist yet. Will attempt to create them...');
-      return false;
-    } else {
-      console.log('✅ Database connection verified successfully');
-      return true;
-    }
-  } catch (error) {
-    console.error('❌ Database connection test error:', error.message);
-    return false;
-  }
+console.log(`🗄️  Storage driver: ${store.driver}`);
+if (store.driver === 'memory') {
+  console.warn('⚠️  Using in-memory storage - data is lost on restart. Set STORAGE_DRIVER=file or configure Supabase to keep it.');
 }
 
-// Export supabase client (may be null in demo mode)
-export { supabase };
-
-// Database initialization and table creation
+// Repositories used by routes and services. Every table exposes the same
+// list/count/findById/findOne/insert/upsert/update/updateWhere/delete/deleteWhere
+// API regardless of the driver behind it.
+export const db = {
+  store,
+  users: store.table('users'),
+  disasters: store.table('disasters'),
+  resources: store.table('resources'),
+  resourceInventory: store.table('resource_inventory'),
+  resourceMovements: store.table('resource_movements'),
+  resourceReservations: store.table('resource_reservations'),
+  needs: store.table('needs'),
+  offers: store.table('offers'),
+  matches: store.table('matches'),
+  reports: store.table('reports'),
+  officialSources: store.table('official_sources'),
+  officialUpdates: store.table('official_updates'),
+  officialUpdateLinks: store.table('official_update_links'),
+  socialPosts: store.table('social_posts'),
+  imageVerifications: store.table('image_verifications'),
+  imageHashes: store.table('image_hashes'),
+  attachments: store.table('attachments'),
+  verificationJobs: store.table('verification_jobs'),
+  reportHistory: store.table('report_history'),
+  userTrust: store.table('user_trust', { primaryKey: 'user_id' }),
+  incidents: store.table('incidents'),
+  cache: store.table('cache', { primaryKey: 'key' })
+};
+
+// Database initialization
 export async function initializeDatabase() {
-  if (!supabase) {
-    console.warn('⚠️  Supabase not configured - running in demo mode');
-    return;
-  }
-
   try {
-    // Test basic connection first
-    const isConnected = await testDatabaseConnection();
-    if (!isConnected) {
+    const ready = await store.init();
+    if (!ready) {
+      console.error('❌ Database initialization failed. The app will continue in limited mode.');
       return;
     }
-
-    // Check if tables exist and create them if they don't
-    await ensureTablesExist();
-    logger.info('Database tables verified/created successfully');
+    logger.info(`Storage ready (${store.driver})`);
   } catch (error) {
     logger.error('Database initialization failed:', error);
     console.error('❌ Database initialization failed. The app will continue in limited mode.');
   }
 }
 
-// Ensure tables exist by testing them
-async function ensureTablesExist() {
-  if (!supabase) return;
+// Write any pending changes (file driver) before the process exits
+export function closeDatabase() {
+  store.flush();
+}
 
-  try {
-    // Test if disasters table exists
-    const { error: disastersError } = await supabase
-      .from('disasters')
-      .select('count', { count: 'exact', head: true });
-    
-    if (disastersError && disastersError.message.includes('does not exist')) {
-      console.log('📝 Creating database tables...');
-      await createTablesDirectly();
-    }
-    
-    // Test other tables
-    const tables = ['resources', 'reports', 'cache'];
-    for (const table of tables) {
-      const { error } = await supabase
-        .from(table)
-        .select('count', { count: 'exact', head: true });
-      
-      if (error && error.message.includes('does not exist')) {
-        console.log(`📝 Table ${table} needs to be created manually in Supabase dashboard`);
-      }
-    }
-    
-  } catch (error) {
-    console.warn('⚠️  Could not verify tables:', error.message);
+// Embed the parent disaster into each row, matching Supabase's
+// `disasters!disaster_id (...)` resource embedding shape
+export async function attachDisasters(rows, columns = ['id', 'title', 'location_name']) {
+  const list = Array.isArray(rows) ? rows : [rows];
+  const ids = [...new Set(list.map(row => row && row.disaster_id).filter(Boolean))];
+
+  const disasters = ids.length
+    ? await db.disasters.list({ where: { id: { in: ids } } })
+    : [];
+  const byId = new Map(disasters.map(disaster => [disaster.id, disaster]));
+
+  for (const row of list) {
+    if (!row) continue;
+    const disaster = byId.get(row.disaster_id);
+    row.disasters = disaster
+      ? Object.fromEntries(columns.map(column => [column, disaster[column] ?? null]))
+      : null;
   }
+
+  return rows;
 }
 
-// Create tables directly (basic version for emergency fallback)
-async function createTablesDirectly() {
-  if (!supabase) return;
-  
-  console.log('⚠️  Note: Some tables may need to be created manually in your Supabase dashboard.');
-  console.log('   Please run the SQL commands from database/setup.sql in your Supabase SQL editor.');
+// Add delta to a counter column of one row as long as it stays between 0 and limit(row)
+// (null: no upper limit). Compare-and-swap on the value read, re-reading when another
+// request changed it first. Returns the updated row, or null when the row is gone or the
+// limit is in the way.
+export async function adjustCounter(table, id, column, delta, limit = () => null) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const row = await table.findById(id);
+    if (!row) return null;
+
+    const current = row[column] === undefined ? null : row[column];
+    const next = (current || 0) + delta;
+    const max = limit(row);
+    if (next < 0 || (max !== null && next > max)) return null;
+
+    const [updated] = await table.updateWhere({ id, [column]: current }, { [column]: next });
+    if (updated) return updated;
+  }
+  return null;
 }
 
 // Cache utilities
 export async function getFromCache(key) {
   try {
-    if (!supabase) {
-      return null;
-    }
-
-    const { data, error } = await supabase
-      .from('cache')
-      .select('value, expires_at')
-      .eq('key', key)
-      .single();
+    const entry = await db.cache.findById(key);
 
-    if (error || !data) {
+    if (!entry) {
       return null;
     }
 
     // Check if cache has expired
-    if (new Date(data.expires_at) < new Date()) {
+    if (new Date(entry.expires_at) < new Date()) {
       // Delete expired cache entry
-      await supabase.from('cache').delete().eq('key', key);
+      await db.cache.delete(key);
       return null;
     }
 
-    return data.value;
+    return entry.value;
   } catch (error) {
     logger.error('Cache retrieval error:', error);
     return null;
@@ -149,23 +124,13 @@ export async function getFromCache(key) {
 
 export async function setCache(key, value, ttlSeconds = 3600) {
   try {
-    if (!supabase) {
-      return;
-    }
-
     const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
-    
-    const { error } = await supabase
-      .from('cache')
-      .upsert({
-        key,
-        value,
-        expires_at: expiresAt.toISOString()
-      });
-
-    if (error) {
-      logger.error('Cache storage error:', error);
-    }
+
+    await db.cache.upsert({
+      key,
+      value,
+      expires_at: expiresAt.toISOString()
+    });
   } catch (error) {
     logger.error('Cache storage error:', error);
   }
@@ -174,22 +139,15 @@ export async function setCache(key, value, ttlSeconds = 3600) {
 // Clean up expired cache entries (should be run periodically)
 export async function cleanupExpiredCache() {
   try {
-    if (!supabase) {
-      return;
-    }
+    const removed = await db.cache.deleteWhere({
+      expires_at: { lt: new Date().toISOString() }
+    });
 
-    const { error } = await supabase
-      .from('cache')
-      .delete()
-      .lt('expires_at', new Date().toISOString());
-
-    if (error) {
-      logger.error('Cache cleanup error:', error);
-    } else {
-      logger.info('Expired cache entries cleaned up');
-    }
+    logger.info(`Expired cache entries cleaned up (${removed})`);
+    return removed;
   } catch (error) {
     logger.error('Cache cleanup error:', error);
+    return 0;
   }
 }
 
@@ -198,32 +156,33 @@ export function createPoint(longitude, latitude) {
   return `POINT(${longitude} ${latitude})`;
 }
 
-export async function findNearbyResources(longitude, latitude, radiusMeters = 10000, disasterId = null) {
-  try {
-    if (!supabase) {
-      return [];
-    }
-
-    let query = supabase
-      .from('resources')
-      .select('*')
-      .not('location', 'is', null);
-
-    if (disasterId) {
-      query = query.eq('disaster_id', disasterId);
-    }
-
-    // Note: In a real implementation, you'd use PostGIS functions
-    // This is a simplified version for demonstration
-    const { data, error } = await query;
+// Rows of `tableName` within radiusKm of a point, nearest first, each with distance_km.
+// PostGIS does the filtering on Supabase; the memory/file drivers use haversine distance.
+export async function findNearby(tableName, { latitude, longitude, radiusKm = 10, where = {} }) {
+  return store.nearby(tableName, {
+    latitude,
+    longitude,
+    radiusKm,
+    // A latitude condition of the caller (a bounding box) already leaves out rows without one
+    where: { latitude: { isNull: false }, ...where }
+  });
+}
 
-    if (error) {
-      throw error;
-    }
+// Disasters whose footprint polygon covers a point, newest first
+export async function findDisastersCovering({ latitude, longitude, where = {} }) {
+  return store.covering('disasters', { latitude, longitude, where });
+}
 
-    return data || [];
-  } catch (error) {
-    logger.error('Nearby resources query error:', error);
+// Rows of `tableName` (resources or reports) located inside a disaster's footprint
+export async function findWithinFootprint(tableName, disaster, { where = {} } = {}) {
+  if (!disaster.footprint) {
     return [];
   }
+  return store.withinFootprint(tableName, disaster, { where });
+}
+
+// Previously seen images whose perceptual hash differs from `hash` in at most maxDistance
+// bits, closest first, each with its distance
+export async function findSimilarImages({ hash, maxDistance = 10, where = {} }) {
+  return store.similarImages({ hash, maxDistance, where });
 }
@@ -0,0 +1,77 @@
+import { loadXml, htmlToText } from '../utils/xml.js';
+
+// RSS 2.0 and Atom 1.0 parsing for official update sources
+
+// A date string as ISO 8601, or null when missing/unparseable
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export class FeedService {
+
+  // 'rss', 'atom' or null when the document is neither
+  static detectFormat($) {
+    if ($('rss').length > 0 || $('channel > item').length > 0) return 'rss';
+    if ($('feed').length > 0) return 'atom';
+    return null;
+  }
+
+  // Parse a feed document into { format, title, entries }.
+  // Entries have { id, title, content, url, published_at, tags }; published_at is null
+  // when the feed gives no usable date. Throws for documents that are not feeds.
+  static parse(xml) {
+    const $ = loadXml(xml);
+    const format = this.detectFormat($);
+
+    if (!format) {
+      throw new Error('Document is not an RSS or Atom feed');
+    }
+
+    return format === 'rss' ? this.parseRss($) : this.parseAtom($);
+  }
+
+  static parseRss($) {
+    const text = (parent, name) => $(parent).children(name).first().text().trim();
+
+    const entries = $('item').toArray().map(item => {
+      const url = text(item, 'link') || null;
+      return {
+        id: text(item, 'guid') || url,
+        title: htmlToText(text(item, 'title')),
+        content: htmlToText(text(item, 'encoded') || text(item, 'description')),
+        url,
+        published_at: toIsoDate(text(item, 'pubDate') || text(item, 'date')),
+        tags: $(item).children('category').toArray()
+          .map(category => $(category).text().trim())
+          .filter(Boolean)
+      };
+    });
+
+    return { format: 'rss', title: text($('channel').first(), 'title'), entries };
+  }
+
+  static parseAtom($) {
+    const text = (parent, name) => $(parent).children(name).first().text().trim();
+
+    const entries = $('entry').toArray().map(entry => {
+      const links = $(entry).children('link').toArray();
+      const alternate = links.find(link => !$(link).attr('rel') || $(link).attr('rel') === 'alternate');
+      const url = alternate ? $(alternate).attr('href') : null;
+
+      return {
+        id: text(entry, 'id') || url,
+        title: htmlToText(text(entry, 'title')),
+        content: htmlToText(text(entry, 'content') || text(entry, 'summary')),
+        url,
+        published_at: toIsoDate(text(entry, 'published') || text(entry, 'updated')),
+        tags: $(entry).children('category').toArray()
+          .map(category => $(category).attr('term') || $(category).attr('label'))
+          .filter(Boolean)
+      };
+    });
+
+    return { format: 'atom', title: text($('feed').first(), 'title'), entries };
+  }
+}
@@ -1,6 +1,15 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import { getFromCache, setCache } from './database.js';
+import { GeminiService } from './gemini.js';
+import { haversineDistanceKm } from '../utils/geo.js';
+
+// Rough accuracy radius (metres) of a geocoded position by the provider's confidence
+const GEOCODE_ACCURACY_M = { high: 100, medium: 1000, low: 10000 };
+
+// Geocoded report positions further than this from their disaster are dropped; they are
+// usually a place of the same name somewhere else
+const REPORT_GEOCODE_RADIUS_KM = parseFloat(process.env.REPORT_GEOCODE_RADIUS_KM) || 100;
 
 export class GeocodingService {
   
@@ -196,6 +205,77 @@ export class GeocodingService {
     }
   }
 
+  // Position of a citizen report (or need or offer): coordinates from the device, else the
+  // geocoded location_name, else a place named in the content (extracted by Gemini). Names
+  // are geocoded together with the disaster's location name. Returns the report's location
+  // columns; latitude/longitude stay null when nothing resolves.
+  static async locate({ coordinates = null, accuracyM = null, locationName = null, content = '', disaster = null }) {
+    const location = {
+      latitude: null,
+      longitude: null,
+      location_name: locationName || null,
+      location_address: null,
+      location_source: null,
+      location_accuracy_m: null,
+      location_confidence: null,
+      location_provider: null
+    };
+
+    if (coordinates) {
+      return {
+        ...location,
+        ...coordinates,
+        location_source: 'device',
+        location_accuracy_m: accuracyM,
+        location_confidence: accuracyM === null ? null : accuracyM <= 100 ? 'high' : accuracyM <= 1000 ? 'medium' : 'low'
+      };
+    }
+
+    let name = locationName;
+    let source = 'geocoded';
+    if (!name && content) {
+      const extraction = await GeminiService.extractLocationFromText(content);
+      if (extraction.extractedLocation === 'Unknown Location') {
+        return location;
+      }
+      name = extraction.extractedLocation;
+      source = 'extracted';
+    }
+
+    if (!name) {
+      return location;
+    }
+
+    const area = disaster && disaster.location_name && disaster.location_name !== 'Unknown Location'
+      ? disaster.location_name
+      : null;
+    const query = area && !name.toLowerCase().includes(area.toLowerCase()) ? `${name}, ${area}` : name;
+    const geocoded = await this.geocodeLocation(query);
+
+    // geocodeLocation makes up a position when every provider failed
+    if (geocoded.provider === 'mock') {
+      return { ...location, location_name: name };
+    }
+
+    if (disaster && disaster.latitude !== null && disaster.latitude !== undefined &&
+        haversineDistanceKm(Number(disaster.latitude), Number(disaster.longitude), geocoded.latitude, geocoded.longitude) > REPORT_GEOCODE_RADIUS_KM) {
+      logger.warn(`Geocoded report location "${query}" is too far from disaster ${disaster.id}; ignoring it`);
+      return { ...location, location_name: name };
+    }
+
+    return {
+      ...location,
+      latitude: geocoded.latitude,
+      longitude: geocoded.longitude,
+      location_name: name,
+      location_address: geocoded.formattedAddress,
+      location_source: source,
+      location_accuracy_m: GEOCODE_ACCURACY_M[geocoded.confidence] || null,
+      location_confidence: geocoded.confidence,
+      location_provider: geocoded.provider
+    };
+  }
+
   // Reverse geocoding - convert coordinates to address
   static async reverseGeocode(latitude, longitude) {
     const cacheKey = `reverse_geocode_${latitude}_${longitude}`;
@@ -0,0 +1,297 @@
+import exifr from 'exifr';
+import sharp from 'sharp';
+import { logger } from '../utils/logger.js';
+import { haversineDistanceKm, pointInFootprint } from '../utils/geo.js';
+
+// Photos taken further than this from a disaster without a footprint don't match its location
+const LOCATION_RADIUS_KM = parseFloat(process.env.IMAGE_LOCATION_RADIUS_KM) || 50;
+// EXIF times carry no time zone, so allow this much slack around the disaster's created time
+const CAPTURE_TIME_SLACK_HOURS = 14;
+// Photos captured this long after the disaster was reported are probably of something later
+const CAPTURE_WINDOW_DAYS = 30;
+
+// Error-level analysis: recompression quality, region grid, and how far above the
+// typical region a region's error must be to stand out
+const ELA_QUALITY = 90;
+const ELA_GRID = 8;
+const ELA_OUTLIER_RATIO = 3;
+const ELA_MAX_SIDE = 1600;
+
+// Editors and generators whose name in the Software tag means the file was re-saved by them
+const EDITING_SOFTWARE = /photoshop|gimp|lightroom|affinity|pixelmator|snapseed|picsart|facetune|canva|paint\.net|krita|faceapp|midjourney|stable diffusion|dall-?e|firefly/i;
+
+// Score contributions (points on a 0-100 scale that starts at 50)
+const MODEL_POINTS = {
+  verified: { high: 25, medium: 15, low: 5 },
+  suspicious: { high: -25, medium: -15, low: -10 },
+  rejected: { high: -40, medium: -30, low: -20 }
+};
+
+const toIso = (value) => value instanceof Date && !isNaN(value) ? value.toISOString() : null;
+
+export class ImageForensicsService {
+
+  // Run every local check on an image ({ buffer, mimeType } from utils/images.js) and
+  // compare its metadata with the disaster it was submitted for (optional).
+  // A check that fails is reported with an error instead of failing the whole analysis.
+  static async analyze(image, { disaster = null } = {}) {
+    const [exif, perceptualHash, ela] = await Promise.all([
+      this.extractExif(image.buffer).catch(error => ({ error: error.message })),
+      this.perceptualHash(image.buffer).catch(error => {
+        logger.warn(`Perceptual hash failed: ${error.message}`);
+        return null;
+      }),
+      this.errorLevelAnalysis(image).catch(error => ({ applicable: false, error: error.message }))
+    ]);
+
+    return {
+      exif,
+      perceptual_hash: perceptualHash,
+      ela,
+      disaster_match: disaster && !exif.error ? this.compareWithDisaster(exif, disaster) : null
+    };
+  }
+
+  // Capture time, GPS, camera and editing software from the EXIF/XMP metadata
+  static async extractExif(buffer) {
+    const tags = await exifr.parse(buffer, {
+      tiff: true,
+      exif: true,
+      gps: true,
+      xmp: true,
+      pick: ['DateTimeOriginal', 'CreateDate', 'ModifyDate', 'Make', 'Model', 'LensModel',
+        'Software', 'CreatorTool', 'latitude', 'longitude']
+    });
+
+    if (!tags) {
+      return { present: false };
+    }
+
+    const software = [tags.Software, tags.CreatorTool].filter(Boolean).join(' / ') || null;
+    const hasGps = typeof tags.latitude === 'number' && typeof tags.longitude === 'number';
+
+    return {
+      present: true,
+      captured_at: toIso(tags.DateTimeOriginal) || toIso(tags.CreateDate),
+      modified_at: toIso(tags.ModifyDate),
+      gps: hasGps ? { latitude: tags.latitude, longitude: tags.longitude } : null,
+      camera: tags.Make || tags.Model
+        ? { make: tags.Make || null, model: tags.Model || null, lens: tags.LensModel || null }
+        : null,
+      software,
+      edited_with: software && EDITING_SOFTWARE.test(software) ? software : null
+    };
+  }
+
+  // 64-bit DCT perceptual hash as 16 hex digits; compare with hammingDistance from
+  // utils/text.js (resized or recompressed copies differ in only a few bits)
+  static async perceptualHash(buffer) {
+    const size = 32;
+    const pixels = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(size, size, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    // 2D DCT-II, keeping only the 8x8 lowest frequencies
+    const cosines = [];
+    for (let u = 0; u < 8; u++) {
+      cosines.push(Array.from({ length: size }, (_, x) => Math.cos((2 * x + 1) * u * Math.PI / (2 * size))));
+    }
+
+    const coefficients = [];
+    for (let u = 0; u < 8; u++) {
+      for (let v = 0; v < 8; v++) {
+        let sum = 0;
+        for (let y = 0; y < size; y++) {
+          for (let x = 0; x < size; x++) {
+            sum += pixels[y * size + x] * cosines[u][y] * cosines[v][x];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // Each bit says whether a frequency is above the median (the DC term is left out of the median)
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+
+    let hash = 0n;
+    coefficients.forEach((coefficient, bit) => {
+      if (coefficient > median) hash |= 1n << BigInt(bit);
+    });
+
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  // Error-level analysis: recompress the JPEG once more and measure how much each region
+  // changes. An untouched photo changes about evenly; pasted or retouched regions were
+  // compressed fewer times and change noticeably more than the rest.
+  static async errorLevelAnalysis(image) {
+    if (image.mimeType !== 'image/jpeg') {
+      return { applicable: false, reason: 'only JPEG images can be checked' };
+    }
+
+    const original = await sharp(image.buffer)
+      .rotate()
+      .resize(ELA_MAX_SIDE, ELA_MAX_SIDE, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = original.info;
+    const recompressed = await sharp(original.data, { raw: { width, height, channels } })
+      .jpeg({ quality: ELA_QUALITY })
+      .toBuffer()
+      .then(jpeg => sharp(jpeg).raw().toBuffer());
+
+    const regionTotals = new Array(ELA_GRID * ELA_GRID).fill(0);
+    const regionPixels = new Array(ELA_GRID * ELA_GRID).fill(0);
+    let total = 0;
+    let max = 0;
+
+    for (let y = 0; y < height; y++) {
+      const row = Math.min(ELA_GRID - 1, Math.floor(y * ELA_GRID / height));
+      for (let x = 0; x < width; x++) {
+        const offset = (y * width + x) * channels;
+        let error = 0;
+        for (let c = 0; c < channels; c++) {
+          error += Math.abs(original.data[offset + c] - recompressed[offset + c]);
+        }
+        error /= channels;
+
+        const region = row * ELA_GRID + Math.min(ELA_GRID - 1, Math.floor(x * ELA_GRID / width));
+        regionTotals[region] += error;
+        regionPixels[region]++;
+        total += error;
+        if (error > max) max = error;
+      }
+    }
+
+    const regionMeans = regionTotals.map((sum, i) => regionPixels[i] ? sum / regionPixels[i] : 0);
+    const sorted = [...regionMeans].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    // Ignore flat regions (sky, walls) whose error is near zero whatever happened to them
+    const baseline = Math.max(median, 0.5);
+    const outliers = regionMeans.filter(mean => mean / baseline >= ELA_OUTLIER_RATIO).length;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+      applicable: true,
+      quality: ELA_QUALITY,
+      mean_error: round(total / (width * height)),
+      max_error: round(max),
+      max_region_ratio: round(sorted[sorted.length - 1] / baseline),
+      outlier_regions: outliers,
+      suspicious: outliers > 0
+    };
+  }
+
+  // Forensics without the photo's GPS position, for anyone but reviewers (the position
+  // is where the uploader stood)
+  static withoutLocation(forensics) {
+    if (!forensics || !forensics.exif || !forensics.exif.gps) return forensics;
+    return { ...forensics, exif: { ...forensics.exif, gps: null, gps_present: true } };
+  }
+
+  // Compare EXIF GPS and capture time with the disaster's location/footprint and created time
+  static compareWithDisaster(exif, disaster) {
+    const result = { location: null, time: null };
+
+    if (exif.gps) {
+      const { latitude, longitude } = exif.gps;
+      if (disaster.footprint) {
+        const inside = pointInFootprint(latitude, longitude, disaster.footprint);
+        result.location = { matches: inside, within_footprint: inside };
+      } else if (disaster.latitude !== null && disaster.latitude !== undefined &&
+                 disaster.longitude !== null && disaster.longitude !== undefined) {
+        const distanceKm = haversineDistanceKm(latitude, longitude, Number(disaster.latitude), Number(disaster.longitude));
+        result.location = {
+          matches: distanceKm <= LOCATION_RADIUS_KM,
+          distance_km: Math.round(distanceKm * 10) / 10,
+          radius_km: LOCATION_RADIUS_KM
+        };
+      }
+    }
+
+    if (exif.captured_at && disaster.created_at) {
+      const hoursAfter = (new Date(exif.captured_at) - new Date(disaster.created_at)) / (60 * 60 * 1000);
+      result.time = {
+        matches: hoursAfter >= -CAPTURE_TIME_SLACK_HOURS && hoursAfter <= CAPTURE_WINDOW_DAYS * 24,
+        hours_after_disaster: Math.round(hoursAfter * 10) / 10
+      };
+    }
+
+    return result;
+  }
+
+  // Combine the model verdict with the forensic findings into a 0-100 authenticity score.
+  // Every contribution is listed in factors so reviewers can see why a score came out as it did.
+  static score(verification, forensics) {
+    const factors = [];
+    const add = (signal, points, detail) => factors.push({ signal, points, detail });
+
+    const modelPoints = MODEL_POINTS[verification.authenticity];
+    if (modelPoints) {
+      add('model_verdict', modelPoints[verification.confidence] ?? 0,
+        `Vision model: ${verification.authenticity} (${verification.confidence} confidence)`);
+    } else {
+      add('model_verdict', 0, 'No model verdict');
+    }
+
+    const { exif, ela, disaster_match: match } = forensics;
+    if (exif && !exif.error) {
+      if (!exif.present) {
+        add('exif_missing', -5, 'No camera metadata (often stripped by messaging apps and social networks)');
+      } else {
+        if (exif.camera) {
+          add('exif_camera', 5, `Taken with ${[exif.camera.make, exif.camera.model].filter(Boolean).join(' ')}`);
+        }
+        if (exif.edited_with) {
+          add('exif_editing_software', -15, `Saved by editing software: ${exif.edited_with}`);
+        }
+      }
+    }
+
+    if (match && match.location) {
+      add('exif_gps', match.location.matches ? 15 : -20, match.location.matches
+        ? 'Photo GPS position is inside the disaster area'
+        : `Photo GPS position is outside the disaster area${match.location.distance_km !== undefined ? ` (${match.location.distance_km} km away)` : ''}`);
+    }
+
+    if (match && match.time) {
+      const hours = match.time.hours_after_disaster;
+      add('exif_capture_time', match.time.matches ? 10 : -20, match.time.matches
+        ? 'Photo was taken around the time of the disaster'
+        : hours < 0
+          ? `Photo was taken ${Math.abs(hours)} hours before the disaster was reported`
+          : `Photo was taken ${hours} hours after the disaster was reported`);
+    }
+
+    if (ela && ela.applicable) {
+      add('error_level_analysis', ela.suspicious ? -15 : 5, ela.suspicious
+        ? `${ela.outlier_regions} region(s) recompress very differently from the rest (possible editing)`
+        : 'Compression error is even across the image');
+    }
+
+    const similar = forensics.similar_images || [];
+    const otherDisaster = similar.find(match => match.same_disaster === false);
+    const unknownDisaster = similar.find(match => match.same_disaster === null && match.disaster_id);
+    if (otherDisaster) {
+      add('recycled_image', -25, `Same picture was submitted earlier for another disaster (${otherDisaster.disaster?.title || otherDisaster.disaster_id})`);
+    } else if (unknownDisaster) {
+      add('recycled_image', -10, `Same picture was submitted earlier for ${unknownDisaster.disaster?.title || unknownDisaster.disaster_id}`);
+    } else if (similar.length) {
+      add('repeated_image', 0, `Same picture was already submitted ${similar.length} time(s)`);
+    }
+
+    const value = Math.max(0, Math.min(100, 50 + factors.reduce((sum, factor) => sum + factor.points, 0)));
+
+    return {
+      value,
+      level: value >= 70 ? 'likely_authentic' : value >= 40 ? 'uncertain' : 'likely_manipulated',
+      factors
+    };
+  }
+}
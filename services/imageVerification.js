@@ -0,0 +1,250 @@
+import { logger } from '../utils/logger.js';
+import { db, attachDisasters, findSimilarImages } from './database.js';
+import { GeminiService } from './gemini.js';
+import { ImageForensicsService } from './imageForensics.js';
+import { fetchImage } from '../utils/images.js';
+
+export const AUTHENTICITY_VALUES = ['verified', 'suspicious', 'rejected', 'unverified'];
+
+// Perceptual hashes differing in at most this many bits are treated as the same picture
+export const SIMILAR_IMAGE_BITS = 10;
+
+// Stats look at most this many recent verifications for timings and trending types
+const STATS_SAMPLE = 5000;
+
+export class ImageVerificationService {
+
+  // Verify an image ({ buffer, mimeType, size, sha256 } from describeImage; imageUrl is
+  // where it came from) or fetch it from imageUrl first, and record the result. The model verdict and the local
+  // forensic checks are combined into an explainable score; EXIF GPS and capture time are
+  // compared with the disaster (disasterId, or the report's disaster). Image loading errors
+  // are thrown with the codes from utils/images.js. persist=false skips the history row.
+  // throwOnModelError=true throws (code MODEL_UNAVAILABLE) instead of recording a fallback
+  // when the model call failed, so a caller that can retry later does.
+  static async verify({
+    image = null, imageUrl = null, description = '', reportId = null, disasterId = null,
+    userId = null, persist = true, throwOnModelError = false
+  }) {
+    const startedAt = Date.now();
+    const loaded = image || await fetchImage(imageUrl);
+    const disaster = await this.findDisaster(disasterId, reportId);
+
+    const [result, forensics] = await Promise.all([
+      GeminiService.verifyDisasterImage(loaded, description),
+      ImageForensicsService.analyze(loaded, { disaster })
+    ]);
+
+    if (throwOnModelError && result.source === 'fallback' && ['model_error', 'invalid_output'].includes(result.fallback_reason)) {
+      const error = new Error(`Vision model unavailable (${result.fallback_reason})`);
+      error.code = 'MODEL_UNAVAILABLE';
+      throw error;
+    }
+
+    // Earlier reports and verifications of the same picture (recycled photos)
+    forensics.similar_images = forensics.perceptual_hash
+      ? await this.findSimilarImages(forensics.perceptual_hash, {
+        excludeReportId: reportId,
+        disasterId: disaster ? disaster.id : null,
+        sha256: loaded.sha256
+      })
+      : [];
+
+    const score = ImageForensicsService.score(result, forensics);
+    const processingMs = Date.now() - startedAt;
+
+    let record = null;
+    if (persist) {
+      try {
+        record = await db.imageVerifications.insert({
+          report_id: reportId,
+          image_url: imageUrl,
+          image_sha256: loaded.sha256,
+          mime_type: loaded.mimeType,
+          size_bytes: loaded.size,
+          source: imageUrl ? 'url' : 'upload',
+          description,
+          authenticity: result.authenticity,
+          confidence: result.confidence,
+          disaster_type: result.disasterType,
+          matches_description: result.matchesDescription,
+          manipulation_signs: result.manipulationSigns,
+          reasoning: result.reasoning,
+          analysis_source: result.source,
+          fallback_reason: result.fallback_reason || null,
+          model: result.model || null,
+          perceptual_hash: forensics.perceptual_hash,
+          forensics,
+          score: score.value,
+          score_level: score.level,
+          processing_ms: processingMs,
+          created_by: userId
+        });
+      } catch (error) {
+        logger.error('Error storing image verification:', error);
+      }
+
+      if (forensics.perceptual_hash) {
+        await this.indexImage(loaded, forensics.perceptual_hash, {
+          imageUrl,
+          reportId,
+          disasterId: disaster ? disaster.id : null,
+          verificationId: record ? record.id : null
+        });
+      }
+    }
+
+    return {
+      ...result,
+      image: {
+        sha256: loaded.sha256,
+        mime_type: loaded.mimeType,
+        size_bytes: loaded.size
+      },
+      forensics,
+      score,
+      recycled: forensics.similar_images.some(match => match.same_disaster === false),
+      disaster_id: disaster ? disaster.id : null,
+      processing_ms: processingMs,
+      verification_id: record ? record.id : null
+    };
+  }
+
+  static async findDisaster(disasterId, reportId) {
+    if (disasterId) {
+      return db.disasters.findById(disasterId);
+    }
+    if (reportId) {
+      const report = await db.reports.findById(reportId);
+      return report ? db.disasters.findById(report.disaster_id) : null;
+    }
+    return null;
+  }
+
+  // Add an image to the perceptual hash index so later submissions can be matched against it
+  static async indexImage(image, perceptualHash, { imageUrl = null, reportId = null, disasterId = null, verificationId = null } = {}) {
+    try {
+      await db.imageHashes.insert({
+        perceptual_hash: perceptualHash,
+        image_sha256: image.sha256,
+        image_url: imageUrl,
+        report_id: reportId,
+        disaster_id: disasterId,
+        verification_id: verificationId
+      });
+    } catch (error) {
+      logger.error('Error indexing image hash:', error);
+    }
+  }
+
+  // Previously seen images like the one with this perceptual hash, closest first, one entry
+  // per earlier report (or per unlinked image). same_disaster tells whether a match came from
+  // disasterId; it is null when there is nothing to compare with.
+  static async findSimilarImages(perceptualHash, { maxDistance = SIMILAR_IMAGE_BITS, excludeReportId = null, disasterId = null, sha256 = null } = {}) {
+    const rows = await findSimilarImages({ hash: perceptualHash, maxDistance });
+
+    const seen = new Set();
+    const matches = rows.filter(row => {
+      if (excludeReportId && row.report_id === excludeReportId) return false;
+      const key = row.report_id || `image:${row.image_sha256}:${row.disaster_id || ''}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    await attachDisasters(matches, ['id', 'title', 'created_at']);
+
+    return matches.map(row => ({
+      report_id: row.report_id,
+      disaster_id: row.disaster_id,
+      disaster: row.disasters,
+      image_url: row.image_url,
+      distance: row.distance,
+      exact: sha256 ? row.image_sha256 === sha256 : row.distance === 0,
+      same_disaster: disasterId && row.disaster_id ? row.disaster_id === disasterId : null,
+      first_seen_at: row.created_at
+    }));
+  }
+
+  // What a report's status needs from a stored verification: verdict, score and whether
+  // the picture was first submitted for another disaster
+  static summarizeRecord(record) {
+    const similar = (record.forensics && record.forensics.similar_images) || [];
+    return {
+      verification_id: record.id,
+      authenticity: record.authenticity,
+      confidence: record.confidence,
+      score: record.score !== null && record.score !== undefined ? { value: record.score, level: record.score_level } : null,
+      recycled: similar.some(match => match.same_disaster === false),
+      similar_images: similar
+    };
+  }
+
+  // A stored verification as shown to the public: no photo GPS position
+  static publicRecord(record) {
+    return { ...record, forensics: ImageForensicsService.withoutLocation(record.forensics) };
+  }
+
+  static async listForReport(reportId) {
+    return db.imageVerifications.list({
+      where: { report_id: reportId },
+      orderBy: 'created_at',
+      ascending: false
+    });
+  }
+
+  // Counts by verdict plus timings and disaster types over the last week
+  static async getStats(now = new Date()) {
+    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString();
+    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const [total, byAuthenticity, modelCount, last24h, last7d, recent] = await Promise.all([
+      db.imageVerifications.count(),
+      Promise.all(AUTHENTICITY_VALUES.map(authenticity => db.imageVerifications.count({ authenticity }))),
+      db.imageVerifications.count({ analysis_source: 'model' }),
+      db.imageVerifications.count({ created_at: { gte: dayAgo } }),
+      db.imageVerifications.count({ created_at: { gte: weekAgo } }),
+      db.imageVerifications.list({
+        where: { created_at: { gte: weekAgo } },
+        orderBy: 'created_at',
+        ascending: false,
+        limit: STATS_SAMPLE
+      })
+    ]);
+
+    const counts = Object.fromEntries(AUTHENTICITY_VALUES.map((authenticity, i) => [authenticity, byAuthenticity[i]]));
+    const percent = (count) => total ? `${Math.round(count / total * 1000) / 10}%` : '0%';
+
+    const timings = recent.map(row => row.processing_ms).filter(ms => typeof ms === 'number');
+    const typeCounts = {};
+    recent.forEach(row => {
+      if (row.disaster_type && !['none', 'unknown'].includes(row.disaster_type)) {
+        typeCounts[row.disaster_type] = (typeCounts[row.disaster_type] || 0) + 1;
+      }
+    });
+
+    return {
+      total_verifications: total,
+      verified_images: counts.verified,
+      suspicious_images: counts.suspicious,
+      rejected_images: counts.rejected,
+      unverified_images: counts.unverified,
+      verification_rate: Object.fromEntries(AUTHENTICITY_VALUES.map(authenticity => [authenticity, percent(counts[authenticity])])),
+      processing_stats: {
+        average_processing_time_ms: timings.length
+          ? Math.round(timings.reduce((sum, ms) => sum + ms, 0) / timings.length)
+          : null,
+        model_analysis_rate: percent(modelCount),
+        sampled_verifications: timings.length
+      },
+      recent_activity: {
+        verifications_last_24h: last24h,
+        verifications_last_7d: last7d,
+        trending_verification_types: Object.entries(typeCounts)
+          .sort(([, a], [, b]) => b - a)
+          .slice(0, 5)
+          .map(([type, count]) => ({ type, count }))
+      },
+      generated_at: now.toISOString()
+    };
+  }
+}
@@ -0,0 +1,304 @@
+import { db } from './database.js';
+import { ModerationService, moderationErrorStatus } from './moderation.js';
+import { haversineDistanceKm } from '../utils/geo.js';
+import { contentWords, wordOverlap } from '../utils/text.js';
+import { logger } from '../utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Two messages can describe the same incident when they are this close in time...
+const TIME_WINDOW_HOURS = parseFloat(process.env.INCIDENT_TIME_WINDOW_HOURS) || 6;
+// ...and, when both have a position, this close in space
+const RADIUS_KM = parseFloat(process.env.INCIDENT_RADIUS_KM) || 1;
+// Text similarity needed: shared content words and their share of the shorter text.
+// Without positions to go on, the texts have to agree more.
+const TEXT_MATCH_NEARBY = { shared: 2, ratio: 0.5 };
+const TEXT_MATCH_UNPLACED = { shared: 3, ratio: 0.6 };
+// Only recent messages are clustered
+const LOOKBACK_DAYS = 14;
+const MAX_ITEMS = 3000;
+
+export const INCIDENT_STATUSES = ['open', 'verified', 'dismissed'];
+
+// Report positions only count when they are good to the incident radius (a geocoded
+// street name is, a city centroid isn't)
+const precisePosition = (report) => !report.location_accuracy_m || report.location_accuracy_m <= RADIUS_KM * 1000;
+
+const hasPosition = (item) => item.latitude !== null && item.latitude !== undefined &&
+  item.longitude !== null && item.longitude !== undefined;
+
+// Union-find over item indexes
+function createSets(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return { find, union: (a, b) => { parent[find(a)] = find(b); } };
+}
+
+// Groups citizen reports and social posts of a disaster into incidents: messages close in
+// time, close in space (when both have a position) and with similar text are linked, and
+// every connected group of two or more becomes an incident. Incidents are stored in
+// `incidents`; members point at theirs through incident_id. Re-clustering keeps the id of
+// the open incident that shares the most members with a new group and removes open
+// incidents left without one. Verified and dismissed incidents are frozen: neither they nor
+// their members take part in re-clustering.
+export class IncidentService {
+
+  // Reports that weren't rejected and social posts that aren't copies of another post
+  static async loadItems(disasterId, now = Date.now()) {
+    const since = new Date(now - LOOKBACK_DAYS * DAY).toISOString();
+    const [reports, posts] = await Promise.all([
+      db.reports.list({
+        where: { disaster_id: disasterId, verification_status: { neq: 'rejected' }, created_at: { gte: since } },
+        orderBy: 'created_at',
+        ascending: false,
+        limit: MAX_ITEMS
+      }),
+      db.socialPosts.list({
+        where: { disaster_id: disasterId, duplicate_of: null, posted_at: { gte: since } },
+        orderBy: 'posted_at',
+        ascending: false,
+        limit: MAX_ITEMS
+      })
+    ]);
+
+    const items = [
+      ...reports.map(report => ({
+        kind: 'report',
+        id: report.id,
+        source: `user:${report.user_id}`,
+        content: report.content,
+        latitude: precisePosition(report) ? report.latitude : null,
+        longitude: precisePosition(report) ? report.longitude : null,
+        at: new Date(report.created_at).getTime(),
+        incident_id: report.incident_id || null,
+        copies: 0
+      })),
+      ...posts.map(post => ({
+        kind: 'post',
+        id: post.id,
+        source: `${post.provider}:${post.author_handle || post.post_id}`,
+        content: post.content,
+        latitude: post.latitude,
+        longitude: post.longitude,
+        at: new Date(post.posted_at).getTime(),
+        incident_id: post.incident_id || null,
+        copies: post.duplicate_count || 0
+      }))
+    ];
+
+    for (const item of items) {
+      item.words = contentWords(item.content);
+    }
+
+    return items.sort((a, b) => a.at - b.at);
+  }
+
+  static related(a, b) {
+    const bothPlaced = hasPosition(a) && hasPosition(b);
+    if (bothPlaced && haversineDistanceKm(Number(a.latitude), Number(a.longitude),
+      Number(b.latitude), Number(b.longitude)) > RADIUS_KM) {
+      return false;
+    }
+
+    const needed = bothPlaced ? TEXT_MATCH_NEARBY : TEXT_MATCH_UNPLACED;
+    const { shared, ratio } = wordOverlap(a.words, b.words);
+    return shared >= needed.shared && ratio >= needed.ratio;
+  }
+
+  // Groups of related items (indexes into the time-sorted items), two or more per group
+  static cluster(items) {
+    const sets = createSets(items.length);
+    const window = TIME_WINDOW_HOURS * HOUR;
+
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length && items[j].at - items[i].at <= window; j++) {
+        if (this.related(items[i], items[j])) sets.union(i, j);
+      }
+    }
+
+    const groups = new Map();
+    items.forEach((_, i) => {
+      const root = sets.find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(i);
+    });
+
+    return [...groups.values()].filter(group => group.length >= 2);
+  }
+
+  // Title, position, time span and corroboration of a group of items
+  static describe(members) {
+    const placed = members.filter(hasPosition);
+    let latitude = null;
+    let longitude = null;
+    let radiusKm = null;
+    if (placed.length) {
+      latitude = placed.reduce((sum, item) => sum + Number(item.latitude), 0) / placed.length;
+      longitude = placed.reduce((sum, item) => sum + Number(item.longitude), 0) / placed.length;
+      radiusKm = Math.max(...placed.map(item => haversineDistanceKm(latitude, longitude, Number(item.latitude), Number(item.longitude))));
+    }
+
+    // Words most members use
+    const wordCounts = new Map();
+    for (const item of members) {
+      for (const word of item.words) wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+    }
+    const keywords = [...wordCounts.entries()]
+      .filter(([, count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([word]) => word);
+
+    const reports = members.filter(item => item.kind === 'report');
+    const posts = members.filter(item => item.kind === 'post');
+    const sources = new Set(members.map(item => item.source)).size;
+    const first = reports[0] || members[0];
+
+    return {
+      title: first.content.length > 120 ? `${first.content.slice(0, 117)}...` : first.content,
+      keywords,
+      latitude,
+      longitude,
+      radius_km: radiusKm === null ? null : Math.round(radiusKm * 100) / 100,
+      report_count: reports.length,
+      post_count: posts.length + posts.reduce((sum, item) => sum + item.copies, 0),
+      source_count: sources,
+      // Independent sources beyond the first one
+      corroboration_count: sources - 1,
+      first_seen_at: new Date(members[0].at).toISOString(),
+      last_seen_at: new Date(members[members.length - 1].at).toISOString()
+    };
+  }
+
+  // Re-cluster a disaster's reports and posts and store the incidents
+  static async clusterDisaster(disasterId) {
+    const incidents = await db.incidents.list({ where: { disaster_id: disasterId } });
+    const existing = incidents.filter(incident => incident.status === 'open');
+    const existingIds = new Set(existing.map(incident => incident.id));
+    const decidedIds = new Set(incidents.filter(incident => incident.status !== 'open').map(incident => incident.id));
+
+    const items = (await this.loadItems(disasterId)).filter(item => !decidedIds.has(item.incident_id));
+    const groups = this.cluster(items);
+    const kept = new Set();
+    const now = new Date().toISOString();
+    const stats = { items: items.length, incidents: groups.length, created: 0, updated: 0, removed: 0 };
+
+    // Biggest groups pick their previous incident first
+    groups.sort((a, b) => b.length - a.length);
+
+    for (const group of groups) {
+      const members = group.map(i => items[i]).sort((a, b) => a.at - b.at);
+
+      const votes = new Map();
+      for (const item of members) {
+        if (item.incident_id && existingIds.has(item.incident_id) && !kept.has(item.incident_id)) {
+          votes.set(item.incident_id, (votes.get(item.incident_id) || 0) + 1);
+        }
+      }
+      const previousId = [...votes.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+      const description = this.describe(members);
+      let incident;
+      if (previousId) {
+        incident = await db.incidents.update(previousId, { ...description, updated_at: now });
+        stats.updated++;
+      } else {
+        incident = await db.incidents.insert({ disaster_id: disasterId, status: 'open', ...description, updated_at: now });
+        stats.created++;
+      }
+      kept.add(incident.id);
+
+      await this.assign(members, incident.id);
+    }
+
+    // Items no longer in any group, and open incidents nobody belongs to any more. Their
+    // members are cleared by incident_id, which also catches those past the lookback.
+    const grouped = new Set(groups.flat());
+    await this.assign(items.filter((item, i) => !grouped.has(i) && item.incident_id), null);
+
+    for (const incident of existing) {
+      if (kept.has(incident.id)) continue;
+      await db.reports.updateWhere({ incident_id: incident.id }, { incident_id: null });
+      await db.socialPosts.updateWhere({ incident_id: incident.id }, { incident_id: null });
+      await db.incidents.delete(incident.id);
+      stats.removed++;
+    }
+
+    logger.info(`Clustered disaster ${disasterId}: ${stats.incidents} incidents from ${stats.items} messages`);
+    return stats;
+  }
+
+  static async assign(items, incidentId) {
+    const changed = items.filter(item => item.incident_id !== incidentId);
+    const reportIds = changed.filter(item => item.kind === 'report').map(item => item.id);
+    const postIds = changed.filter(item => item.kind === 'post').map(item => item.id);
+
+    if (reportIds.length) await db.reports.updateWhere({ id: { in: reportIds } }, { incident_id: incidentId });
+    if (postIds.length) await db.socialPosts.updateWhere({ id: { in: postIds } }, { incident_id: incidentId });
+  }
+
+  // Incidents of a disaster, most corroborated first
+  static async list(disasterId, { status = null, minCorroboration = 0, limit = 50, offset = 0 } = {}) {
+    const where = { disaster_id: disasterId };
+    if (status) where.status = status;
+    if (minCorroboration) where.corroboration_count = { gte: minCorroboration };
+
+    const [incidents, total] = await Promise.all([
+      db.incidents.list({ where, orderBy: 'corroboration_count', ascending: false, limit, offset }),
+      db.incidents.count(where)
+    ]);
+
+    return { incidents, total };
+  }
+
+  // An incident with its reports and posts
+  static async getWithMembers(incident) {
+    const [reports, posts] = await Promise.all([
+      db.reports.list({ where: { incident_id: incident.id }, orderBy: 'created_at', ascending: true }),
+      db.socialPosts.list({ where: { incident_id: incident.id }, orderBy: 'posted_at', ascending: true })
+    ]);
+    return { ...incident, reports, posts };
+  }
+
+  // Decide every pending report of an incident at once (verified or rejected); each report
+  // goes through the moderation rules (claims, escalation) on its own. The incident only
+  // takes the decision when at least one report did (or it had none pending).
+  static async decide(incident, user, { status, reasonCode = null, notes = null }) {
+    const reports = await db.reports.list({ where: { incident_id: incident.id, verification_status: 'pending' } });
+    const results = [];
+
+    for (const report of reports) {
+      try {
+        const updated = await ModerationService.decide(report, user, {
+          status,
+          reasonCode,
+          notes: notes || `Decided with incident ${incident.id}`
+        });
+        results.push({ report_id: report.id, success: true, verification_status: updated.verification_status });
+      } catch (error) {
+        if (!moderationErrorStatus(error.code)) throw error;
+        results.push({ report_id: report.id, success: false, error: error.message, code: error.code });
+      }
+    }
+
+    if (reports.length > 0 && !results.some(result => result.success)) {
+      return { incident, results, decided: false };
+    }
+
+    const updated = await db.incidents.update(incident.id, {
+      status: status === 'verified' ? 'verified' : 'dismissed',
+      verified_by: user.id,
+      verified_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+
+    return { incident: updated, results, decided: true };
+  }
+}
@@ -0,0 +1,236 @@
+import { db, adjustCounter } from './database.js';
+import { ReservationService } from './reservations.js';
+
+// Occupancy moves with check-ins and check-outs, stock with deliveries and distributions;
+// an adjustment sets either one to a counted value (with an item: that item's stock)
+export const MOVEMENT_KINDS = ['check_in', 'check_out', 'delivery', 'distribution', 'adjustment'];
+const OCCUPANCY_KINDS = ['check_in', 'check_out'];
+
+const ERROR_STATUS = {
+  INVALID_KIND: 400,
+  INVALID_QUANTITY: 400,
+  ITEM_REQUIRED: 400,
+  ITEM_NOT_ALLOWED: 400,
+  UNIT_MISMATCH: 400,
+  OVER_CAPACITY: 409,
+  BELOW_ZERO: 409
+};
+
+// HTTP status for an inventory error code, or null for other errors
+export function inventoryErrorStatus(code) {
+  return ERROR_STATUS[code] || null;
+}
+
+function inventoryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// "Meal kits" -> meal_kits
+export function normalizeItem(item) {
+  if (typeof item !== 'string') return null;
+  const name = item.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return name || null;
+}
+
+// Live occupancy (people or beds in use, in resources.occupancy) and stock of consumables
+// (one `resource_inventory` row per item) of resources. Every change is a row in the
+// `resource_movements` ledger with the balance after it. `available` follows the numbers:
+// a resource with a capacity is available while its spare capacity is above its
+// full_threshold; one without a capacity but with stock while any item is above its
+// low_threshold. Errors carry a code: INVALID_KIND, INVALID_QUANTITY, ITEM_REQUIRED,
+// ITEM_NOT_ALLOWED, UNIT_MISMATCH, OVER_CAPACITY, BELOW_ZERO.
+export class InventoryService {
+
+  // Capacity not yet occupied or reserved by matches; null when the capacity isn't known
+  static spareCapacity(resource) {
+    if (resource.capacity === null || resource.capacity === undefined) return null;
+    return Math.max(resource.capacity - (resource.occupancy || 0) - (resource.capacity_reserved || 0), 0);
+  }
+
+  // Occupancy figures sent with resources_updated events
+  static occupancy(resource) {
+    return {
+      capacity: resource.capacity ?? null,
+      occupancy: resource.occupancy || 0,
+      reserved: resource.capacity_reserved || 0,
+      spare: this.spareCapacity(resource),
+      full_threshold: resource.full_threshold || 0,
+      available: resource.available !== false
+    };
+  }
+
+  static async inventory(resourceId) {
+    const items = await db.resourceInventory.list({ where: { resource_id: resourceId }, orderBy: 'item', ascending: true });
+    return items.map(item => ({ ...item, low: item.quantity <= item.low_threshold }));
+  }
+
+  // Record a movement and apply it. check_in into places matched to needs or held by
+  // reservations, or beyond the capacity, needs force (a shelter can take people in over
+  // its nominal beds). Returns the movement, the resource after it
+  // and, for stock, the item.
+  static async recordMovement(resource, user, { kind, quantity, item = null, unit = null, notes = null, force = false }) {
+    if (!MOVEMENT_KINDS.includes(kind)) {
+      throw inventoryError('Invalid kind. Must be one of: ' + MOVEMENT_KINDS.join(', '), 'INVALID_KIND');
+    }
+
+    const minimum = kind === 'adjustment' ? 0 : 1;
+    if (!Number.isInteger(quantity) || quantity < minimum) {
+      throw inventoryError(`quantity must be a whole number of at least ${minimum}`, 'INVALID_QUANTITY');
+    }
+
+    const itemName = normalizeItem(item);
+    if (OCCUPANCY_KINDS.includes(kind) && itemName) {
+      throw inventoryError('check_in and check_out count people; use delivery or distribution for items', 'ITEM_NOT_ALLOWED');
+    }
+    if (['delivery', 'distribution'].includes(kind) && !itemName) {
+      throw inventoryError('item is required for deliveries and distributions', 'ITEM_REQUIRED');
+    }
+
+    const { before, after, stock } = itemName
+      ? await this.moveStock(resource, { kind, quantity, item: itemName, unit })
+      : await this.moveOccupancy(resource, { kind, quantity, force });
+
+    const movement = await db.resourceMovements.insert({
+      resource_id: resource.id,
+      disaster_id: resource.disaster_id || null,
+      kind,
+      item: itemName,
+      unit: stock ? stock.unit : null,
+      quantity,
+      delta: after - before,
+      balance_after: after,
+      notes,
+      recorded_by: user.id
+    });
+
+    return {
+      movement,
+      resource: await this.refreshAvailability(resource.id),
+      item: stock ? { ...stock, low: stock.quantity <= stock.low_threshold } : null
+    };
+  }
+
+  static async moveOccupancy(resource, { kind, quantity, force }) {
+    if (kind === 'adjustment') {
+      const { before, row } = await this.setCount(db.resources, resource.id, 'occupancy', quantity);
+      return { before, after: row.occupancy };
+    }
+
+    const delta = kind === 'check_in' ? quantity : -quantity;
+    const held = kind === 'check_in' && !force ? await ReservationService.heldFromNow(resource.id) : 0;
+    const updated = await adjustCounter(db.resources, resource.id, 'occupancy', delta,
+      row => (force || row.capacity === null || row.capacity === undefined
+        ? null
+        : row.capacity - (row.capacity_reserved || 0) - held));
+
+    if (!updated) {
+      const current = await db.resources.findById(resource.id);
+      const taken = (current.capacity_reserved || 0) + held;
+      throw kind === 'check_in'
+        ? inventoryError(`Only ${Math.max(current.capacity - (current.occupancy || 0) - taken, 0)} of ${current.capacity} places are free` +
+          `${taken ? ` (${taken} matched or reserved)` : ''} (force=true to check in anyway)`, 'OVER_CAPACITY')
+        : inventoryError(`Only ${current.occupancy || 0} checked in`, 'BELOW_ZERO');
+    }
+
+    return { before: updated.occupancy - delta, after: updated.occupancy };
+  }
+
+  static async moveStock(resource, { kind, quantity, item, unit }) {
+    let stock = await db.resourceInventory.findOne({ resource_id: resource.id, item });
+
+    if (!stock) {
+      if (kind === 'distribution') {
+        throw inventoryError(`No ${item} in stock`, 'BELOW_ZERO');
+      }
+      stock = await db.resourceInventory.insert({
+        resource_id: resource.id,
+        item,
+        unit: unit || 'units',
+        quantity: 0,
+        low_threshold: 0,
+        updated_at: new Date().toISOString()
+      });
+    } else if (unit && unit !== stock.unit) {
+      throw inventoryError(`${item} is counted in ${stock.unit}`, 'UNIT_MISMATCH');
+    }
+
+    if (kind === 'adjustment') {
+      const { before, row } = await this.setCount(db.resourceInventory, stock.id, 'quantity', quantity);
+      return { before, after: row.quantity, stock: row };
+    }
+
+    const delta = kind === 'delivery' ? quantity : -quantity;
+    const updated = await adjustCounter(db.resourceInventory, stock.id, 'quantity', delta);
+    if (!updated) {
+      const current = await db.resourceInventory.findById(stock.id);
+      throw inventoryError(`Only ${current.quantity} ${current.unit} of ${item} in stock`, 'BELOW_ZERO');
+    }
+
+    return { before: updated.quantity - delta, after: updated.quantity, stock: updated };
+  }
+
+  // Set a counter to a counted value; compare-and-swap so the ledger gets the real change
+  static async setCount(table, id, column, value) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const row = await table.findById(id);
+      const current = row[column] === undefined ? null : row[column];
+      const [updated] = await table.updateWhere({ id, [column]: current }, { [column]: value });
+      if (updated) return { before: current || 0, row: updated };
+    }
+    throw new Error(`${column} of ${id} keeps changing; try again`);
+  }
+
+  // Define an item or change its unit or low-stock threshold
+  static async setItem(resource, item, { unit = null, lowThreshold = null }) {
+    const existing = await db.resourceInventory.findOne({ resource_id: resource.id, item });
+    const changes = { updated_at: new Date().toISOString() };
+    if (unit) changes.unit = unit;
+    if (lowThreshold !== null) changes.low_threshold = lowThreshold;
+
+    const stock = existing
+      ? await db.resourceInventory.update(existing.id, changes)
+      : await db.resourceInventory.insert({ resource_id: resource.id, item, unit: 'units', quantity: 0, low_threshold: 0, ...changes });
+
+    await this.refreshAvailability(resource.id);
+    return { ...stock, low: stock.quantity <= stock.low_threshold };
+  }
+
+  // Flip `available` to match the numbers; resources with neither a capacity nor stock
+  // keep what they have
+  static async refreshAvailability(resourceId) {
+    const resource = await db.resources.findById(resourceId);
+    if (!resource) return null;
+
+    let available;
+    const spare = this.spareCapacity(resource);
+    if (spare !== null) {
+      available = spare > (resource.full_threshold || 0);
+    } else {
+      const items = await db.resourceInventory.list({ where: { resource_id: resourceId } });
+      if (items.length === 0) return resource;
+      available = items.some(item => item.quantity > item.low_threshold);
+    }
+
+    if (available === (resource.available !== false)) return resource;
+
+    const [updated] = await db.resources.updateWhere(
+      { id: resourceId, available: resource.available ?? null },
+      { available, updated_at: new Date().toISOString() }
+    );
+    return updated || db.resources.findById(resourceId);
+  }
+
+  static async movements(resourceId, { kind = null, item = null, limit = 50, offset = 0 } = {}) {
+    const where = { resource_id: resourceId };
+    if (kind) where.kind = kind;
+    if (item) where.item = normalizeItem(item);
+
+    const [movements, total] = await Promise.all([
+      db.resourceMovements.list({ where, orderBy: 'created_at', ascending: false, limit, offset }),
+      db.resourceMovements.count(where)
+    ]);
+    return { movements, total };
+  }
+}
@@ -0,0 +1,236 @@
+import { EventEmitter } from 'events';
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Job statuses, in the order a job normally moves through them
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// Persisted job queue on a storage table. Jobs are claimed with a conditional update
+// (status 'queued' -> 'running'), so several server processes can share one table.
+// A failed attempt is retried with exponential backoff until maxAttempts; errors with
+// `retryable = false` fail the job at once. Jobs left 'running' by a process that died
+// are queued again once their lock is older than lockTimeoutMs.
+// Emits 'job:succeeded', 'job:retry' and 'job:failed' with the job row.
+export class JobQueue extends EventEmitter {
+  constructor(name, { table, concurrency = 2, maxAttempts = 3, backoffMs = 5 * SECOND, maxBackoffMs = 5 * MINUTE, pollMs = SECOND, lockTimeoutMs = 5 * MINUTE }) {
+    super();
+    this.name = name;
+    this.table = table;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.pollMs = pollMs;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.handlers = new Map();
+    this.active = 0;
+    this.timer = null;
+    this.draining = false;
+    this.started = false;
+  }
+
+  // Register the handler for a job type. It receives the job row and returns its result.
+  handle(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue(type, payload = {}, { reportId = null, batchId = null, createdBy = null, maxAttempts = this.maxAttempts } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler for ${this.name} job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = await this.table.insert({
+      type,
+      status: 'queued',
+      payload,
+      attempts: 0,
+      max_attempts: maxAttempts,
+      run_at: now,
+      report_id: reportId,
+      batch_id: batchId,
+      created_by: createdBy,
+      updated_at: now
+    });
+
+    this.poke();
+    return job;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.timer = setInterval(() => this.drain(), this.pollMs);
+    // Don't keep the process alive just for the queue
+    this.timer.unref();
+    this.poke();
+    logger.info(`Job queue ${this.name} started (concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.started = false;
+  }
+
+  // Look for work soon instead of waiting for the next poll
+  poke() {
+    if (this.started) {
+      setImmediate(() => this.drain());
+    }
+  }
+
+  // Claim due jobs up to the free concurrency slots and run them
+  async drain() {
+    if (this.draining || this.active >= this.concurrency) return;
+    this.draining = true;
+
+    try {
+      await this.requeueStale();
+
+      const due = await this.table.list({
+        where: { status: 'queued', run_at: { lte: new Date().toISOString() } },
+        orderBy: 'run_at',
+        limit: this.concurrency - this.active
+      });
+
+      for (const job of due) {
+        const claimed = await this.claim(job);
+        if (claimed) {
+          this.active++;
+          this.process(claimed)
+            .catch(error => logger.error(`Job queue ${this.name}: could not record job ${claimed.id}:`, error))
+            .finally(() => {
+              this.active--;
+              this.poke();
+            });
+        }
+      }
+    } catch (error) {
+      logger.error(`Job queue ${this.name} poll failed:`, error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async claim(job) {
+    const now = new Date().toISOString();
+    const [claimed] = await this.table.updateWhere({ id: job.id, status: 'queued' }, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      locked_by: this.workerId,
+      locked_at: now,
+      started_at: job.started_at || now,
+      updated_at: now
+    });
+    return claimed || null;
+  }
+
+  async requeueStale() {
+    const staleBefore = new Date(Date.now() - this.lockTimeoutMs).toISOString();
+    const requeued = await this.table.updateWhere(
+      { status: 'running', locked_at: { lt: staleBefore } },
+      { status: 'queued', locked_by: null, locked_at: null, run_at: new Date().toISOString(), updated_at: new Date().toISOString() }
+    );
+    if (requeued.length) {
+      logger.warn(`Job queue ${this.name}: requeued ${requeued.length} stale job(s)`);
+    }
+  }
+
+  async process(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        const error = new Error(`No handler for job type: ${job.type}`);
+        error.retryable = false;
+        throw error;
+      }
+
+      const result = await handler(job);
+      const [done] = await this.table.updateWhere({ id: job.id, locked_by: this.workerId }, {
+        status: 'succeeded',
+        result: result ?? null,
+        error: null,
+        locked_by: null,
+        locked_at: null,
+        finished_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+
+      if (done) this.emit('job:succeeded', done);
+    } catch (error) {
+      const retry = error.retryable !== false && job.attempts < job.max_attempts;
+      const now = Date.now();
+      const changes = {
+        error: error.message,
+        locked_by: null,
+        locked_at: null,
+        updated_at: new Date(now).toISOString()
+      };
+
+      if (retry) {
+        Object.assign(changes, { status: 'queued', run_at: new Date(now + this.backoff(job.attempts)).toISOString() });
+      } else {
+        Object.assign(changes, { status: 'failed', finished_at: new Date(now).toISOString() });
+      }
+
+      const [updated] = await this.table.updateWhere({ id: job.id, locked_by: this.workerId }, changes);
+      logger.warn(`Job ${this.name}/${job.type} ${job.id} attempt ${job.attempts} failed: ${error.message}${retry ? ' (will retry)' : ''}`);
+
+      if (updated) this.emit(retry ? 'job:retry' : 'job:failed', updated);
+    }
+  }
+
+  // Delay before the next attempt: backoffMs doubled per attempt, capped, with up to 20% jitter
+  backoff(attempts) {
+    const delay = Math.min(this.backoffMs * 2 ** (attempts - 1), this.maxBackoffMs);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  // Put a failed or cancelled job back in the queue with a fresh set of attempts
+  async retry(id) {
+    const now = new Date().toISOString();
+    const [job] = await this.table.updateWhere({ id, status: { in: ['failed', 'cancelled'] } }, {
+      status: 'queued',
+      attempts: 0,
+      run_at: now,
+      error: null,
+      finished_at: null,
+      updated_at: now
+    });
+    if (job) this.poke();
+    return job || null;
+  }
+
+  // Cancel a job that hasn't started yet
+  async cancel(id) {
+    const now = new Date().toISOString();
+    const [job] = await this.table.updateWhere({ id, status: 'queued' }, {
+      status: 'cancelled',
+      finished_at: now,
+      updated_at: now
+    });
+    return job || null;
+  }
+
+  async counts(where = {}) {
+    const counts = await Promise.all(JOB_STATUSES.map(status => this.table.count({ ...where, status })));
+    return Object.fromEntries(JOB_STATUSES.map((status, i) => [status, counts[i]]));
+  }
+
+  status() {
+    return {
+      name: this.name,
+      started: this.started,
+      active: this.active,
+      concurrency: this.concurrency,
+      worker_id: this.workerId
+    };
+  }
+}
@@ -0,0 +1,174 @@
+import { db, cleanupExpiredCache } from './database.js';
+import { OfficialUpdatesService } from './officialUpdates.js';
+import { SocialMediaService, DEFAULT_KEYWORDS } from './socialMedia.js';
+import { TrustService } from './trust.js';
+import { IncidentService } from './incidents.js';
+import { ReservationService } from './reservations.js';
+import { logger } from '../utils/logger.js';
+
+// Background jobs run by the scheduler. Intervals come from the environment;
+// each job emits a Socket.IO event only when it produced new data.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+function intervalFromEnv(name, fallbackMs) {
+  const value = parseInt(process.env[name]);
+  return value > 0 ? value : fallbackMs;
+}
+
+// Minimum priority for a post to count as high priority in social updates
+const HIGH_PRIORITY = 7;
+
+// Scrape every enabled source whose poll interval has elapsed
+async function scrapeDueSources(io) {
+  const sources = await OfficialUpdatesService.getDueSources();
+  const totals = { sources: sources.length, inserted: 0, updated: 0, linked: 0, errors: 0 };
+
+  for (const source of sources) {
+    const result = await OfficialUpdatesService.scrapeOfficialSource(source, { useCache: false });
+
+    if (result.error) {
+      totals.errors++;
+      continue;
+    }
+
+    const { inserted = 0, updated = 0, linked = 0 } = result.stored || {};
+    totals.inserted += inserted;
+    totals.updated += updated;
+    totals.linked += linked;
+
+    if (inserted > 0 || updated > 0) {
+      io.emit('official_updates_new', {
+        source: source.name,
+        source_id: source.id,
+        inserted,
+        updated,
+        linked,
+        timestamp: result.scraped_at
+      });
+    }
+  }
+
+  return totals;
+}
+
+// Poll social media for active disasters and store what's new. Full updates go out
+// on the scheduler as 'social_media_updated' for the SSE streams.
+function createSocialPoll(io, scheduler) {
+  return async () => {
+    const disasters = await db.disasters.list({ where: { status: 'active' } });
+    const totals = { disasters: disasters.length, updated: 0, inserted: 0, duplicates: 0 };
+
+    for (const disaster of disasters) {
+      const { stats, posts } = await SocialMediaService.ingestPosts(disaster.id, DEFAULT_KEYWORDS, { useCache: false });
+      totals.inserted += stats.inserted;
+      totals.duplicates += stats.duplicates;
+
+      if (posts.length === 0) continue;
+
+      const update = {
+        disaster_id: disaster.id,
+        new_posts: posts,
+        high_priority_posts: SocialMediaService.filterPostsByPriority(posts, HIGH_PRIORITY),
+        total_posts: await db.socialPosts.count({ disaster_id: disaster.id, duplicate_of: null }),
+        timestamp: new Date().toISOString()
+      };
+
+      io.emit('social_media_updated', {
+        disaster_id: update.disaster_id,
+        new_posts: posts.length,
+        high_priority_posts: update.high_priority_posts.length,
+        timestamp: update.timestamp
+      });
+      scheduler.emit('social_media_updated', update);
+      totals.updated++;
+    }
+
+    return totals;
+  };
+}
+
+// Re-cluster reports and posts of active disasters into incidents
+async function clusterIncidents(io) {
+  const disasters = await db.disasters.list({ where: { status: 'active' } });
+  const totals = { disasters: disasters.length, incidents: 0, created: 0, removed: 0 };
+
+  for (const disaster of disasters) {
+    const stats = await IncidentService.clusterDisaster(disaster.id);
+    totals.incidents += stats.incidents;
+    totals.created += stats.created;
+    totals.removed += stats.removed;
+
+    if (stats.created > 0 || stats.updated > 0 || stats.removed > 0) {
+      io.emit('incidents_updated', {
+        disaster_id: disaster.id,
+        ...stats,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  return totals;
+}
+
+// Let lapsed reservation holds go and close reservations whose window passed
+async function expireReservations(io) {
+  const { expired, completed } = await ReservationService.expire();
+
+  for (const reservation of expired) {
+    io.emit('reservation_updated', {
+      action: 'expired',
+      reservation,
+      resource_id: reservation.resource_id,
+      requester_id: reservation.requested_by,
+      disaster_id: reservation.disaster_id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return { expired: expired.length, completed };
+}
+
+// Register the platform's jobs with a scheduler
+export function registerJobs(scheduler, io) {
+  scheduler.register('official_sources_scrape', {
+    description: 'Scrape official sources whose poll interval has elapsed',
+    intervalMs: intervalFromEnv('SCRAPE_JOB_INTERVAL_MS', 5 * MINUTE),
+    runOnStart: true,
+    handler: () => scrapeDueSources(io)
+  });
+
+  scheduler.register('cache_cleanup', {
+    description: 'Delete expired cache entries',
+    intervalMs: intervalFromEnv('CACHE_CLEANUP_INTERVAL_MS', 60 * MINUTE),
+    handler: async () => ({ removed: await cleanupExpiredCache() })
+  });
+
+  scheduler.register('social_media_poll', {
+    description: 'Poll social media for active disasters',
+    intervalMs: intervalFromEnv('SOCIAL_POLL_INTERVAL_MS', 30 * SECOND),
+    runOnStart: true,
+    handler: createSocialPoll(io, scheduler)
+  });
+
+  scheduler.register('trust_refresh', {
+    description: 'Recompute stale trust scores of reporters with pending reports',
+    intervalMs: intervalFromEnv('TRUST_REFRESH_INTERVAL_MS', 30 * MINUTE),
+    handler: () => TrustService.refreshStale()
+  });
+
+  scheduler.register('incident_clustering', {
+    description: 'Group reports and social posts of active disasters into incidents',
+    intervalMs: intervalFromEnv('INCIDENT_CLUSTER_INTERVAL_MS', 5 * MINUTE),
+    handler: () => clusterIncidents(io)
+  });
+
+  scheduler.register('reservation_expiry', {
+    description: 'Expire unconfirmed reservation holds and complete past reservations',
+    intervalMs: intervalFromEnv('RESERVATION_EXPIRY_INTERVAL_MS', MINUTE),
+    handler: () => expireReservations(io)
+  });
+
+  logger.info(`Registered ${scheduler.jobs.size} background jobs`);
+}
@@ -0,0 +1,291 @@
+import { db, findNearby, adjustCounter } from './database.js';
+import { InventoryService } from './inventory.js';
+import { ReservationService } from './reservations.js';
+import { URGENCY_LEVELS } from './moderation.js';
+import { haversineDistanceKm } from '../utils/geo.js';
+
+// What a need asks for and an offer provides; the same types as resources
+export const SUPPLY_TYPES = ['shelter', 'medical', 'food', 'transport', 'communication', 'equipment', 'personnel'];
+
+export const NEED_STATUSES = ['open', 'matched', 'cancelled'];
+export const OFFER_STATUSES = ['open', 'matched', 'withdrawn'];
+export const MATCH_STATUSES = ['accepted', 'cancelled'];
+
+// Candidates further away than this are not proposed
+const MATCH_RADIUS_KM = parseFloat(process.env.MATCH_RADIUS_KM) || 25;
+const MAX_PROPOSALS = 10;
+
+// How much distance counts against coverage, by the need's urgency: urgent needs go to
+// the nearest supply even if it can't cover everything
+const DISTANCE_WEIGHT = { critical: 0.7, high: 0.6, medium: 0.5, low: 0.4 };
+
+const ERROR_STATUS = {
+  INVALID_QUANTITY: 400,
+  TYPE_MISMATCH: 400,
+  NEED_CLOSED: 409,
+  NOT_AVAILABLE: 409,
+  CAPACITY_EXCEEDED: 409,
+  MATCH_CLOSED: 409
+};
+
+// HTTP status for a matching error code, or null for other errors
+export function matchingErrorStatus(code) {
+  return ERROR_STATUS[code] || null;
+}
+
+function matchingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const hasPosition = (row) => row.latitude !== null && row.latitude !== undefined &&
+  row.longitude !== null && row.longitude !== undefined;
+
+// Matches needs (type, quantity, location, urgency) with resources and volunteer offers of
+// the same type. Proposals are ranked by distance and by how much of the need the supply
+// can cover; accepting one reserves the quantity on both sides (resources.capacity_reserved,
+// offers.quantity_matched, needs.quantity_matched) and records it in `matches`.
+// Errors carry a code: INVALID_QUANTITY, TYPE_MISMATCH, NEED_CLOSED, NOT_AVAILABLE
+// (the resource or offer can't take more), CAPACITY_EXCEEDED, MATCH_CLOSED.
+export class MatchingService {
+
+  static remaining(row, total) {
+    return Math.max((row[total] || 0) - (row.quantity_matched || 0), 0);
+  }
+
+  // Spare capacity of a resource (not occupied or reserved); null when its capacity isn't known
+  static resourceAvailable(resource) {
+    return InventoryService.spareCapacity(resource);
+  }
+
+  // Score 0-100 from distance (closer is better) and coverage of the outstanding quantity
+  static score(need, { distanceKm, available }) {
+    const distanceScore = distanceKm === null ? 0.3 : 1 - Math.min(distanceKm / MATCH_RADIUS_KM, 1);
+    const outstanding = this.remaining(need, 'quantity');
+    const coverage = available === null ? 0.5 : Math.min(available / Math.max(outstanding, 1), 1);
+    const weight = DISTANCE_WEIGHT[need.urgency] || DISTANCE_WEIGHT.medium;
+    return Math.round((weight * distanceScore + (1 - weight) * coverage) * 100);
+  }
+
+  // Rows of a supply table of the need's type, nearest first when the need has a position
+  static async candidates(tableName, need, where) {
+    if (hasPosition(need)) {
+      return findNearby(tableName, {
+        latitude: Number(need.latitude),
+        longitude: Number(need.longitude),
+        radiusKm: MATCH_RADIUS_KM,
+        where: { ...where, type: need.type }
+      });
+    }
+    const rows = await db[tableName].list({ where: { ...where, type: need.type }, limit: 200 });
+    return rows.map(row => ({ ...row, distance_km: null }));
+  }
+
+  // Ranked resources and volunteer offers that could serve a need
+  static async propose(need, { limit = MAX_PROPOSALS } = {}) {
+    const [resources, offers] = await Promise.all([
+      this.candidates('resources', need, { available: true }),
+      this.candidates('offers', need, { disaster_id: need.disaster_id, status: 'open' })
+    ]);
+
+    const proposals = [];
+
+    // Resources of this disaster or not tied to one, less what reservations hold
+    for (const resource of resources) {
+      if (resource.disaster_id && resource.disaster_id !== need.disaster_id) continue;
+      const spare = this.resourceAvailable(resource);
+      const held = spare ? await ReservationService.heldFromNow(resource.id) : 0;
+      const available = spare === null ? null : Math.max(spare - held, 0);
+      if (available === 0) continue;
+
+      proposals.push({
+        kind: 'resource',
+        id: resource.id,
+        name: resource.name,
+        type: resource.type,
+        location_name: resource.location_name,
+        distance_km: resource.distance_km,
+        available_quantity: available,
+        covers_need: available === null ? null : available >= this.remaining(need, 'quantity'),
+        provider_id: resource.created_by,
+        score: this.score(need, { distanceKm: resource.distance_km, available })
+      });
+    }
+
+    for (const offer of offers) {
+      const available = this.remaining(offer, 'quantity');
+      if (available === 0 || offer.offered_by === need.created_by) continue;
+
+      proposals.push({
+        kind: 'offer',
+        id: offer.id,
+        name: offer.description,
+        type: offer.type,
+        location_name: offer.location_name,
+        distance_km: offer.distance_km,
+        available_quantity: available,
+        covers_need: available >= this.remaining(need, 'quantity'),
+        provider_id: offer.offered_by,
+        score: this.score(need, { distanceKm: offer.distance_km, available })
+      });
+    }
+
+    return proposals
+      .sort((a, b) => b.score - a.score || (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity))
+      .slice(0, limit);
+  }
+
+  // Accept a proposal: reserve `quantity` (default: as much of the need as the supply
+  // can take) of a resource or offer for a need
+  static async accept(need, user, { resourceId = null, offerId = null, quantity = null, notes = null }) {
+    if (need.status !== 'open') {
+      throw matchingError(`Need is ${need.status}`, 'NEED_CLOSED');
+    }
+
+    const kind = resourceId ? 'resource' : 'offer';
+    const table = resourceId ? db.resources : db.offers;
+    const supply = await table.findById(resourceId || offerId);
+    if (!supply) return null;
+
+    if (supply.type !== need.type) {
+      throw matchingError(`A ${supply.type} ${kind} can't serve a ${need.type} need`, 'TYPE_MISMATCH');
+    }
+    if (kind === 'resource' ? supply.available === false : supply.status !== 'open') {
+      throw matchingError(`The ${kind} is not available`, 'NOT_AVAILABLE');
+    }
+
+    // Units responders hold through reservations aren't up for matching
+    const held = kind === 'resource' ? await ReservationService.heldFromNow(supply.id) : 0;
+
+    const outstanding = this.remaining(need, 'quantity');
+    const spare = kind === 'resource' ? this.resourceAvailable(supply) : this.remaining(supply, 'quantity');
+    const available = spare === null ? null : Math.max(spare - held, 0);
+    if (available === 0) {
+      throw matchingError(`The ${kind} has nothing left`, 'NOT_AVAILABLE');
+    }
+    const amount = quantity === null ? Math.min(outstanding, available ?? outstanding) : quantity;
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw matchingError('quantity must be a positive whole number', 'INVALID_QUANTITY');
+    }
+    if (amount > outstanding) {
+      throw matchingError(`The need only has ${outstanding} left to match`, 'CAPACITY_EXCEEDED');
+    }
+
+    // Need first, then the supply; undo the need if the supply ran out meanwhile
+    const updatedNeed = await adjustCounter(db.needs, need.id, 'quantity_matched', amount,
+      row => (row.status === 'open' ? row.quantity : 0));
+    if (!updatedNeed) {
+      throw matchingError('The need was matched or closed by someone else; reload it and try again', 'NEED_CLOSED');
+    }
+
+    const updatedSupply = kind === 'resource'
+      ? await adjustCounter(db.resources, supply.id, 'capacity_reserved', amount,
+        row => (row.capacity === null || row.capacity === undefined ? null : row.capacity - (row.occupancy || 0) - held))
+      : await adjustCounter(db.offers, supply.id, 'quantity_matched', amount,
+        row => (row.status === 'open' ? row.quantity : 0));
+    if (!updatedSupply) {
+      await adjustCounter(db.needs, need.id, 'quantity_matched', -amount);
+      throw matchingError(`The ${kind} does not have ${amount} left`, 'NOT_AVAILABLE');
+    }
+
+    await this.refreshStatus(db.needs, updatedNeed);
+    if (kind === 'offer') await this.refreshStatus(db.offers, updatedSupply);
+    else await InventoryService.refreshAvailability(supply.id);
+
+    const distance = hasPosition(need) && hasPosition(supply)
+      ? Math.round(haversineDistanceKm(Number(need.latitude), Number(need.longitude), Number(supply.latitude), Number(supply.longitude)) * 100) / 100
+      : null;
+
+    const match = await db.matches.insert({
+      need_id: need.id,
+      disaster_id: need.disaster_id,
+      resource_id: resourceId,
+      offer_id: offerId,
+      quantity: amount,
+      distance_km: distance,
+      status: 'accepted',
+      notes,
+      accepted_by: user.id,
+      accepted_at: new Date().toISOString()
+    });
+
+    return {
+      match,
+      need: await db.needs.findById(need.id),
+      [kind]: await table.findById(supply.id),
+      provider_id: kind === 'resource' ? supply.created_by : supply.offered_by
+    };
+  }
+
+  // Cancel an accepted match and give the quantity back to both sides
+  static async cancel(match, user, { notes = null } = {}) {
+    const [cancelled] = await db.matches.updateWhere({ id: match.id, status: 'accepted' }, {
+      status: 'cancelled',
+      cancelled_by: user.id,
+      cancelled_at: new Date().toISOString(),
+      notes: notes || match.notes
+    });
+    if (!cancelled) {
+      throw matchingError(`Match is ${match.status}`, 'MATCH_CLOSED');
+    }
+
+    const need = await adjustCounter(db.needs, match.need_id, 'quantity_matched', -match.quantity);
+    if (need) await this.refreshStatus(db.needs, need);
+
+    let provider = null;
+    if (match.resource_id) {
+      await adjustCounter(db.resources, match.resource_id, 'capacity_reserved', -match.quantity);
+      provider = await InventoryService.refreshAvailability(match.resource_id);
+    } else {
+      const offer = await adjustCounter(db.offers, match.offer_id, 'quantity_matched', -match.quantity);
+      if (offer) await this.refreshStatus(db.offers, offer);
+      provider = await db.offers.findById(match.offer_id);
+    }
+
+    return {
+      match: cancelled,
+      need: await db.needs.findById(match.need_id),
+      ...(match.resource_id ? { resource: provider } : {}),
+      provider_id: provider ? provider.created_by || provider.offered_by : null
+    };
+  }
+
+  // open <-> matched as the matched quantity reaches the total; cancelled and withdrawn stay
+  static async refreshStatus(table, row) {
+    if (!['open', 'matched'].includes(row.status)) return row;
+    const status = (row.quantity_matched || 0) >= row.quantity ? 'matched' : 'open';
+    if (status === row.status) return row;
+    const [updated] = await table.updateWhere({ id: row.id, status: row.status }, { status, updated_at: new Date().toISOString() });
+    return updated || row;
+  }
+
+  // Open needs, most urgent first, then oldest
+  static async openNeeds({ disasterId = null, type = null, limit = 50, offset = 0 } = {}) {
+    const base = { status: 'open' };
+    if (disasterId) base.disaster_id = disasterId;
+    if (type) base.type = type;
+
+    const counts = await Promise.all(URGENCY_LEVELS.map(urgency => db.needs.count({ ...base, urgency })));
+    const needs = [];
+    let skip = offset;
+    for (const [i, urgency] of URGENCY_LEVELS.entries()) {
+      if (needs.length >= limit) break;
+      if (skip >= counts[i]) {
+        skip -= counts[i];
+        continue;
+      }
+      needs.push(...await db.needs.list({
+        where: { ...base, urgency },
+        orderBy: 'created_at',
+        ascending: true,
+        limit: limit - needs.length,
+        offset: skip
+      }));
+      skip = 0;
+    }
+
+    return { needs, total: counts.reduce((sum, count) => sum + count, 0) };
+  }
+}
@@ -0,0 +1,304 @@
+import { db } from './database.js';
+import { AuthService } from './auth.js';
+import { GeminiService } from './gemini.js';
+import { ImageVerificationService } from './imageVerification.js';
+import { TrustService, TRUST_LEVELS } from './trust.js';
+
+// Most urgent first; the moderation queue is ordered this way
+export const URGENCY_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+// Why a report was rejected ('other' needs notes)
+export const REJECTION_REASONS = ['duplicate', 'spam', 'fake_image', 'recycled_image', 'not_disaster_related',
+  'wrong_location', 'insufficient_detail', 'offensive', 'other'];
+
+export const REVIEW_STATUSES = ['pending', 'verified', 'rejected'];
+
+// A claim lapses after this long without a decision, so abandoned reports return to the queue
+const CLAIM_TTL_MS = (parseInt(process.env.REVIEW_CLAIM_MINUTES) || 15) * 60 * 1000;
+
+const ERROR_STATUS = {
+  CLAIMED: 409,
+  NOT_CLAIMED: 409,
+  CONFLICT: 409,
+  ESCALATED: 403,
+  INVALID_STATUS: 400,
+  INVALID_REASON: 400,
+  NOTES_REQUIRED: 400
+};
+
+// HTTP status for a moderation error code, or null for other errors
+export function moderationErrorStatus(code) {
+  return ERROR_STATUS[code] || null;
+}
+
+function moderationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Reviewer workflow for citizen reports: a queue of pending reports (escalated first,
+// then by urgency, oldest first), claims so two reviewers don't work on the same report,
+// decisions with rejection reasons, escalation, and a history of every step.
+// Errors carry a code: CLAIMED (someone else holds the claim), NOT_CLAIMED, CONFLICT
+// (the report changed while a reviewer was deciding), ESCALATED
+// (only reviewers with reports:resolve_escalated may decide), INVALID_STATUS,
+// INVALID_REASON, NOTES_REQUIRED.
+export class ModerationService {
+
+  // Urgency of a report from its text (keyword rules, so it costs nothing per report)
+  static urgencyFor(content) {
+    return GeminiService.ruleBasedSocialAnalysis(content).urgency;
+  }
+
+  // Pending reports, escalated first, then most urgent, then by reporter trust level,
+  // oldest first within each group.
+  // claimed: 'mine' (claimed by userId), 'unclaimed' or undefined for all.
+  static async queue({ disasterId = null, urgency = null, escalated = null, claimed = null, userId = null, limit = 50, offset = 0 } = {}) {
+    await this.releaseExpiredClaims();
+
+    const base = { verification_status: 'pending' };
+    if (disasterId) base.disaster_id = disasterId;
+    if (claimed === 'mine') base.claimed_by = userId;
+    if (claimed === 'unclaimed') base.claimed_by = null;
+
+    // One bucket per (escalated, urgency, trust level), walked in queue order
+    const buckets = [];
+    for (const isEscalated of escalated === null ? [true, false] : [escalated]) {
+      for (const level of urgency ? [urgency] : URGENCY_LEVELS) {
+        for (const trust of TRUST_LEVELS) {
+          buckets.push({ ...base, escalated_at: { isNull: !isEscalated }, urgency: level, reporter_trust_level: trust });
+        }
+      }
+    }
+
+    const counts = await Promise.all(buckets.map(where => db.reports.count(where)));
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    const reports = [];
+    let skip = offset;
+    for (const [i, where] of buckets.entries()) {
+      if (reports.length >= limit) break;
+      if (skip >= counts[i]) {
+        skip -= counts[i];
+        continue;
+      }
+      reports.push(...await db.reports.list({
+        where,
+        orderBy: 'created_at',
+        ascending: true,
+        limit: limit - reports.length,
+        offset: skip
+      }));
+      skip = 0;
+    }
+
+    return { reports, total };
+  }
+
+  // Pending reports per urgency level, and how many are escalated or claimed
+  static async queueStats(disasterId = null) {
+    await this.releaseExpiredClaims();
+
+    const base = { verification_status: 'pending' };
+    if (disasterId) base.disaster_id = disasterId;
+
+    const [byUrgency, byTrust, escalated, claimed, total] = await Promise.all([
+      Promise.all(URGENCY_LEVELS.map(urgency => db.reports.count({ ...base, urgency }))),
+      Promise.all(TRUST_LEVELS.map(level => db.reports.count({ ...base, reporter_trust_level: level }))),
+      db.reports.count({ ...base, escalated_at: { isNull: false } }),
+      db.reports.count({ ...base, claimed_by: { isNull: false } }),
+      db.reports.count(base)
+    ]);
+
+    return {
+      pending: total,
+      by_urgency: Object.fromEntries(URGENCY_LEVELS.map((level, i) => [level, byUrgency[i]])),
+      by_reporter_trust: Object.fromEntries(TRUST_LEVELS.map((level, i) => [level, byTrust[i]])),
+      escalated,
+      claimed
+    };
+  }
+
+  // Drop claims older than the claim TTL
+  static async releaseExpiredClaims(now = Date.now()) {
+    const expired = await db.reports.updateWhere(
+      { claimed_at: { lt: new Date(now - CLAIM_TTL_MS).toISOString() } },
+      { claimed_by: null, claimed_at: null }
+    );
+
+    for (const report of expired) {
+      await this.record(report, { action: 'claim_expired' });
+    }
+    return expired.length;
+  }
+
+  static claimExpiresAt(report) {
+    return report.claimed_at ? new Date(new Date(report.claimed_at).getTime() + CLAIM_TTL_MS).toISOString() : null;
+  }
+
+  // Claim a report for review. Claiming your own claim again extends it.
+  static async claim(report, user) {
+    await this.releaseExpiredClaims();
+
+    const now = new Date().toISOString();
+    let [claimed] = await db.reports.updateWhere({ id: report.id, claimed_by: null }, { claimed_by: user.id, claimed_at: now });
+    if (!claimed) {
+      [claimed] = await db.reports.updateWhere({ id: report.id, claimed_by: user.id }, { claimed_at: now });
+      if (!claimed) {
+        throw moderationError('Report is claimed by another reviewer', 'CLAIMED');
+      }
+      return claimed;
+    }
+
+    await this.record(claimed, { action: 'claimed', reviewerId: user.id });
+    return claimed;
+  }
+
+  // Give up a claim; force=true (reports:resolve_escalated) releases someone else's
+  static async release(report, user, { force = false } = {}) {
+    const where = { id: report.id, claimed_by: force ? { isNull: false } : user.id };
+    const [released] = await db.reports.updateWhere(where, { claimed_by: null, claimed_at: null });
+    if (!released) {
+      throw moderationError(force ? 'Report is not claimed' : 'You have not claimed this report', 'NOT_CLAIMED');
+    }
+
+    await this.record(released, {
+      action: 'released',
+      reviewerId: user.id,
+      notes: report.claimed_by !== user.id ? `Claim of ${report.claimed_by} released` : null
+    });
+    return released;
+  }
+
+  // Set a report's status. Rejections need a reason code; a report claimed by someone
+  // else can't be decided, and an escalated one only by reviewers who resolve escalations.
+  static async decide(report, user, { status, reasonCode = null, notes = null }) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw moderationError('Invalid verification status. Must be one of: ' + REVIEW_STATUSES.join(', '), 'INVALID_STATUS');
+    }
+
+    if (status === 'rejected') {
+      if (!REJECTION_REASONS.includes(reasonCode)) {
+        throw moderationError('reason_code is required to reject a report. Must be one of: ' + REJECTION_REASONS.join(', '), 'INVALID_REASON');
+      }
+      if (reasonCode === 'other' && !notes) {
+        throw moderationError('notes are required when reason_code is other', 'NOTES_REQUIRED');
+      }
+    }
+
+    this.assertCanAct(report, user);
+
+    const decided = status !== 'pending';
+    const updated = await this.updateUnchanged(report, {
+      verification_status: status,
+      verified_at: decided ? new Date().toISOString() : null,
+      verified_by: decided ? user.id : null,
+      verification_notes: notes || null,
+      rejection_reason: status === 'rejected' ? reasonCode : null,
+      claimed_by: null,
+      claimed_at: null,
+      escalated_at: decided ? null : report.escalated_at
+    });
+
+    // The decision changes the reporter's track record
+    await TrustService.refresh(report.user_id);
+
+    await this.record(report, {
+      action: status === 'pending' ? 'reopened' : status,
+      fromStatus: report.verification_status,
+      toStatus: status,
+      reviewerId: user.id,
+      reasonCode: status === 'rejected' ? reasonCode : null,
+      notes
+    });
+
+    return updated;
+  }
+
+  // Hand a report to senior reviewers; it moves to the top of the queue and the claim is dropped
+  static async escalate(report, user, { notes = null } = {}) {
+    if (report.verification_status !== 'pending') {
+      throw moderationError('Only pending reports can be escalated', 'INVALID_STATUS');
+    }
+    if (report.escalated_at) {
+      throw moderationError('Report is already escalated', 'ESCALATED');
+    }
+
+    this.assertCanAct(report, user);
+
+    const updated = await this.updateUnchanged(report, {
+      escalated_at: new Date().toISOString(),
+      escalated_by: user.id,
+      claimed_by: null,
+      claimed_at: null
+    });
+
+    await this.record(report, { action: 'escalated', reviewerId: user.id, notes });
+    return updated;
+  }
+
+  // Update the report unless someone claimed or decided it since it was read
+  static async updateUnchanged(report, changes) {
+    const [updated] = await db.reports.updateWhere({
+      id: report.id,
+      verification_status: report.verification_status,
+      claimed_by: report.claimed_by || null
+    }, changes);
+    if (!updated) {
+      throw moderationError('Report was changed by another reviewer; reload it and try again', 'CONFLICT');
+    }
+    return updated;
+  }
+
+  static assertCanAct(report, user) {
+    const claimActive = report.claimed_by && new Date(report.claimed_at).getTime() + CLAIM_TTL_MS > Date.now();
+    if (claimActive && report.claimed_by !== user.id) {
+      throw moderationError('Report is claimed by another reviewer', 'CLAIMED');
+    }
+    if (report.escalated_at && !AuthService.hasPermission(user.role, 'reports:resolve_escalated')) {
+      throw moderationError('Report is escalated; a senior reviewer has to decide it', 'ESCALATED');
+    }
+  }
+
+  // Current verdicts of the report's images (null when it has none)
+  static async aiVerdict(reportId) {
+    const attachments = await db.attachments.list({ where: { report_id: reportId }, orderBy: 'created_at', ascending: true });
+    if (attachments.length === 0) return null;
+
+    const images = [];
+    for (const attachment of attachments) {
+      const record = attachment.verification_id ? await db.imageVerifications.findById(attachment.verification_id) : null;
+      if (!record) {
+        images.push({ attachment_id: attachment.id, authenticity: null });
+        continue;
+      }
+      const { similar_images, ...summary } = ImageVerificationService.summarizeRecord(record);
+      images.push({ attachment_id: attachment.id, ...summary });
+    }
+
+    return {
+      images,
+      pending: images.filter(image => !image.authenticity).length,
+      recycled: images.some(image => image.recycled)
+    };
+  }
+
+  // Add a history entry with the AI verdict at the time
+  static async record(report, { action, fromStatus = null, toStatus = null, reviewerId = null, reasonCode = null, notes = null }) {
+    return db.reportHistory.insert({
+      report_id: report.id,
+      action,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reviewer_id: reviewerId,
+      reason_code: reasonCode,
+      notes,
+      ai_verdict: await this.aiVerdict(report.id)
+    });
+  }
+
+  static async history(reportId) {
+    return db.reportHistory.list({ where: { report_id: reportId }, orderBy: 'created_at', ascending: true });
+  }
+}
@@ -1,122 +1,171 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
+import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
-import { getFromCache, setCache } from './database.js';
+import { getPublic } from '../utils/network.js';
+import { pointInFootprint, parseCoordinates, haversineDistanceKm } from '../utils/geo.js';
+import { db, getFromCache, setCache } from './database.js';
+import { CapService, CAP_CONTENT_TYPE } from './cap.js';
+import { FeedService } from './feeds.js';
+
+// Upper bound on CAP documents followed from one index feed
+const CAP_MAX_LINKED_ALERTS = 20;
+
+const SOURCE_FORMATS = ['html', 'feed', 'cap'];
+
+const PRIORITY_ORDER = { critical: 3, high: 2, medium: 1, low: 0 };
+
+// Minimum relevance score for an update to be linked to a disaster
+const LINK_THRESHOLD = 0.3;
+
+// How far back to look when linking existing updates to a new disaster
+const RELINK_WINDOW_DAYS = 7;
+
+// Words too common to say anything about which disaster an update concerns
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'area', 'alert', 'emergency', 'response',
+  'sample', 'update', 'warning', 'county', 'city', 'downtown'
+]);
+
+// Abbreviations used in location names that agencies usually spell out
+const PLACE_ALIASES = {
+  nyc: ['new york']
+};
+
+const tokenize = (value) => String(value)
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 2 && !STOPWORDS.has(word));
+
+// "American Red Cross" -> "american_red_cross", the format of the ?sources filter
+const sourceKey = (name) => String(name).toLowerCase().replace(/\s+/g, '_');
 
 export class OfficialUpdatesService {
   
-  // List of official sources to scrape
-  static officialSources = [
-    {
-      name: 'FEMA',
-      url: 'https://www.fema.gov/disasters',
-      selector: '.disaster-declaration',
-      type: 'government'
-    },
-    {
-      name: 'Red Cross',
-      url: 'https://www.redcross.org/get-help/disaster-relief-and-recovery-services',
-      selector: '.emergency-update',
-      type: 'relief_organization'
-    },
-    {
-      name: 'NYC Emergency Management',
-      url: 'https://www1.nyc.gov/site/em/index.page',
-      selector: '.emergency-alert',
-      type: 'local_government'
+  // Registered sources (official_sources table), optionally only the enabled ones
+  static async getSources({ enabledOnly = false } = {}) {
+    return db.officialSources.list({
+      where: enabledOnly ? { enabled: true } : {},
+      orderBy: 'name'
+    });
+  }
+
+  static async getSourceByName(name) {
+    const sources = await this.getSources();
+    return sources.find(source => source.name.toLowerCase() === String(name).toLowerCase()) || null;
+  }
+
+  // Check a source definition; returns a list of problems (empty when valid).
+  // With `partial` only the fields present are checked (for updates).
+  static validateSource(source, { partial = false } = {}) {
+    const errors = [];
+    const has = (field) => source[field] !== undefined;
+
+    if (!partial || has('name')) {
+      if (!source.name || typeof source.name !== 'string' || !source.name.trim()) {
+        errors.push('name is required');
+      }
     }
-  ];
-
-  // Mock official updates for demonstration
-  static getMockOfficialUpdates(disasterId) {
-    return [
-      {
-        id: 'fema_001',
-        source: 'FEMA',
-        title: 'Major Disaster Declaration for New York Flooding',
-        content: 'President Biden has approved a Major Disaster Declaration for New York State due to severe flooding. Federal assistance is now available to affected individuals and communities.',
-        url: 'https://www.fema.gov/disaster/4673',
-        published_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), // 2 hours ago
-        type: 'government',
-        priority: 'high',
-        tags: ['federal_aid', 'disaster_declaration', 'flooding']
-      },
-      {
-        id: 'redcross_001',
-        source: 'American Red Cross',
-        title: 'Emergency Shelters Open in NYC Area',
-        content: 'The Red Cross has opened multiple emergency shelters across New York City to provide safe haven for those displaced by flooding. Locations include Madison Square Garden, Jacob Javits Center, and Brooklyn Armory.',
-        url: 'https://www.redcross.org/local/new-york/greater-new-york',
-        published_at: new Date(Date.now() - 90 * 60 * 1000).toISOString(), // 90 minutes ago
-        type: 'relief_organization',
-        priority: 'high',
-        tags: ['shelter', 'evacuation', 'emergency_services']
-      },
-      {
-        id: 'nyc_em_001',
-        source: 'NYC Emergency Management',
-        title: 'Flash Flood Warning Extended Until 8 PM',
-        content: 'Flash flood warning for all five boroughs extended until 8:00 PM today. Residents are advised to avoid unnecessary travel and stay indoors. Emergency services are responding to multiple water rescue situations.',
-        url: 'https://www1.nyc.gov/site/em/index.page',
-        published_at: new Date(Date.now() - 30 * 60 * 1000).toISOString(), // 30 minutes ago
-        type: 'local_government',
-        priority: 'critical',
-        tags: ['flood_warning', 'travel_advisory', 'emergency_response']
-      },
-      {
-        id: 'fema_002',
-        source: 'FEMA',
-        title: 'Individual Assistance Program Activated',
-        content: 'FEMA\'s Individual Assistance program is now available for New York residents affected by flooding. This includes assistance for temporary housing, home repairs, and other disaster-related expenses.',
-        url: 'https://www.fema.gov/assistance/individual',
-        published_at: new Date(Date.now() - 45 * 60 * 1000).toISOString(), // 45 minutes ago
-        type: 'government',
-        priority: 'medium',
-        tags: ['individual_assistance', 'financial_aid', 'housing_assistance']
-      },
-      {
-        id: 'salvation_army_001',
-        source: 'Salvation Army',
-        title: 'Mobile Emergency Response Units Deployed',
-        content: 'Salvation Army has deployed mobile emergency response units throughout the affected areas, providing hot meals, hydration, and emotional support to first responders and residents.',
-        url: 'https://www.salvationarmyusa.org/usn/disaster-relief/',
-        published_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(), // 1 hour ago
-        type: 'relief_organization',
-        priority: 'medium',
-        tags: ['mobile_services', 'food_assistance', 'emotional_support']
+
+    if (!partial || has('url')) {
+      let parsed = null;
+      try {
+        parsed = new URL(source.url);
+      } catch (error) {
+        // reported below
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        errors.push('url must be an http(s) URL');
+      }
+    }
+
+    if (has('format') && !SOURCE_FORMATS.includes(source.format)) {
+      errors.push('format must be one of: ' + SOURCE_FORMATS.join(', '));
+    }
+
+    if ((source.format || 'html') === 'html' && !partial && !source.selector) {
+      errors.push('selector is required for html sources');
+    }
+
+    if (has('poll_interval_minutes')) {
+      const interval = Number(source.poll_interval_minutes);
+      if (!Number.isInteger(interval) || interval < 1) {
+        errors.push('poll_interval_minutes must be a positive integer');
       }
-    ];
+    }
+
+    if (has('enabled') && typeof source.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+
+    if (has('scope') && source.scope !== null) {
+      const { latitude, longitude, radius_km } = source.scope || {};
+      if (!parseCoordinates(latitude, longitude) || !(Number(radius_km) > 0)) {
+        errors.push('scope must include latitude, longitude and a positive radius_km');
+      }
+    }
+
+    return errors;
+  }
+
+  // Remember how the last scrape of a registered source went
+  static async recordScrapeStatus(source, { error = null, updateCount = 0 } = {}) {
+    if (!source.id) return;
+
+    try {
+      await db.officialSources.update(source.id, {
+        last_scraped_at: new Date().toISOString(),
+        last_status: error ? 'error' : 'ok',
+        last_error: error,
+        last_update_count: error ? null : updateCount
+      });
+    } catch (dbError) {
+      logger.error(`Failed to record scrape status for ${source.name}:`, dbError);
+    }
+  }
+
+  // Enabled sources whose poll interval has elapsed since their last scrape
+  static async getDueSources(now = Date.now()) {
+    const sources = await this.getSources({ enabledOnly: true });
+
+    return sources.filter(source => {
+      if (!source.last_scraped_at) return true;
+      const intervalMs = (source.poll_interval_minutes || 15) * 60 * 1000;
+      return Date.parse(source.last_scraped_at) + intervalMs <= now;
+    });
+  }
+
+  static scrapeCacheKey(source) {
+    return `scrape_${source.name.toLowerCase().replace(/\s+/g, '_')}`;
   }
 
-  // Fetch official updates for a disaster
+  // Fetch persisted official updates linked to a disaster, most urgent first
   static async fetchOfficialUpdates(disasterId, sources = []) {
-    const cacheKey = `official_updates_${disasterId}_${sources.join('_')}`;
-    
     try {
-      // Check cache first
-      const cached = await getFromCache(cacheKey);
-      if (cached) {
-        logger.info('Official updates cache hit');
-        return cached;
-      }
+      const links = await db.officialUpdateLinks.list({ where: { disaster_id: disasterId } });
+      const relevanceById = new Map(links.map(link => [link.update_id, link]));
+
+      const updates = links.length
+        ? await db.officialUpdates.list({ where: { id: { in: [...relevanceById.keys()] } } })
+        : [];
 
-      // For demonstration, return mock data
-      // In a real implementation, this would scrape the official websites
-      const mockUpdates = this.getMockOfficialUpdates(disasterId);
-      
       // Filter by sources if specified
       const filteredUpdates = sources.length > 0 
-        ? mockUpdates.filter(update => sources.includes(update.source.toLowerCase().replace(/\s+/g, '_')))
-        : mockUpdates;
+        ? updates.filter(update => sources.includes(sourceKey(update.source)))
+        : updates;
 
       // Sort by priority and timestamp
-      const sortedUpdates = filteredUpdates.sort((a, b) => {
-        const priorityOrder = { critical: 3, high: 2, medium: 1, low: 0 };
-        if (priorityOrder[a.priority] !== priorityOrder[b.priority]) {
-          return priorityOrder[b.priority] - priorityOrder[a.priority];
-        }
-        return new Date(b.published_at) - new Date(a.published_at);
-      });
+      const sortedUpdates = filteredUpdates
+        .map(update => {
+          const link = relevanceById.get(update.id);
+          return { ...update, relevance: { score: link.score, reasons: link.reasons } };
+        })
+        .sort((a, b) => {
+          if (PRIORITY_ORDER[a.priority] !== PRIORITY_ORDER[b.priority]) {
+            return PRIORITY_ORDER[b.priority] - PRIORITY_ORDER[a.priority];
+          }
+          return new Date(b.published_at) - new Date(a.published_at);
+        });
 
       const result = {
         disaster_id: disasterId,
@@ -124,13 +173,13 @@ export class OfficialUpdatesService {
         updates: sortedUpdates,
         total_updates: sortedUpdates.length,
         critical_updates: sortedUpdates.filter(u => u.priority === 'critical').length,
-        last_updated: new Date().toISOString(),
-        provider: 'mock_scraper'
+        last_updated: sortedUpdates.reduce(
+          (latest, update) => (update.fetched_at > latest ? update.fetched_at : latest),
+          ''
+        ) || null,
+        provider: 'database'
       };
 
-      // Cache the result for 10 minutes
-      await setCache(cacheKey, result, 600);
-
       logger.info(`Fetched ${result.total_updates} official updates for disaster ${disasterId}`);
       return result;
 
@@ -142,75 +191,363 @@ export class OfficialUpdatesService {
         updates: [],
         total_updates: 0,
         critical_updates: 0,
-        last_updated: new Date().toISOString(),
+        last_updated: null,
         error: error.message,
-        provider: 'mock_scraper'
+        provider: 'database'
       };
     }
   }
 
-  // Scrape a single official source (real implementation)
-  static async scrapeOfficialSource(source) {
-    const cacheKey = `scrape_${source.name.toLowerCase().replace(/\s+/g, '_')}`;
+  // Hash of the normalised title and body, used to spot the same item re-published
+  static contentHash(update) {
+    const normalised = `${update.title || ''}\n${update.content || ''}`.toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalised).digest('hex');
+  }
+
+  // Persist scraped/ingested updates. An item is the same update when it has the same
+  // item URL (the listing page URL is shared by every scraped item, so it doesn't count)
+  // or the same content hash. A changed item at a known URL is updated in place.
+  static async storeUpdates(updates, source = {}) {
+    const stats = { inserted: 0, updated: 0, duplicates: 0, linked: 0 };
+    const stored = [];
+    // Row id of every update, stored or already there
+    const ids = [];
+
+    for (const update of updates) {
+      const contentHash = this.contentHash(update);
+      const itemUrl = update.url && update.url !== source.url ? update.url : null;
+
+      const existing = (itemUrl && await db.officialUpdates.findOne({ url: itemUrl })) ||
+        await db.officialUpdates.findOne({ content_hash: contentHash });
+
+      if (existing && existing.content_hash === contentHash) {
+        stats.duplicates++;
+        ids.push(existing.id);
+        continue;
+      }
+
+      const row = {
+        external_id: update.id || null,
+        source_id: source.id || null,
+        source: update.source,
+        title: update.title,
+        content: update.content,
+        url: update.url || null,
+        content_hash: contentHash,
+        published_at: update.published_at || new Date().toISOString(),
+        type: update.type || source.type || 'government',
+        priority: update.priority || 'medium',
+        tags: update.tags || [],
+        cap: update.cap || null,
+        fetched_at: new Date().toISOString()
+      };
+
+      let saved;
+      if (existing) {
+        saved = await db.officialUpdates.update(existing.id, row);
+        stats.updated++;
+      } else {
+        saved = await db.officialUpdates.insert(row);
+        stats.inserted++;
+      }
+
+      stats.linked += (await this.linkUpdate(saved, source)).length;
+      stored.push(saved);
+      ids.push(saved.id);
+    }
+
+    return { stats, updates: stored, ids };
+  }
+
+  // Score how strongly an update concerns a disaster (0-1) and say why.
+  // `source` is the registry entry the update came from, if any.
+  static scoreRelevance(update, disaster, source = null) {
+    const text = `${update.source} ${update.title} ${update.content} ${(update.tags || []).join(' ')}`.toLowerCase();
+    const reasons = [];
+    let score = 0;
+
+    // CAP area polygons containing the disaster's point
+    const areas = update.cap ? update.cap.areas || [] : [];
+    const hasPoint = disaster.latitude !== null && disaster.latitude !== undefined;
+    const coversDisaster = hasPoint && areas.some(area => (area.polygons || []).some(ring =>
+      pointInFootprint(Number(disaster.latitude), Number(disaster.longitude), { type: 'Polygon', coordinates: [ring] })
+    ));
+    if (coversDisaster) {
+      score += 0.5;
+      reasons.push('area');
+    }
+
+    // Disaster inside the geographic scope the source covers
+    const scope = source && source.scope;
+    if (scope && hasPoint && haversineDistanceKm(
+      Number(scope.latitude), Number(scope.longitude),
+      Number(disaster.latitude), Number(disaster.longitude)
+    ) <= Number(scope.radius_km)) {
+      score += 0.2;
+      reasons.push('source_scope');
+    }
+
+    // Place names from the disaster's location ("Downtown Manhattan, NYC" -> manhattan, nyc)
+    const places = tokenize(disaster.location_name || '');
+    const areaNames = tokenize(areas.map(area => area.description).join(' '));
+    const placeHits = places.filter(place =>
+      text.includes(place) || areaNames.includes(place) ||
+      (PLACE_ALIASES[place] || []).some(alias => text.includes(alias))
+    );
+    if (placeHits.length > 0) {
+      score += 0.3;
+      reasons.push(`location:${placeHits.join(',')}`);
+    }
+
+    // Disaster tags and title words
+    const keywords = [...new Set([...(disaster.tags || []), ...tokenize(disaster.title)])];
+    const keywordHits = keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+    if (keywordHits.length > 0) {
+      score += Math.min(0.3, keywordHits.length * 0.1);
+      reasons.push(`keywords:${keywordHits.join(',')}`);
+    }
+
+    return { score: Math.round(Math.min(1, score) * 100) / 100, reasons };
+  }
+
+  // Link one stored update to every open disaster it is relevant to
+  static async linkUpdate(update, source = null) {
+    const disasters = await db.disasters.list({ where: { status: { neq: 'archived' } } });
+    return this.saveLinks(update, disasters, source);
+  }
+
+  // Link recent stored updates to one disaster (e.g. right after it is created)
+  static async linkUpdatesToDisaster(disaster, { days = RELINK_WINDOW_DAYS } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const [updates, sources] = await Promise.all([
+      db.officialUpdates.list({ where: { published_at: { gte: since } } }),
+      this.getSources()
+    ]);
+    const sourcesById = new Map(sources.map(source => [source.id, source]));
+
+    let linked = 0;
+    for (const update of updates) {
+      linked += (await this.saveLinks(update, [disaster], sourcesById.get(update.source_id))).length;
+    }
+    return linked;
+  }
+
+  static async saveLinks(update, disasters, source = null) {
+    const links = [];
+
+    for (const disaster of disasters) {
+      const { score, reasons } = this.scoreRelevance(update, disaster, source);
+      if (score < LINK_THRESHOLD) continue;
+
+      const link = { update_id: update.id, disaster_id: disaster.id, score, reasons };
+      const existing = await db.officialUpdateLinks.findOne({ update_id: update.id, disaster_id: disaster.id });
+
+      links.push(existing
+        ? await db.officialUpdateLinks.update(existing.id, { score, reasons })
+        : await db.officialUpdateLinks.insert(link));
+    }
+
+    return links;
+  }
+
+  // Parse pushed CAP documents and store the resulting updates.
+  // Each document gets its own result so one bad alert doesn't reject the batch.
+  static async ingestCapDocuments(documents, source = {}) {
+    const results = [];
+
+    for (const [index, xml] of documents.entries()) {
+      const parsed = CapService.parseDocument(xml, source);
+      const updates = parsed.alerts.flatMap(alert => alert.updates);
+      const errors = [...parsed.errors, ...parsed.alerts.flatMap(alert => alert.errors)];
+      const { stats, ids } = await this.storeUpdates(updates, source);
+      const rowIds = new Map(updates.map((update, i) => [update, ids[i]]));
+
+      results.push({
+        index,
+        valid: errors.length === 0,
+        alerts: parsed.alerts.map(({ updates: alertUpdates, ...alert }) => ({
+          ...alert,
+          update_ids: alertUpdates.map(update => rowIds.get(update))
+        })),
+        errors,
+        stored: stats,
+        updates
+      });
+    }
+
+    const totalUpdates = results.reduce((sum, result) => sum + result.updates.length, 0);
+
+    logger.info(`Ingested ${totalUpdates} CAP updates from ${documents.length} documents`);
+    return {
+      documents: results,
+      total_updates: totalUpdates,
+      rejected_documents: results.filter(result => !result.valid).length
+    };
+  }
+
+  // Fetch a CAP source: either one CAP document, or an index feed whose entries
+  // link to CAP documents (fetched with Accept: application/cap+xml). The source itself
+  // is registered by an admin; links come from the remote feed, so they may not reach
+  // private networks.
+  static async fetchCapUpdates(source) {
+    const headers = {
+      'User-Agent': 'DisasterResponsePlatform/1.0 (Emergency Information Aggregator)',
+      'Accept': `${CAP_CONTENT_TYPE}, application/atom+xml, application/rss+xml, application/xml;q=0.9`
+    };
+
+    const response = await axios.get(source.url, { headers, timeout: 10000, responseType: 'text' });
+
+    let documents = [response.data];
+    if (!CapService.isCapDocument(response.data)) {
+      const links = CapService.extractAlertLinks(response.data).slice(0, CAP_MAX_LINKED_ALERTS);
+      const fetched = await Promise.allSettled(links.map(link =>
+        getPublic(link, { headers: { ...headers, Accept: CAP_CONTENT_TYPE }, timeout: 10000, responseType: 'text' })
+      ));
+      fetched.filter(result => result.status === 'rejected').forEach(result => {
+        logger.warn(`Skipped a linked CAP alert from ${source.name}: ${result.reason.message}`);
+      });
+      documents = fetched
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value.data);
+    }
+
+    const updates = [];
+    const errors = [];
+
+    documents.forEach(xml => {
+      const parsed = CapService.parseDocument(xml, source);
+      errors.push(...parsed.errors);
+      parsed.alerts.forEach(alert => {
+        updates.push(...alert.updates);
+        errors.push(...alert.errors.map(error => `${alert.identifier || 'alert'}: ${error}`));
+      });
+    });
+
+    if (errors.length > 0) {
+      logger.warn(`CAP validation errors from ${source.name}: ${errors.join('; ')}`);
+    }
+
+    return { updates, errors };
+  }
+
+  // Fetch an RSS/Atom source and map its entries onto the update shape
+  static async fetchFeedUpdates(source) {
+    const response = await axios.get(source.url, {
+      headers: {
+        'User-Agent': 'DisasterResponsePlatform/1.0 (Emergency Information Aggregator)',
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8'
+      },
+      timeout: 10000,
+      responseType: 'text'
+    });
+
+    const feed = FeedService.parse(response.data);
+
+    return feed.entries
+      .filter(entry => entry.title && (entry.content || entry.url))
+      .map(entry => ({
+        id: entry.id,
+        source: source.name,
+        title: entry.title,
+        content: entry.content || entry.title,
+        url: entry.url || source.url,
+        published_at: entry.published_at || new Date().toISOString(),
+        type: source.type,
+        priority: 'medium',
+        tags: entry.tags.map(tag => tag.toLowerCase().replace(/\s+/g, '_'))
+      }));
+  }
+
+  // Scrape an HTML page using the source's CSS selector
+  static async fetchHtmlUpdates(source) {
+    // Make HTTP request with proper headers
+    const response = await axios.get(source.url, {
+      headers: {
+        'User-Agent': 'DisasterResponsePlatform/1.0 (Emergency Information Aggregator)',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      },
+      timeout: 10000 // 10 second timeout
+    });
+
+    const $ = cheerio.load(response.data);
+    const updates = [];
+
+    // Extract updates based on selector
+    $(source.selector).each((i, element) => {
+      const $el = $(element);
+      const href = $el.find('a[href]').first().attr('href');
+      const publishedAt = new Date($el.find('time[datetime]').first().attr('datetime') || Date.now());
+      const update = {
+        id: `${source.name.toLowerCase()}_${Date.now()}_${i}`,
+        source: source.name,
+        title: $el.find('h1, h2, h3, .title').first().text().trim(),
+        content: $el.find('p, .content, .description').first().text().trim(),
+        url: href ? new URL(href, source.url).toString() : source.url,
+        published_at: isNaN(publishedAt.getTime()) ? new Date().toISOString() : publishedAt.toISOString(),
+        type: source.type,
+        priority: 'medium',
+        tags: []
+      };
+
+      if (update.title && update.content) {
+        updates.push(update);
+      }
+    });
+
+    return updates;
+  }
+
+  // Scrape a single official source (real implementation).
+  // The scheduler passes useCache: false so a due source is always fetched.
+  static async scrapeOfficialSource(source, { useCache = true } = {}) {
+    const cacheKey = this.scrapeCacheKey(source);
+    const format = source.format || 'html';
     
     try {
       // Check cache first
-      const cached = await getFromCache(cacheKey);
+      const cached = useCache && await getFromCache(cacheKey);
       if (cached) {
         logger.info(`Official source cache hit: ${source.name}`);
         return cached;
       }
 
-      // Make HTTP request with proper headers
-      const response = await axios.get(source.url, {
-        headers: {
-          'User-Agent': 'DisasterResponsePlatform/1.0 (Emergency Information Aggregator)',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-        },
-        timeout: 10000 // 10 second timeout
-      });
+      let updates;
+      let validationErrors;
 
-      const $ = cheerio.load(response.data);
-      const updates = [];
-
-      // Extract updates based on selector
-      $(source.selector).each((i, element) => {
-        const $el = $(element);
-        const update = {
-          id: `${source.name.toLowerCase()}_${Date.now()}_${i}`,
-          source: source.name,
-          title: $el.find('h1, h2, h3, .title').first().text().trim(),
-          content: $el.find('p, .content, .description').first().text().trim(),
-          url: source.url,
-          published_at: new Date().toISOString(), // Would extract actual date in real implementation
-          type: source.type,
-          priority: 'medium',
-          tags: []
-        };
-
-        if (update.title && update.content) {
-          updates.push(update);
-        }
-      });
+      if (format === 'cap') {
+        ({ updates, errors: validationErrors } = await this.fetchCapUpdates(source));
+      } else if (format === 'feed') {
+        updates = await this.fetchFeedUpdates(source);
+      } else {
+        updates = await this.fetchHtmlUpdates(source);
+      }
+
+      const { stats } = await this.storeUpdates(updates, source);
 
       const result = {
         source: source.name,
         url: source.url,
+        format,
         updates,
+        stored: stats,
+        ...(validationErrors ? { validation_errors: validationErrors } : {}),
         scraped_at: new Date().toISOString()
       };
 
       // Cache for 15 minutes
       await setCache(cacheKey, result, 900);
+      await this.recordScrapeStatus(source, { updateCount: updates.length });
 
-      logger.info(`Scraped ${updates.length} updates from ${source.name}`);
+      logger.info(`Scraped ${updates.length} updates from ${source.name} (${format})`);
       return result;
 
     } catch (error) {
       logger.error(`Scraping error for ${source.name}:`, error);
+      await this.recordScrapeStatus(source, { error: error.message });
       return {
         source: source.name,
         url: source.url,
+        format,
         updates: [],
         error: error.message,
         scraped_at: new Date().toISOString()
@@ -218,10 +555,11 @@ export class OfficialUpdatesService {
     }
   }
 
-  // Scrape all official sources
+  // Scrape all enabled official sources
   static async scrapeAllOfficialSources() {
     try {
-      const scrapePromises = this.officialSources.map(source => 
+      const sources = await this.getSources({ enabledOnly: true });
+      const scrapePromises = sources.map(source => 
         this.scrapeOfficialSource(source)
       );
 
@@ -232,7 +570,7 @@ export class OfficialUpdatesService {
         if (result.status === 'fulfilled') {
           allUpdates.push(...result.value.updates);
         } else {
-          logger.error(`Failed to scrape ${this.officialSources[index].name}:`, result.reason);
+          logger.error(`Failed to scrape ${sources[index].name}:`, result.reason);
         }
       });
 
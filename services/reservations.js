@@ -0,0 +1,235 @@
+import { db } from './database.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const RESERVATION_STATUSES = ['held', 'confirmed', 'released', 'expired', 'completed'];
+const ACTIVE_STATUSES = ['held', 'confirmed'];
+
+// An unconfirmed hold lapses after this long
+const HOLD_MINUTES = parseFloat(process.env.RESERVATION_HOLD_MINUTES) || 30;
+// Window used when a reservation gives no end
+const DEFAULT_HOURS = parseFloat(process.env.RESERVATION_DEFAULT_HOURS) || 24;
+const MAX_WINDOW_DAYS = 30;
+
+const ERROR_STATUS = {
+  INVALID_QUANTITY: 400,
+  INVALID_WINDOW: 400,
+  CAPACITY_CONFLICT: 409,
+  HOLD_EXPIRED: 409,
+  RESERVATION_CLOSED: 409
+};
+
+// HTTP status for a reservation error code, or null for other errors
+export function reservationErrorStatus(code) {
+  return ERROR_STATUS[code] || null;
+}
+
+function reservationError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+const time = (value) => new Date(value).getTime();
+
+// Earlier reservations (by creation, then id) win conflicts
+const before = (a, b) => time(a.created_at) - time(b.created_at) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Time-windowed claims on a resource: a block of shelter beds or a vehicle for a need,
+// report or disaster. A reservation starts as a hold that lapses after
+// RESERVATION_HOLD_MINUTES unless confirmed, and ends released, expired (an unconfirmed
+// hold) or completed (its window passed). Holds and confirmed reservations may not
+// overlap beyond the resource's bookable units: its capacity less occupancy and what
+// matches reserved, or one unit when the capacity isn't known (a vehicle, a team).
+// Errors carry a code: INVALID_QUANTITY, INVALID_WINDOW, CAPACITY_CONFLICT,
+// HOLD_EXPIRED, RESERVATION_CLOSED.
+export class ReservationService {
+
+  static units(resource) {
+    if (resource.capacity === null || resource.capacity === undefined) return 1;
+    return Math.max(resource.capacity - (resource.occupancy || 0) - (resource.capacity_reserved || 0), 0);
+  }
+
+  // Confirmed, or held and not lapsed yet (the expiry job may not have run)
+  static isActive(reservation, now = Date.now()) {
+    return reservation.status === 'confirmed' ||
+      (reservation.status === 'held' && time(reservation.hold_expires_at) > now);
+  }
+
+  // Active reservations of a resource overlapping [from, to)
+  static async overlapping(resourceId, from, to, now = Date.now()) {
+    const rows = await db.resourceReservations.list({
+      where: {
+        resource_id: resourceId,
+        status: { in: ACTIVE_STATUSES },
+        starts_at: { lt: new Date(to).toISOString() },
+        ends_at: { gt: new Date(from).toISOString() }
+      }
+    });
+    return rows.filter(row => this.isActive(row, now));
+  }
+
+  // Most units held at once within [from, to)
+  static peakLoad(reservations, from, to) {
+    const edges = [];
+    for (const reservation of reservations) {
+      edges.push([Math.max(time(reservation.starts_at), from), reservation.quantity]);
+      edges.push([Math.min(time(reservation.ends_at), to), -reservation.quantity]);
+    }
+    // Ends before starts at the same instant: back-to-back windows don't overlap
+    edges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let load = 0;
+    let peak = 0;
+    for (const [, delta] of edges) {
+      load += delta;
+      peak = Math.max(peak, load);
+    }
+    return peak;
+  }
+
+  // Bookable units of a resource over [from, to) and the reservations using them
+  static async availability(resource, { from, to }) {
+    const reservations = await this.overlapping(resource.id, from, to);
+    const units = this.units(resource);
+    const reserved = this.peakLoad(reservations, from, to);
+    return {
+      units,
+      reserved,
+      available: Math.max(units - reserved, 0),
+      reservations: reservations.sort(before)
+    };
+  }
+
+  // Units held from now on; matches can't take those
+  static async heldFromNow(resourceId) {
+    const now = Date.now();
+    const reservations = await this.overlapping(resourceId, now, now + MAX_WINDOW_DAYS * DAY, now);
+    return this.peakLoad(reservations, now, now + MAX_WINDOW_DAYS * DAY);
+  }
+
+  // Window from the request: starts_at defaults to now, ends_at to RESERVATION_DEFAULT_HOURS
+  // later. Only lookups (past: true) may ask about windows that are over.
+  static parseWindow(startsAt, endsAt, { now = Date.now(), past = false } = {}) {
+    const from = startsAt ? time(startsAt) : now;
+    const to = endsAt ? time(endsAt) : from + DEFAULT_HOURS * HOUR;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw reservationError('starts_at and ends_at must be ISO 8601 dates', 'INVALID_WINDOW');
+    }
+    if (to <= from) {
+      throw reservationError('ends_at must be after starts_at', 'INVALID_WINDOW');
+    }
+    if (!past && to <= now) {
+      throw reservationError('The window is already over', 'INVALID_WINDOW');
+    }
+    if (to - from > MAX_WINDOW_DAYS * DAY) {
+      throw reservationError(`A reservation can last at most ${MAX_WINDOW_DAYS} days`, 'INVALID_WINDOW');
+    }
+    return { from, to };
+  }
+
+  // Place a hold. It is stored first and then checked against every active reservation
+  // created before it, so of two requests racing for the last units the later one loses.
+  static async hold(resource, user, { quantity = 1, startsAt = null, endsAt = null, disasterId = null, reportId = null, needId = null, notes = null }) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw reservationError('quantity must be a positive whole number', 'INVALID_QUANTITY');
+    }
+
+    const now = Date.now();
+    const { from, to } = this.parseWindow(startsAt, endsAt, { now });
+    const units = this.units(resource);
+    if (quantity > units) {
+      throw reservationError(`The resource has ${units} bookable units`, 'CAPACITY_CONFLICT', { available: units, conflicts: [] });
+    }
+
+    const reservation = await db.resourceReservations.insert({
+      resource_id: resource.id,
+      disaster_id: disasterId || resource.disaster_id || null,
+      report_id: reportId,
+      need_id: needId,
+      quantity,
+      starts_at: new Date(from).toISOString(),
+      ends_at: new Date(to).toISOString(),
+      status: 'held',
+      hold_expires_at: new Date(now + HOLD_MINUTES * MINUTE).toISOString(),
+      notes,
+      requested_by: user.id,
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString()
+    });
+
+    const earlier = (await this.overlapping(resource.id, from, to, now))
+      .filter(row => row.id !== reservation.id && before(row, reservation) < 0);
+    const taken = this.peakLoad(earlier, from, to);
+
+    if (taken + quantity > units) {
+      await db.resourceReservations.delete(reservation.id);
+      throw reservationError(
+        `Only ${Math.max(units - taken, 0)} of ${units} units are free in that window`,
+        'CAPACITY_CONFLICT',
+        { available: Math.max(units - taken, 0), conflicts: earlier.sort(before).map(row => row.id) }
+      );
+    }
+
+    return reservation;
+  }
+
+  static async confirm(reservation, user) {
+    const now = new Date().toISOString();
+    const [confirmed] = await db.resourceReservations.updateWhere(
+      { id: reservation.id, status: 'held', hold_expires_at: { gt: now } },
+      { status: 'confirmed', confirmed_by: user.id, confirmed_at: now, updated_at: now }
+    );
+    if (confirmed) return confirmed;
+
+    const current = await db.resourceReservations.findById(reservation.id);
+    if (current && current.status === 'held') {
+      throw reservationError('The hold has lapsed; place a new one', 'HOLD_EXPIRED');
+    }
+    throw reservationError(`Reservation is ${current ? current.status : 'gone'}`, 'RESERVATION_CLOSED');
+  }
+
+  // Give the units back (the requester or coordinators)
+  static async release(reservation, user, { notes = null } = {}) {
+    const now = new Date().toISOString();
+    const [released] = await db.resourceReservations.updateWhere(
+      { id: reservation.id, status: { in: ACTIVE_STATUSES } },
+      { status: 'released', released_by: user.id, released_at: now, notes: notes || reservation.notes, updated_at: now }
+    );
+    if (!released) {
+      throw reservationError(`Reservation is ${reservation.status}`, 'RESERVATION_CLOSED');
+    }
+    return released;
+  }
+
+  // Lapsed holds become expired and confirmed reservations whose window passed completed
+  static async expire(now = new Date()) {
+    const at = now.toISOString();
+    const expired = await db.resourceReservations.updateWhere(
+      { status: 'held', hold_expires_at: { lte: at } },
+      { status: 'expired', updated_at: at }
+    );
+    const completed = await db.resourceReservations.updateWhere(
+      { status: 'confirmed', ends_at: { lte: at } },
+      { status: 'completed', updated_at: at }
+    );
+    return { expired, completed: completed.length };
+  }
+
+  static async list(resourceId, { status = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    const where = { resource_id: resourceId };
+    if (status) where.status = status;
+    if (from) where.ends_at = { gt: new Date(from).toISOString() };
+    if (to) where.starts_at = { lt: new Date(to).toISOString() };
+
+    const [reservations, total] = await Promise.all([
+      db.resourceReservations.list({ where, orderBy: 'starts_at', ascending: true, limit, offset }),
+      db.resourceReservations.count(where)
+    ]);
+    return { reservations, total };
+  }
+}
@@ -0,0 +1,198 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+
+// Runs kept per job for the admin endpoints
+const HISTORY_SIZE = 20;
+
+// In-process scheduler for named periodic jobs.
+// A job never overlaps itself: a tick or trigger while it is running is recorded as skipped.
+// Emits 'job:start', 'job:complete', 'job:error' and 'job:skipped' with { job, run };
+// jobs may emit their own events on it too.
+export class Scheduler extends EventEmitter {
+  constructor() {
+    super();
+    // Every open SSE stream subscribes, so don't cap listeners
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  // Register a job. `handler` receives { trigger } and may return a result object.
+  register(name, { intervalMs, handler, description = '', runOnStart = false, paused = false }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+    if (!(intervalMs > 0)) {
+      throw new Error(`Job ${name} needs a positive intervalMs`);
+    }
+
+    const job = {
+      name,
+      description,
+      intervalMs,
+      handler,
+      runOnStart,
+      paused,
+      running: false,
+      timer: null,
+      nextRunAt: null,
+      runCount: 0,
+      errorCount: 0,
+      history: []
+    };
+
+    this.jobs.set(name, job);
+    if (this.started && !paused) {
+      this.schedule(job, runOnStart ? 0 : intervalMs);
+    }
+    return job;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      if (!job.paused) {
+        this.schedule(job, job.runOnStart ? 0 : job.intervalMs);
+      }
+    }
+
+    logger.info(`Scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+    this.started = false;
+  }
+
+  schedule(job, delayMs) {
+    clearTimeout(job.timer);
+    job.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+    job.timer = setTimeout(async () => {
+      job.timer = null;
+      await this.run(job, 'schedule');
+    }, delayMs);
+
+    // Don't keep the process alive just for the scheduler
+    job.timer.unref();
+  }
+
+  get(name) {
+    return this.jobs.get(name) || null;
+  }
+
+  pause(name) {
+    const job = this.requireJob(name);
+    job.paused = true;
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+    return this.describe(job);
+  }
+
+  resume(name) {
+    const job = this.requireJob(name);
+    job.paused = false;
+    if (this.started && !job.running) {
+      this.schedule(job, job.intervalMs);
+    }
+    return this.describe(job);
+  }
+
+  // Run a job now, outside its schedule. Resolves with the run record.
+  async trigger(name) {
+    return this.run(this.requireJob(name), 'manual');
+  }
+
+  async run(job, trigger) {
+    const run = {
+      id: uuidv4(),
+      trigger,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      duration_ms: null,
+      status: 'running',
+      result: null,
+      error: null
+    };
+
+    if (job.running) {
+      run.status = 'skipped';
+      run.error = 'Previous run still in progress';
+      run.finished_at = run.started_at;
+      this.record(job, run);
+      this.emit('job:skipped', { job: job.name, run });
+      return run;
+    }
+
+    job.running = true;
+    this.emit('job:start', { job: job.name, run });
+
+    try {
+      run.result = (await job.handler({ trigger })) ?? null;
+      run.status = 'success';
+    } catch (error) {
+      run.status = 'error';
+      run.error = error.message;
+      job.errorCount++;
+      logger.error(`Scheduled job ${job.name} failed:`, error);
+    } finally {
+      job.running = false;
+      job.runCount++;
+      run.finished_at = new Date().toISOString();
+      run.duration_ms = Date.parse(run.finished_at) - Date.parse(run.started_at);
+      this.record(job, run);
+      // Next scheduled run, unless one is already pending (a manual run between ticks)
+      // or the job is paused; also picks up a job resumed while this run was going
+      if (this.started && !job.paused && !job.timer) {
+        this.schedule(job, job.intervalMs);
+      }
+    }
+
+    this.emit(run.status === 'success' ? 'job:complete' : 'job:error', { job: job.name, run });
+    return run;
+  }
+
+  record(job, run) {
+    job.history.unshift(run);
+    job.history.length = Math.min(job.history.length, HISTORY_SIZE);
+  }
+
+  requireJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      const error = new Error(`Job not found: ${name}`);
+      error.code = 'JOB_NOT_FOUND';
+      throw error;
+    }
+    return job;
+  }
+
+  // Public view of a job; history only when asked for
+  describe(job, { includeHistory = false } = {}) {
+    return {
+      name: job.name,
+      description: job.description,
+      interval_ms: job.intervalMs,
+      paused: job.paused,
+      running: job.running,
+      next_run_at: job.nextRunAt,
+      run_count: job.runCount,
+      error_count: job.errorCount,
+      last_run: job.history[0] || null,
+      ...(includeHistory ? { history: job.history } : {})
+    };
+  }
+
+  list() {
+    return [...this.jobs.values()].map(job => this.describe(job));
+  }
+}
+
+export const scheduler = new Scheduler();
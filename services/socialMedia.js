@@ -1,104 +1,136 @@
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
-import { getFromCache, setCache } from './database.js';
+import { db, getFromCache, setCache } from './database.js';
 import { GeminiService } from './gemini.js';
+import { createSocialProviders } from './socialProviders/index.js';
+import { textFingerprint, simhash, hammingDistance } from '../utils/text.js';
 
-export class SocialMediaService {
-  
-  // Mock Twitter API data for demonstration
-  static getMockSocialMediaData(disasterId, keywords = []) {
-    const mockPosts = [
-      {
-        id: 'mock_1',
-        user: 'citizen1',
-        username: '@concerned_citizen',
-        content: '#floodrelief Need food and water in Lower East Side NYC. Families stranded on 2nd floor.',
-        timestamp: new Date(Date.now() - 30 * 60 * 1000).toISOString(), // 30 minutes ago
-        location: 'Lower East Side, NYC',
-        media: ['http://example.com/flood1.jpg'],
-        engagement: { likes: 15, retweets: 8, replies: 3 }
-      },
-      {
-        id: 'mock_2',
-        user: 'volunteer_helper',
-        username: '@volunteer_nyc',
-        content: 'Offering shelter for displaced families in Manhattan. Have space for 6 people. DM me #disasterrelief',
-        timestamp: new Date(Date.now() - 45 * 60 * 1000).toISOString(), // 45 minutes ago
-        location: 'Manhattan, NYC',
-        media: [],
-        engagement: { likes: 25, retweets: 12, replies: 7 }
-      },
-      {
-        id: 'mock_3',
-        user: 'news_reporter',
-        username: '@breaking_news',
-        content: 'URGENT: Brooklyn Bridge closed due to flooding. Avoid the area. Emergency services on scene #NYCFlood',
-        timestamp: new Date(Date.now() - 20 * 60 * 1000).toISOString(), // 20 minutes ago
-        location: 'Brooklyn Bridge, NYC',
-        media: ['http://example.com/bridge_flood.jpg'],
-        engagement: { likes: 87, retweets: 45, replies: 12 }
-      },
-      {
-        id: 'mock_4',
-        user: 'local_resident',
-        username: '@queens_local',
-        content: 'Water levels rising fast in Queens. Need evacuation help for elderly neighbors. #SOS #FloodEmergency',
-        timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString(), // 10 minutes ago
-        location: 'Queens, NYC',
-        media: [],
-        engagement: { likes: 42, retweets: 28, replies: 15 }
-      },
-      {
-        id: 'mock_5',
-        user: 'red_cross_ny',
-        username: '@redcross_ny',
-        content: 'Emergency shelter open at Madison Square Garden. Food, water, and medical aid available. #DisasterRelief',
-        timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString(), // 1 hour ago
-        location: 'Madison Square Garden, NYC',
-        media: ['http://example.com/shelter.jpg'],
-        engagement: { likes: 156, retweets: 89, replies: 23 }
-      }
-    ];
+export const DEFAULT_KEYWORDS = ['flood', 'emergency', 'help', 'disaster', 'relief'];
+
+// Posts with coordinates further than this from a disaster are left out
+const SEARCH_RADIUS_KM = parseFloat(process.env.SOCIAL_SEARCH_RADIUS_KM) || 50;
+
+// Posts whose SimHashes differ in at most this many bits are near-duplicates
+const NEAR_DUPLICATE_BITS = 10;
+// How far back, and how many stored posts, a new post is compared against
+const DUPLICATE_WINDOW_HOURS = 24;
+const DUPLICATE_CANDIDATES = 500;
+
+// Model calls in flight at once while analysing fetched posts
+const ANALYSIS_CONCURRENCY = 4;
 
-    // Filter by keywords if provided
-    if (keywords.length > 0) {
-      return mockPosts.filter(post => 
-        keywords.some(keyword => 
-          post.content.toLowerCase().includes(keyword.toLowerCase())
-        )
-      );
+// Built on first use so dotenv has loaded by then
+let providers = null;
+
+// Pagination cursors for several providers at once: base64url JSON { provider: cursor }
+function encodeCursor(cursors) {
+  if (Object.keys(cursors).length === 0) return null;
+  return Buffer.from(JSON.stringify(cursors)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return {};
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Map items through an async function, at most `limit` at a time, keeping their order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-    return mockPosts;
+export class SocialMediaService {
+  
+  static getProviders() {
+    if (!providers) {
+      providers = createSocialProviders();
+      logger.info(`Social media providers: ${providers.map(provider => provider.name).join(', ')}`);
+    }
+    return providers;
   }
 
-  // Fetch social media data (mock implementation)
-  static async fetchSocialMediaReports(disasterId, keywords = ['flood', 'emergency', 'help', 'disaster']) {
-    const cacheKey = `social_media_${disasterId}_${keywords.join('_')}`;
+  // Fetch posts for a disaster from every configured provider, analyse and rank them.
+  // Providers that support it only return posts near the disaster. `cursor` is the
+  // next_cursor of a previous call and continues each provider where it stopped.
+  static async fetchSocialMediaReports(disasterId, keywords = DEFAULT_KEYWORDS, options = {}) {
+    const { since = null, until = null, cursor = null, limit = 50, useCache = true } = options;
+    const cacheKey = `social_media_${disasterId}_${keywords.join('_')}_${since || ''}_${until || ''}_${cursor || ''}_${limit}`;
     
     try {
       // Check cache first
-      const cached = await getFromCache(cacheKey);
+      const cached = useCache && await getFromCache(cacheKey);
       if (cached) {
         logger.info('Social media data cache hit');
-        return cached;
+        return { ...cached, cached: true };
       }
 
-      // Get mock data (in a real implementation, this would call Twitter API, Bluesky, etc.)
-      const rawPosts = this.getMockSocialMediaData(disasterId, keywords);
+      const location = await this.searchAreaFor(disasterId);
+      const cursors = decodeCursor(cursor);
+
+      // When continuing, only providers that had more pages are asked again
+      const active = this.getProviders().filter(provider => !cursor || cursors[provider.name]);
+
+      const searches = await Promise.allSettled(active.map(provider => provider.search({
+        keywords,
+        location,
+        since,
+        until,
+        cursor: cursors[provider.name] || null,
+        limit
+      })));
+
+      const rawPosts = [];
+      const seen = new Set();
+      const nextCursors = {};
+      const providerStatus = searches.map((search, index) => {
+        const provider = active[index];
+
+        if (search.status === 'rejected') {
+          const error = search.reason;
+          if (error.code === 'RATE_LIMITED') {
+            logger.warn(error.message);
+            return { name: provider.name, status: 'rate_limited', reset_at: error.resetAt };
+          }
+          logger.error(`Social media provider ${provider.name} failed:`, error);
+          return { name: provider.name, status: 'error', error: error.message };
+        }
+
+        for (const post of search.value.posts) {
+          const key = `${post.provider}:${post.id}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          rawPosts.push(post);
+        }
+        if (search.value.cursor) {
+          nextCursors[provider.name] = search.value.cursor;
+        }
+
+        return { name: provider.name, status: 'ok', returned: search.value.posts.length };
+      });
       
-      // Analyze each post with Gemini AI
-      const analyzedPosts = await Promise.all(
-        rawPosts.map(async (post) => {
-          const analysis = await GeminiService.analyzeSocialMediaContent(post.content);
-          return {
-            ...post,
-            analysis,
-            priority: this.calculatePriority(post, analysis),
-            disaster_id: disasterId
-          };
-        })
-      );
+      // Analyze posts not stored yet with Gemini AI; stored ones keep their analysis
+      const stored = await this.storedAnalyses(disasterId, rawPosts);
+      const analyzedPosts = await mapLimit(rawPosts, ANALYSIS_CONCURRENCY, async (post) => {
+        const analysis = stored.get(`${post.provider}:${post.id}`) ||
+          await GeminiService.analyzeSocialMediaContent(post.content);
+        return {
+          ...post,
+          analysis,
+          priority: this.calculatePriority(post, analysis),
+          disaster_id: disasterId
+        };
+      });
 
       // Sort by priority and timestamp
       const sortedPosts = analyzedPosts.sort((a, b) => {
@@ -114,8 +146,10 @@ export class SocialMediaService {
         posts: sortedPosts,
         total_posts: sortedPosts.length,
         high_priority_posts: sortedPosts.filter(p => p.priority >= 8).length,
+        next_cursor: encodeCursor(nextCursors),
         last_updated: new Date().toISOString(),
-        provider: 'mock_twitter'
+        provider: active.map(provider => provider.name).join(','),
+        providers: providerStatus
       };
 
       // Cache the result for 5 minutes (social media data changes quickly)
@@ -132,11 +166,233 @@ export class SocialMediaService {
         posts: [],
         total_posts: 0,
         high_priority_posts: 0,
+        next_cursor: null,
         last_updated: new Date().toISOString(),
         error: error.message,
-        provider: 'mock_twitter'
+        provider: null,
+        providers: []
+      };
+    }
+  }
+
+  // Analyses of the posts already stored for a disaster, keyed by provider:post_id
+  static async storedAnalyses(disasterId, posts) {
+    const analyses = new Map();
+    if (posts.length === 0) return analyses;
+
+    try {
+      const rows = await db.socialPosts.list({
+        where: { disaster_id: disasterId, post_id: { in: [...new Set(posts.map(post => post.id))] } }
+      });
+      for (const row of rows) {
+        if (row.analysis) analyses.set(`${row.provider}:${row.post_id}`, row.analysis);
+      }
+    } catch (error) {
+      // Not a valid disaster id for this store; everything counts as new
+    }
+    return analyses;
+  }
+
+  // Search area around a disaster's location, or null when it has none
+  static async searchAreaFor(disasterId) {
+    let disaster = null;
+    try {
+      disaster = await db.disasters.findById(disasterId);
+    } catch (error) {
+      // Not a valid disaster id for this store; search without a location
+    }
+
+    if (!disaster || disaster.latitude === null || disaster.latitude === undefined) {
+      return null;
+    }
+
+    return {
+      latitude: Number(disaster.latitude),
+      longitude: Number(disaster.longitude),
+      radiusKm: SEARCH_RADIUS_KM
+    };
+  }
+
+  // Fetch posts for a disaster from the providers and store the new ones.
+  // Resolves with { stats, posts, providers }; posts are the newly stored originals.
+  // A cached fetch was already stored when it was first fetched, so it stores nothing.
+  static async ingestPosts(disasterId, keywords = DEFAULT_KEYWORDS, { useCache = true } = {}) {
+    const data = await this.fetchSocialMediaReports(disasterId, keywords, { useCache });
+
+    if (data.cached || data.error) {
+      return { stats: { inserted: 0, updated: 0, duplicates: 0 }, posts: [], providers: data.providers };
+    }
+
+    const { stats, posts } = await this.storePosts(disasterId, data.posts);
+    logger.info(`Stored social posts for disaster ${disasterId}: ${stats.inserted} new, ${stats.duplicates} duplicates, ${stats.updated} updated`);
+
+    return { stats, posts, providers: data.providers };
+  }
+
+  // Persist analysed posts for a disaster. A post already stored gets its engagement
+  // and priority refreshed (its analysis stays); a new post that copies an earlier one is stored as its duplicate.
+  static async storePosts(disasterId, posts) {
+    const stats = { inserted: 0, updated: 0, duplicates: 0 };
+    const inserted = [];
+
+    // Oldest first, so the earliest copy of a message becomes the original
+    const ordered = [...posts].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const post of ordered) {
+      const now = new Date().toISOString();
+      const existing = await db.socialPosts.findOne({
+        disaster_id: disasterId,
+        provider: post.provider,
+        post_id: post.id
+      });
+
+      if (existing) {
+        await db.socialPosts.update(existing.id, {
+          engagement: post.engagement,
+          priority: post.priority,
+          last_seen_at: now
+        });
+        stats.updated++;
+        continue;
+      }
+
+      const fingerprint = textFingerprint(post.content);
+      const hash = simhash(post.content);
+      const original = await this.findOriginal(disasterId, fingerprint, hash, post.timestamp);
+
+      let row;
+      try {
+        row = await db.socialPosts.insert({
+          disaster_id: disasterId,
+          provider: post.provider,
+          post_id: post.id,
+          author_name: post.user,
+          author_handle: post.username,
+          content: post.content,
+          url: post.url,
+          location: post.location,
+          latitude: post.coordinates?.latitude ?? null,
+          longitude: post.coordinates?.longitude ?? null,
+          media: post.media || [],
+          tags: post.tags || [],
+          engagement: post.engagement,
+          analysis: post.analysis,
+          priority: post.priority,
+          content_fingerprint: fingerprint,
+          simhash: hash,
+          duplicate_of: original ? original.id : null,
+          posted_at: post.timestamp,
+          last_seen_at: now
+        });
+      } catch (error) {
+        // Stored by a concurrent ingest in the meantime
+        if (error.code === '23505') {
+          stats.updated++;
+          continue;
+        }
+        throw error;
+      }
+
+      if (original) {
+        await db.socialPosts.update(original.id, { duplicate_count: (original.duplicate_count || 0) + 1 });
+        stats.duplicates++;
+      } else {
+        inserted.push(row);
+        stats.inserted++;
+      }
+    }
+
+    return { stats, posts: inserted.map(row => this.toPost(row)) };
+  }
+
+  // The stored original a new post copies: same normalised text, or a SimHash within
+  // NEAR_DUPLICATE_BITS of a recent post. Null when the post is new.
+  static async findOriginal(disasterId, fingerprint, hash, postedAt) {
+    const exact = await db.socialPosts.findOne({
+      disaster_id: disasterId,
+      content_fingerprint: fingerprint,
+      duplicate_of: null
+    });
+    if (exact) return exact;
+
+    const windowStart = new Date(Date.parse(postedAt) - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+    const candidates = await db.socialPosts.list({
+      where: { disaster_id: disasterId, duplicate_of: null, posted_at: { gte: windowStart } },
+      orderBy: 'posted_at',
+      ascending: false,
+      limit: DUPLICATE_CANDIDATES
+    });
+
+    return candidates.find(candidate => hammingDistance(candidate.simhash, hash) <= NEAR_DUPLICATE_BITS) || null;
+  }
+
+  // Page through a disaster's stored posts, newest first (or highest priority first).
+  // Duplicates are left out unless includeDuplicates is set.
+  static async getStoredPosts(disasterId, options = {}) {
+    const {
+      since = null, until = null, minPriority = null, provider = null, q = null,
+      includeDuplicates = false, sort = 'recent', limit = 20, offset = 0
+    } = options;
+
+    const where = { disaster_id: disasterId };
+    if (since || until) {
+      where.posted_at = {
+        ...(since ? { gte: since } : {}),
+        ...(until ? { lte: until } : {})
       };
     }
+    if (minPriority) where.priority = { gte: minPriority };
+    if (provider) where.provider = provider;
+    if (q) where.content = { ilike: `%${q}%` };
+    if (!includeDuplicates) where.duplicate_of = null;
+
+    const [rows, total, highPriority] = await Promise.all([
+      db.socialPosts.list({
+        where,
+        orderBy: sort === 'priority' ? 'priority' : 'posted_at',
+        ascending: false,
+        limit,
+        offset
+      }),
+      db.socialPosts.count(where),
+      db.socialPosts.count({ ...where, priority: { gte: Math.max(minPriority || 0, 8) } })
+    ]);
+
+    return { posts: rows.map(row => this.toPost(row)), total, highPriority };
+  }
+
+  // A stored row in the post shape the providers return
+  static toPost(row) {
+    return {
+      id: row.id,
+      post_id: row.post_id,
+      provider: row.provider,
+      disaster_id: row.disaster_id,
+      user: row.author_name,
+      username: row.author_handle,
+      content: row.content,
+      timestamp: row.posted_at,
+      url: row.url,
+      location: row.location,
+      coordinates: row.latitude === null || row.latitude === undefined
+        ? null
+        : { latitude: Number(row.latitude), longitude: Number(row.longitude) },
+      media: row.media || [],
+      tags: row.tags || [],
+      engagement: row.engagement,
+      analysis: row.analysis,
+      priority: row.priority,
+      duplicate_of: row.duplicate_of,
+      duplicate_count: row.duplicate_count || 0,
+      incident_id: row.incident_id || null,
+      first_seen_at: row.created_at,
+      last_seen_at: row.last_seen_at
+    };
+  }
+
+  // Rate-limit state and settings of each configured provider
+  static getProviderStatus() {
+    return this.getProviders().map(provider => provider.status());
   }
 
   // Calculate priority score for social media posts
@@ -171,65 +427,6 @@ export class SocialMediaService {
     return Math.min(priority, 10);
   }
 
-  // Stream social media updates (simulation)
-  static async streamSocialMediaUpdates(disasterId, callback) {
-    logger.info(`Starting social media stream for disaster ${disasterId}`);
-    
-    // Simulate periodic updates
-    const interval = setInterval(async () => {
-      try {
-        const updates = await this.fetchSocialMediaReports(disasterId);
-        callback(updates);
-      } catch (error) {
-        logger.error('Social media stream error:', error);
-      }
-    }, 30000); // Update every 30 seconds
-
-    // Return cleanup function
-    return () => {
-      clearInterval(interval);
-      logger.info(`Stopped social media stream for disaster ${disasterId}`);
-    };
-  }
-
-  // Real Twitter API implementation (placeholder)
-  static async fetchFromTwitterAPI(keywords, maxResults = 10) {
-    try {
-      // This would require Twitter API v2 Bearer Token
-      // const response = await axios.get('https://api.twitter.com/2/tweets/search/recent', {
-      //   headers: {
-      //     'Authorization': `Bearer ${process.env.TWITTER_BEARER_TOKEN}`
-      //   },
-      //   params: {
-      //     query: keywords.map(k => `#${k} OR ${k}`).join(' OR '),
-      //     max_results: maxResults,
-      //     'tweet.fields': 'created_at,author_id,public_metrics,geo',
-      //     'user.fields': 'username,name,location'
-      //   }
-      // });
-
-      logger.warn('Twitter API not implemented - using mock data');
-      return this.getMockSocialMediaData(null, keywords);
-
-    } catch (error) {
-      logger.error('Twitter API error:', error);
-      return [];
-    }
-  }
-
-  // Bluesky API implementation (placeholder)
-  static async fetchFromBlueskyAPI(keywords) {
-    try {
-      // This would implement Bluesky API calls
-      logger.warn('Bluesky API not implemented - using mock data');
-      return this.getMockSocialMediaData(null, keywords);
-
-    } catch (error) {
-      logger.error('Bluesky API error:', error);
-      return [];
-    }
-  }
-
   // Filter posts by priority level
   static filterPostsByPriority(posts, minPriority = 7) {
     return posts.filter(post => post.priority >= minPriority);
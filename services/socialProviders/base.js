@@ -0,0 +1,100 @@
+// Common behaviour for social media providers.
+//
+// A provider searches for posts with
+//   search({ keywords, location, since, until, cursor, limit })
+// where location is { latitude, longitude, radiusKm } and since/until are ISO dates,
+// and resolves to { posts, cursor } with posts newest first in the normalised shape
+// below and cursor null when there are no more pages.
+//
+// Normalised post:
+//   { id, provider, user, username, content, timestamp, url, location,
+//     coordinates: { latitude, longitude } | null, media: [], tags: [],
+//     engagement: { likes, retweets, replies } }
+
+import { haversineDistanceKm } from '../../utils/geo.js';
+
+export class SocialProvider {
+  constructor(name, { geo = false } = {}) {
+    this.name = name;
+    // Whether search can filter by location itself
+    this.supportsGeo = geo;
+    this.rateLimit = { limit: null, remaining: null, resetAt: null };
+  }
+
+  async search() {
+    throw new Error(`${this.name} provider does not implement search`);
+  }
+
+  // Throw before calling the API when the last response said the budget is spent
+  checkRateLimit() {
+    const { remaining, resetAt } = this.rateLimit;
+    if (remaining !== 0 || !resetAt) return;
+
+    if (Date.parse(resetAt) > Date.now()) {
+      throw rateLimitError(this.name, resetAt);
+    }
+
+    this.rateLimit.remaining = null;
+  }
+
+  // Remember the rate-limit state a response reported
+  recordRateLimit({ limit, remaining, resetAt }) {
+    this.rateLimit = {
+      limit: Number.isFinite(limit) ? limit : this.rateLimit.limit,
+      remaining: Number.isFinite(remaining) ? remaining : null,
+      resetAt: resetAt || null
+    };
+  }
+
+  // Turn an API error into a rate-limit error when the API said 429
+  handleRequestError(error, fallbackResetMs = 60 * 1000) {
+    if (error.response?.status === 429) {
+      const resetAt = this.rateLimit.resetAt || new Date(Date.now() + fallbackResetMs).toISOString();
+      this.recordRateLimit({ remaining: 0, resetAt });
+      return rateLimitError(this.name, resetAt);
+    }
+    return error;
+  }
+
+  status() {
+    return {
+      name: this.name,
+      geo: this.supportsGeo,
+      rate_limit: {
+        limit: this.rateLimit.limit,
+        remaining: this.rateLimit.remaining,
+        reset_at: this.rateLimit.resetAt
+      }
+    };
+  }
+}
+
+export function rateLimitError(provider, resetAt) {
+  const error = new Error(`${provider} rate limit reached until ${resetAt}`);
+  error.code = 'RATE_LIMITED';
+  error.resetAt = resetAt;
+  return error;
+}
+
+// Shared post filters for providers that can't apply them server-side.
+// Posts without coordinates can't be placed, so the location filter keeps them.
+export function matchesSearch(post, { keywords = [], location = null, since = null, until = null } = {}) {
+  if (keywords.length > 0) {
+    const text = `${post.content} ${(post.tags || []).join(' ')}`.toLowerCase();
+    if (!keywords.some(keyword => text.includes(keyword.toLowerCase()))) return false;
+  }
+
+  const time = Date.parse(post.timestamp);
+  if (since && time < Date.parse(since)) return false;
+  if (until && time > Date.parse(until)) return false;
+
+  if (location && post.coordinates) {
+    const distance = haversineDistanceKm(
+      location.latitude, location.longitude,
+      post.coordinates.latitude, post.coordinates.longitude
+    );
+    if (distance > location.radiusKm) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,118 @@
+import axios from 'axios';
+import { SocialProvider, matchesSearch } from './base.js';
+import { logger } from '../../utils/logger.js';
+
+const PUBLIC_APPVIEW = 'https://public.api.bsky.app';
+const DEFAULT_PDS = 'https://bsky.social';
+
+// Bluesky post search (app.bsky.feed.searchPosts). Works unauthenticated against the
+// public AppView; with BLUESKY_IDENTIFIER/BLUESKY_APP_PASSWORD it signs in and searches
+// through the account's PDS instead, which has more generous rate limits.
+export class BlueskyProvider extends SocialProvider {
+  constructor({ service, identifier, appPassword } = {}) {
+    super('bluesky');
+    this.identifier = identifier;
+    this.appPassword = appPassword;
+    this.service = service || (identifier ? DEFAULT_PDS : PUBLIC_APPVIEW);
+    this.accessJwt = null;
+  }
+
+  async createSession() {
+    const response = await axios.post(`${this.service}/xrpc/com.atproto.server.createSession`, {
+      identifier: this.identifier,
+      password: this.appPassword
+    }, { timeout: 10000 });
+
+    this.accessJwt = response.data.accessJwt;
+  }
+
+  async request(params, { retried = false } = {}) {
+    if (this.identifier && !this.accessJwt) {
+      await this.createSession();
+    }
+
+    try {
+      return await axios.get(`${this.service}/xrpc/app.bsky.feed.searchPosts`, {
+        params,
+        headers: this.accessJwt ? { Authorization: `Bearer ${this.accessJwt}` } : {},
+        timeout: 10000
+      });
+    } catch (error) {
+      // Access tokens are short-lived; sign in again once when one expires
+      if (error.response?.status === 401 && this.identifier && !retried) {
+        this.accessJwt = null;
+        return this.request(params, { retried: true });
+      }
+      throw error;
+    }
+  }
+
+  async search({ keywords = [], since = null, until = null, cursor = null, limit = 25 } = {}) {
+    this.checkRateLimit();
+
+    // The query syntax is loosely Lucene, so OR gives "any of these keywords"
+    const params = {
+      q: keywords.map(keyword => (keyword.includes(' ') ? `"${keyword}"` : keyword)).join(' OR '),
+      sort: 'latest',
+      limit: Math.min(limit, 100),
+      ...(since ? { since } : {}),
+      ...(until ? { until } : {}),
+      ...(cursor ? { cursor } : {})
+    };
+
+    let response;
+    try {
+      response = await this.request(params);
+    } catch (error) {
+      if (error.response) this.recordRateLimitHeaders(error.response.headers);
+      throw this.handleRequestError(error);
+    }
+    this.recordRateLimitHeaders(response.headers);
+
+    const posts = (response.data.posts || [])
+      .map(post => this.normalize(post))
+      .filter(post => matchesSearch(post, { keywords, since, until }));
+
+    logger.info(`Bluesky returned ${posts.length} posts`);
+    return { posts, cursor: response.data.cursor || null };
+  }
+
+  recordRateLimitHeaders(headers = {}) {
+    const reset = parseInt(headers['ratelimit-reset']);
+    this.recordRateLimit({
+      limit: parseInt(headers['ratelimit-limit']),
+      remaining: parseInt(headers['ratelimit-remaining']),
+      resetAt: Number.isFinite(reset) ? new Date(reset * 1000).toISOString() : null
+    });
+  }
+
+  // A PostView from the AppView as a normalised post
+  normalize(post) {
+    const record = post.record || {};
+    const rkey = post.uri.split('/').pop();
+    const images = post.embed?.images || post.embed?.media?.images || [];
+    const hashtags = (record.facets || [])
+      .flatMap(facet => facet.features || [])
+      .filter(feature => feature.tag)
+      .map(feature => feature.tag);
+
+    return {
+      id: post.uri,
+      provider: this.name,
+      user: post.author.displayName || post.author.handle,
+      username: `@${post.author.handle}`,
+      content: record.text || '',
+      timestamp: new Date(record.createdAt || post.indexedAt).toISOString(),
+      url: `https://bsky.app/profile/${post.author.handle}/post/${rkey}`,
+      location: null,
+      coordinates: null,
+      media: images.map(image => image.fullsize).filter(Boolean),
+      tags: [...new Set([...(record.tags || []), ...hashtags])],
+      engagement: {
+        likes: post.likeCount || 0,
+        retweets: (post.repostCount || 0) + (post.quoteCount || 0),
+        replies: post.replyCount || 0
+      }
+    };
+  }
+}
@@ -0,0 +1,41 @@
+import { BlueskyProvider } from './bluesky.js';
+import { MastodonProvider } from './mastodon.js';
+import { ReplayProvider } from './replay.js';
+import { MockProvider } from './mock.js';
+
+export { SocialProvider, matchesSearch } from './base.js';
+export { MockProvider };
+
+// Build the providers named in SOCIAL_PROVIDERS (comma-separated: replay, bluesky,
+// mastodon, mock). Defaults to the replay provider so demos need no network access.
+export function createSocialProviders() {
+  const names = (process.env.SOCIAL_PROVIDERS || 'replay')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(names)].map(name => {
+    switch (name) {
+      case 'bluesky':
+        return new BlueskyProvider({
+          service: process.env.BLUESKY_SERVICE,
+          identifier: process.env.BLUESKY_IDENTIFIER,
+          appPassword: process.env.BLUESKY_APP_PASSWORD
+        });
+      case 'mastodon':
+        return new MastodonProvider({
+          instance: process.env.MASTODON_INSTANCE,
+          accessToken: process.env.MASTODON_ACCESS_TOKEN
+        });
+      case 'replay':
+        return new ReplayProvider({
+          file: process.env.SOCIAL_REPLAY_FILE || 'data/replay',
+          speed: parseFloat(process.env.SOCIAL_REPLAY_SPEED) || 0
+        });
+      case 'mock':
+        return new MockProvider();
+      default:
+        throw new Error(`Unknown social provider "${name}". Use replay, bluesky, mastodon or mock.`);
+    }
+  });
+}
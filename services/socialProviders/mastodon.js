@@ -0,0 +1,101 @@
+import axios from 'axios';
+import { SocialProvider, matchesSearch } from './base.js';
+import { htmlToText } from '../../utils/xml.js';
+import { logger } from '../../utils/logger.js';
+
+// Mastodon status ids are snowflakes: milliseconds since the epoch shifted left 16 bits
+function snowflakeFor(isoDate) {
+  return (BigInt(Date.parse(isoDate)) << 16n).toString();
+}
+
+const hashtagFor = (keyword) => keyword.replace(/^#/, '').replace(/[^\p{L}\p{N}_]/gu, '');
+
+// Mastodon hashtag timelines (/api/v1/timelines/tag). Full-text status search is off on
+// most instances, so keywords are searched as hashtags: any post tagged with any of them.
+// Tag timelines are public; MASTODON_ACCESS_TOKEN only raises the rate limit.
+export class MastodonProvider extends SocialProvider {
+  constructor({ instance = 'https://mastodon.social', accessToken = null } = {}) {
+    super('mastodon');
+    this.instance = instance.replace(/\/+$/, '');
+    this.accessToken = accessToken;
+  }
+
+  async search({ keywords = [], since = null, until = null, cursor = null, limit = 25 } = {}) {
+    const tags = [...new Set(keywords.map(hashtagFor).filter(Boolean))];
+    if (tags.length === 0) {
+      return { posts: [], cursor: null };
+    }
+
+    this.checkRateLimit();
+
+    const [first, ...rest] = tags;
+    const params = new URLSearchParams({ limit: String(Math.min(limit, 40)) });
+    rest.forEach(tag => params.append('any[]', tag));
+
+    // The cursor is the oldest status id already returned
+    if (cursor) {
+      params.set('max_id', cursor);
+    } else if (until) {
+      params.set('max_id', snowflakeFor(until));
+    }
+    if (since) {
+      params.set('since_id', snowflakeFor(since));
+    }
+
+    let response;
+    try {
+      response = await axios.get(`${this.instance}/api/v1/timelines/tag/${encodeURIComponent(first)}`, {
+        params,
+        headers: this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {},
+        timeout: 10000
+      });
+    } catch (error) {
+      if (error.response) this.recordRateLimitHeaders(error.response.headers);
+      throw this.handleRequestError(error);
+    }
+    this.recordRateLimitHeaders(response.headers);
+
+    const statuses = response.data || [];
+    const posts = statuses
+      .map(status => this.normalize(status))
+      .filter(post => matchesSearch(post, { since, until }));
+
+    logger.info(`Mastodon returned ${posts.length} posts`);
+    return {
+      posts,
+      cursor: statuses.length > 0 ? statuses[statuses.length - 1].id : null
+    };
+  }
+
+  recordRateLimitHeaders(headers = {}) {
+    this.recordRateLimit({
+      limit: parseInt(headers['x-ratelimit-limit']),
+      remaining: parseInt(headers['x-ratelimit-remaining']),
+      resetAt: headers['x-ratelimit-reset'] || null
+    });
+  }
+
+  // A Mastodon Status entity as a normalised post
+  normalize(status) {
+    const text = htmlToText(status.content);
+
+    return {
+      id: status.uri,
+      provider: this.name,
+      user: status.account.display_name || status.account.username,
+      username: `@${status.account.acct}`,
+      content: status.spoiler_text ? `${status.spoiler_text}: ${text}` : text,
+      timestamp: new Date(status.created_at).toISOString(),
+      url: status.url || status.uri,
+      location: null,
+      coordinates: null,
+      media: (status.media_attachments || []).map(media => media.url).filter(Boolean),
+      tags: (status.tags || []).map(tag => tag.name),
+      engagement: {
+        likes: status.favourites_count || 0,
+        retweets: status.reblogs_count || 0,
+        replies: status.replies_count || 0
+      }
+    };
+  }
+}
@@ -0,0 +1,80 @@
+import { SocialProvider, matchesSearch } from './base.js';
+
+// Fixed demo posts, always timestamped within the last hour
+function mockPosts() {
+  const now = Date.now();
+  return [
+    {
+      id: 'mock_1',
+      user: 'citizen1',
+      username: '@concerned_citizen',
+      content: '#floodrelief Need food and water in Lower East Side NYC. Families stranded on 2nd floor.',
+      timestamp: new Date(now - 30 * 60 * 1000).toISOString(), // 30 minutes ago
+      location: 'Lower East Side, NYC',
+      media: ['http://example.com/flood1.jpg'],
+      engagement: { likes: 15, retweets: 8, replies: 3 }
+    },
+    {
+      id: 'mock_2',
+      user: 'volunteer_helper',
+      username: '@volunteer_nyc',
+      content: 'Offering shelter for displaced families in Manhattan. Have space for 6 people. DM me #disasterrelief',
+      timestamp: new Date(now - 45 * 60 * 1000).toISOString(), // 45 minutes ago
+      location: 'Manhattan, NYC',
+      media: [],
+      engagement: { likes: 25, retweets: 12, replies: 7 }
+    },
+    {
+      id: 'mock_3',
+      user: 'news_reporter',
+      username: '@breaking_news',
+      content: 'URGENT: Brooklyn Bridge closed due to flooding. Avoid the area. Emergency services on scene #NYCFlood',
+      timestamp: new Date(now - 20 * 60 * 1000).toISOString(), // 20 minutes ago
+      location: 'Brooklyn Bridge, NYC',
+      media: ['http://example.com/bridge_flood.jpg'],
+      engagement: { likes: 87, retweets: 45, replies: 12 }
+    },
+    {
+      id: 'mock_4',
+      user: 'local_resident',
+      username: '@queens_local',
+      content: 'Water levels rising fast in Queens. Need evacuation help for elderly neighbors. #SOS #FloodEmergency',
+      timestamp: new Date(now - 10 * 60 * 1000).toISOString(), // 10 minutes ago
+      location: 'Queens, NYC',
+      media: [],
+      engagement: { likes: 42, retweets: 28, replies: 15 }
+    },
+    {
+      id: 'mock_5',
+      user: 'red_cross_ny',
+      username: '@redcross_ny',
+      content: 'Emergency shelter open at Madison Square Garden. Food, water, and medical aid available. #DisasterRelief',
+      timestamp: new Date(now - 60 * 60 * 1000).toISOString(), // 1 hour ago
+      location: 'Madison Square Garden, NYC',
+      media: ['http://example.com/shelter.jpg'],
+      engagement: { likes: 156, retweets: 89, replies: 23 }
+    }
+  ];
+}
+
+// Canned posts for demos and the /api/social-media/mock endpoint
+export class MockProvider extends SocialProvider {
+  constructor() {
+    super('mock');
+  }
+
+  // All mock posts matching any of the keywords (all posts without keywords)
+  getPosts(keywords = []) {
+    return mockPosts()
+      .map(post => ({ ...post, provider: this.name, url: null, coordinates: null, tags: [] }))
+      .filter(post => matchesSearch(post, { keywords }));
+  }
+
+  async search({ keywords = [], since = null, until = null, limit = 25 } = {}) {
+    const posts = this.getPosts(keywords)
+      .filter(post => matchesSearch(post, { since, until }))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return { posts: posts.slice(0, limit), cursor: null };
+  }
+}
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { SocialProvider, matchesSearch } from './base.js';
+import { BlueskyProvider } from './bluesky.js';
+import { MastodonProvider } from './mastodon.js';
+import { logger } from '../../utils/logger.js';
+
+// Raw API records in a dump are normalised the same way the live providers do it
+const normalizers = {
+  bluesky: new BlueskyProvider(),
+  mastodon: new MastodonProvider()
+};
+
+// Replays recorded posts from JSONL dumps (a file, or every .jsonl file in a directory).
+// Each line is either a normalised post or { "provider": "bluesky"|"mastodon", "raw": {...} }
+// holding the API record as it was captured.
+//
+// Recorded times are moved onto a replay clock that starts when the provider is created:
+// - speed 0 makes the whole dump visible at once, shifted so the newest post is "now"
+// - speed > 0 releases posts as if live, that many times faster than they were recorded
+// The original time is kept as recorded_at.
+export class ReplayProvider extends SocialProvider {
+  constructor({ file, speed = 0 } = {}) {
+    super('replay', { geo: true });
+    this.file = file;
+    this.speed = speed > 0 ? speed : 0;
+    this.startedAt = Date.now();
+    this.bounds = null;
+  }
+
+  files() {
+    const stat = fs.statSync(this.file);
+    if (!stat.isDirectory()) return [this.file];
+
+    return fs.readdirSync(this.file)
+      .filter(name => name.endsWith('.jsonl'))
+      .sort()
+      .map(name => path.join(this.file, name));
+  }
+
+  // Stream every post in the dump, in file order
+  async *records() {
+    for (const file of this.files()) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+      });
+
+      let lineNumber = 0;
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        try {
+          const post = this.normalize(JSON.parse(line));
+          if (post) yield post;
+        } catch (error) {
+          logger.warn(`Skipping unreadable replay record ${file}:${lineNumber}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  normalize(record) {
+    if (record.raw) {
+      const normalizer = normalizers[record.provider];
+      return normalizer ? normalizer.normalize(record.raw) : null;
+    }
+
+    if (!record.id || !record.content || !record.timestamp) return null;
+
+    return {
+      id: String(record.id),
+      provider: record.provider || this.name,
+      user: record.user || null,
+      username: record.username || null,
+      content: record.content,
+      timestamp: new Date(record.timestamp).toISOString(),
+      url: record.url || null,
+      location: record.location || null,
+      coordinates: record.coordinates || null,
+      media: record.media || [],
+      tags: record.tags || [],
+      engagement: { likes: 0, retweets: 0, replies: 0, ...record.engagement }
+    };
+  }
+
+  // First and last recorded times, needed to place posts on the replay clock
+  async loadBounds() {
+    if (this.bounds) return this.bounds;
+
+    let first = Infinity;
+    let last = -Infinity;
+    for await (const post of this.records()) {
+      const time = Date.parse(post.timestamp);
+      first = Math.min(first, time);
+      last = Math.max(last, time);
+    }
+
+    this.bounds = { first, last };
+    return this.bounds;
+  }
+
+  // Replay-clock time for a recorded time
+  replayTime(recordedMs, { first, last }) {
+    if (this.speed === 0) {
+      return this.startedAt - (last - recordedMs);
+    }
+    return this.startedAt + (recordedMs - first) / this.speed;
+  }
+
+  async search({ keywords = [], location = null, since = null, until = null, cursor = null, limit = 25 } = {}) {
+    const bounds = await this.loadBounds();
+    const now = Date.now();
+    const [cursorTime, cursorId] = parseCursor(cursor);
+
+    const matches = [];
+    for await (const post of this.records()) {
+      const replayedMs = Math.round(this.replayTime(Date.parse(post.timestamp), bounds));
+
+      // Not "posted" yet on the replay clock
+      if (replayedMs > now) continue;
+
+      if (cursor && (replayedMs > cursorTime || (replayedMs === cursorTime && post.id >= cursorId))) {
+        continue;
+      }
+
+      const replayed = {
+        ...post,
+        recorded_at: post.timestamp,
+        timestamp: new Date(replayedMs).toISOString()
+      };
+
+      if (matchesSearch(replayed, { keywords, location, since, until })) {
+        matches.push({ post: replayed, replayedMs });
+      }
+    }
+
+    // Newest first, ties broken by id so the cursor is stable
+    matches.sort((a, b) => b.replayedMs - a.replayedMs || (a.post.id < b.post.id ? 1 : -1));
+
+    const page = matches.slice(0, limit);
+    const lastMatch = page[page.length - 1];
+
+    return {
+      posts: page.map(match => match.post),
+      cursor: matches.length > limit ? `${lastMatch.replayedMs}:${lastMatch.post.id}` : null
+    };
+  }
+
+  status() {
+    return {
+      ...super.status(),
+      file: this.file,
+      speed: this.speed,
+      started_at: new Date(this.startedAt).toISOString()
+    };
+  }
+}
+
+// "<replayed ms>:<post id>"; post ids may themselves contain colons
+function parseCursor(cursor) {
+  if (!cursor) return [null, null];
+
+  const separator = cursor.indexOf(':');
+  return [Number(cursor.slice(0, separator)), cursor.slice(separator + 1)];
+}
@@ -0,0 +1,40 @@
+import { MemoryStore } from './memory.js';
+import { SupabaseStore } from './supabase.js';
+import { seedData } from '../../database/seed.js';
+
+// True when SUPABASE_URL/SUPABASE_ANON_KEY hold real values rather than .env.example placeholders
+export function isSupabaseConfigured() {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_ANON_KEY;
+
+  return Boolean(url && key &&
+    !url.includes('your-project') && !url.includes('your_supabase') &&
+    !key.includes('your-anon-key') && !key.includes('your_supabase'));
+}
+
+// Pick a storage driver from STORAGE_DRIVER (supabase, memory or file).
+// Without an explicit driver, Supabase is used when configured and memory otherwise.
+export function createStore() {
+  const driver = (process.env.STORAGE_DRIVER || (isSupabaseConfigured() ? 'supabase' : 'memory')).toLowerCase();
+  const seed = process.env.STORAGE_SEED === 'false' ? null : seedData;
+
+  switch (driver) {
+    case 'supabase':
+      if (!isSupabaseConfigured()) {
+        throw new Error('STORAGE_DRIVER=supabase requires SUPABASE_URL and SUPABASE_ANON_KEY');
+      }
+      return new SupabaseStore({
+        url: process.env.SUPABASE_URL,
+        key: process.env.SUPABASE_ANON_KEY
+      });
+    case 'file':
+      return new MemoryStore({
+        filePath: process.env.STORAGE_FILE || 'data/storage.json',
+        seed
+      });
+    case 'memory':
+      return new MemoryStore({ seed });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use supabase, memory or file.`);
+  }
+}
@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../../utils/logger.js';
+import { withDistances, pointInFootprint } from '../../utils/geo.js';
+import { hammingDistance } from '../../utils/text.js';
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// Convert a SQL LIKE pattern into a case-insensitive RegExp
+function likeToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, 'i');
+}
+
+// Evaluate a single where-clause condition against a value
+function matchesCondition(value, condition) {
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+
+  if (typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case 'eq': return value === operand;
+      case 'neq': return value !== operand;
+      case 'in': return operand.includes(value);
+      case 'gt': return value !== null && value !== undefined && value > operand;
+      case 'gte': return value !== null && value !== undefined && value >= operand;
+      case 'lt': return value !== null && value !== undefined && value < operand;
+      case 'lte': return value !== null && value !== undefined && value <= operand;
+      case 'contains': return Array.isArray(value) && operand.every(item => value.includes(item));
+      case 'ilike': return typeof value === 'string' && likeToRegExp(operand).test(value);
+      case 'isNull': return operand ? value === null || value === undefined : value !== null && value !== undefined;
+      default: throw new Error(`Unsupported filter operator: ${op}`);
+    }
+  });
+}
+
+function matchesWhere(row, where = {}) {
+  return Object.entries(where).every(([column, condition]) => matchesCondition(row[column], condition));
+}
+
+function compareRows(column, ascending) {
+  return (a, b) => {
+    const left = a[column];
+    const right = b[column];
+    if (left === right) return 0;
+    // Nulls sort last in both directions, like Postgres' NULLS LAST
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    const result = left < right ? -1 : 1;
+    return ascending ? result : -result;
+  };
+}
+
+class MemoryTable {
+  constructor(store, name, { primaryKey = 'id' } = {}) {
+    this.store = store;
+    this.name = name;
+    this.primaryKey = primaryKey;
+  }
+
+  get rows() {
+    if (!this.store.data[this.name]) {
+      this.store.data[this.name] = [];
+    }
+    return this.store.data[this.name];
+  }
+
+  async list({ where, orderBy, ascending = true, limit, offset = 0 } = {}) {
+    let rows = this.rows.filter(row => matchesWhere(row, where));
+
+    if (orderBy) {
+      rows = [...rows].sort(compareRows(orderBy, ascending));
+    }
+
+    const start = parseInt(offset) || 0;
+    const end = limit !== undefined ? start + parseInt(limit) : undefined;
+    return clone(rows.slice(start, end));
+  }
+
+  async count(where) {
+    return this.rows.filter(row => matchesWhere(row, where)).length;
+  }
+
+  async findById(id) {
+    return this.findOne({ [this.primaryKey]: id });
+  }
+
+  async findOne(where) {
+    const row = this.rows.find(candidate => matchesWhere(candidate, where));
+    return row ? clone(row) : null;
+  }
+
+  async insert(data) {
+    const rows = Array.isArray(data) ? data : [data];
+    const inserted = rows.map(row => {
+      const record = clone(row);
+
+      if (record.created_at === undefined) {
+        record.created_at = new Date().toISOString();
+      }
+
+      if (record[this.primaryKey] === undefined && this.primaryKey === 'id') {
+        record.id = uuidv4();
+      }
+
+      if (this.rows.some(existing => existing[this.primaryKey] === record[this.primaryKey])) {
+        throw new Error(`Duplicate key ${this.primaryKey}=${record[this.primaryKey]} in ${this.name}`);
+      }
+
+      this.rows.push(record);
+      return clone(record);
+    });
+
+    this.store.markDirty();
+    return Array.isArray(data) ? inserted : inserted[0];
+  }
+
+  async upsert(data) {
+    const existing = this.rows.find(row => row[this.primaryKey] === data[this.primaryKey]);
+    if (!existing) {
+      return this.insert(data);
+    }
+
+    Object.assign(existing, clone(data));
+    this.store.markDirty();
+    return clone(existing);
+  }
+
+  async update(id, changes) {
+    const [updated] = await this.updateWhere({ [this.primaryKey]: id }, changes);
+    return updated || null;
+  }
+
+  async updateWhere(where, changes) {
+    const updated = [];
+
+    for (const row of this.rows) {
+      if (matchesWhere(row, where)) {
+        Object.assign(row, clone(changes));
+        updated.push(clone(row));
+      }
+    }
+
+    if (updated.length) {
+      this.store.markDirty();
+    }
+    return updated;
+  }
+
+  async delete(id) {
+    const removed = await this.deleteWhere({ [this.primaryKey]: id });
+    return removed > 0;
+  }
+
+  async deleteWhere(where) {
+    const before = this.rows.length;
+    this.store.data[this.name] = this.rows.filter(row => !matchesWhere(row, where));
+    const removed = before - this.store.data[this.name].length;
+
+    if (removed) {
+      this.store.markDirty();
+    }
+    return removed;
+  }
+}
+
+// In-process store. With a filePath it is loaded from and flushed back to a JSON file.
+export class MemoryStore {
+  constructor({ filePath = null, seed = null } = {}) {
+    this.driver = filePath ? 'file' : 'memory';
+    this.filePath = filePath;
+    this.seed = seed;
+    this.data = {};
+    this.tables = new Map();
+    this.flushTimer = null;
+  }
+
+  table(name, options) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new MemoryTable(this, name, options));
+    }
+    return this.tables.get(name);
+  }
+
+  // Rows of a table within radiusKm of a point, nearest first, with distance_km
+  async nearby(tableName, { latitude, longitude, radiusKm, where = {} }) {
+    const rows = await this.table(tableName).list({ where });
+    return withDistances(rows, latitude, longitude)
+      .filter(row => row.distance_km <= radiusKm);
+  }
+
+  // Rows of a table whose footprint polygon covers a point
+  async covering(tableName, { latitude, longitude, where = {} }) {
+    const rows = await this.table(tableName).list({ where, orderBy: 'created_at', ascending: false });
+    return rows.filter(row => pointInFootprint(latitude, longitude, row.footprint));
+  }
+
+  // Rows of a table whose point location falls inside a disaster's footprint
+  async withinFootprint(tableName, disaster, { where = {} } = {}) {
+    const rows = await this.table(tableName).list({ where });
+    return rows.filter(row =>
+      row.latitude !== null && row.latitude !== undefined &&
+      pointInFootprint(Number(row.latitude), Number(row.longitude), disaster.footprint)
+    );
+  }
+
+  // Image hashes whose perceptual hash is within maxDistance bits of `hash`, closest first
+  async similarImages({ hash, maxDistance, where = {} }) {
+    const rows = await this.table('image_hashes').list({ where, orderBy: 'created_at' });
+    return rows
+      .map(row => ({ ...row, distance: hammingDistance(hash, row.perceptual_hash) }))
+      .filter(row => row.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  async init() {
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      logger.info(`Loaded ${this.driver} storage from ${this.filePath}`);
+      return true;
+    }
+
+    if (this.seed) {
+      this.data = clone(this.seed);
+      this.markDirty();
+      logger.info(`Seeded ${this.driver} storage with sample data`);
+    }
+
+    return true;
+  }
+
+  // Schedule a write of the whole dataset; a no-op for the pure in-memory driver
+  markDirty() {
+    if (!this.filePath || this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, 200);
+  }
+
+  flush() {
+    if (!this.filePath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error('File storage flush error:', error);
+    }
+  }
+}
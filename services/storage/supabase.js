@@ -0,0 +1,208 @@
+import { createClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+import { withDistances } from '../../utils/geo.js';
+
+// Translate a where-clause object into Supabase query builder calls
+function applyWhere(query, where = {}) {
+  for (const [column, condition] of Object.entries(where)) {
+    if (condition === null) {
+      query = query.is(column, null);
+      continue;
+    }
+
+    if (typeof condition !== 'object' || Array.isArray(condition)) {
+      query = query.eq(column, condition);
+      continue;
+    }
+
+    for (const [op, operand] of Object.entries(condition)) {
+      switch (op) {
+        case 'eq': query = query.eq(column, operand); break;
+        case 'neq': query = query.neq(column, operand); break;
+        case 'in': query = query.in(column, operand); break;
+        case 'gt': query = query.gt(column, operand); break;
+        case 'gte': query = query.gte(column, operand); break;
+        case 'lt': query = query.lt(column, operand); break;
+        case 'lte': query = query.lte(column, operand); break;
+        case 'contains': query = query.contains(column, operand); break;
+        case 'ilike': query = query.ilike(column, operand); break;
+        case 'isNull':
+          query = operand ? query.is(column, null) : query.not(column, 'is', null);
+          break;
+        default: throw new Error(`Unsupported filter operator: ${op}`);
+      }
+    }
+  }
+
+  return query;
+}
+
+// Raise Supabase errors so callers can rely on try/catch
+function unwrap({ data, error }) {
+  if (error) {
+    const wrapped = new Error(error.message);
+    wrapped.code = error.code;
+    wrapped.details = error.details;
+    throw wrapped;
+  }
+  return data;
+}
+
+class SupabaseTable {
+  constructor(client, name, { primaryKey = 'id' } = {}) {
+    this.client = client;
+    this.name = name;
+    this.primaryKey = primaryKey;
+  }
+
+  async list({ where, orderBy, ascending = true, limit, offset = 0 } = {}) {
+    let query = applyWhere(this.client.from(this.name).select('*'), where);
+
+    if (orderBy) {
+      query = query.order(orderBy, { ascending });
+    }
+
+    if (limit !== undefined) {
+      const start = parseInt(offset) || 0;
+      query = query.range(start, start + parseInt(limit) - 1);
+    }
+
+    return unwrap(await query) || [];
+  }
+
+  async count(where) {
+    const query = applyWhere(
+      this.client.from(this.name).select('*', { count: 'exact', head: true }),
+      where
+    );
+    const { count, error } = await query;
+    unwrap({ error });
+    return count || 0;
+  }
+
+  async findById(id) {
+    return this.findOne({ [this.primaryKey]: id });
+  }
+
+  async findOne(where) {
+    const query = applyWhere(this.client.from(this.name).select('*'), where);
+    return unwrap(await query.limit(1).maybeSingle());
+  }
+
+  async insert(data) {
+    const query = this.client.from(this.name).insert(data).select();
+    const rows = unwrap(await query);
+    return Array.isArray(data) ? rows : rows[0];
+  }
+
+  async upsert(data) {
+    const query = this.client.from(this.name).upsert(data, { onConflict: this.primaryKey }).select();
+    return unwrap(await query)[0];
+  }
+
+  async update(id, changes) {
+    const [updated] = await this.updateWhere({ [this.primaryKey]: id }, changes);
+    return updated || null;
+  }
+
+  async updateWhere(where, changes) {
+    const query = applyWhere(this.client.from(this.name).update(changes), where).select();
+    return unwrap(await query) || [];
+  }
+
+  async delete(id) {
+    const removed = await this.deleteWhere({ [this.primaryKey]: id });
+    return removed > 0;
+  }
+
+  async deleteWhere(where) {
+    const query = applyWhere(this.client.from(this.name).delete(), where).select(this.primaryKey);
+    return (unwrap(await query) || []).length;
+  }
+}
+
+// Supabase/PostgREST-backed store
+export class SupabaseStore {
+  constructor({ url, key }) {
+    this.driver = 'supabase';
+    this.client = createClient(url, key);
+    this.tables = new Map();
+  }
+
+  table(name, options) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new SupabaseTable(this.client, name, options));
+    }
+    return this.tables.get(name);
+  }
+
+  // Call a Postgres function defined in database/setup.sql
+  async rpc(name, args) {
+    return unwrap(await this.client.rpc(name, args));
+  }
+
+  // Rows of a table within radiusKm of a point, nearest first, with distance_km.
+  // Uses the find_nearby_<table> PostGIS functions (ST_DWithin on the GIST index).
+  async nearby(tableName, { latitude, longitude, radiusKm, where = {} }) {
+    const query = applyWhere(
+      this.client.rpc(`find_nearby_${tableName}`, {
+        search_lat: latitude,
+        search_lng: longitude,
+        radius_km: radiusKm
+      }),
+      where
+    );
+
+    const rows = unwrap(await query) || [];
+    return withDistances(rows, latitude, longitude);
+  }
+
+  // Rows of a table whose footprint covers a point (find_<table>_covering, ST_Covers)
+  async covering(tableName, { latitude, longitude, where = {} }) {
+    const query = applyWhere(
+      this.client.rpc(`find_${tableName}_covering`, { search_lat: latitude, search_lng: longitude }),
+      where
+    );
+
+    return unwrap(await query) || [];
+  }
+
+  // Rows of a table located inside a disaster's footprint (find_<table>_in_disaster)
+  async withinFootprint(tableName, disaster, { where = {} } = {}) {
+    const query = applyWhere(
+      this.client.rpc(`find_${tableName}_in_disaster`, { disaster_uuid: disaster.id }),
+      where
+    );
+
+    return unwrap(await query) || [];
+  }
+
+  // Image hashes within maxDistance bits of `hash`, closest first (find_similar_images)
+  async similarImages({ hash, maxDistance, where = {} }) {
+    const query = applyWhere(
+      this.client.rpc('find_similar_images', { search_hash: hash, max_distance: maxDistance }),
+      where
+    );
+
+    return unwrap(await query) || [];
+  }
+
+  async init() {
+    const { error } = await this.client
+      .from('disasters')
+      .select('count', { count: 'exact', head: true });
+
+    if (error) {
+      logger.warn(`Database connection test failed: ${error.message}`);
+      if (error.message.includes('does not exist')) {
+        console.log('📝 Please run the SQL commands from database/setup.sql in your Supabase SQL editor.');
+      }
+      return false;
+    }
+
+    console.log('✅ Database connection verified successfully');
+    return true;
+  }
+
+  flush() {}
+}
@@ -0,0 +1,196 @@
+import { db } from './database.js';
+import { haversineDistanceKm } from '../utils/geo.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Trust levels from the score; the moderation queue puts trusted reporters first
+export const TRUST_LEVELS = ['trusted', 'neutral', 'untrusted'];
+const TRUSTED_SCORE = 75;
+const NEUTRAL_SCORE = 40;
+
+// Stored scores are recomputed when older than this
+const TRUST_TTL_MS = HOUR;
+
+// Rejections that say the reporter acted in bad faith, not just that the report was wrong
+const BAD_FAITH_REASONS = ['spam', 'fake_image', 'recycled_image', 'offensive'];
+
+// Another user's report backs one up when it is for the same disaster, within this many
+// hours and, when both have a position, this many km
+const CORROBORATION_HOURS = 6;
+const CORROBORATION_RADIUS_KM = 2;
+// How many of a reporter's latest reports are checked for corroboration
+const CORROBORATION_SAMPLE = 20;
+
+// Staff accounts are known sources
+const ROLE_POINTS = { admin: 25, coordinator: 25, responder: 15 };
+
+export function trustLevel(score) {
+  return score >= TRUSTED_SCORE ? 'trusted' : score >= NEUTRAL_SCORE ? 'neutral' : 'untrusted';
+}
+
+// Per-reporter trust score (0-100, starting at 50) from the reporter's track record in
+// `reports`, account age and role, and how often other reporters backed them up. Scores
+// are stored in `user_trust`; an admin override replaces the computed score until cleared.
+// Every contribution is listed in factors, like the image authenticity score.
+export class TrustService {
+
+  static async compute(userId, now = Date.now()) {
+    const [verified, rejected, badFaith, user, recent] = await Promise.all([
+      db.reports.count({ user_id: userId, verification_status: 'verified' }),
+      db.reports.count({ user_id: userId, verification_status: 'rejected' }),
+      db.reports.count({ user_id: userId, verification_status: 'rejected', rejection_reason: { in: BAD_FAITH_REASONS } }),
+      db.users.findById(userId),
+      db.reports.list({ where: { user_id: userId }, orderBy: 'created_at', ascending: false, limit: CORROBORATION_SAMPLE })
+    ]);
+
+    const factors = [];
+    const add = (signal, points, detail) => factors.push({ signal, points, detail });
+
+    // Verified share, pulled towards 50% until there are about ten reviewed reports
+    const decided = verified + rejected;
+    if (decided === 0) {
+      add('track_record', 0, 'No reviewed reports yet');
+    } else {
+      const ratio = (verified + 1) / (decided + 2);
+      const weight = Math.min(decided, 10) / 10;
+      add('track_record', Math.round((ratio - 0.5) * 60 * weight), `${verified} verified, ${rejected} rejected`);
+    }
+
+    if (badFaith > 0) {
+      add('bad_faith_rejections', -Math.min(badFaith * 5, 20), `${badFaith} report(s) rejected as spam, fake, recycled or offensive`);
+    }
+
+    if (user) {
+      const ageDays = (now - new Date(user.created_at).getTime()) / DAY;
+      if (ageDays < 1) {
+        add('account_age', -5, 'Account created less than a day ago');
+      } else if (ageDays >= 30) {
+        add('account_age', ageDays >= 90 ? 10 : 5, `Account is ${Math.floor(ageDays)} days old`);
+      }
+
+      if (ROLE_POINTS[user.role]) {
+        add('role', ROLE_POINTS[user.role], `Reporter is a ${user.role}`);
+      }
+    }
+
+    let corroborated = 0;
+    for (const report of recent) {
+      if (report.verification_status !== 'rejected' && await this.isCorroborated(report)) corroborated++;
+    }
+    if (corroborated > 0) {
+      add('corroboration', Math.min(corroborated, 5) * 3,
+        `${corroborated} of the last ${recent.length} reports were backed up by other reporters`);
+    }
+
+    const score = Math.max(0, Math.min(100, 50 + factors.reduce((sum, factor) => sum + factor.points, 0)));
+
+    return {
+      computed_score: score,
+      factors,
+      verified_count: verified,
+      rejected_count: rejected,
+      corroborated_count: corroborated
+    };
+  }
+
+  // True when another reporter sent a report that wasn't rejected for the same disaster
+  // around the same time (and place, when both have one)
+  static async isCorroborated(report) {
+    const at = new Date(report.created_at).getTime();
+    const others = await db.reports.list({
+      where: {
+        disaster_id: report.disaster_id,
+        user_id: { neq: report.user_id },
+        verification_status: { neq: 'rejected' },
+        created_at: {
+          gte: new Date(at - CORROBORATION_HOURS * HOUR).toISOString(),
+          lte: new Date(at + CORROBORATION_HOURS * HOUR).toISOString()
+        }
+      },
+      limit: 50
+    });
+
+    const hasPosition = (row) => row.latitude !== null && row.latitude !== undefined &&
+      row.longitude !== null && row.longitude !== undefined;
+
+    return others.some(other => !hasPosition(report) || !hasPosition(other) ||
+      haversineDistanceKm(Number(report.latitude), Number(report.longitude),
+        Number(other.latitude), Number(other.longitude)) <= CORROBORATION_RADIUS_KM);
+  }
+
+  // Recompute and store a reporter's score; their pending reports get the new score too,
+  // which is what the moderation queue orders by
+  static async refresh(userId) {
+    const existing = await db.userTrust.findById(userId);
+    const computed = await this.compute(userId);
+    const override = existing ? existing.override_score : null;
+    const score = override !== null && override !== undefined ? override : computed.computed_score;
+
+    const trust = await db.userTrust.upsert({
+      user_id: userId,
+      ...computed,
+      score,
+      level: trustLevel(score),
+      computed_at: new Date().toISOString()
+    });
+
+    await db.reports.updateWhere(
+      { user_id: userId, verification_status: 'pending' },
+      { reporter_trust_score: trust.score, reporter_trust_level: trust.level }
+    );
+
+    return trust;
+  }
+
+  // Stored score, recomputed when missing or stale
+  static async get(userId) {
+    const trust = await db.userTrust.findById(userId);
+    if (trust && Date.now() - new Date(trust.computed_at).getTime() < TRUST_TTL_MS) {
+      return trust;
+    }
+    return this.refresh(userId);
+  }
+
+  // Pin a reporter's score (0-100), or go back to the computed one with score null
+  static async override(userId, { score, reason = null, adminId }) {
+    await this.get(userId);
+
+    const pinned = score !== null && score !== undefined;
+    await db.userTrust.update(userId, {
+      override_score: pinned ? score : null,
+      override_reason: pinned ? reason : null,
+      overridden_by: pinned ? adminId : null,
+      overridden_at: pinned ? new Date().toISOString() : null
+    });
+
+    return this.refresh(userId);
+  }
+
+  // Reports from reporters at or above TRUST_AUTO_VERIFY_SCORE are verified without a
+  // reviewer unless their images say otherwise (off when unset)
+  static async autoVerifies(userId) {
+    const threshold = parseInt(process.env.TRUST_AUTO_VERIFY_SCORE);
+    if (!threshold) return false;
+    const trust = await this.get(userId);
+    return trust.score >= threshold;
+  }
+
+  // Recompute stale scores of reporters with reports waiting for review
+  static async refreshStale() {
+    const pending = await db.reports.list({ where: { verification_status: 'pending' } });
+    const userIds = [...new Set(pending.map(report => report.user_id))];
+    const staleBefore = Date.now() - TRUST_TTL_MS;
+
+    let refreshed = 0;
+    for (const userId of userIds) {
+      const trust = await db.userTrust.findById(userId);
+      if (!trust || new Date(trust.computed_at).getTime() < staleBefore) {
+        await this.refresh(userId);
+        refreshed++;
+      }
+    }
+
+    return { reporters: userIds.length, refreshed };
+  }
+}
@@ -0,0 +1,212 @@
+import { db } from './database.js';
+import { JobQueue } from './jobQueue.js';
+import { AttachmentService } from './attachments.js';
+import { ImageVerificationService } from './imageVerification.js';
+import { ModerationService } from './moderation.js';
+import { TrustService } from './trust.js';
+import { describeImage } from '../utils/images.js';
+import { logger, logAction } from '../utils/logger.js';
+
+// Image loading errors that another attempt won't fix
+const PERMANENT_IMAGE_ERRORS = ['INVALID_IMAGE_URL', 'UNSUPPORTED_IMAGE_TYPE', 'IMAGE_TOO_LARGE'];
+
+// Image verification runs here instead of inside requests: report images ('report_images')
+// and batch URL checks ('image_url')
+export const verificationQueue = new JobQueue('verification', {
+  table: db.verificationJobs,
+  concurrency: parseInt(process.env.VERIFICATION_CONCURRENCY) || 2,
+  maxAttempts: parseInt(process.env.VERIFICATION_MAX_ATTEMPTS) || 3,
+  backoffMs: parseInt(process.env.VERIFICATION_BACKOFF_MS) || 5000
+});
+
+function permanent(error) {
+  if (PERMANENT_IMAGE_ERRORS.includes(error.code)) {
+    error.retryable = false;
+  }
+  return error;
+}
+
+// What a report's status needs from a verification
+function summarize(verification) {
+  return {
+    verification_id: verification.verification_id,
+    authenticity: verification.authenticity,
+    confidence: verification.confidence,
+    score: verification.score,
+    recycled: verification.recycled,
+    similar_images: verification.forensics.similar_images
+  };
+}
+
+// Report status from its images' verdicts: only model verdicts settle a report; anything
+// else waits for a reviewer, as does a picture already submitted for another disaster
+export function statusFromVerifications(verifications) {
+  if (verifications.length === 0 || verifications.some(v => !v || v.recycled)) return 'pending';
+  if (verifications.some(v => v.authenticity === 'rejected')) return 'rejected';
+  if (verifications.every(v => v.authenticity === 'verified')) return 'verified';
+  return 'pending';
+}
+
+// Verify every attachment of a report that has no verification yet (attempts that failed
+// part-way pick up where they stopped), then settle the report's status
+async function verifyReportImages(job, io) {
+  const report = await db.reports.findById(job.payload.report_id);
+  if (!report) {
+    const error = new Error('Report no longer exists');
+    error.retryable = false;
+    throw error;
+  }
+
+  const attachments = await db.attachments.list({ where: { report_id: report.id }, orderBy: 'created_at' });
+  const newIds = new Set(job.payload.attachment_ids || attachments.map(attachment => attachment.id));
+  const lastAttempt = job.attempts >= job.max_attempts;
+  const results = [];
+
+  for (const attachment of attachments) {
+    if (attachment.verification_id) {
+      const record = await db.imageVerifications.findById(attachment.verification_id);
+      results.push({ attachment_id: attachment.id, new: newIds.has(attachment.id), ...(record ? ImageVerificationService.summarizeRecord(record) : {}) });
+      continue;
+    }
+
+    const file = await AttachmentService.read(attachment, 'original');
+    if (!file) {
+      throw new Error(`Image for attachment ${attachment.id} is missing from the blob store`);
+    }
+
+    let verification;
+    try {
+      verification = await ImageVerificationService.verify({
+        image: describeImage(file.buffer),
+        imageUrl: attachment.source_url,
+        description: report.content,
+        reportId: report.id,
+        disasterId: report.disaster_id,
+        userId: job.created_by,
+        throwOnModelError: !lastAttempt
+      });
+    } catch (error) {
+      throw permanent(error);
+    }
+
+    if (verification.verification_id) {
+      await db.attachments.update(attachment.id, { verification_id: verification.verification_id });
+    }
+
+    results.push({ attachment_id: attachment.id, new: newIds.has(attachment.id), ...summarize(verification) });
+  }
+
+  // A report still waiting for review takes the verdict of all its images (unless it was
+  // escalated to senior reviewers); images without a verdict are enough for a trusted
+  // reporter. A verified report is reopened when a newly added image is rejected or recycled.
+  const previousStatus = report.verification_status;
+  let status = previousStatus;
+  let trusted = false;
+  if (previousStatus === 'pending' && !report.verified_by && !report.escalated_at) {
+    status = statusFromVerifications(results);
+    if (status === 'pending' &&
+        results.every(r => ['verified', 'unverified'].includes(r.authenticity) && !r.recycled) &&
+        await TrustService.autoVerifies(report.user_id)) {
+      status = 'verified';
+      trusted = true;
+    }
+  } else if (previousStatus === 'verified' &&
+             results.some(r => r.new && (r.recycled || r.authenticity === 'rejected'))) {
+    status = 'pending';
+  }
+
+  if (status !== previousStatus) {
+    // Only if no reviewer decided, claimed or escalated the report while its images were
+    // being checked; their call stands
+    const [updated] = await db.reports.updateWhere({
+      id: report.id,
+      verification_status: previousStatus,
+      verified_by: report.verified_by || null,
+      claimed_by: report.claimed_by || null,
+      escalated_at: report.escalated_at || null
+    }, {
+      verification_status: status,
+      ...(status === 'pending' ? {} : { verified_at: new Date().toISOString() })
+    });
+    if (!updated) {
+      logger.info(`Report ${report.id} changed during image verification; leaving its status alone`);
+      const current = await db.reports.findById(report.id);
+      return { verification_status: current ? current.verification_status : null, previous_status: previousStatus, skipped: true, attachments: results };
+    }
+
+    await TrustService.refresh(report.user_id);
+    await ModerationService.record(report, {
+      action: 'auto_verified',
+      fromStatus: previousStatus,
+      toStatus: status,
+      notes: trusted ? 'Trusted reporter' : null
+    });
+  }
+
+  logAction('report_auto_verified', {
+    report_id: report.id,
+    job_id: job.id,
+    previous_status: previousStatus,
+    verification_status: status,
+    attachments: results.length,
+    recycled: results.some(r => r.recycled)
+  });
+
+  io.emit('report_verified', {
+    action: 'auto_verified',
+    report_id: report.id,
+    disaster_id: report.disaster_id,
+    verification_status: status,
+    previous_status: previousStatus,
+    attachments: results,
+    job_id: job.id,
+    timestamp: new Date().toISOString()
+  });
+
+  return { verification_status: status, previous_status: previousStatus, attachments: results };
+}
+
+// Verify one image URL (batch verification)
+async function verifyImageUrl(job) {
+  const { image_url, description, disaster_id } = job.payload;
+
+  let verification;
+  try {
+    verification = await ImageVerificationService.verify({
+      imageUrl: image_url,
+      description,
+      disasterId: disaster_id || null,
+      userId: job.created_by,
+      throwOnModelError: job.attempts < job.max_attempts
+    });
+  } catch (error) {
+    throw permanent(error);
+  }
+
+  return {
+    image_url,
+    disaster_type: verification.disasterType,
+    matches_description: verification.matchesDescription,
+    analysis_source: verification.source,
+    processing_ms: verification.processing_ms,
+    ...summarize(verification)
+  };
+}
+
+// Register the job handlers; failed report jobs are announced so reviewers can step in
+export function registerVerificationHandlers(queue, io) {
+  queue.handle('report_images', (job) => verifyReportImages(job, io));
+  queue.handle('image_url', verifyImageUrl);
+
+  queue.on('job:failed', (job) => {
+    logger.error(`Verification job ${job.id} (${job.type}) failed: ${job.error}`);
+    if (job.report_id) {
+      io.emit('report_verification_failed', {
+        report_id: job.report_id,
+        job_id: job.id,
+        error: job.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+}
@@ -13,8 +13,9 @@ console.log('✅ Environment loaded:');
 console.log('- SUPABASE_URL:', supabaseUrl ? 'SET' : 'NOT SET');
 console.log('- SUPABASE_ANON_KEY:', supabaseKey ? 'SET' : 'NOT SET');
 console.log('- PORT:', process.env.PORT || 3001);
+console.log('- STORAGE_DRIVER:', process.env.STORAGE_DRIVER || 'auto');
 
-if (!supabaseUrl || !supabaseKey) {
+if (process.env.STORAGE_DRIVER === 'supabase' && (!supabaseUrl || !supabaseKey)) {
     console.error('❌ Missing Supabase credentials. Please check your .env file.');
     process.exit(1);
 }
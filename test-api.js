@@ -1,62 +1,171 @@
-// Simple API test script to verify backend functionality
+// Simple API test script to verify backend functionality against a running server
+import 'dotenv/config';
 import axios from 'axios';
 
-const API_BASE = 'http://localhost:3001';
+const API_BASE = process.env.API_BASE || `http://localhost:${process.env.PORT || 3001}`;
+
+// Staff account for the write tests (creating disasters needs a responder or above);
+// defaults to the bootstrap admin
+const TEST_EMAIL = process.env.TEST_EMAIL || process.env.BOOTSTRAP_ADMIN_EMAIL;
+const TEST_PASSWORD = process.env.TEST_PASSWORD || process.env.BOOTSTRAP_ADMIN_PASSWORD;
 
 async function testAPI() {
     console.log('🚀 Testing Disaster Response Platform APIs...\n');
-    
+
     try {
         // Test 1: Health Check
         console.log('1. Testing Health Check...');
         const health = await axios.get(`${API_BASE}/api/health`);
         console.log('   ✅ Health check passed:', health.data);
-        
+
         // Test 2: Get Disasters
         console.log('\n2. Testing Disasters API...');
         const disasters = await axios.get(`${API_BASE}/api/disasters`);
         console.log('   ✅ Disasters API working, found:', disasters.data.disasters.length, 'disasters');
-        
-        // Test 3: Create a test disaster
-        console.log('\n3. Testing Create Disaster...');
+
+        // Test 3: Log in, and check that a self-registered citizen can't create disasters
+        console.log('\n3. Testing Authentication...');
+        if (!TEST_EMAIL || !TEST_PASSWORD) {
+            throw new Error('Set TEST_EMAIL/TEST_PASSWORD or BOOTSTRAP_ADMIN_EMAIL/BOOTSTRAP_ADMIN_PASSWORD');
+        }
+        const login = await axios.post(`${API_BASE}/api/auth/login`, { email: TEST_EMAIL, password: TEST_PASSWORD });
+        const auth = { headers: { Authorization: `Bearer ${login.data.token}` } };
+        console.log('   ✅ Logged in as', login.data.user.email, `(${login.data.user.role})`);
+
+        const citizen = await axios.post(`${API_BASE}/api/auth/register`, {
+            email: `api-test-${Date.now()}@example.com`,
+            password: 'api-test-password'
+        });
+        const citizenAuth = { headers: { Authorization: `Bearer ${citizen.data.token}` } };
+        await expectStatus(axios.post(`${API_BASE}/api/disasters`, { title: 'x', location_name: 'x', description: 'x' }, citizenAuth), 403);
+        await expectStatus(axios.post(`${API_BASE}/api/auth/login`, { email: TEST_EMAIL, password: 12345678 }), 400);
+        console.log('   ✅ Registered a citizen; role and input checks hold');
+
+        // Test 4: Create a test disaster
+        console.log('\n4. Testing Create Disaster...');
         const newDisaster = {
             title: 'Test Earthquake',
             location_name: 'San Francisco, CA',
             description: 'A test earthquake for API verification',
             tags: ['earthquake', 'test']
         };
-        
-        const createResponse = await axios.post(`${API_BASE}/api/disasters`, newDisaster, {
-            headers: { 'x-user-id': 'netrunnerX' }
-        });
-        console.log('   ✅ Disaster created with ID:', createResponse.data.disaster.id);
-        
-        // Test 4: Test Geocoding
-        console.log('\n4. Testing Geocoding API...');
-        const geocodeResponse = await axios.post(`${API_BASE}/api/geocoding`, {
-            location: 'Manhattan, New York'
+
+        const createResponse = await axios.post(`${API_BASE}/api/disasters`, newDisaster, auth);
+        const disasterId = createResponse.data.disaster.id;
+        console.log('   ✅ Disaster created with ID:', disasterId);
+
+        // Test 5: Test Geocoding
+        console.log('\n5. Testing Geocoding API...');
+        const geocodeResponse = await axios.post(`${API_BASE}/api/geocoding/geocode`, {
+            location_name: 'Manhattan, New York'
         });
         console.log('   ✅ Geocoding working:', geocodeResponse.data);
-        
-        // Test 5: Test Social Media
-        console.log('\n5. Testing Social Media API...');
+
+        // Test 6: Test Social Media
+        console.log('\n6. Testing Social Media API...');
         const socialResponse = await axios.get(`${API_BASE}/api/social-media/mock`);
-        console.log('   ✅ Social Media API working, found:', socialResponse.data.reports.length, 'reports');
-        
-        // Test 6: Test Resources
-        console.log('\n6. Testing Resources API...');
+        console.log('   ✅ Social Media API working, found:', socialResponse.data.posts.length, 'posts');
+
+        // Test 7: Test Resources, occupancy and reservations
+        console.log('\n7. Testing Resources API...');
         const resourcesResponse = await axios.get(`${API_BASE}/api/resources`);
         console.log('   ✅ Resources API working, found:', resourcesResponse.data.resources.length, 'resources');
-        
+
+        const shelter = (await axios.post(`${API_BASE}/api/resources`, {
+            disaster_id: disasterId, name: 'Test Shelter', type: 'shelter', capacity: 10
+        }, auth)).data;
+        const checkIn = await axios.post(`${API_BASE}/api/resources/${shelter.id}/movements`, { kind: 'check_in', quantity: 4 }, auth);
+        const hold = await axios.post(`${API_BASE}/api/resources/${shelter.id}/reservations`, { quantity: 6 }, auth);
+        await expectStatus(axios.post(`${API_BASE}/api/resources/${shelter.id}/reservations`, { quantity: 1 }, auth), 409);
+        await expectStatus(axios.post(`${API_BASE}/api/resources/${shelter.id}/movements`, { kind: 'check_in', quantity: 1 }, auth), 409);
+        console.log('   ✅ Occupancy', checkIn.data.movement.balance_after, '+ reserved', hold.data.quantity, 'of 10; double booking refused');
+
+        // Test 8: Needs and matching leave held units alone
+        console.log('\n8. Testing Needs & Matching API...');
+        const need = (await axios.post(`${API_BASE}/api/needs`, {
+            disaster_id: disasterId, type: 'shelter', quantity: 2, description: 'Two people need beds tonight'
+        }, citizenAuth)).data;
+        const proposals = (await axios.get(`${API_BASE}/api/needs/${need.id}/matches`)).data.proposals;
+        if (proposals.some(proposal => proposal.id === shelter.id)) {
+            throw new Error('A fully held shelter was proposed');
+        }
+        await axios.post(`${API_BASE}/api/resources/${shelter.id}/reservations/${hold.data.id}/release`, {}, auth);
+        const match = await axios.post(`${API_BASE}/api/needs/${need.id}/matches`, { resource_id: shelter.id }, auth);
+        console.log('   ✅ Matched', match.data.match.quantity, 'beds once the hold was released');
+
+        // Test 9: CAP publish and ingest; a broken document is reported on its own
+        console.log('\n9. Testing CAP API...');
+        const alertXml = (await axios.get(`${API_BASE}/api/disasters/${disasterId}/cap`, { responseType: 'text' })).data;
+        const capFeed = await axios.get(`${API_BASE}/api/disasters/cap`, { responseType: 'text' });
+        if (!capFeed.data.includes('<feed')) {
+            throw new Error('The CAP index is not an Atom feed');
+        }
+        const ingest = await axios.post(`${API_BASE}/api/official-updates/cap`, {
+            documents: [alertXml, '<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2"><status>Actual</status></alert>'],
+            source: { name: 'API test', type: 'government' }
+        }, auth);
+        const [published, broken] = ingest.data.documents;
+        if (!published.valid || broken.valid || broken.errors.length === 0 || ingest.data.rejected_documents !== 1) {
+            throw new Error('Expected the published alert to be accepted and the broken one rejected');
+        }
+        await expectStatus(axios.post(`${API_BASE}/api/official-updates/cap`, { documents: ['not xml'] }, auth), 422);
+        console.log('   ✅ Published alert ingested with', ingest.data.total_updates, 'updates; broken document rejected:', broken.errors[0]);
+
+        // Test 10: Feed-format official sources
+        console.log('\n10. Testing Official Sources API...');
+        const feedSource = (await axios.post(`${API_BASE}/api/official-updates/sources`, {
+            name: `API test feed ${Date.now()}`, url: 'https://example.org/alerts.rss', format: 'feed'
+        }, auth)).data;
+        await expectStatus(axios.post(`${API_BASE}/api/official-updates/sources`, {
+            name: `API test page ${Date.now()}`, url: 'https://example.org/alerts', format: 'html'
+        }, auth), 400);
+        const feedSources = (await axios.get(`${API_BASE}/api/official-updates/sources?format=feed`)).data.sources;
+        if (!feedSources.some(source => source.id === feedSource.id)) {
+            throw new Error('The feed source is missing from the registry');
+        }
+        await axios.delete(`${API_BASE}/api/official-updates/sources/${feedSource.id}`, auth);
+        console.log('   ✅ Feed source registered without a selector; html sources still need one');
+
+        // Test 11: Batch verification jobs go from queued to a final status
+        console.log('\n11. Testing Batch Image Verification...');
+        const batch = (await axios.post(`${API_BASE}/api/image-verification/batch-verify`, {
+            images: [{ image_url: 'http://127.0.0.1/flood.jpg', description: 'Flooded street' }]
+        }, auth)).data;
+        const statuses = batch.jobs.map(job => job.status);
+        let progress;
+        for (let poll = 0; poll < 30; poll++) {
+            progress = (await axios.get(`${API_BASE}${batch.status_url}`)).data;
+            statuses.push(progress.batch_results[0].status);
+            if (progress.complete) break;
+            await sleep(1000);
+        }
+        if (statuses[0] !== 'queued' || !progress.complete || progress.batch_results[0].status !== 'failed') {
+            throw new Error(`Unexpected batch progression: ${statuses.join(' -> ')}`);
+        }
+        console.log('   ✅ Batch job went', [...new Set(statuses)].join(' -> '), `(${progress.batch_results[0].error})`);
+
         console.log('\n🎉 All API tests passed! Frontend-Backend communication is working correctly.');
-        
+
     } catch (error) {
         console.error('❌ API test failed:', error.response?.data || error.message);
         if (error.code === 'ECONNREFUSED') {
             console.log('\n💡 Make sure the server is running with: npm run dev');
         }
+        process.exitCode = 1;
+    }
+}
+
+// Resolve when a request fails with the given status; throw otherwise
+async function expectStatus(request, status) {
+    try {
+        const response = await request;
+        throw new Error(`Expected ${status}, got ${response.status}`);
+    } catch (error) {
+        if (error.response?.status !== status) throw error;
     }
 }
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Run the test
 testAPI();
@@ -0,0 +1,147 @@
+// Geospatial helpers shared by the storage drivers and routes
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in kilometres
+export function haversineDistanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Validate a latitude/longitude pair; returns { latitude, longitude } or null
+export function parseCoordinates(latitude, longitude) {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return null;
+  }
+
+  return { latitude: lat, longitude: lon };
+}
+
+// Parse a "lat,lng" query string value
+export function parseLatLng(value) {
+  if (typeof value !== 'string') return null;
+
+  const [lat, lng] = value.split(',');
+  return parseCoordinates(lat, lng);
+}
+
+// Parse a "minLon,minLat,maxLon,maxLat" bounding box query value (GeoJSON order)
+export function parseBbox(value) {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(isNaN)) return null;
+
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (!parseCoordinates(minLat, minLon) || !parseCoordinates(maxLat, maxLon) ||
+      minLat > maxLat || minLon > maxLon) {
+    return null;
+  }
+
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+// Annotate rows with distance_km from a point and sort nearest first
+export function withDistances(rows, latitude, longitude) {
+  return rows
+    .filter(row => row.latitude !== null && row.latitude !== undefined &&
+                   row.longitude !== null && row.longitude !== undefined)
+    .map(row => ({
+      ...row,
+      distance_km: Math.round(haversineDistanceKm(latitude, longitude, Number(row.latitude), Number(row.longitude)) * 100) / 100
+    }))
+    .sort((a, b) => a.distance_km - b.distance_km);
+}
+
+// Validate one GeoJSON linear ring: closed, at least 4 positions, valid lon/lat pairs
+function validateRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return 'each ring needs at least 4 positions';
+  }
+
+  for (const position of ring) {
+    if (!Array.isArray(position) || position.length < 2 ||
+        !parseCoordinates(position[1], position[0])) {
+      return 'positions must be [longitude, latitude] within valid ranges';
+    }
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return 'rings must be closed (first and last positions equal)';
+  }
+
+  return null;
+}
+
+// Accept a GeoJSON Polygon/MultiPolygon geometry (or a Feature wrapping one).
+// Returns { footprint } with a plain geometry, or { error } describing the problem.
+export function normalizeFootprint(input) {
+  const geometry = input && input.type === 'Feature' ? input.geometry : input;
+
+  if (!geometry || typeof geometry !== 'object') {
+    return { error: 'footprint must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  let polygons;
+  if (geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  } else {
+    return { error: 'footprint must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return { error: 'footprint has no coordinates' };
+  }
+
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      return { error: 'each polygon needs an outer ring' };
+    }
+    for (const ring of polygon) {
+      const problem = validateRing(ring);
+      if (problem) return { error: `Invalid footprint: ${problem}` };
+    }
+  }
+
+  return { footprint: { type: geometry.type, coordinates: geometry.coordinates } };
+}
+
+// Ray-casting point-in-ring test (planar, fine at disaster-area scales)
+function pointInRing(longitude, latitude, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > latitude) !== (yj > latitude) &&
+      longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+// True when the point lies inside the footprint (outer ring minus holes)
+export function pointInFootprint(latitude, longitude, footprint) {
+  if (!footprint) return false;
+
+  const polygons = footprint.type === 'Polygon' ? [footprint.coordinates] : footprint.coordinates;
+
+  return polygons.some(([outer, ...holes]) =>
+    pointInRing(longitude, latitude, outer) &&
+    !holes.some(hole => pointInRing(longitude, latitude, hole))
+  );
+}
@@ -0,0 +1,56 @@
+// GeoJSON output for the list routes (QGIS / web map layers)
+
+export const GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+// Columns that are geometry in another form and would only clutter properties
+const GEOMETRY_COLUMNS = ['latitude', 'longitude', 'location', 'footprint', 'footprint_area'];
+
+// True when the client asked for GeoJSON via ?format=geojson or the Accept header
+export function wantsGeoJSON(req) {
+  if (req.query.format) {
+    return req.query.format === 'geojson';
+  }
+
+  const accept = req.get('Accept') || '';
+  return accept.includes(GEOJSON_CONTENT_TYPE);
+}
+
+function pointGeometry(row) {
+  if (row.latitude === null || row.latitude === undefined ||
+      row.longitude === null || row.longitude === undefined) {
+    return null;
+  }
+
+  return { type: 'Point', coordinates: [Number(row.longitude), Number(row.latitude)] };
+}
+
+// One row as a Feature. With geometry 'footprint' a disaster's polygon is used
+// instead of its point; rows without a location get a null geometry.
+export function toFeature(row, { geometry = 'point' } = {}) {
+  const properties = Object.fromEntries(
+    Object.entries(row).filter(([column]) => !GEOMETRY_COLUMNS.includes(column))
+  );
+
+  return {
+    type: 'Feature',
+    id: row.id,
+    geometry: geometry === 'footprint' ? row.footprint || null : pointGeometry(row),
+    properties
+  };
+}
+
+// Rows as a FeatureCollection; pagination details go in foreign members
+export function toFeatureCollection(rows, { total, offset, limit, geometry } = {}) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.map(row => toFeature(row, { geometry })),
+    total,
+    offset,
+    limit
+  };
+}
+
+// Send rows as a GeoJSON response
+export function sendFeatureCollection(res, rows, options) {
+  res.type(GEOJSON_CONTENT_TYPE).send(JSON.stringify(toFeatureCollection(rows, options)));
+}
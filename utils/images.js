@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { getPublic } from './network.js';
+
+// Loading images for verification: size/type limits, content sniffing and safe URL fetching
+
+export const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Types the vision model accepts, recognised by their leading bytes
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { mimeType: 'image/heic', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' && /^(heic|heix|hevc|hevx)$/.test(b.toString('ascii', 8, 12)) },
+  { mimeType: 'image/heif', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' && /^(mif1|msf1|heim|heis)$/.test(b.toString('ascii', 8, 12)) }
+];
+
+export const SUPPORTED_IMAGE_TYPES = SIGNATURES.map(signature => signature.mimeType);
+
+function imageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// The image type from the file's own bytes, or null when it is not a supported image
+export function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  return match ? match.mimeType : null;
+}
+
+// Validate image bytes and describe them: { buffer, mimeType, size, sha256 }
+export function describeImage(buffer) {
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw imageError('IMAGE_TOO_LARGE', `Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+  }
+
+  const mimeType = sniffImageType(buffer);
+  if (!mimeType) {
+    throw imageError('UNSUPPORTED_IMAGE_TYPE', `Image must be one of: ${SUPPORTED_IMAGE_TYPES.join(', ')}`);
+  }
+
+  return {
+    buffer,
+    mimeType,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
+// Download an image, enforcing the size limit while streaming rather than after.
+// User-supplied URLs may not reach private networks (see utils/network.js);
+// IMAGE_FETCH_ALLOW_PRIVATE=true lifts that for local development.
+export async function fetchImage(imageUrl) {
+  let response;
+  try {
+    response = await getPublic(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 10000,
+      maxContentLength: MAX_IMAGE_BYTES,
+      headers: { Accept: SUPPORTED_IMAGE_TYPES.join(', ') }
+    }, { allowPrivate: process.env.IMAGE_FETCH_ALLOW_PRIVATE === 'true' });
+  } catch (error) {
+    if (error.code === 'INVALID_URL') {
+      throw imageError('INVALID_IMAGE_URL', error.message.replace(/^URL/, 'Image URL').replace('Invalid URL', 'Invalid image URL'));
+    }
+    if (error.code === 'PRIVATE_ADDRESS') {
+      throw imageError('INVALID_IMAGE_URL', 'Image URL points to a private network address');
+    }
+    if (error.message && error.message.includes('maxContentLength')) {
+      throw imageError('IMAGE_TOO_LARGE', `Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+    }
+    throw imageError('IMAGE_FETCH_FAILED', `Could not fetch image: ${error.message}`);
+  }
+
+  return describeImage(Buffer.from(response.data));
+}
+
+// HTTP status for an image loading error code
+export function imageErrorStatus(code) {
+  switch (code) {
+    case 'IMAGE_TOO_LARGE': return 413;
+    case 'UNSUPPORTED_IMAGE_TYPE': return 415;
+    case 'INVALID_IMAGE_URL': return 400;
+    case 'IMAGE_FETCH_FAILED': return 422;
+    default: return null;
+  }
+}
@@ -0,0 +1,136 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+
+// Fetching URLs that come from users or remote documents without reaching internal
+// services: only http(s), no private or reserved addresses (checked on the address the
+// socket actually connects to, so DNS rebinding can't slip past), redirects followed by hand
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv6'));
+
+// The 8 hextets of an IPv6 address, or null
+function hextets(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+
+  // Dotted IPv4 tail (::ffff:127.0.0.1) as two hextets
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    if (!net.isIPv4(dotted[1])) return null;
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const fill = text.includes('::') ? 8 - left.length - right.length : 0;
+  const parts = [...left, ...Array(fill).fill('0'), ...right].map(part => parseInt(part, 16));
+  return parts.length === 8 && parts.every(part => part >= 0 && part <= 0xffff) ? parts : null;
+}
+
+// IPv4 address carried in an IPv6 one: mapped (::ffff:a.b.c.d), compatible (::a.b.c.d),
+// NAT64 (64:ff9b::a.b.c.d) or 6to4 (2002:aabb:ccdd::)
+function embeddedIPv4(parts) {
+  const ipv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  const zeros = (from, to) => parts.slice(from, to).every(part => part === 0);
+
+  if (zeros(0, 5) && (parts[5] === 0xffff || parts[5] === 0)) return ipv4(parts[6], parts[7]);
+  if (parts[0] === 0x64 && parts[1] === 0xff9b && zeros(2, 6)) return ipv4(parts[6], parts[7]);
+  if (parts[0] === 0x2002) return ipv4(parts[1], parts[2]);
+  return null;
+}
+
+// Loopback, private, link-local, multicast and other reserved addresses, in any notation
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) return BLOCKED.check(address, 'ipv4');
+  if (!net.isIPv6(address)) return true;
+
+  const parts = hextets(address);
+  if (!parts) return true;
+
+  const ipv4 = embeddedIPv4(parts);
+  if (ipv4) return BLOCKED.check(ipv4, 'ipv4');
+  return BLOCKED.check(parts.map(part => part.toString(16)).join(':'), 'ipv6');
+}
+
+function networkError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// dns.lookup for sockets that refuses private addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(networkError('PRIVATE_ADDRESS', `${hostname} resolves to a private network address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Reject URLs that aren't http(s) or name a private address outright (unless
+// `allowPrivate`). Host names are checked when the connection is made.
+export function assertPublicUrl(rawUrl, { allowPrivate = false } = {}) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw networkError('INVALID_URL', 'Invalid URL format');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw networkError('INVALID_URL', 'URL must use http or https');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw networkError('PRIVATE_ADDRESS', 'URL points to a private network address');
+  }
+  return url;
+}
+
+const MAX_REDIRECTS = 3;
+
+// GET a URL with axios, checking it and every redirect hop. `allowPrivate` skips the
+// address checks (local development). Errors carry INVALID_URL, PRIVATE_ADDRESS,
+// TOO_MANY_REDIRECTS, or come from axios.
+export async function getPublic(rawUrl, config = {}, { allowPrivate = false, maxRedirects = MAX_REDIRECTS } = {}) {
+  let url = rawUrl;
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    assertPublicUrl(url, { allowPrivate });
+
+    const response = await axios.get(url, {
+      ...config,
+      maxRedirects: 0,
+      // Direct connections only, so the agents see the address actually connected to
+      ...(allowPrivate ? {} : { httpAgent, httpsAgent, proxy: false }),
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    if (response.status < 300) return response;
+    if (!response.headers.location) {
+      throw networkError('INVALID_URL', `Redirect from ${url} has no location`);
+    }
+    url = new URL(response.headers.location, url).toString();
+  }
+
+  throw networkError('TOO_MANY_REDIRECTS', 'Too many redirects');
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+
+// Text fingerprints for spotting copy-pasted and lightly edited social posts
+
+// Lowercased words with repost prefixes, links, mentions and punctuation removed,
+// so "RT @someone: Bridge closed! https://t.co/x" and "bridge closed" compare equal
+export function normalizePostText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/^(rt|via)\s+@[\w.-]+:?\s*/, '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@[\w.-]+/g, ' ')
+    .replace(/[^\p{L}\p{N}#\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// sha256 of the normalised text: equal for exact copies
+export function textFingerprint(text) {
+  return crypto.createHash('sha256').update(normalizePostText(text)).digest('hex');
+}
+
+// 64-bit SimHash of the normalised text's words and word pairs, as 16 hex digits.
+// Texts that differ by a few words differ in only a few bits.
+export function simhash(text) {
+  const words = normalizePostText(text).split(' ').filter(Boolean);
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+  const weights = new Array(64).fill(0);
+
+  for (const feature of features) {
+    const hash = BigInt(`0x${crypto.createHash('md5').update(feature).digest('hex').slice(0, 16)}`);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let result = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) result |= 1n << BigInt(bit);
+  });
+
+  return result.toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two equal-length hex strings
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return count;
+}
+
+// Words too common to say what a message is about
+const STOP_WORDS = new Set(('the and for are was were has have had not but all any can our out you your they them ' +
+  'their there this that these those with from into onto over near just now very been being its it\'s who what ' +
+  'when where which while will would should could about after before than then here also some more most much ' +
+  'please everyone anyone someone today tonight right still being via amp').split(' '));
+
+// Content words of a text with simple suffixes stripped, so "Bridge collapsed" and
+// "the bridges have collapsed" share bridg and collaps
+export function contentWords(text) {
+  const words = normalizePostText(text)
+    .split(' ')
+    .map(word => word.replace(/^#/, ''))
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+    .map(word => {
+      const stem = word.replace(/(ing|ed|es|s|e)$/, '');
+      return stem.length >= 3 ? stem : word;
+    });
+  return new Set(words);
+}
+
+// Shared words between two word sets, and their share of the smaller set (0-1), so a short
+// report and a long post about the same thing still compare as similar
+export function wordOverlap(a, b) {
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  const smaller = Math.min(a.size, b.size);
+  return { shared, ratio: smaller ? shared / smaller : 0 };
+}
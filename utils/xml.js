@@ -0,0 +1,14 @@
+import * as cheerio from 'cheerio';
+
+// Load an XML document with namespace prefixes removed from element names, so
+// "cap:alert", "dc:date" or "atom:link" can be selected as "alert", "date", "link"
+export function loadXml(xml) {
+  const unprefixed = String(xml).replace(/<(\/?)[A-Za-z_][\w.-]*:(?=[A-Za-z_])/g, '<$1');
+  return cheerio.load(unprefixed, { xmlMode: true });
+}
+
+// Plain text from an HTML fragment (RSS descriptions often carry markup)
+export function htmlToText(html) {
+  if (!html) return '';
+  return cheerio.load(`<div>${html}</div>`)('div').first().text().replace(/\s+/g, ' ').trim();
+}